@@ -14,10 +14,34 @@ import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
 
 import { AgentValidator } from '../lib/validator.mjs';
-import { AgentFixer } from '../lib/fixer.mjs';
+import { AgentFixer, formatInventedValues, formatPermissionDelta } from '../lib/fixer.mjs';
 import { AgentAnalyzer } from '../lib/analyzer.mjs';
 import { AgentCreator } from '../lib/creator.mjs';
 import { AgentConfig } from '../lib/config.mjs';
+import { RULES, HOOK_RULES, ANALYSIS_RULES } from '../lib/rules.mjs';
+import { attachFixes } from '../lib/sarif.mjs';
+import { CI_FORMATS } from '../lib/ci-reports.mjs';
+import { Baseline, BASELINE_FILE } from '../lib/baseline.mjs';
+import { listChangedAgentFiles } from '../lib/git.mjs';
+import { outputPatch } from '../lib/patch.mjs';
+import { AUTOFIXES, parseFixRule, parseFixProfile, FIX_PROFILES, DEFAULT_FIX_PROFILE } from '../lib/autofixes.mjs';
+import { FixJournal, removeBackupFiles } from '../lib/journal.mjs';
+import {
+    EXIT_CODES,
+    exitCodeForError,
+    parseFailOn,
+    parseMaxWarnings,
+    countFindings,
+    evaluateFindings
+} from '../lib/exit-codes.mjs';
+import {
+    IncrementalRun,
+    DirectoryWatcher,
+    validationIssues,
+    analysisIssues,
+    diffIssues,
+    formatIssueDiff
+} from '../lib/watch.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,32 +51,96 @@ const packageJson = JSON.parse(
     await fs.readFile(path.join(__dirname, '../package.json'), 'utf-8')
 );
 
+/**
+ * Print the first run's report, then re-check changed files and print an issue diff after each save
+ */
+async function startWatch({ dir, run, report, issues, summary }) {
+    const { result } = await run.run();
+    console.log(report(result));
+    let previous = issues(result);
+    console.log(chalk.gray(`\n👀 Watching ${dir} for changes (Ctrl+C to stop)`));
+    
+    const watcher = new DirectoryWatcher({
+        dir,
+        onChange: async (files) => {
+            const { result, checked } = await run.run(files);
+            const current = issues(result);
+            const diff = diffIssues(previous, current);
+            previous = current;
+            if (checked.length === 0 && diff.added.length === 0 && diff.removed.length === 0) return;
+            
+            const time = new Date().toLocaleTimeString();
+            console.log(`\n${chalk.bold(`[${time}]`)} Re-checked ${checked.length} file${checked.length === 1 ? '' : 's'}`);
+            for (const line of formatIssueDiff(diff).split('\n')) {
+                if (line.startsWith('+')) console.log(chalk.red(line));
+                else if (line.startsWith('-')) console.log(chalk.green(line));
+                else console.log(chalk.gray(line));
+            }
+            console.log(summary(result));
+        },
+        onError: error => console.error(chalk.red(error.message))
+    }).start();
+    
+    process.on('SIGINT', () => {
+        watcher.close();
+        process.exit(0);
+    });
+}
+
+/**
+ * Wrap a single file result in the shape of validateAll() results
+ */
+function singleResults(result) {
+    return {
+        total: 1,
+        valid: result.status === 'valid' ? 1 : 0,
+        warnings: result.status === 'warning' ? 1 : 0,
+        errors: result.status === 'error' ? 1 : 0,
+        details: [result],
+        typeStats: {}
+    };
+}
+
 program
     .name('agent-toolkit')
     .description('Claude Flow Agent Toolkit - Validate, fix, and manage AI agents')
-    .version(packageJson.version);
+    .version(packageJson.version)
+    // Commands defined below inherit this, so their usage errors reach the parse call at the end
+    .exitOverride();
 
 // Validate command
 program
     .command('validate [agent-name]')
     .description('Validate agent configurations')
     .option('-d, --dir <directory>', 'Agents directory', '.claude/agents')
-    .option('-f, --format <format>', 'Output format (text, json)', 'text')
+    .option('-f, --format <format>', 'Output format (text, json, sarif, junit, github, gitlab, checkstyle)', 'text')
     .option('-o, --output <file>', 'Output file')
     .option('-v, --verbose', 'Verbose output')
+    .option('--no-cache', 'Re-check every file instead of reusing .agent-toolkit/cache')
+    .option('--concurrency <n>', 'Number of files processed in parallel', (value) => parseInt(value, 10), 8)
+    .option('-w, --watch', 'Re-validate changed files on save and show which issues appeared or went away')
+    .option('--baseline <file>', 'Only report findings not recorded in this baseline file', BASELINE_FILE)
+    .option('--no-baseline', 'Report every finding, ignoring the baseline file')
+    .option('--update-baseline', 'Record the current findings in the baseline file')
+    .option('--since <ref>', 'Only validate agents changed since a git ref, plus the agents that reference them')
+    .option('--staged', 'Only validate agents staged for commit, plus the agents that reference them')
+    .option('--fail-on <level>', 'Lowest severity that fails the run (error, warning, info)', parseFailOn, 'error')
+    .option('--max-warnings <n>', 'Fail when there are more warnings than this', parseMaxWarnings)
     .action(async (agentName, options) => {
         try {
             const validator = new AgentValidator({
                 agentsDir: path.resolve(options.dir),
-                verbose: options.verbose
+                verbose: options.verbose,
+                cache: options.cache,
+                concurrency: options.concurrency
             });
             
             let results;
+            let filePath = null;
             if (agentName && agentName !== '*') {
                 // Validate single agent
                 const agentPath = path.join(path.resolve(options.dir), `${agentName}.md`);
                 const jsonPath = path.join(path.resolve(options.dir), `${agentName}.json`);
-                let filePath;
                 
                 try {
                     await fs.access(agentPath);
@@ -63,24 +151,74 @@ program
                         filePath = jsonPath;
                     } catch {
                         console.log(`Agent ${agentName} not found`);
-                        process.exit(1);
+                        process.exit(EXIT_CODES.USAGE);
                     }
                 }
-                
-                const result = await validator.validateFile(filePath);
-                results = {
-                    total: 1,
-                    valid: result.status === 'valid' ? 1 : 0,
-                    warnings: result.status === 'warning' ? 1 : 0,
-                    errors: result.status === 'error' ? 1 : 0,
-                    details: [result],
-                    typeStats: {}
-                };
+            }
+            
+            const baselinePath = path.resolve(options.baseline || BASELINE_FILE);
+            const baseline = options.baseline && !options.updateBaseline ? await Baseline.load(baselinePath) : null;
+            
+            if (options.watch) {
+                // A single agent skips the cross-agent checks, as it does without --watch
+                const combine = (files, entries) => (filePath ? singleResults(entries[0].result) : validator.collectResults(entries));
+                await startWatch({
+                    dir: path.resolve(options.dir),
+                    run: new IncrementalRun({
+                        list: async () => (filePath ? [filePath] : validator.listAgentFiles()),
+                        check: file => validator.checkFile(file),
+                        combine: (files, entries) => {
+                            const results = combine(files, entries);
+                            return baseline ? validator.applyBaseline(results, baseline) : results;
+                        },
+                        concurrency: options.concurrency
+                    }),
+                    report: results => validator.generateReport(results, options.format),
+                    issues: validationIssues,
+                    summary: results => `✅ Valid: ${results.valid}  ⚠️  Warnings: ${results.warnings}  ❌ Errors: ${results.errors}`
+                });
+                return;
+            }
+            
+            const changes = !filePath && (options.since || options.staged)
+                ? await listChangedAgentFiles(options.dir, { since: options.since, staged: options.staged })
+                : null;
+            
+            if (filePath) {
+                results = singleResults(await validator.validateFile(filePath));
+            } else if (changes) {
+                results = await validator.validateChanged(changes);
+                if (results.total === 0 && !options.updateBaseline) {
+                    console.log('No changed agents to validate');
+                    process.exit(0);
+                }
             } else {
                 // Validate all agents (when no name specified or * wildcard)
                 results = await validator.validateAll();
             }
             
+            // A single agent or changed agents only replace or prune their own entries
+            const complete = !filePath && !changes;
+            if (options.updateBaseline) {
+                const updated = complete ? new Baseline() : (await Baseline.load(baselinePath)) || new Baseline();
+                updated.update(results, { complete });
+                await updated.save(baselinePath);
+                console.log(chalk.green(`✅ Recorded ${updated.size} finding${updated.size === 1 ? '' : 's'} in ${path.relative(process.cwd(), baselinePath)}`));
+                process.exit(0);
+            }
+            
+            let pruned = 0;
+            if (baseline) {
+                pruned = baseline.prune(results, { complete });
+                if (pruned > 0) await baseline.save(baselinePath);
+                results = validator.applyBaseline(results, baseline);
+            }
+            
+            // SARIF carries the fix `agent-toolkit fix` would make for each finding
+            if (options.format === 'sarif') {
+                await attachFixes(results.details, new AgentFixer({ agentsDir: path.resolve(options.dir) }));
+            }
+            
             // Generate report
             const report = validator.generateReport(results, options.format);
             
@@ -92,24 +230,33 @@ program
                 console.log(report);
             }
             
-            // Show summary only for non-JSON formats
-            if (options.format !== 'json') {
+            const counts = countFindings(results.details);
+            const evaluation = evaluateFindings(counts, { failOn: options.failOn, maxWarnings: options.maxWarnings });
+            
+            // Show summary only for human-readable formats
+            if (!['json', 'sarif', ...CI_FORMATS].includes(options.format)) {
                 const successRate = Math.round((results.valid / results.total) * 100);
                 console.log('\n' + chalk.bold('Summary:'));
                 console.log(chalk.green(`✅ Valid: ${results.valid}`));
                 console.log(chalk.yellow(`⚠️  Warnings: ${results.warnings}`));
                 console.log(chalk.red(`❌ Errors: ${results.errors}`));
+                if (baseline) {
+                    console.log(chalk.gray(`📌 Baselined: ${results.baselined}`));
+                    if (pruned > 0) {
+                        console.log(chalk.gray(`🧹 Pruned ${pruned} fixed finding${pruned === 1 ? '' : 's'} from the baseline`));
+                    }
+                }
                 console.log(chalk.blue(`📊 Success Rate: ${successRate}%`));
                 
-                if (results.errors > 0) {
-                    console.log(chalk.red('\nvalidation errors found'));
+                if (evaluation.exitCode !== EXIT_CODES.OK) {
+                    console.log(chalk.red(`\nvalidation ${counts.error > 0 ? 'errors' : 'issues'} found: ${evaluation.reason}`));
                 }
             }
             
-            process.exit(results.errors > 0 ? 1 : 0);
+            process.exit(evaluation.exitCode);
         } catch (error) {
             console.log(error.message);
-            process.exit(1);
+            process.exit(exitCodeForError(error));
         }
     });
 
@@ -118,28 +265,52 @@ program
     .command('fix [agent-name]')
     .description('Fix common agent configuration issues')
     .option('-d, --dir <directory>', 'Agents directory', '.claude/agents')
-    .option('--dry-run', 'Show what would be fixed without making changes')
-    .option('--no-backup', 'Skip creating backup files')
+    .option('--dry-run', 'Show a diff of what would be fixed without making changes')
+    .option('--patch-out <file>', 'Write the proposed changes to a patch file instead of applying them')
+    .option('--no-backup', 'Do not record the run in .agent-toolkit/history (it cannot be undone)')
     .option('-v, --verbose', 'Verbose output')
     .option('--tools-format', 'Fix tools format issues')
     .option('--type-mismatches', 'Fix type mismatches')
+    .option('--move-misplaced', 'Move agents to the directories of the placement policy, updating links to them')
     .option('--all', 'Fix all issues')
-    .action(async (agentName, options) => {
+    .option('--rule <id>', 'Only apply the autofix for this rule ID (repeatable)', parseFixRule)
+    .option('--only-safe', 'Skip autofixes that change permissions or agent behavior')
+    .option('--profile <profile>', `Values to add for missing fields (${FIX_PROFILES.join(', ')})`, parseFixProfile, DEFAULT_FIX_PROFILE)
+    .option('--allow-escalation', 'Apply autofixes that widen agent permissions (tools, paths, network, sandbox)')
+    .option('--no-cache', 'Re-check every file instead of reusing .agent-toolkit/cache')
+    .option('--concurrency <n>', 'Number of files processed in parallel', (value) => parseInt(value, 10), 8)
+    .option('--since <ref>', 'Only fix agents changed since a git ref')
+    .option('--staged', 'Only fix agents staged for commit')
+    .action(async (agentName, options, command) => {
+        // These fixes are not autofixes, so rule selection and profiles don't apply to them
+        const specificIssues = !agentName && (options.toolsFormat || options.typeMismatches);
+        if (specificIssues && (options.rule || options.onlySafe || command.getOptionValueSource('profile') === 'cli')) {
+            console.error(chalk.red('--tools-format and --type-mismatches cannot be combined with --rule, --only-safe or --profile'));
+            process.exit(EXIT_CODES.USAGE);
+        }
+        
         const spinner = ora('Fixing agent issues...').start();
+        const dryRun = Boolean(options.dryRun || options.patchOut);
         
         try {
             const fixer = new AgentFixer({
                 agentsDir: path.resolve(options.dir),
-                dryRun: options.dryRun,
+                dryRun,
                 backup: options.backup,
-                verbose: options.verbose
+                command: ['agent-toolkit', ...process.argv.slice(2)].join(' '),
+                profile: options.profile,
+                allowEscalation: options.allowEscalation,
+                verbose: options.verbose,
+                cache: options.cache,
+                concurrency: options.concurrency
             });
             
+            const fixOptions = { rules: options.rule, onlySafe: options.onlySafe };
             let results;
             
             if (agentName) {
                 // Fix single agent
-                results = await fixer.fixSingle(agentName);
+                results = await fixer.fixSingle(agentName, fixOptions);
                 // Convert single result to match expected format
                 results = {
                     total: 1,
@@ -148,21 +319,35 @@ program
                     errors: results.error ? 1 : 0,
                     details: [results]
                 };
-            } else if (options.toolsFormat || options.typeMismatches) {
+            } else if (options.toolsFormat || options.typeMismatches || options.moveMisplaced) {
                 results = await fixer.fixSpecificIssues({
                     fixToolsFormat: options.toolsFormat,
-                    fixTypeMismatches: options.typeMismatches
+                    fixTypeMismatches: options.typeMismatches,
+                    moveMisplacedAgents: options.moveMisplaced
                 });
+            } else if (options.since || options.staged) {
+                const changes = await listChangedAgentFiles(options.dir, { since: options.since, staged: options.staged });
+                const changed = new Set(changes.map(change => change.file));
+                results = await fixer.fixFiles((await fixer.listAgentFiles()).filter(file => changed.has(file)), fixOptions);
             } else {
-                results = await fixer.fixAll();
+                results = await fixer.fixAll(fixOptions);
             }
+            const runId = await fixer.commitTransaction();
             
             spinner.stop();
             
             // Show results
-            if (options.dryRun) {
+            if (dryRun) {
                 console.log(chalk.yellow('🔍 Dry run - no changes made'));
-                console.log('Would fix:');
+                await outputPatch(fixer.patch, options.patchOut);
+                const planned = (results.details || []).filter(detail => detail.fixed);
+                if (planned.length > 0) {
+                    console.log('Would fix:');
+                    for (const detail of planned) {
+                        console.log(`  ${detail.relativePath}`);
+                        detail.fixes.forEach(fix => console.log(`   • ${fix}`));
+                    }
+                }
             }
             
             console.log(chalk.bold('\nFix Results:'));
@@ -183,7 +368,8 @@ program
                 console.log(chalk.green(`\nFixed ${fixedCount} agent${fixedCount === 1 ? '' : 's'}`));
             }
             
-            if (options.verbose && results.details) {
+            // A dry run already listed the fixes
+            if (options.verbose && !dryRun && results.details) {
                 console.log('\nDetails:');
                 for (const detail of results.details) {
                     if (detail.fixed) {
@@ -193,6 +379,53 @@ program
                 }
             }
             
+            const invented = (results.details || []).filter(detail => detail.invented && detail.invented.length > 0);
+            if (invented.length > 0) {
+                console.log(chalk.yellow(`\n🧩 Invented values (${options.profile} profile) - replace them with real ones:`));
+                for (const detail of invented) {
+                    console.log(`  ${detail.relativePath}`);
+                    formatInventedValues(detail.invented).forEach(line => console.log(chalk.yellow(`    ${line}`)));
+                }
+            }
+            
+            const permissions = (results.details || []).filter(detail => detail.permissions && detail.permissions.length > 0);
+            if (permissions.length > 0) {
+                console.log(chalk.bold('\n🔐 Permission changes:'));
+                for (const detail of permissions) {
+                    console.log(`  ${detail.relativePath}`);
+                    detail.permissions.forEach(change => {
+                        const line = formatPermissionDelta([change])[0];
+                        console.log(change.widens ? chalk.red(`    ⚠️  ${line}`) : chalk.gray(`    ${line}`));
+                    });
+                }
+            }
+            
+            const refused = (results.details || []).filter(detail => detail.refused && detail.refused.length > 0);
+            if (refused.length > 0) {
+                console.log(chalk.yellow('\n🛑 Refused fixes that would widen permissions:'));
+                for (const detail of refused) {
+                    for (const { ruleId, escalations } of detail.refused) {
+                        console.log(chalk.yellow(`  ${detail.relativePath} [${ruleId}]: ${escalations.map(change => change.message).join('; ')}`));
+                    }
+                }
+                // The profile only decides what missing-field fixes add
+                const fromProfile = refused.some(detail => detail.refused.some(({ ruleId }) => ruleId === 'required-field'));
+                console.log(chalk.gray(fromProfile
+                    ? '  Review them and re-run with --allow-escalation, or use --profile minimal to add less.'
+                    : '  Review them and re-run with --allow-escalation.'));
+            }
+            
+            if (results.moves) {
+                const relative = file => path.relative(process.cwd(), file);
+                if (results.moves.length > 0 || results.conflicts.length > 0) console.log('\nPlacement:');
+                for (const move of results.moves) {
+                    console.log(`  ${dryRun ? 'Would move' : 'Moved'} ${relative(move.from)} → ${relative(move.to)}`);
+                }
+                for (const conflict of results.conflicts) {
+                    console.log(chalk.yellow(`  ⚠️  Not moving ${relative(conflict.file)}: ${conflict.reason}`));
+                }
+            }
+            
             // For single agent fix, show agent name
             if (agentName && results.details && results.details.length === 1) {
                 const detail = results.details[0];
@@ -202,10 +435,122 @@ program
                 }
             }
             
+            if (runId) {
+                console.log(chalk.gray(`\n↩️  Undo with: agent-toolkit undo ${runId}`));
+            }
+            
         } catch (error) {
             spinner.fail('Fix failed');
             console.error(chalk.red(error.message));
-            process.exit(1);
+            process.exit(exitCodeForError(error));
+        }
+    });
+
+// History command
+program
+    .command('history')
+    .description('List the fix runs recorded in .agent-toolkit/history')
+    .option('-d, --dir <directory>', 'Agents directory', '.claude/agents')
+    .option('--json', 'Output the runs as JSON')
+    .option('--clean-backups', 'Delete the *.backup files earlier versions left in the agents directory')
+    .action(async (options) => {
+        try {
+            if (options.cleanBackups) {
+                const removed = await removeBackupFiles(path.resolve(options.dir));
+                removed.forEach(file => console.log(chalk.gray(`  removed ${path.relative(process.cwd(), file)}`)));
+                console.log(`Removed ${removed.length} backup file${removed.length === 1 ? '' : 's'}`);
+                return;
+            }
+            
+            const runs = await new FixJournal().list();
+            if (options.json) {
+                console.log(JSON.stringify(runs, null, 2));
+                return;
+            }
+            if (runs.length === 0) {
+                console.log('No fix runs recorded');
+                return;
+            }
+            
+            console.log(chalk.bold('Fix History:'));
+            for (const run of runs) {
+                const status = run.status === 'undone' ? chalk.gray(' (undone)') : run.status === 'open' ? chalk.yellow(' (incomplete)') : '';
+                console.log(`\n${chalk.cyan(run.id)}  ${new Date(run.startedAt).toLocaleString()}${status}`);
+                console.log(`  ${run.command}`);
+                console.log(chalk.gray(`  ${run.files.length} file${run.files.length === 1 ? '' : 's'}: ${run.files.map(file => file.movedTo ? `${file.path} → ${file.movedTo}` : file.path).join(', ')}`));
+            }
+        } catch (error) {
+            console.error(chalk.red(error.message));
+            process.exit(exitCodeForError(error));
+        }
+    });
+
+// Undo command
+program
+    .command('undo [run-id]')
+    .description('Roll back a fix run, the most recent one by default')
+    .option('-f, --force', 'Undo even if the files were edited after the fix')
+    .action(async (runId, options) => {
+        try {
+            const run = await new FixJournal().undo(runId, { force: options.force });
+            console.log(chalk.green(`↩️  Undid ${run.id} (${run.command})`));
+            run.restored.forEach(file => console.log(`   • ${file}`));
+        } catch (error) {
+            console.error(chalk.red(error.message));
+            process.exit(exitCodeForError(error));
+        }
+    });
+
+// Rename command
+program
+    .command('rename <old-name> <new-name>')
+    .description('Rename an agent and its file, rewriting every reference to it')
+    .option('-d, --dir <directory>', 'Agents directory', '.claude/agents')
+    .option('--dry-run', 'Show a diff of the rename without making changes')
+    .option('--patch-out <file>', 'Write the rename to a patch file instead of applying it')
+    .option('--no-backup', 'Do not record the run in .agent-toolkit/history (it cannot be undone)')
+    .action(async (oldName, newName, options) => {
+        const dryRun = Boolean(options.dryRun || options.patchOut);
+        
+        try {
+            const fixer = new AgentFixer({
+                agentsDir: path.resolve(options.dir),
+                dryRun,
+                backup: options.backup,
+                command: ['agent-toolkit', ...process.argv.slice(2)].join(' ')
+            });
+            const plan = await fixer.renameAgent(oldName, newName);
+            const runId = await fixer.commitTransaction();
+            const relative = file => path.relative(process.cwd(), file);
+            
+            console.log(chalk.bold(`Rename ${plan.oldName} → ${plan.newName}:`));
+            if (plan.newFile !== plan.file) {
+                console.log(`  ${relative(plan.file)} → ${relative(plan.newFile)}`);
+            }
+            for (const change of plan.changes) {
+                console.log(chalk.gray(`  ${relative(change.file)}: ${change.path}`));
+            }
+            if (plan.review.length > 0) {
+                console.log(chalk.yellow(`\n⚠️  Hook commands that use '${plan.oldName}' some other way were left unchanged; review them manually:`));
+                for (const entry of plan.review) {
+                    console.log(chalk.yellow(`  ${relative(entry.file)}: ${entry.path}: ${entry.text}`));
+                }
+            }
+            
+            if (dryRun) {
+                console.log(chalk.yellow('\n🔍 Dry run - no changes made'));
+                await outputPatch(fixer.patch, options.patchOut);
+                return;
+            }
+            
+            const references = plan.changes.filter(change => change.path !== 'name').length;
+            console.log(chalk.green(`\n✅ Renamed ${plan.oldName} to ${plan.newName}, updating ${references} reference${references === 1 ? '' : 's'} in ${plan.edits.size} file${plan.edits.size === 1 ? '' : 's'}`));
+            if (runId) {
+                console.log(chalk.gray(`↩️  Undo with: agent-toolkit undo ${runId}`));
+            }
+        } catch (error) {
+            console.error(chalk.red(error.message));
+            process.exit(exitCodeForError(error));
         }
     });
 
@@ -214,17 +559,45 @@ program
     .command('analyze')
     .description('Analyze agent system for insights')
     .option('-d, --dir <directory>', 'Agents directory', '.claude/agents')
-    .option('-f, --format <format>', 'Output format (text, json)', 'text')
+    .option('-f, --format <format>', 'Output format (text, json, markdown, sarif)', 'text')
     .option('-o, --output <file>', 'Output file')
+    .option('--no-cache', 'Re-check every file instead of reusing .agent-toolkit/cache')
+    .option('--concurrency <n>', 'Number of files processed in parallel', (value) => parseInt(value, 10), 8)
+    .option('-w, --watch', 'Re-analyze changed files on save and show which issues appeared or went away')
     .action(async (options) => {
         const spinner = ora('Analyzing agent system...').start();
         
         try {
             const analyzer = new AgentAnalyzer({
-                agentsDir: path.resolve(options.dir)
+                agentsDir: path.resolve(options.dir),
+                cache: options.cache,
+                concurrency: options.concurrency
             });
             
+            if (options.watch) {
+                const agentsDir = path.resolve(options.dir);
+                await analyzer.prepare(analyzer.baseDir, agentsDir);
+                spinner.stop();
+                await startWatch({
+                    dir: agentsDir,
+                    run: new IncrementalRun({
+                        list: () => analyzer.listAgentFiles(agentsDir),
+                        check: file => analyzer.validator.checkFile(file),
+                        combine: (files, entries) => analyzer.buildAnalysis(files, entries),
+                        concurrency: options.concurrency
+                    }),
+                    report: analysis => analyzer.generateReport(analysis, options.format),
+                    issues: analysisIssues,
+                    summary: analysis => `📊 Agents: ${analysis.summary.totalAgents}  ✅ Valid: ${analysis.summary.validAgents}  ` +
+                        `❌ Invalid: ${analysis.summary.invalidAgents}  Issues: ${analysis.issues.length}`
+                });
+                return;
+            }
+            
             const analysis = await analyzer.analyze();
+            if (options.format === 'sarif' && analyzer.results) {
+                await attachFixes(analyzer.results, new AgentFixer({ agentsDir: path.resolve(options.dir) }));
+            }
             spinner.stop();
             
             // Generate report
@@ -241,7 +614,7 @@ program
         } catch (error) {
             spinner.fail('Analysis failed');
             console.error(chalk.red(error.message));
-            process.exit(1);
+            process.exit(exitCodeForError(error));
         }
     });
 
@@ -274,7 +647,7 @@ program
         // Check if name is required for other operations
         if (!name && !options.listTemplates) {
             console.error(chalk.red('Agent name is required'));
-            process.exit(1);
+            process.exit(EXIT_CODES.USAGE);
         }
         
         try {
@@ -384,7 +757,7 @@ program
             
         } catch (error) {
             console.error(chalk.red(`❌ ${error.message}`));
-            process.exit(1);
+            process.exit(exitCodeForError(error));
         }
     });
 
@@ -407,6 +780,8 @@ program
     .description('Show configuration information')
     .option('--types', 'Show valid agent types')
     .option('--template', 'Show agent template')
+    .option('--schema', 'Show agent configuration JSON Schema')
+    .option('--rules', 'Show validation rules and their default severities')
     .action((options) => {
         if (options.types) {
             console.log(chalk.bold('Valid Agent Types:'));
@@ -418,6 +793,16 @@ program
             const template = AgentConfig.getTemplate();
             console.log(chalk.bold('Agent Configuration Template:'));
             console.log(JSON.stringify(template, null, 2));
+        } else if (options.schema) {
+            console.log(JSON.stringify(AgentConfig.toJSONSchema(), null, 2));
+        } else if (options.rules) {
+            console.log(chalk.bold('Validation Rules:'));
+            [...RULES, ...HOOK_RULES, ...ANALYSIS_RULES].forEach(rule => {
+                const autofix = AUTOFIXES.find(entry => entry.ruleId === rule.id);
+                const fix = autofix ? (autofix.safe ? 'fix' : 'fix*') : '';
+                console.log(`  ${rule.id.padEnd(24)} ${rule.severity.padEnd(8)} ${fix.padEnd(5)} ${rule.description}`);
+            });
+            console.log(chalk.gray('\n  fix: `fix --rule <id>` applies its autofix; fix*: changes permissions or behavior, skipped by --only-safe'));
         } else {
             console.log(chalk.bold('Agent Toolkit Configuration'));
             console.log(`Version: ${packageJson.version}`);
@@ -441,8 +826,10 @@ program
             const fullCommand = `node "${hooksCliPath}" ${remainingArgs.join(' ')}`;
             execSync(fullCommand, { stdio: 'inherit', cwd: process.cwd() });
         } catch (error) {
+            // The hooks CLI already reported why it failed; keep its exit code
+            if (typeof error.status === 'number') process.exit(error.status);
             console.error(chalk.red('Hook management failed:'), error.message);
-            process.exit(1);
+            process.exit(EXIT_CODES.INTERNAL);
         }
     });
 
@@ -452,23 +839,18 @@ if (!process.argv.slice(2).length) {
     process.exit(0);
 }
 
-// Add error handlers
-program.exitOverride();
-
 // Handle unknown commands
 program.on('command:*', () => {
     console.error(chalk.red('Unknown command'));
-    process.exit(1);
+    process.exit(EXIT_CODES.USAGE);
 });
 
-// Parse command line arguments
+// Parse command line arguments; commander has already printed its own usage errors
 try {
     program.parse(process.argv);
 } catch (err) {
-    if (err.exitCode === 0) {
-        process.exit(0);
-    } else {
+    if (!err.code || !err.code.startsWith('commander.')) {
         console.error(chalk.red(err.message));
-        process.exit(1);
     }
+    process.exit(exitCodeForError(err));
 }
\ No newline at end of file
@@ -6,18 +6,30 @@
 import path from 'path';
 import fs from 'fs/promises';
 import { 
-    extractYamlFrontmatter, 
     findMarkdownFiles,
     getRelativePath,
-    safeReadFile,
-    formatFileSize
+    formatFileSize,
+    mapConcurrent
 } from './utils.mjs';
 import { AgentValidator } from './validator.mjs';
+import { analyzePathPolicy, listProjectFiles } from './path-policy.mjs';
+import { resolveCache, DEFAULT_CONCURRENCY } from './cache.mjs';
+import { ANALYSIS_RULES } from './rules.mjs';
+import { buildSarifLog } from './sarif.mjs';
+import { Suppressions, lineAt } from './suppressions.mjs';
+
+const PATH_POLICY_RULES = ['shadowed-allow-path', 'unmatched-allow-path', 'secret-path-overlap'];
 
 export class AgentAnalyzer {
     constructor(options = {}) {
         this.baseDir = options.baseDir || process.cwd();
         this.agentsDir = options.agentsDir || path.join(this.baseDir, '.claude/agents');
+        this.projectFiles = null;
+        this.cache = resolveCache(options.cache, this.baseDir);
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+        this.validator = null;
+        this.results = null;
+        this.sources = new Map();
     }
 
     /**
@@ -52,11 +64,38 @@ export class AgentAnalyzer {
             };
         }
         
-        // Find all agent files (both .md and .json)
+        const allFiles = await this.listAgentFiles(agentsDirectory);
+        await this.prepare(baseDirectory, agentsDirectory);
+        
+        // Validate files concurrently, then aggregate in a stable order
+        const entries = await mapConcurrent(allFiles, this.concurrency, filePath => this.validator.checkFile(filePath));
+        return this.buildAnalysis(allFiles, entries);
+    }
+
+    /**
+     * Find all agent files (both .md and .json)
+     */
+    async listAgentFiles(agentsDirectory = this.agentsDir) {
         const mdFiles = await findMarkdownFiles(agentsDirectory);
         const jsonFiles = await this.findJsonFiles(agentsDirectory);
-        const allFiles = [...mdFiles, ...jsonFiles];
-        
+        return [...mdFiles, ...jsonFiles];
+    }
+
+    /**
+     * List the project tree and create the validator for an analysis run
+     */
+    async prepare(baseDirectory = this.baseDir, agentsDirectory = this.agentsDir) {
+        // Path globs are checked against the real project tree
+        this.projectFiles = await listProjectFiles(baseDirectory);
+        this.validator = this.createValidator(baseDirectory, agentsDirectory);
+    }
+
+    /**
+     * Aggregate validated files into an analysis
+     * `entries[i]` is the validator's checkFile() result for `files[i]`. Cross-agent checks such as
+     * duplicate names and circular dependencies are recomputed from the entries on every call.
+     */
+    async buildAnalysis(files, entries) {
         const analysis = {
             summary: {
                 totalAgents: 0,
@@ -92,14 +131,18 @@ export class AgentAnalyzer {
                 batchingEnabled: 0,
                 resourceLimits: {}
             },
+            pathPolicy: {},
             recommendations: [],
             issues: []
         };
 
-        // Process all files
+        // Kept for reports that list every finding, such as SARIF
+        this.results = entries.map(entry => entry.result);
+        this.sources = new Map();
+        
         const agentNames = new Map();
-        for (const filePath of allFiles) {
-            const agentResult = await this.analyzeFile(filePath, analysis, agentNames);
+        for (const [index, filePath] of files.entries()) {
+            const agentResult = await this.analyzeFile(filePath, analysis, agentNames, entries[index]);
             if (agentResult) {
                 analysis.agents.push(agentResult);
             }
@@ -132,49 +175,48 @@ export class AgentAnalyzer {
         return results;
     }
 
+    /**
+     * Create the validator shared by every file of one analysis run
+     */
+    createValidator(baseDirectory = this.baseDir, agentsDirectory = this.agentsDir) {
+        return new AgentValidator({
+            baseDir: baseDirectory,
+            agentsDir: agentsDirectory,
+            projectFiles: this.projectFiles,
+            cache: this.cache
+        });
+    }
+
     /**
      * Analyze individual agent file
+     * `entry` is the validator's checkFile() result when the file was already validated.
      */
-    async analyzeFile(filePath, analysis, agentNames) {
+    async analyzeFile(filePath, analysis, agentNames, entry = null) {
         try {
-            let agentData;
-            let content;
-            const stats = await fs.stat(filePath);
+            if (!entry) {
+                this.validator = this.validator || this.createValidator();
+                entry = await this.validator.checkFile(filePath);
+            }
             
-            if (filePath.endsWith('.json')) {
-                // Handle JSON files
-                content = await safeReadFile(filePath);
-                try {
-                    agentData = JSON.parse(content);
-                } catch (error) {
-                    analysis.summary.invalidAgents++;
-                    return {
-                        name: path.basename(filePath, '.json'),
-                        valid: false,
-                        errors: [`Failed to parse JSON: ${error.message}`],
-                        path: filePath
-                    };
-                }
-            } else {
-                // Handle Markdown files
-                content = await safeReadFile(filePath);
-                const [yamlData, _] = extractYamlFrontmatter(content);
-                agentData = yamlData;
-                
-                if (Object.keys(agentData).length === 0) {
-                    analysis.summary.invalidAgents++;
-                    return {
-                        name: path.basename(filePath, '.md'),
-                        valid: false,
-                        errors: ['No YAML frontmatter found'],
-                        path: filePath
-                    };
-                }
+            const { agentData, result } = entry;
+            const size = Buffer.byteLength(entry.content);
+            this.sources.set(filePath, { content: entry.content, suppressions: Suppressions.fromContent(entry.content) });
+            
+            if (!agentData) {
+                analysis.summary.invalidAgents++;
+                return {
+                    name: path.basename(filePath).replace(/\.(md|json)$/, ''),
+                    valid: false,
+                    errors: result.findings
+                        .filter(f => f.severity === 'error')
+                        .map(f => `${f.line}:${f.column} ${f.message}`),
+                    path: filePath
+                };
             }
             
-            // Validate agent
-            const validator = new AgentValidator();
-            const errors = validator.validateConfig(agentData);
+            // Findings come from the validator, with inline suppressions already applied
+            const { findings } = result;
+            const errors = findings.filter(f => f.severity === 'error').map(f => f.message);
             
             const agentResult = {
                 name: agentData.name || path.basename(filePath).replace(/\.(md|json)$/, ''),
@@ -185,7 +227,7 @@ export class AgentAnalyzer {
             };
             
             analysis.summary.totalAgents++;
-            analysis.summary.totalSize += stats.size;
+            analysis.summary.totalSize += size;
             
             if (agentResult.valid) {
                 analysis.summary.validAgents++;
@@ -193,14 +235,33 @@ export class AgentAnalyzer {
                 analysis.summary.invalidAgents++;
             }
             
+            // Path policy: effective access set and its problems
+            const policy = analyzePathPolicy(agentData, { files: this.projectFiles });
+            analysis.pathPolicy[agentResult.name] = {
+                allowed: policy.allowed,
+                forbidden: policy.forbidden,
+                writable: policy.writable,
+                shadowed: policy.shadowed.map(entry => entry.glob),
+                unmatched: policy.unmatched.map(entry => entry.glob)
+            };
+            for (const finding of findings.filter(f => PATH_POLICY_RULES.includes(f.ruleId))) {
+                analysis.issues.push({
+                    type: finding.severity,
+                    ruleId: finding.ruleId,
+                    message: `${agentResult.name}: ${finding.message}`
+                });
+            }
+            
             // Check for duplicate names
-            if (agentNames.has(agentResult.name)) {
+            if (!agentNames.has(agentResult.name)) {
+                agentNames.set(agentResult.name, filePath);
+            } else if (!this.isSuppressed(filePath, 'duplicate-agent-name', 'name')) {
                 analysis.issues.push({
                     type: 'warning',
+                    ruleId: 'duplicate-agent-name',
+                    file: filePath,
                     message: `Duplicate agent name '${agentResult.name}' found in ${filePath} and ${agentNames.get(agentResult.name)}`
                 });
-            } else {
-                agentNames.set(agentResult.name, filePath);
             }
             
             // Type analysis
@@ -357,8 +418,13 @@ export class AgentAnalyzer {
         const circularDeps = this.findCircularDependencies(analysis.dependencies);
         if (circularDeps.length > 0) {
             circularDeps.forEach(circle => {
+                const members = circle.split(' -> ').map(name => analysis.agents.find(agent => agent.name === name));
+                if (members.some(agent => agent && this.isSuppressed(agent.path, 'circular-dependency', 'dependencies'))) return;
+                const first = members[0];
                 analysis.issues.push({
                     type: 'error',
+                    ruleId: 'circular-dependency',
+                    file: first ? first.path : undefined,
                     message: `Circular dependency detected: ${circle}`
                 });
             });
@@ -447,6 +513,17 @@ export class AgentAnalyzer {
         return circles;
     }
 
+    /**
+     * Check whether an inline suppression in an agent file covers an analysis rule
+     * Directives apply file-wide or to the line of the given top-level field.
+     */
+    isSuppressed(filePath, ruleId, field) {
+        const source = this.sources.get(filePath);
+        if (!source) return false;
+        const offset = source.content.search(new RegExp(`^${field}\\s*:`, 'm'));
+        return source.suppressions.isSuppressed(ruleId, offset === -1 ? 0 : lineAt(source.content, offset));
+    }
+
     /**
      * Find rarely used tools
      */
@@ -457,6 +534,27 @@ export class AgentAnalyzer {
             .map(([tool]) => tool);
     }
 
+    /**
+     * Generate a SARIF log with every validator finding plus duplicate names and circular dependencies
+     */
+    generateSarifReport(analysis) {
+        const files = new Map((this.results || []).map(result => [result.file, [...(result.findings || [])]]));
+        const analysisRuleIds = ANALYSIS_RULES.map(rule => rule.id);
+        
+        for (const issue of analysis.issues) {
+            if (!analysisRuleIds.includes(issue.ruleId) || !issue.file) continue;
+            if (!files.has(issue.file)) files.set(issue.file, []);
+            files.get(issue.file).push({ ruleId: issue.ruleId, severity: issue.type, path: '', message: issue.message });
+        }
+        
+        const validatorRules = this.validator ? this.validator.rules : [];
+        return JSON.stringify(buildSarifLog({
+            rules: [...validatorRules, ...ANALYSIS_RULES],
+            files: [...files].map(([file, findings]) => ({ file, findings })),
+            baseDir: this.validator ? this.validator.baseDir : this.baseDir
+        }), null, 2);
+    }
+
     /**
      * Generate analysis report
      */
@@ -468,6 +566,10 @@ export class AgentAnalyzer {
         if (format === 'markdown') {
             return this.generateMarkdownReport(analysis);
         }
+        
+        if (format === 'sarif') {
+            return this.generateSarifReport(analysis);
+        }
 
         let report = `Claude Flow Agent System Analysis\n`;
         report += `=================================\n\n`;
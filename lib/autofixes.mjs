@@ -0,0 +1,289 @@
+/**
+ * Autofixes
+ * The fix for each fixable validator rule, keyed by the rule ID the validator reports
+ */
+
+import path from 'path';
+import { InvalidArgumentError } from 'commander';
+import { AgentConfig } from './config.mjs';
+import { deepMerge, convertToolsToObject, determineAgentType } from './utils.mjs';
+import { applyToolSuggestions } from './tools.mjs';
+import { knownRuleIds } from './rules.mjs';
+import { minimalValue } from './schema.mjs';
+import { comparePermissions } from './permissions.mjs';
+
+/**
+ * Capabilities an agent of a type gets when it declares none
+ */
+export const TYPE_CAPABILITIES = {
+    swarm: ['coordination'],
+    github: ['repository_management']
+};
+
+/**
+ * How much `required-field` adds for missing fields
+ * `minimal` adds only the missing keys with the smallest valid value, `standard` adds the missing
+ * keys with the generated defaults for the agent type, and `full` also fills every missing key
+ * inside existing blocks with those defaults.
+ */
+export const FIX_PROFILES = ['minimal', 'standard', 'full'];
+export const DEFAULT_FIX_PROFILE = 'standard';
+
+// Fields whose smallest schema-valid value is not valid or not useful, so `minimal` takes the default;
+// an empty `tools` allow-list would take every tool away from the agent
+const MINIMAL_FROM_DEFAULTS = ['name', 'type', 'color', 'version', 'priority', 'tools'];
+
+/**
+ * Built-in autofixes, applied in this order
+ * `fix(data, context)` receives the agent data and { filePath, extraTools, profile } and returns null
+ * when there is nothing to fix, or { data, messages, invented } with new data; it never modifies
+ * `data`. `invented` lists the values the fix made up as { path, value }, for review.
+ * `safe` fixes only reformat values; the others change permissions or what the agent does
+ * and need review, so `fix --only-safe` skips them.
+ */
+export const AUTOFIXES = [
+    {
+        ruleId: 'required-field',
+        safe: false,
+        description: 'Add missing fields with values from the fix profile, listing every invented value',
+        fix(data, { filePath, profile = DEFAULT_FIX_PROFILE }) {
+            const fileName = path.basename(filePath).replace(/\.(md|json)$/, '');
+            const missingFields = AgentConfig.REQUIRED_FIELDS.filter(field => !(field in data));
+            if (missingFields.length === 0) return null;
+            // Defaults quote the name in triggers, prompts and hooks, so they use the name kebab-name writes
+            const name = typeof data.name === 'string' && data.name ? data.name : fileName;
+            const defaults = AgentConfig.generateDefaults(kebabName(name) || name, determineAgentType(filePath, data));
+
+            let fixed;
+            if (profile === 'full') {
+                fixed = deepMerge(defaults, data);
+            } else {
+                const schema = AgentConfig.toJSONSchema();
+                fixed = { ...data };
+                for (const field of missingFields) {
+                    fixed[field] = profile === 'minimal' && !MINIMAL_FROM_DEFAULTS.includes(field)
+                        ? minimalValue(schema.properties[field])
+                        : defaults[field];
+                }
+            }
+            return {
+                data: fixed,
+                messages: [Object.keys(data).length === 0
+                    ? `Added complete configuration (${profile} profile)`
+                    : `Added missing fields (${profile} profile): ${missingFields.join(', ')}`],
+                invented: addedValues(data, fixed)
+            };
+        }
+    },
+    {
+        ruleId: 'valid-type',
+        safe: false,
+        description: 'Map legacy and unknown types to a known type',
+        fix(data) {
+            if (!data.type || AgentConfig.VALID_TYPES.includes(data.type)) return null;
+            const type = AgentConfig.normalizeType(data.type);
+            return { data: { ...data, type }, messages: [`Fixed type: ${data.type} → ${type}`] };
+        }
+    },
+    {
+        ruleId: 'hex-color',
+        safe: true,
+        description: 'Replace invalid colors with the color of the agent type',
+        fix(data) {
+            if (!data.color || /^#[0-9A-Fa-f]{6}$/.test(data.color)) return null;
+            const color = AgentConfig.TYPE_COLORS[data.type] || '#666666';
+            return { data: { ...data, color }, messages: [`Fixed color: ${data.color} → ${color}`] };
+        }
+    },
+    {
+        ruleId: 'tools-shape',
+        safe: false,
+        description: "Convert 'tools' to an object with allowed/restricted/conditional lists, restricting Task",
+        fix(data) {
+            const tools = data.tools;
+            if (Array.isArray(tools)) {
+                return {
+                    data: { ...data, tools: convertToolsToObject(tools) },
+                    messages: ['Converted tools from array to object format']
+                };
+            }
+            if (typeof tools === 'string') {
+                return {
+                    data: { ...data, tools: { allowed: [tools], restricted: ['Task'], conditional: [] } },
+                    messages: ['Converted tools from string to object format']
+                };
+            }
+            if (tools && typeof tools === 'object'
+                && ['allowed', 'restricted', 'conditional'].some(key => !Array.isArray(tools[key]))) {
+                const fixedTools = {
+                    ...tools,
+                    allowed: Array.isArray(tools.allowed) ? tools.allowed : [],
+                    restricted: Array.isArray(tools.restricted) ? tools.restricted : ['Task'],
+                    conditional: Array.isArray(tools.conditional) ? tools.conditional : []
+                };
+                return { data: { ...data, tools: fixedTools }, messages: ['Fixed tools object structure'] };
+            }
+            return null;
+        }
+    },
+    ...['unknown-tool', 'invalid-mcp-tool-name', 'tool-allowed-and-restricted'].map(ruleId => ({
+        ruleId,
+        safe: false,
+        description: ruleId === 'tool-allowed-and-restricted'
+            ? 'Remove restricted tools from tools.allowed'
+            : 'Replace tool names with their did-you-mean suggestion',
+        fix(data, { extraTools = [] }) {
+            const toolFix = applyToolSuggestions(data, { extraTools, rules: [ruleId] });
+            if (toolFix.changes.length === 0) return null;
+            return { data: { ...data, tools: toolFix.tools }, messages: toolFix.changes };
+        }
+    })),
+    {
+        ruleId: 'kebab-name',
+        safe: false,
+        description: 'Convert the name to kebab-case; references by the old name are left as is (agent-toolkit rename updates them)',
+        fix(data) {
+            if (typeof data.name !== 'string' || !data.name || /^[a-z][a-z0-9-]*$/.test(data.name)) return null;
+            const name = kebabName(data.name);
+            return {
+                data: { ...data, name },
+                messages: [`Fixed name format: ${data.name} → ${name} (references to the old name are not updated)`]
+            };
+        }
+    },
+    {
+        ruleId: 'semver-version',
+        safe: true,
+        description: "Write the version as 'major.minor.patch', keeping the numbers it has; versions without numbers are left for review",
+        fix(data) {
+            if (!data.version || /^\d+\.\d+\.\d+$/.test(data.version)) return null;
+            const match = String(data.version).match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/);
+            if (!match) return null;
+            const version = `${match[1]}.${match[2] || 0}.${match[3] || 0}`;
+            return { data: { ...data, version }, messages: ['Fixed version to semantic format'] };
+        }
+    },
+    {
+        ruleId: 'valid-priority',
+        safe: false,
+        description: "Fix the case of priorities and replace unknown ones with 'medium', listing the replacement",
+        fix(data) {
+            if (!('priority' in data) || AgentConfig.VALID_PRIORITIES.includes(data.priority)) return null;
+            const known = AgentConfig.VALID_PRIORITIES.find(priority => priority === String(data.priority).trim().toLowerCase());
+            if (known) {
+                return { data: { ...data, priority: known }, messages: [`Fixed priority: ${data.priority} → ${known}`] };
+            }
+            return {
+                data: { ...data, priority: 'medium' },
+                messages: [`Replaced unknown priority: ${data.priority} → medium`],
+                invented: [{ path: 'priority', value: 'medium' }]
+            };
+        }
+    },
+    {
+        ruleId: 'empty-capabilities',
+        safe: false,
+        description: 'Give agents without capabilities the default capabilities of their type',
+        fix(data) {
+            const defaults = TYPE_CAPABILITIES[data.type];
+            if (!defaults || !Array.isArray(data.capabilities) || data.capabilities.length > 0) return null;
+            return {
+                data: { ...data, capabilities: [...defaults] },
+                messages: [`Added default ${data.type} capabilities: ${defaults.join(', ')}`],
+                invented: [{ path: 'capabilities', value: [...defaults] }]
+            };
+        }
+    }
+];
+
+/**
+ * Rules whose findings have an autofix
+ */
+export const FIXABLE_RULES = AUTOFIXES.map(autofix => autofix.ruleId);
+
+/**
+ * The autofixes to apply: all of them, those for `rules`, and only safe ones with `onlySafe`
+ */
+export function selectAutofixes({ rules = null, onlySafe = false } = {}) {
+    return AUTOFIXES.filter(autofix => (!rules || rules.includes(autofix.ruleId)) && (!onlySafe || autofix.safe));
+}
+
+/**
+ * Apply the selected autofixes to agent data
+ * A fix that would widen the agent's permissions is refused unless `options.allowEscalation` is set.
+ * Returns { data, changes, invented, refused }: each change is { ruleId, message }, each invented
+ * value { ruleId, path, value }, listed once with the last fix that set it, and each refused fix
+ * { ruleId, messages, escalations } with the widening permission changes. `agentData` is left as is.
+ */
+export function applyAutofixes(agentData, context = {}, options = {}) {
+    let data = { ...agentData };
+    const changes = [];
+    let invented = [];
+    const refused = [];
+    for (const autofix of selectAutofixes(options)) {
+        const result = autofix.fix(data, { filePath: '', extraTools: [], profile: DEFAULT_FIX_PROFILE, ...context });
+        if (!result) continue;
+        if (!options.allowEscalation) {
+            const escalations = comparePermissions(data, result.data, { extraTools: context.extraTools || [] })
+                .filter(change => change.widens);
+            if (escalations.length > 0) {
+                refused.push({ ruleId: autofix.ruleId, messages: result.messages, escalations });
+                continue;
+            }
+        }
+        data = result.data;
+        result.messages.forEach(message => changes.push({ ruleId: autofix.ruleId, message }));
+        for (const value of result.invented || []) {
+            invented = invented.filter(entry => entry.path !== value.path);
+            invented.push({ ruleId: autofix.ruleId, ...value });
+        }
+    }
+    return { data, changes, invented, refused };
+}
+
+/**
+ * Values `after` has that `before` lacks, as { path, value } with dotted paths
+ * Blocks new to `after` are listed by their leaves; lists and empty blocks count as one value.
+ */
+export function addedValues(before, after, prefix = '') {
+    const added = [];
+    for (const [key, value] of Object.entries(after)) {
+        const fieldPath = prefix ? `${prefix}.${key}` : key;
+        const existing = isPlainObject(before) ? before[key] : undefined;
+        if (isPlainObject(value) && Object.keys(value).length > 0 && (existing === undefined || isPlainObject(existing))) {
+            added.push(...addedValues(existing || {}, value, fieldPath));
+        } else if (existing === undefined) {
+            added.push({ path: fieldPath, value });
+        }
+    }
+    return added;
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function kebabName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Commander option parser for `fix --profile <profile>`
+ */
+export function parseFixProfile(value) {
+    if (!FIX_PROFILES.includes(value)) {
+        throw new InvalidArgumentError(`Unknown profile '${value}'. Must be one of: ${FIX_PROFILES.join(', ')}.`);
+    }
+    return value;
+}
+
+/**
+ * Commander option parser for the repeatable `fix --rule <id>`
+ */
+export function parseFixRule(value, previous = []) {
+    if (!FIXABLE_RULES.includes(value)) {
+        const reason = knownRuleIds().includes(value) ? `Rule '${value}' has no autofix` : `Unknown rule '${value}'`;
+        throw new InvalidArgumentError(`${reason}. Fixable rules: ${FIXABLE_RULES.join(', ')}.`);
+    }
+    return [...previous, value];
+}
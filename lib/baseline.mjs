@@ -0,0 +1,169 @@
+/**
+ * Baseline
+ * Records known findings in `.agent-toolkit-baseline.json` so only new findings are reported
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const BASELINE_FILE = '.agent-toolkit-baseline.json';
+const BASELINE_VERSION = 1;
+
+/**
+ * Identify the agent of a file result; files that could not be parsed fall back to their path
+ */
+function agentKey(result) {
+    return result.agent_name && result.agent_name !== 'unknown'
+        ? result.agent_name
+        : result.relativePath.split(path.sep).join('/');
+}
+
+function entryKey(agent, ruleId, fieldPath) {
+    return [agent, ruleId, fieldPath].join('\0');
+}
+
+/**
+ * Known findings, fingerprinted by agent name, rule and field path
+ * Lines are left out so edits that only move a finding keep it in the baseline. A fingerprint
+ * may be recorded several times; each recorded occurrence covers one current finding.
+ */
+export class Baseline {
+    constructor(entries = []) {
+        this.entries = new Map();
+        for (const { agent, ruleId, path: fieldPath = '', count = 1 } of entries) {
+            this.add(agent, ruleId, fieldPath, count);
+        }
+    }
+
+    /**
+     * Record every finding of validation results
+     */
+    static fromResults(results) {
+        const baseline = new Baseline();
+        baseline.update(results);
+        return baseline;
+    }
+
+    /**
+     * Load a baseline file, or null when there is none
+     */
+    static async load(filePath) {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Invalid baseline file ${filePath}: ${error.message}`);
+        }
+        if (!data || !Array.isArray(data.findings)) {
+            throw new Error(`Invalid baseline file ${filePath}: missing findings list`);
+        }
+        return new Baseline(data.findings);
+    }
+
+    /**
+     * Write the baseline, sorted so regenerating it gives small diffs
+     */
+    async save(filePath) {
+        await fs.writeFile(filePath, JSON.stringify(this.toJSON(), null, 2) + '\n');
+    }
+
+    toJSON() {
+        const findings = [...this.entries.values()]
+            .sort((a, b) => a.agent.localeCompare(b.agent) || a.ruleId.localeCompare(b.ruleId) || a.path.localeCompare(b.path))
+            .map(entry => ({ ...entry }));
+        return { version: BASELINE_VERSION, findings };
+    }
+
+    /**
+     * Number of recorded findings
+     */
+    get size() {
+        let size = 0;
+        for (const entry of this.entries.values()) size += entry.count;
+        return size;
+    }
+
+    add(agent, ruleId, fieldPath, count = 1) {
+        const key = entryKey(agent, ruleId, fieldPath);
+        const entry = this.entries.get(key);
+        if (entry) {
+            entry.count += count;
+        } else {
+            this.entries.set(key, { agent, ruleId, path: fieldPath, count });
+        }
+    }
+
+    /**
+     * Split the findings of file results into new ones and ones the baseline covers
+     * Returns { kept, baselined, unmatched }: the new findings of each result, the number of
+     * covered findings and the recorded entries that no current finding matched.
+     */
+    match(details) {
+        const remaining = new Map([...this.entries].map(([key, entry]) => [key, entry.count]));
+        let baselined = 0;
+
+        const kept = details.map(result => {
+            const agent = agentKey(result);
+            return (result.findings || []).filter(finding => {
+                const key = entryKey(agent, finding.ruleId || '', finding.path || '');
+                const count = remaining.get(key) || 0;
+                if (count === 0) return true;
+                remaining.set(key, count - 1);
+                baselined++;
+                return false;
+            });
+        });
+
+        const unmatched = [...remaining]
+            .filter(([, count]) => count > 0)
+            .map(([key, count]) => ({ ...this.entries.get(key), count }));
+
+        return { kept, baselined, unmatched };
+    }
+
+    /**
+     * Replace the recorded findings of the agents in `results` with their current findings
+     * With `complete`, the results cover every agent and agents missing from them are dropped too.
+     */
+    update(results, { complete = true } = {}) {
+        const agents = new Set(results.details.map(agentKey));
+        for (const [key, entry] of this.entries) {
+            if (complete || agents.has(entry.agent)) this.entries.delete(key);
+        }
+
+        for (const result of results.details) {
+            for (const finding of result.findings || []) {
+                this.add(agentKey(result), finding.ruleId || '', finding.path || '');
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Drop recorded findings that no longer occur, never adding new ones
+     * Only agents in `results` are considered unless `complete` is set. Returns the number dropped.
+     */
+    prune(results, { complete = true } = {}) {
+        const agents = new Set(results.details.map(agentKey));
+        let pruned = 0;
+
+        for (const { agent, ruleId, path: fieldPath, count } of this.match(results.details).unmatched) {
+            if (!complete && !agents.has(agent)) continue;
+
+            const key = entryKey(agent, ruleId, fieldPath);
+            const entry = this.entries.get(key);
+            entry.count -= count;
+            if (entry.count === 0) this.entries.delete(key);
+            pruned += count;
+        }
+        return pruned;
+    }
+}
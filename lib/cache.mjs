@@ -0,0 +1,145 @@
+/**
+ * Result Cache
+ * On-disk cache under `.agent-toolkit/cache`, keyed by content hash and toolkit version. The
+ * analyzer reuses the validator's entries; the fixer keeps its own.
+ */
+
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+export const CACHE_DIR = path.join('.agent-toolkit', 'cache');
+export const DEFAULT_CONCURRENCY = 8;
+// Entries not read or written for this long are removed
+export const DEFAULT_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+export const TOOLKIT_VERSION = JSON.parse(
+    readFileSync(new URL('../package.json', import.meta.url), 'utf-8')
+).version;
+
+/**
+ * Hash any number of strings (or JSON-serializable values) into a hex digest
+ */
+export function hashContent(...parts) {
+    const hash = createHash('sha256');
+    for (const part of parts) {
+        hash.update(typeof part === 'string' ? part : JSON.stringify(part) ?? 'undefined');
+        // Separator so ['ab', 'c'] and ['a', 'bc'] hash differently
+        hash.update('\0');
+    }
+    return hash.digest('hex');
+}
+
+export class ResultCache {
+    constructor(options = {}) {
+        this.baseDir = options.baseDir || process.cwd();
+        this.dir = options.dir || path.join(this.baseDir, CACHE_DIR);
+        this.version = options.version || TOOLKIT_VERSION;
+        this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+        this.pruned = null;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Build a cache key; the toolkit version is always part of it
+     */
+    key(...parts) {
+        return hashContent(this.version, ...parts);
+    }
+
+    /**
+     * Read a cached value, or null when missing, unreadable or rejected by `isValid(value)`
+     * A hit marks the entry as used, so pruning keeps it.
+     */
+    async get(namespace, key, isValid = () => true) {
+        const entryPath = this.entryPath(namespace, key);
+        try {
+            const value = JSON.parse(await fs.readFile(entryPath, 'utf-8'));
+            if (isValid(value)) {
+                this.hits++;
+                const now = new Date();
+                await fs.utimes(entryPath, now, now).catch(() => {});
+                return value;
+            }
+        } catch (error) {
+            // Missing or unreadable entries are misses
+        }
+        this.misses++;
+        return null;
+    }
+
+    /**
+     * Store a value; write failures are ignored since the cache is only an optimization
+     */
+    async set(namespace, key, value) {
+        // Stale entries pile up as files change, so the first write of a run clears them out
+        this.pruned = this.pruned || this.prune();
+        await this.pruned;
+        const entryPath = this.entryPath(namespace, key);
+        const tempPath = `${entryPath}.${process.pid}.tmp`;
+        try {
+            await fs.mkdir(path.dirname(entryPath), { recursive: true });
+            // Write then rename so concurrent readers never see a partial entry
+            await fs.writeFile(tempPath, JSON.stringify(value));
+            await fs.rename(tempPath, entryPath);
+        } catch (error) {
+            await fs.rm(tempPath, { force: true }).catch(() => {});
+        }
+    }
+
+    /**
+     * Remove entries that were not read or written for `maxAge` milliseconds
+     * Returns the number of removed entries; errors are ignored like other cache failures.
+     */
+    async prune(maxAge = this.maxAge) {
+        const cutoff = Date.now() - maxAge;
+        let removed = 0;
+        const walk = async (dir) => {
+            let entries;
+            try {
+                entries = await fs.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                    continue;
+                }
+                try {
+                    if ((await fs.stat(fullPath)).mtimeMs < cutoff) {
+                        await fs.rm(fullPath, { force: true });
+                        removed++;
+                    }
+                } catch (error) {
+                    // Removed by a concurrent run
+                }
+            }
+        };
+        await walk(this.dir);
+        return removed;
+    }
+
+    /**
+     * Remove every cached entry
+     */
+    async clear() {
+        await fs.rm(this.dir, { recursive: true, force: true });
+    }
+
+    entryPath(namespace, key) {
+        return path.join(this.dir, namespace, key.slice(0, 2), `${key}.json`);
+    }
+}
+
+/**
+ * Resolve the `cache` constructor option of the validator, fixer and analyzer
+ * Accepts a ResultCache to share, `true` for a cache under `baseDir`, or a falsy value to disable caching.
+ */
+export function resolveCache(option, baseDir) {
+    if (option instanceof ResultCache) return option;
+    return option ? new ResultCache({ baseDir }) : null;
+}
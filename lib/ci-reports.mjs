@@ -0,0 +1,168 @@
+/**
+ * CI Report Formats
+ * Renders validation results as JUnit XML, GitHub workflow commands, GitLab Code Quality JSON
+ * and Checkstyle XML
+ */
+
+import path from 'path';
+import { hashContent } from './cache.mjs';
+
+export const CI_FORMATS = ['junit', 'github', 'gitlab', 'checkstyle'];
+
+const GITLAB_SEVERITIES = { error: 'major', warning: 'minor', info: 'info' };
+
+/**
+ * Render validation results in one of CI_FORMATS
+ * File paths are reported relative to `baseDir`, the repository root in CI.
+ */
+export function formatCIReport(results, format, { baseDir = process.cwd() } = {}) {
+    const files = results.details.map(result => ({
+        path: path.relative(baseDir, result.file).split(path.sep).join('/'),
+        result,
+        findings: (result.findings || []).filter(finding => finding.severity !== 'off')
+    }));
+
+    switch (format) {
+        case 'junit': return formatJUnit(files);
+        case 'github': return formatGitHub(files);
+        case 'gitlab': return formatGitLab(files);
+        case 'checkstyle': return formatCheckstyle(files);
+        default: throw new Error(`Unknown CI report format: ${format}`);
+    }
+}
+
+/**
+ * One test case per agent file; errors fail it and warnings go to its system-out
+ */
+function formatJUnit(files) {
+    const failures = files.filter(file => file.findings.some(finding => finding.severity === 'error')).length;
+    const cases = files.map(({ path: filePath, result, findings }) => {
+        const errors = findings.filter(finding => finding.severity === 'error');
+        const others = findings.filter(finding => finding.severity !== 'error');
+        const name = escapeXml(filePath);
+        const classname = escapeXml(`agents.${result.agent_type}`);
+
+        let body = '';
+        if (errors.length > 0) {
+            const message = escapeXml(`${errors.length} error${errors.length === 1 ? '' : 's'}: ${errors[0].message}`);
+            body += `      <failure message="${message}" type="${escapeXml(errors[0].ruleId || 'error')}">` +
+                `${escapeXml(errors.map(finding => findingLine(filePath, finding)).join('\n'))}</failure>\n`;
+        }
+        if (others.length > 0) {
+            body += `      <system-out>${escapeXml(others.map(finding => findingLine(filePath, finding)).join('\n'))}</system-out>\n`;
+        }
+
+        return body
+            ? `    <testcase name="${name}" classname="${classname}">\n${body}    </testcase>`
+            : `    <testcase name="${name}" classname="${classname}"/>`;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="agent-toolkit" tests="${files.length}" failures="${failures}">`,
+        `  <testsuite name="agent-validation" tests="${files.length}" failures="${failures}" errors="0">`,
+        ...cases,
+        '  </testsuite>',
+        '</testsuites>'
+    ].join('\n');
+}
+
+/**
+ * GitHub Actions workflow commands, shown as annotations on the changed files
+ */
+function formatGitHub(files) {
+    const commands = { error: 'error', warning: 'warning', info: 'notice' };
+    const lines = [];
+
+    for (const { path: filePath, findings } of files) {
+        for (const finding of findings) {
+            const properties = [
+                `file=${escapeProperty(filePath)}`,
+                `line=${finding.line || 1}`,
+                `col=${finding.column || 1}`,
+                ...(finding.ruleId ? [`title=${escapeProperty(finding.ruleId)}`] : [])
+            ];
+            lines.push(`::${commands[finding.severity] || 'notice'} ${properties.join(',')}::${escapeData(finding.message)}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * GitLab Code Quality report
+ * Fingerprints hash the file, rule, field and message but not the line, so an issue keeps its
+ * identity when unrelated edits move it; repeats within a file are numbered to stay unique.
+ */
+function formatGitLab(files) {
+    const issues = [];
+
+    for (const { path: filePath, findings } of files) {
+        const seen = new Map();
+        for (const finding of findings) {
+            const identity = hashContent(filePath, finding.ruleId || '', finding.path || '', finding.message);
+            const occurrence = seen.get(identity) || 0;
+            seen.set(identity, occurrence + 1);
+
+            issues.push({
+                description: finding.message,
+                check_name: finding.ruleId || 'agent-toolkit',
+                fingerprint: occurrence === 0 ? identity : hashContent(identity, occurrence),
+                severity: GITLAB_SEVERITIES[finding.severity] || 'info',
+                location: {
+                    path: filePath,
+                    lines: { begin: finding.line || 1 }
+                }
+            });
+        }
+    }
+
+    return JSON.stringify(issues, null, 2);
+}
+
+/**
+ * Checkstyle XML, with rule IDs as the `source`
+ */
+function formatCheckstyle(files) {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<checkstyle version="4.3">'];
+
+    for (const { path: filePath, findings } of files) {
+        if (findings.length === 0) {
+            lines.push(`  <file name="${escapeXml(filePath)}"/>`);
+            continue;
+        }
+        lines.push(`  <file name="${escapeXml(filePath)}">`);
+        for (const finding of findings) {
+            lines.push(`    <error line="${finding.line || 1}" column="${finding.column || 1}" ` +
+                `severity="${finding.severity}" message="${escapeXml(finding.message)}" ` +
+                `source="agent-toolkit.${escapeXml(finding.ruleId || 'unknown')}"/>`);
+        }
+        lines.push('  </file>');
+    }
+
+    lines.push('</checkstyle>');
+    return lines.join('\n');
+}
+
+function findingLine(filePath, finding) {
+    const rule = finding.ruleId ? ` [${finding.ruleId}]` : '';
+    return `${filePath}:${finding.line || 1}:${finding.column || 1} ${finding.severity}: ${finding.message}${rule}`;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Workflow command escaping, as done by @actions/core
+function escapeData(text) {
+    return String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeProperty(text) {
+    return escapeData(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
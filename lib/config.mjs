@@ -23,6 +23,14 @@ export class AgentConfig {
     // Valid priority levels
     static VALID_PRIORITIES = ['critical', 'high', 'medium', 'low'];
 
+    // Valid values for enumerated nested fields
+    static VALID_PARALLEL_STRATEGIES = ['adaptive', 'fixed', 'dynamic'];
+    static VALID_SANDBOX_TYPES = ['process', 'container', 'vm'];
+    static VALID_NETWORK_ACCESS = ['none', 'limited', 'full'];
+    static VALID_FILESYSTEM_ACCESS = ['read-only', 'restricted', 'full'];
+    static VALID_METRIC_TYPES = ['histogram', 'gauge', 'counter', 'summary'];
+    static VALID_HOOKS = ['pre', 'post', 'on_error'];
+
     // Type to color mapping
     static TYPE_COLORS = {
         'core': '#FF6B35',
@@ -103,7 +111,7 @@ export class AgentConfig {
             capabilities: options.capabilities || [`${agentName}_capability`],
             triggers: {
                 keywords: [agentName.replace(/-/g, ''), type],
-                patterns: [`${agentName}.*`, `.*${type}.*`],
+                patterns: [`${agentName}.*`],
                 file_patterns: ['*.md'],
                 context_patterns: [type, 'task']
             },
@@ -219,6 +227,171 @@ export class AgentConfig {
         return { valid: true };
     }
 
+    /**
+     * Build a JSON Schema (draft 2020-12) describing the full agent configuration.
+     * Nested blocks are closed (additionalProperties: false) so typos are caught;
+     * the top level stays open for custom fields.
+     */
+    static toJSONSchema() {
+        const stringArray = { type: 'array', items: { type: 'string' } };
+        const duration = { type: ['string', 'number'] };
+        const closed = (properties, required = []) => ({
+            type: 'object',
+            properties,
+            ...(required.length > 0 ? { required } : {}),
+            additionalProperties: false
+        });
+
+        return {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            $id: 'https://github.com/teemulinna/claude-flow-agent-toolkit/agent.schema.json',
+            title: 'Claude Flow Agent Configuration',
+            type: 'object',
+            required: [...this.REQUIRED_FIELDS],
+            properties: {
+                name: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+                type: { enum: [...this.VALID_TYPES] },
+                color: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+                description: { type: 'string' },
+                version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+                priority: { enum: [...this.VALID_PRIORITIES] },
+                capabilities: stringArray,
+                triggers: closed({
+                    keywords: stringArray,
+                    patterns: stringArray,
+                    file_patterns: stringArray,
+                    context_patterns: stringArray
+                }),
+                tools: closed({
+                    allowed: stringArray,
+                    restricted: stringArray,
+                    conditional: {
+                        type: 'array',
+                        items: closed({
+                            tool: { type: 'string' },
+                            condition: { type: 'string' },
+                            allowed: { type: 'boolean' }
+                        }, ['tool'])
+                    }
+                }, ['allowed', 'restricted']),
+                constraints: closed({
+                    max_file_operations: { type: 'integer', minimum: 0 },
+                    max_execution_time: { type: 'number', minimum: 0 },
+                    allowed_paths: stringArray,
+                    forbidden_paths: stringArray,
+                    max_file_size: { type: 'integer', minimum: 0 },
+                    max_concurrent_operations: { type: 'integer', minimum: 1 }
+                }),
+                communication: closed({
+                    can_spawn: stringArray,
+                    can_delegate_to: stringArray,
+                    requires_approval_from: stringArray,
+                    shares_context_with: stringArray,
+                    handoff_protocol: closed({
+                        required_artifacts: stringArray,
+                        validation_steps: stringArray
+                    })
+                }),
+                dependencies: closed({
+                    requires: {
+                        type: 'array',
+                        items: {
+                            anyOf: [
+                                { type: 'string' },
+                                closed({
+                                    name: { type: 'string' },
+                                    capability: { type: 'string' },
+                                    interface: { type: 'string' },
+                                    version: { type: 'string' },
+                                    optional: { type: 'boolean' }
+                                })
+                            ]
+                        }
+                    },
+                    provides: {
+                        type: 'array',
+                        items: {
+                            anyOf: [
+                                { type: 'string' },
+                                closed({
+                                    capability: { type: 'string' },
+                                    interface: { type: 'string' }
+                                }, ['capability'])
+                            ]
+                        }
+                    },
+                    conflicts: {
+                        type: 'array',
+                        items: {
+                            anyOf: [
+                                { type: 'string' },
+                                closed({
+                                    agent: { type: 'string' },
+                                    reason: { type: 'string' }
+                                }, ['agent'])
+                            ]
+                        }
+                    }
+                }),
+                resources: closed({
+                    memory_limit: { type: ['string', 'integer'] },
+                    cpu_quota: { type: ['string', 'number'] },
+                    execution_timeout: duration,
+                    concurrent_operations: { type: 'integer', minimum: 1 }
+                }),
+                execution: closed({
+                    parallelization: closed({
+                        enabled: { type: 'boolean' },
+                        max_concurrent: { type: 'integer', minimum: 1 },
+                        strategy: { enum: [...this.VALID_PARALLEL_STRATEGIES] }
+                    }),
+                    batching: closed({
+                        enabled: { type: 'boolean' },
+                        batch_size: { type: 'integer', minimum: 1 },
+                        timeout: duration
+                    })
+                }),
+                security: closed({
+                    sandboxing: closed({
+                        enabled: { type: 'boolean' },
+                        type: { enum: [...this.VALID_SANDBOX_TYPES] },
+                        restrictions: closed({
+                            network: { enum: [...this.VALID_NETWORK_ACCESS] },
+                            filesystem: { enum: [...this.VALID_FILESYSTEM_ACCESS] }
+                        })
+                    }),
+                    audit: closed({
+                        enabled: { type: 'boolean' },
+                        events: stringArray,
+                        retention: duration
+                    })
+                }),
+                monitoring: closed({
+                    enabled: { type: 'boolean' },
+                    health_checks: closed({
+                        enabled: { type: 'boolean' },
+                        interval: duration
+                    }),
+                    metrics: {
+                        type: 'array',
+                        items: closed({
+                            name: { type: 'string' },
+                            type: { enum: [...this.VALID_METRIC_TYPES] }
+                        }, ['name', 'type'])
+                    }
+                }),
+                hooks: closed(Object.fromEntries(
+                    this.VALID_HOOKS.map(hook => [hook, { type: 'string' }])
+                )),
+                prompts: {
+                    type: 'object',
+                    additionalProperties: { type: 'string' }
+                }
+            },
+            additionalProperties: true
+        };
+    }
+
     /**
      * Get configuration template
      */
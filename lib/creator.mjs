@@ -217,6 +217,9 @@ export class AgentCreator {
             config.tools.restricted.forEach(tool => {
                 content += `- ${tool}\n`;
             });
+            if (config.tools.restricted.length === 0) {
+                content += `- None\n`;
+            }
         }
         content += '\n';
 
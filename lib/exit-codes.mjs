@@ -0,0 +1,97 @@
+/**
+ * Exit Codes
+ * Pass/fail thresholds and exit codes shared by the agent-toolkit and claude-flow-hooks CLIs
+ */
+
+import { InvalidArgumentError } from 'commander';
+
+export const EXIT_CODES = {
+    OK: 0,
+    FINDINGS: 1,
+    USAGE: 2,
+    INTERNAL: 3
+};
+
+export const FAIL_ON_LEVELS = ['error', 'warning', 'info'];
+
+/**
+ * Create an error for invalid input, such as an unknown agent or git ref
+ * The CLIs exit with EXIT_CODES.USAGE for it instead of reporting a crash.
+ */
+export function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.USAGE;
+    return error;
+}
+
+/**
+ * Exit code for an error caught by a command
+ * Commander reports every usage problem with exit code 1, and help or version output with 0.
+ */
+export function exitCodeForError(error) {
+    if (error && typeof error.code === 'string' && error.code.startsWith('commander.')) {
+        return error.exitCode === 0 ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    return error && error.exitCode !== undefined ? error.exitCode : EXIT_CODES.INTERNAL;
+}
+
+/**
+ * Commander option parser for `--fail-on`
+ */
+export function parseFailOn(value) {
+    if (!FAIL_ON_LEVELS.includes(value)) {
+        throw new InvalidArgumentError(`Must be one of: ${FAIL_ON_LEVELS.join(', ')}.`);
+    }
+    return value;
+}
+
+/**
+ * Commander option parser for `--max-warnings`
+ */
+export function parseMaxWarnings(value) {
+    const count = Number(value);
+    if (!/^\d+$/.test(value) || !Number.isSafeInteger(count)) {
+        throw new InvalidArgumentError('Must be a non-negative integer.');
+    }
+    return count;
+}
+
+/**
+ * Count findings by severity; findings that are turned off are not counted
+ */
+export function countFindings(details) {
+    const counts = { error: 0, warning: 0, info: 0 };
+    for (const result of details) {
+        for (const finding of result.findings || []) {
+            if (finding.severity in counts) counts[finding.severity]++;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Decide whether findings fail the run
+ * Fails when a finding is at least as severe as `failOn`, or when there are more warnings than
+ * `maxWarnings`. Returns { exitCode, reason } where `reason` explains a failure, or is null.
+ */
+export function evaluateFindings(counts, { failOn = 'error', maxWarnings } = {}) {
+    const levels = FAIL_ON_LEVELS.slice(0, FAIL_ON_LEVELS.indexOf(failOn) + 1);
+    const failing = levels.filter(level => counts[level] > 0);
+
+    if (failing.length > 0) {
+        const found = failing.map(level => plural(counts[level], level)).join(', ');
+        return { exitCode: EXIT_CODES.FINDINGS, reason: `${found} (failing on ${failOn})` };
+    }
+    if (maxWarnings !== undefined && counts.warning > maxWarnings) {
+        return {
+            exitCode: EXIT_CODES.FINDINGS,
+            reason: `${plural(counts.warning, 'warning')} (more than the maximum of ${maxWarnings})`
+        };
+    }
+    return { exitCode: EXIT_CODES.OK, reason: null };
+}
+
+function plural(count, level) {
+    const noun = level === 'info' ? 'info finding' : level;
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
@@ -5,37 +5,134 @@
 
 import path from 'path';
 import fs from 'fs/promises';
+import { existsSync } from 'fs';
 import { AgentConfig } from './config.mjs';
 import { 
     extractYamlFrontmatter, 
-    serializeToFrontmatter,
     findMarkdownFiles,
     getRelativePath,
     safeReadFile,
     safeWriteFile,
-    deepMerge,
     convertToolsToObject,
-    determineAgentType
+    mapConcurrent,
+    suggestClosest
 } from './utils.mjs';
+import { applyAutofixes, DEFAULT_FIX_PROFILE } from './autofixes.mjs';
+import { comparePermissions } from './permissions.mjs';
+import { loadProjectConfig } from './project-config.mjs';
+import { normalizeRuleSetting } from './rules.mjs';
+import { resolveCache, DEFAULT_CONCURRENCY } from './cache.mjs';
+import { updateFrontmatter } from './yaml-edit.mjs';
+import { parseFrontmatter } from './frontmatter.mjs';
+import { Patch } from './patch.mjs';
+import { FixJournal } from './journal.mjs';
+import { moveFile } from './git.mjs';
+import { normalizePlacementPolicy, planMoves, rewriteLinks } from './placement.mjs';
+import { AGENT_NAME_PATTERN, renameReferences } from './rename.mjs';
+import { usageError } from './exit-codes.mjs';
+
+export { FIXABLE_RULES } from './autofixes.mjs';
 
 export class AgentFixer {
     constructor(options = {}) {
         this.baseDir = options.baseDir || process.cwd();
         this.agentsDir = options.agentsDir || path.join(this.baseDir, '.claude/agents');
+        // Record writes in .agent-toolkit/history so the run can be undone
         this.backup = options.backup !== false;
+        this.journal = options.journal || new FixJournal({ baseDir: this.baseDir });
+        this.command = options.command || 'fix';
+        this.transaction = null;
         this.dryRun = options.dryRun || false;
         this.verbose = options.verbose || false;
+        this.extraTools = options.extraTools || null;
+        this.placement = options.placement || null;
+        // How much to add for missing fields: minimal, standard or full
+        this.profile = options.profile || DEFAULT_FIX_PROFILE;
+        // Whether autofixes may widen an agent's permissions (tools, paths, network, sandbox)
+        this.allowEscalation = options.allowEscalation || false;
+        this.cache = resolveCache(options.cache, this.baseDir);
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
         this.fixes = [];
+        // Changes kept instead of written during a dry run
+        this.patch = new Patch({ baseDir: this.baseDir });
     }
 
     /**
-     * Fix all agents in the directory
+     * Read an agent file, including changes an earlier fix of this dry run would make
      */
-    async fixAll(options = {}) {
+    async readAgentFile(filePath) {
+        const pending = this.patch.read(filePath);
+        return pending !== undefined ? pending : safeReadFile(filePath);
+    }
+
+    /**
+     * Write fixed content, or add it to `patch` during a dry run
+     * Writes are recorded in the run's transaction, which starts with the first write.
+     */
+    async writeAgentFile(filePath, before, after, dryRun = this.dryRun) {
+        if (dryRun) {
+            this.patch.add(filePath, before, after);
+        } else if (this.backup) {
+            this.transaction = this.transaction || this.journal.begin(this.command);
+            await this.transaction.write(filePath, before, after);
+        } else {
+            await safeWriteFile(filePath, after, { backup: false });
+        }
+    }
+
+    /**
+     * Finish the run's transaction; returns its ID for `agent-toolkit undo`, or null when nothing was written
+     */
+    async commitTransaction() {
+        const transaction = this.transaction;
+        this.transaction = null;
+        return transaction ? transaction.commit() : null;
+    }
+
+    /**
+     * Load extra tool names from the `unknown-tool` rule in .agent-toolkit.yaml
+     */
+    async loadExtraTools() {
+        if (!this.extraTools) {
+            const projectConfig = await loadProjectConfig(this.baseDir);
+            const { options } = normalizeRuleSetting('unknown-tool', projectConfig.rules['unknown-tool']);
+            this.extraTools = options.extraTools || [];
+        }
+        return this.extraTools;
+    }
+
+    /**
+     * Load the placement policy from the `directory-placement` rule in .agent-toolkit.yaml
+     */
+    async loadPlacementPolicy() {
+        if (!this.placement) {
+            const projectConfig = await loadProjectConfig(this.baseDir);
+            const { options } = normalizeRuleSetting('directory-placement', projectConfig.rules['directory-placement']);
+            this.placement = options.placement || [];
+        }
+        return normalizePlacementPolicy(this.placement);
+    }
+
+    /**
+     * List the agent files in the directory
+     */
+    async listAgentFiles() {
         const mdFiles = await findMarkdownFiles(this.agentsDir);
         const jsonFiles = await this.findJsonFiles(this.agentsDir);
-        const allFiles = [...mdFiles, ...jsonFiles];
-        
+        return [...mdFiles, ...jsonFiles];
+    }
+
+    /**
+     * Fix all agents in the directory
+     */
+    async fixAll(options = {}) {
+        return this.fixFiles(await this.listAgentFiles(), options);
+    }
+
+    /**
+     * Fix the given agent files
+     */
+    async fixFiles(allFiles, options = {}) {
         const results = {
             total: allFiles.length,
             fixed: 0,
@@ -44,8 +141,8 @@ export class AgentFixer {
             details: []
         };
 
-        for (const filePath of allFiles) {
-            const result = await this.fixFile(filePath, options);
+        const fileResults = await mapConcurrent(allFiles, this.concurrency, filePath => this.fixFile(filePath, options));
+        for (const result of fileResults) {
             results.details.push(result);
             
             if (result.fixed) results.fixed++;
@@ -58,145 +155,70 @@ export class AgentFixer {
 
     /**
      * Fix a single agent file
+     * With a cache, files already known to need no fixes are skipped without parsing.
+     * `options.dryRun` overrides the fixer's own setting for this call.
      */
     async fixFile(filePath, options = {}) {
         const relativePath = getRelativePath(filePath, this.agentsDir);
+        const dryRun = options.dryRun !== undefined ? options.dryRun : this.dryRun;
         
         try {
-            const content = await safeReadFile(filePath);
-            let existingData, remainingContent = '';
-            
-            if (filePath.endsWith('.json')) {
-                // Handle JSON files
-                try {
-                    existingData = JSON.parse(content);
-                } catch (error) {
-                    return {
-                        file: filePath,
-                        relativePath,
-                        fixed: false,
-                        error: `Failed to parse JSON: ${error.message}`,
-                        agent_name: 'unknown',
-                        agent_type: 'unknown'
-                    };
-                }
-            } else {
-                // Handle Markdown files
-                [existingData, remainingContent] = extractYamlFrontmatter(content);
+            const content = await this.readAgentFile(filePath);
+            // Custom fixes are arbitrary code, so their results can't be cached; the selected
+            // autofixes are part of the key since fewer rules can leave nothing to fix, and the
+            // path is since fixes take the agent type from the directory
+            const cacheKey = this.cache && !options.customFixes
+                ? this.cache.key(
+                    path.relative(this.agentsDir, filePath),
+                    await this.loadExtraTools(),
+                    options.rules || null,
+                    Boolean(options.onlySafe),
+                    options.profile || this.profile,
+                    this.escalationAllowed(options),
+                    content
+                )
+                : null;
+            if (cacheKey) {
+                const cached = await this.cache.get('fix', cacheKey);
+                if (cached) return { ...cached, file: filePath, relativePath };
             }
-            
-            const fixes = [];
-            let hasChanges = false;
-            let fixedData = { ...existingData };
-            
-            // No frontmatter at all - create from scratch
-            if (Object.keys(existingData).length === 0) {
-                const agentName = path.basename(filePath).replace(/\.(md|json)$/, '');
-                const agentType = determineAgentType(filePath, {});
-                fixedData = AgentConfig.generateDefaults(agentName, agentType);
-                fixes.push('Added complete configuration');
-                hasChanges = true;
-            } else {
-                // Fix missing fields
-                const missingFields = this.findMissingFields(existingData);
-                if (missingFields.length > 0) {
-                    const defaults = AgentConfig.generateDefaults(
-                        existingData.name || path.basename(filePath).replace(/\.(md|json)$/, ''),
-                        existingData.type || 'core'
-                    );
-                    fixedData = deepMerge(defaults, existingData);
-                    fixes.push(`Added missing fields: ${missingFields.join(', ')}`);
-                    hasChanges = true;
-                }
-                
-                // Fix invalid type
-                if (fixedData.type && !AgentConfig.VALID_TYPES.includes(fixedData.type)) {
-                    const oldType = fixedData.type;
-                    fixedData.type = AgentConfig.normalizeType(oldType);
-                    fixes.push(`Fixed type: ${oldType} → ${fixedData.type}`);
-                    hasChanges = true;
-                }
-                
-                // Fix invalid color
-                if (fixedData.color && !/^#[0-9A-Fa-f]{6}$/.test(fixedData.color)) {
-                    const newColor = AgentConfig.TYPE_COLORS[fixedData.type] || '#666666';
-                    fixes.push(`Fixed color: ${fixedData.color} → ${newColor}`);
-                    fixedData.color = newColor;
-                    hasChanges = true;
-                }
-                
-                // Fix tools format
-                if (fixedData.tools && Array.isArray(fixedData.tools)) {
-                    fixedData.tools = convertToolsToObject(fixedData.tools);
-                    fixes.push('Converted tools from array to object format');
-                    hasChanges = true;
-                } else if (fixedData.tools && typeof fixedData.tools === 'string') {
-                    // Handle case where tools might be a string
-                    fixedData.tools = {
-                        allowed: [fixedData.tools],
-                        restricted: ['Task'],
-                        conditional: []
-                    };
-                    fixes.push('Converted tools from string to object format');
-                    hasChanges = true;
-                } else if (fixedData.tools && typeof fixedData.tools === 'object' && !fixedData.tools.allowed) {
-                    // Handle case where tools is an object but missing required fields
-                    const oldTools = { ...fixedData.tools };
-                    fixedData.tools = {
-                        allowed: oldTools.allowed || [],
-                        restricted: oldTools.restricted || ['Task'],
-                        conditional: oldTools.conditional || []
-                    };
-                    fixes.push('Fixed tools object structure');
-                    hasChanges = true;
-                }
-                
-                // Fix name format
-                if (fixedData.name && !/^[a-z][a-z0-9-]*$/.test(fixedData.name)) {
-                    const oldName = fixedData.name;
-                    fixedData.name = oldName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
-                    fixes.push(`Fixed name format: ${oldName} → ${fixedData.name}`);
-                    hasChanges = true;
-                }
-                
-                // Fix version format
-                if (fixedData.version && !/^\d+\.\d+\.\d+$/.test(fixedData.version)) {
-                    fixedData.version = '1.0.0';
-                    fixes.push('Fixed version to semantic format');
-                    hasChanges = true;
-                }
+            const fixed = await this.fixContent(filePath, content, options);
+            if (fixed.error) {
+                return {
+                    file: filePath,
+                    relativePath,
+                    fixed: false,
+                    error: fixed.error,
+                    agent_name: 'unknown',
+                    agent_type: 'unknown'
+                };
             }
             
-            // Apply custom fixes
-            if (options.customFixes) {
-                const customResult = await options.customFixes(fixedData, filePath);
-                if (customResult.changes) {
-                    fixedData = customResult.data;
-                    fixes.push(...customResult.fixes);
-                    hasChanges = true;
-                }
-            }
+            const { data: fixedData, fixes, invented, permissions, refused, hasChanges } = fixed;
             
-            // Write changes if not dry run
-            if (hasChanges && !this.dryRun) {
-                let newContent;
-                if (filePath.endsWith('.json')) {
-                    newContent = JSON.stringify(fixedData, null, 2);
-                } else {
-                    newContent = serializeToFrontmatter(fixedData, remainingContent);
-                }
-                await safeWriteFile(filePath, newContent, { backup: this.backup });
+            if (hasChanges) {
+                await this.writeAgentFile(filePath, content, fixed.content, dryRun);
             }
             
-            return {
+            const result = {
                 file: filePath,
                 relativePath,
                 fixed: hasChanges,
                 fixes,
+                invented,
+                permissions,
+                refused,
                 agent_name: fixedData.name,
                 agent_type: fixedData.type
             };
             
+            // Only "nothing to fix" is safe to replay; fixed files get new content and a new key anyway
+            if (cacheKey && !hasChanges) {
+                await this.cache.set('fix', cacheKey, result);
+            }
+            
+            return result;
+            
         } catch (error) {
             return {
                 file: filePath,
@@ -209,30 +231,108 @@ export class AgentFixer {
         }
     }
 
+    /**
+     * Compute the fixed content of an agent file without writing it
+     * Returns { data, content, fixes, changes, invented, permissions, refused, hasChanges }, or
+     * { error } for unparseable JSON or frontmatter. Each entry of `changes` names the rule it fixes; `options.rules`
+     * limits fixing to those rule IDs and `options.onlySafe` to fixes that change neither permissions
+     * nor behavior (see AUTOFIXES). Fixes that would widen the agent's permissions are left out and
+     * listed in `refused` unless escalation is allowed; `permissions` is the permission delta of
+     * the whole fix, as from `comparePermissions`.
+     */
+    async fixContent(filePath, content, options = {}) {
+        let existingData;
+        
+        if (filePath.endsWith('.json')) {
+            // Handle JSON files
+            try {
+                existingData = JSON.parse(content);
+            } catch (error) {
+                return { error: `Failed to parse JSON: ${error.message}` };
+            }
+        } else {
+            // Handle Markdown files; broken frontmatter is left for the user, since fixing the
+            // parsed-as-empty data would add a second frontmatter block
+            const parsed = parseFrontmatter(content);
+            if (parsed.error) {
+                return { error: `Failed to parse frontmatter: ${parsed.error.message} (line ${parsed.error.line})` };
+            }
+            existingData = parsed.data;
+        }
+        
+        const { data, changes, invented, refused } = applyAutofixes(
+            existingData,
+            { filePath, extraTools: await this.loadExtraTools(), profile: options.profile || this.profile },
+            { rules: options.rules, onlySafe: options.onlySafe, allowEscalation: this.escalationAllowed(options) }
+        );
+        let fixedData = data;
+        
+        const fixes = changes.map(change => change.message);
+        let hasChanges = changes.length > 0;
+        
+        // Apply custom fixes
+        if (options.customFixes) {
+            const customResult = await options.customFixes(fixedData, filePath);
+            if (customResult.changes) {
+                fixedData = customResult.data;
+                fixes.push(...customResult.fixes);
+                hasChanges = true;
+            }
+        }
+        
+        let newContent = content;
+        if (hasChanges) {
+            newContent = filePath.endsWith('.json')
+                ? JSON.stringify(fixedData, null, 2)
+                : updateFrontmatter(content, fixedData);
+        }
+        
+        const permissions = comparePermissions(existingData, fixedData, { extraTools: await this.loadExtraTools() });
+        return { data: fixedData, content: newContent, fixes, changes, invented, permissions, refused, hasChanges };
+    }
+
+    /**
+     * Whether this fix may widen agent permissions; `options.allowEscalation` overrides the fixer's setting
+     */
+    escalationAllowed(options = {}) {
+        return options.allowEscalation !== undefined ? Boolean(options.allowEscalation) : this.allowEscalation;
+    }
+
     /**
      * Fix specific issues
+     * Returns the number of fixes of each kind and `details` for the files the tools-format and
+     * type fixes touch, like those of `fixFile`. These fixes are checked like autofixes: one that
+     * would widen permissions is refused unless `options.allowEscalation` (or the fixer's setting) allows it.
      */
     async fixSpecificIssues(options = {}) {
         const results = {
             toolsFormat: 0,
             typeMismatches: 0,
             misplacedAgents: 0,
-            total: 0
+            total: 0,
+            details: []
         };
 
         // Fix tools format for GitHub agents
         if (options.fixToolsFormat) {
-            results.toolsFormat = await this.fixGitHubToolsFormat();
+            const details = await this.fixGitHubToolsFormat(options);
+            results.toolsFormat = details.filter(detail => detail.fixed).length;
+            results.details.push(...details);
         }
 
         // Fix type mismatches
         if (options.fixTypeMismatches) {
-            results.typeMismatches = await this.fixTypeMismatches();
+            const details = await this.fixTypeMismatches(options);
+            results.typeMismatches = details.filter(detail => detail.fixed).length;
+            results.details.push(...details);
         }
 
         // Move misplaced agents
         if (options.moveMisplacedAgents) {
-            results.misplacedAgents = await this.moveMisplacedAgents();
+            const plan = await this.planMisplacedAgents();
+            results.misplacedAgents = await this.moveMisplacedAgents(plan);
+            results.moves = plan.moves;
+            results.conflicts = plan.conflicts;
         }
 
         results.total = results.toolsFormat + results.typeMismatches + results.misplacedAgents;
@@ -241,28 +341,25 @@ export class AgentFixer {
 
     /**
      * Fix GitHub agents tools format
+     * Returns a detail per agent with tools in a list, as from `applyIssueFix`.
      */
-    async fixGitHubToolsFormat() {
+    async fixGitHubToolsFormat(options = {}) {
         const githubDir = path.join(this.agentsDir, 'github');
-        let fixed = 0;
+        const details = [];
 
         try {
             const files = await findMarkdownFiles(githubDir);
             
             for (const filePath of files) {
-                const content = await safeReadFile(filePath);
-                const [yamlData, remainingContent] = extractYamlFrontmatter(content);
+                const content = await this.readAgentFile(filePath);
+                const [yamlData] = extractYamlFrontmatter(content);
                 
                 if (yamlData.tools && Array.isArray(yamlData.tools)) {
-                    yamlData.tools = convertToolsToObject(yamlData.tools);
-                    
-                    if (!this.dryRun) {
-                        const newContent = serializeToFrontmatter(yamlData, remainingContent);
-                        await safeWriteFile(filePath, newContent, { backup: this.backup });
-                    }
-                    
-                    fixed++;
-                    if (this.verbose) {
+                    const fixedData = { ...yamlData, tools: convertToolsToObject(yamlData.tools) };
+                    const detail = await this.applyIssueFix(filePath, content, yamlData, fixedData,
+                        'tools-shape', 'Converted tools from array to object format', options);
+                    details.push(detail);
+                    if (this.verbose && detail.fixed) {
                         console.log(`Fixed tools format in ${path.basename(filePath)}`);
                     }
                 }
@@ -271,14 +368,15 @@ export class AgentFixer {
             console.error(`Error fixing GitHub tools format: ${error.message}`);
         }
 
-        return fixed;
+        return details;
     }
 
     /**
      * Fix type mismatches in strict directories
+     * Returns a detail per agent whose type differs from its directory's, as from `applyIssueFix`.
      */
-    async fixTypeMismatches() {
-        let fixed = 0;
+    async fixTypeMismatches(options = {}) {
+        const details = [];
 
         for (const [dir, expectedType] of Object.entries(AgentConfig.STRICT_DIRECTORIES)) {
             const dirPath = path.join(this.agentsDir, dir);
@@ -287,21 +385,16 @@ export class AgentFixer {
                 const files = await findMarkdownFiles(dirPath);
                 
                 for (const filePath of files) {
-                    const content = await safeReadFile(filePath);
-                    const [yamlData, remainingContent] = extractYamlFrontmatter(content);
+                    const content = await this.readAgentFile(filePath);
+                    const [yamlData] = extractYamlFrontmatter(content);
                     
                     if (yamlData.type !== expectedType) {
                         const oldType = yamlData.type;
-                        yamlData.type = expectedType;
-                        yamlData.color = AgentConfig.TYPE_COLORS[expectedType];
-                        
-                        if (!this.dryRun) {
-                            const newContent = serializeToFrontmatter(yamlData, remainingContent);
-                            await safeWriteFile(filePath, newContent, { backup: this.backup });
-                        }
-                        
-                        fixed++;
-                        if (this.verbose) {
+                        const fixedData = { ...yamlData, type: expectedType, color: AgentConfig.TYPE_COLORS[expectedType] };
+                        const detail = await this.applyIssueFix(filePath, content, yamlData, fixedData,
+                            'directory-placement', `Fixed type: ${oldType} → ${expectedType}`, options);
+                        details.push(detail);
+                        if (this.verbose && detail.fixed) {
                             console.log(`Fixed type in ${path.basename(filePath)}: ${oldType} → ${expectedType}`);
                         }
                     }
@@ -311,79 +404,245 @@ export class AgentFixer {
             }
         }
 
-        return fixed;
+        return details;
+    }
+
+    /**
+     * Write one fix of `fixSpecificIssues` unless it widens permissions without escalation allowed
+     * Returns { file, relativePath, fixed, fixes, permissions, refused, agent_name, agent_type },
+     * with `refused` as from `applyAutofixes`.
+     */
+    async applyIssueFix(filePath, content, agentData, fixedData, ruleId, message, options = {}) {
+        const relativePath = getRelativePath(filePath, this.agentsDir);
+        const permissions = comparePermissions(agentData, fixedData, { extraTools: await this.loadExtraTools() });
+        const escalations = permissions.filter(change => change.widens);
+        if (escalations.length > 0 && !this.escalationAllowed(options)) {
+            return {
+                file: filePath,
+                relativePath,
+                fixed: false,
+                fixes: [],
+                permissions: [],
+                refused: [{ ruleId, messages: [message], escalations }],
+                agent_name: agentData.name,
+                agent_type: agentData.type
+            };
+        }
+
+        await this.writeAgentFile(filePath, content, updateFrontmatter(content, fixedData));
+        return {
+            file: filePath,
+            relativePath,
+            fixed: true,
+            fixes: [message],
+            permissions,
+            refused: [],
+            agent_name: fixedData.name,
+            agent_type: fixedData.type
+        };
     }
 
     /**
-     * Move misplaced agents to correct directories
+     * Plan moving the agents the placement policy puts in another directory
+     * Returns { moves, conflicts, edits }: moves are { from, to, agent_name, directory }, conflicts
+     * are agents whose target is taken, and edits maps each file whose relative links change
+     * (moved agents, agents linking to them and CLAUDE.md) to { before, after }.
      */
-    async moveMisplacedAgents() {
-        // This would require more complex logic to determine
-        // which agents should be moved where
-        // For now, return 0 as this needs manual review
-        return 0;
+    async planMisplacedAgents() {
+        const policy = await this.loadPlacementPolicy();
+        const plan = { moves: [], conflicts: [], edits: new Map() };
+        if (policy.length === 0) return plan;
+
+        const { contents, agents } = await this.loadAgents();
+        Object.assign(plan, planMoves(agents, this.agentsDir, policy, existsSync));
+        if (plan.moves.length === 0) return plan;
+
+        const moves = new Map(plan.moves.map(move => [move.from, move.to]));
+        for (const [file, after] of await this.rewriteMovedLinks(contents, moves)) {
+            plan.edits.set(file, { before: contents.get(file) || await this.readAgentFile(file), after });
+        }
+        return plan;
     }
 
     /**
-     * Find missing required fields
+     * Read and parse every agent file
+     * Returns { contents, agents }: contents maps each file to its text, and agents lists
+     * { file, agentData } for the files that parse.
      */
-    findMissingFields(data) {
-        return AgentConfig.REQUIRED_FIELDS.filter(field => !(field in data));
+    async loadAgents() {
+        const contents = new Map();
+        const agents = [];
+        for (const file of await this.listAgentFiles()) {
+            const content = await this.readAgentFile(file);
+            contents.set(file, content);
+            try {
+                const agentData = file.endsWith('.json') ? JSON.parse(content) : extractYamlFrontmatter(content)[0];
+                if (agentData && typeof agentData === 'object') agents.push({ file, agentData });
+            } catch (error) {
+                // Agents that do not parse are left alone
+            }
+        }
+        return { contents, agents };
     }
 
     /**
-     * Fix agent configuration in memory (without file I/O)
+     * Rewrite the relative markdown links affected by moving files in agent bodies and CLAUDE.md
+     * `contents` maps agent files to their current text and `moves` maps old paths to new ones.
+     * Returns a map of each changed file to its new text.
      */
-    fixAgent(filePath, agentData) {
-        const fixedData = { ...agentData };
-        const agentName = fixedData.name || path.basename(filePath, '.md');
-        const agentType = fixedData.type || determineAgentType(filePath, agentData);
-        
-        // Generate defaults
-        const defaults = AgentConfig.generateDefaults(agentName, agentType);
-        
-        // Merge with defaults to add missing fields
-        const merged = deepMerge(defaults, fixedData);
-        
-        // Fix invalid type
-        if (merged.type && !AgentConfig.VALID_TYPES.includes(merged.type)) {
-            merged.type = AgentConfig.normalizeType(merged.type);
+    async rewriteMovedLinks(contents, moves) {
+        const files = new Map(contents);
+        const claudeMd = path.join(this.baseDir, 'CLAUDE.md');
+        if (!files.has(claudeMd) && existsSync(claudeMd)) files.set(claudeMd, await this.readAgentFile(claudeMd));
+
+        const rewritten = new Map();
+        for (const [file, content] of files) {
+            if (file.endsWith('.json')) continue;
+            const after = rewriteLinks(content, file, moves.get(file) || file, moves, existsSync);
+            if (after !== content) rewritten.set(file, after);
         }
-        
-        // Fix invalid color
-        if (merged.color && !/^#[0-9A-Fa-f]{6}$/.test(merged.color)) {
-            merged.color = AgentConfig.TYPE_COLORS[merged.type] || '#666666';
+        return rewritten;
+    }
+
+    /**
+     * Move misplaced agents to the directories of the placement policy
+     * Tracked files are moved with `git mv`; relative links to and from them are updated. During a
+     * dry run the moves and edits go to `patch` instead. Returns the number of agents moved.
+     */
+    async moveMisplacedAgents(plan = null) {
+        plan = plan || await this.planMisplacedAgents();
+
+        for (const move of plan.moves) {
+            const edit = plan.edits.get(move.from);
+            const before = edit ? edit.before : await this.readAgentFile(move.from);
+            await this.moveAgentFile(move.from, move.to, before, edit ? edit.after : before);
+            if (this.verbose) {
+                console.log(`Moved ${move.agent_name} to ${move.directory}/`);
+            }
         }
-        
-        // Fix tools format
-        if (merged.tools && Array.isArray(merged.tools)) {
-            merged.tools = convertToolsToObject(merged.tools);
+        for (const [file, { before, after }] of plan.edits) {
+            if (!plan.moves.some(move => move.from === file)) {
+                await this.writeAgentFile(file, before, after);
+            }
         }
-        
-        // Fix name format
-        if (merged.name && !/^[a-z][a-z0-9-]*$/.test(merged.name)) {
-            merged.name = merged.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+        return plan.moves.length;
+    }
+
+    /**
+     * Plan renaming an agent: its `name`, its file when it is named after the agent, every
+     * reference to it in other agents and hook commands, and relative links to a renamed file
+     * Returns { oldName, newName, file, newFile, changes, review, edits }: changes are { file, path, from, to },
+     * review lists hook commands to check by hand as { file, path, text } (see `renameReferences`)
+     * and edits map each changed file to { before, after }. Fails with a usage error when the agent
+     * does not exist or the new name or file is taken.
+     */
+    async planRename(oldName, newName) {
+        if (!AGENT_NAME_PATTERN.test(newName)) {
+            throw usageError(`Invalid agent name '${newName}': names are kebab-case, such as 'code-reviewer'`);
         }
-        
-        // Fix version format
-        if (merged.version && !/^\d+\.\d+\.\d+$/.test(merged.version)) {
-            merged.version = '1.0.0';
+
+        const { contents, agents } = await this.loadAgents();
+        const baseName = file => path.basename(file).replace(/\.(md|json)$/, '');
+        const agent = agents.find(entry => entry.agentData.name === oldName)
+            || agents.find(entry => baseName(entry.file) === oldName);
+        if (!agent) {
+            const suggestion = suggestClosest(oldName, agents.map(entry => entry.agentData.name).filter(Boolean));
+            throw usageError(`No agent named '${oldName}'` + (suggestion ? ` (did you mean '${suggestion}'?)` : ''));
         }
-        
-        // Fix priority
-        if (!['low', 'medium', 'high', 'critical'].includes(merged.priority)) {
-            merged.priority = 'medium';
+
+        const taken = agents.find(entry => entry !== agent && entry.agentData.name === newName);
+        if (taken) {
+            throw usageError(`Cannot rename '${oldName}' to '${newName}': agent '${newName}' already exists in ${getRelativePath(taken.file, this.agentsDir)}`);
         }
-        
-        // Add default capabilities based on type
-        if (merged.type === 'swarm' && merged.capabilities && !merged.capabilities.includes('coordination')) {
-            merged.capabilities.push('coordination');
+        const newFile = baseName(agent.file) === oldName
+            ? path.join(path.dirname(agent.file), newName + path.extname(agent.file))
+            : agent.file;
+        if (newFile !== agent.file && existsSync(newFile)) {
+            throw usageError(`Cannot rename '${oldName}' to '${newName}': ${getRelativePath(newFile, this.agentsDir)} already exists`);
         }
-        if (merged.type === 'github' && merged.capabilities && !merged.capabilities.includes('repository_management')) {
-            merged.capabilities.push('repository_management');
+
+        // Other agents refer to the agent by its `name`, even when it was found by its file name
+        const currentName = typeof agent.agentData.name === 'string' ? agent.agentData.name : oldName;
+        const plan = { oldName: currentName, newName, file: agent.file, newFile, changes: [], review: [], edits: new Map() };
+        const current = new Map(contents);
+        for (const { file, agentData } of agents) {
+            const { data, changes, review } = renameReferences(agentData, currentName, newName);
+            plan.review.push(...review.map(entry => ({ file, ...entry })));
+            if (file === agent.file && agentData.name !== newName) {
+                data.name = newName;
+                changes.unshift({ path: 'name', from: agentData.name, to: newName });
+            }
+            if (changes.length === 0) continue;
+
+            const before = contents.get(file);
+            const after = file.endsWith('.json') ? JSON.stringify(data, null, 2) : updateFrontmatter(before, data);
+            current.set(file, after);
+            plan.edits.set(file, { before, after });
+            plan.changes.push(...changes.map(change => ({ file, ...change })));
         }
-        
-        return merged;
+
+        if (newFile !== agent.file) {
+            const moves = new Map([[agent.file, newFile]]);
+            for (const [file, after] of await this.rewriteMovedLinks(current, moves)) {
+                const before = contents.get(file) || current.get(file) || await this.readAgentFile(file);
+                plan.edits.set(file, { before, after });
+                plan.changes.push({ file, path: 'links', from: path.basename(agent.file), to: path.basename(newFile) });
+            }
+        }
+        return plan;
+    }
+
+    /**
+     * Rename an agent and rewrite every reference to it, or add the changes to `patch` during a dry run
+     * Returns the plan from `planRename`.
+     */
+    async renameAgent(oldName, newName) {
+        const plan = await this.planRename(oldName, newName);
+
+        if (plan.newFile !== plan.file) {
+            const edit = plan.edits.get(plan.file);
+            const before = edit ? edit.before : await this.readAgentFile(plan.file);
+            await this.moveAgentFile(plan.file, plan.newFile, before, edit ? edit.after : before);
+        }
+        for (const [file, { before, after }] of plan.edits) {
+            if (file !== plan.file || plan.newFile === plan.file) {
+                await this.writeAgentFile(file, before, after);
+            }
+        }
+        return plan;
+    }
+
+    /**
+     * Move an agent file and write its new content, or add the move to `patch` during a dry run
+     */
+    async moveAgentFile(from, to, before, after) {
+        if (this.dryRun) {
+            this.patch.move(from, to, before, after);
+        } else if (this.backup) {
+            this.transaction = this.transaction || this.journal.begin(this.command);
+            await this.transaction.move(from, to, before, after);
+        } else {
+            await moveFile(from, to);
+            if (after !== before) await safeWriteFile(to, after, { backup: false });
+        }
+    }
+
+    /**
+     * Find missing required fields
+     */
+    findMissingFields(data) {
+        return AgentConfig.REQUIRED_FIELDS.filter(field => !(field in data));
+    }
+
+    /**
+     * Fix agent configuration in memory (without file I/O)
+     * Applies the same autofixes as `fixContent`; `options` takes `rules`, `onlySafe`, `profile`
+     * and `allowEscalation`.
+     */
+    fixAgent(filePath, agentData, options = {}) {
+        const context = { filePath, extraTools: this.extraTools || [], profile: options.profile || this.profile };
+        return applyAutofixes(agentData, context, { ...options, allowEscalation: this.escalationAllowed(options) }).data;
     }
 
     /**
@@ -410,7 +669,7 @@ export class AgentFixer {
     /**
      * Fix a single agent by name
      */
-    async fixSingle(agentName) {
+    async fixSingle(agentName, options = {}) {
         const mdFiles = await findMarkdownFiles(this.agentsDir);
         const jsonFiles = await this.findJsonFiles(this.agentsDir);
         const allFiles = [...mdFiles, ...jsonFiles];
@@ -425,16 +684,7 @@ export class AgentFixer {
             throw new Error(`Agent ${agentName} not found`);
         }
         
-        const result = await this.fixFile(agentFile);
-        
-        // Create backup directory if needed
-        if (this.backup && result.fixed && !this.dryRun) {
-            const backupDir = path.join(this.agentsDir, '.backup');
-            const fs = await import('fs/promises');
-            await fs.mkdir(backupDir, { recursive: true });
-        }
-        
-        return result;
+        return this.fixFile(agentFile, options);
     }
 
     /**
@@ -465,6 +715,38 @@ export class AgentFixer {
             }
         }
 
+        const invented = (results.details || []).filter(detail => detail.invented && detail.invented.length > 0);
+        if (invented.length > 0) {
+            report += `\nInvented Values (replace with real ones):\n`;
+            report += `-----------------------------------------\n`;
+            for (const detail of invented) {
+                report += `\n${detail.relativePath}:\n`;
+                report += formatInventedValues(detail.invented).map(line => `  ${line}\n`).join('');
+            }
+        }
+
+        const permissions = (results.details || []).filter(detail => detail.permissions && detail.permissions.length > 0);
+        if (permissions.length > 0) {
+            report += `\nPermission Changes:\n`;
+            report += `-------------------\n`;
+            for (const detail of permissions) {
+                report += `\n${detail.relativePath}:\n`;
+                report += formatPermissionDelta(detail.permissions).map(line => `  ${line}\n`).join('');
+            }
+        }
+
+        const refused = (results.details || []).filter(detail => detail.refused && detail.refused.length > 0);
+        if (refused.length > 0) {
+            report += `\nRefused Fixes (would widen permissions; use --allow-escalation to apply):\n`;
+            report += `------------------------------------------------------------------------\n`;
+            for (const detail of refused) {
+                report += `\n${detail.relativePath}:\n`;
+                for (const { ruleId, escalations } of detail.refused) {
+                    report += `  ${ruleId}: ${escalations.map(change => change.message).join('; ')}\n`;
+                }
+            }
+        }
+
         if (results.errors > 0) {
             report += `\nErrors:\n`;
             report += `-------\n`;
@@ -477,4 +759,18 @@ export class AgentFixer {
 
         return report;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * One `path: value` line per invented value, with the value as JSON
+ */
+export function formatInventedValues(invented) {
+    return invented.map(({ path: fieldPath, value }) => `${fieldPath}: ${JSON.stringify(value)}`);
+}
+
+/**
+ * One line per permission change, with the changes that widen permissions marked
+ */
+export function formatPermissionDelta(delta) {
+    return delta.map(change => (change.widens ? `${change.message} (widens)` : change.message));
+}
@@ -0,0 +1,188 @@
+/**
+ * Source-mapped agent parsing
+ * Parses YAML frontmatter and JSON agent files while keeping node positions
+ */
+
+import { parseDocument, LineCounter, isMap, isSeq, isPair } from 'yaml';
+
+const FRONTMATTER_END = /\n---(?:\r?\n|$)/;
+
+/**
+ * Maps dotted field paths (e.g. `constraints.max_file_size`) to file positions
+ */
+export class SourceMap {
+    constructor(doc = null, lineCounter = null, lineOffset = 0) {
+        this.doc = doc;
+        this.lineCounter = lineCounter;
+        this.lineOffset = lineOffset;
+    }
+
+    /**
+     * Locate a field path; falls back to the closest existing parent
+     */
+    locate(fieldPath = '') {
+        const fallback = { line: 1, column: 1 };
+        if (!this.doc || !this.doc.contents) return fallback;
+
+        let node = this.doc.contents;
+        let offset = node.range ? node.range[0] : null;
+
+        for (const segment of splitFieldPath(fieldPath)) {
+            if (isMap(node)) {
+                const pair = node.items.find(item => isPair(item) && item.key && item.key.value === segment);
+                if (!pair) break;
+                offset = pair.key.range ? pair.key.range[0] : offset;
+                node = pair.value;
+            } else if (isSeq(node) && typeof segment === 'number' && node.items[segment]) {
+                node = node.items[segment];
+                offset = node.range ? node.range[0] : offset;
+            } else {
+                break;
+            }
+        }
+
+        return offset === null ? fallback : this.position(offset);
+    }
+
+    /**
+     * Convert a character offset within the parsed source to a 1-based position
+     */
+    position(offset) {
+        const { line, col } = this.lineCounter.linePos(offset);
+        return { line: line + this.lineOffset, column: col };
+    }
+}
+
+/**
+ * Split a field path such as `monitoring.metrics[0].type` into segments
+ */
+export function splitFieldPath(fieldPath) {
+    if (!fieldPath) return [];
+    return fieldPath
+        .split(/\.|\[(\d+)\]/)
+        .filter(segment => segment !== undefined && segment !== '')
+        .map(segment => (/^\d+$/.test(segment) ? Number(segment) : segment));
+}
+
+/**
+ * Locate the YAML frontmatter of markdown content
+ * Returns { start, end, bodyStart } as character offsets, where the YAML source is
+ * `content.slice(start, end)`, or null without frontmatter. `unterminated` is set when the
+ * closing `---` is missing.
+ */
+export function locateFrontmatter(content) {
+    if (!content.startsWith('---\n') && !content.startsWith('---\r\n')) {
+        return null;
+    }
+
+    const start = content.indexOf('\n') + 1;
+    const endMatch = FRONTMATTER_END.exec(content.slice(start - 1));
+    if (!endMatch) {
+        return { start, end: content.length, bodyStart: content.length, unterminated: true };
+    }
+
+    const end = start + endMatch.index;
+    return { start, end, bodyStart: end - 1 + endMatch[0].length, unterminated: false };
+}
+
+/**
+ * Parse markdown content with YAML frontmatter
+ * Returns the data, the remaining body, a source map and any syntax error with its position.
+ */
+export function parseFrontmatter(content) {
+    const result = {
+        data: {},
+        body: content,
+        bodyLine: 1,
+        hasFrontmatter: false,
+        error: null,
+        sourceMap: new SourceMap()
+    };
+
+    const location = locateFrontmatter(content);
+    if (!location) {
+        return result;
+    }
+    if (location.unterminated) {
+        result.error = { message: 'Unterminated YAML frontmatter (missing closing ---)', line: 1, column: 1 };
+        return result;
+    }
+
+    const yamlContent = content.slice(location.start, location.end);
+    const bodyStart = location.bodyStart;
+    result.hasFrontmatter = true;
+    result.body = content.slice(bodyStart);
+    result.bodyLine = content.slice(0, bodyStart).split('\n').length;
+
+    const parsed = parseSource(yamlContent, 1);
+    result.sourceMap = parsed.sourceMap;
+    if (parsed.error) {
+        result.error = parsed.error;
+        return result;
+    }
+
+    result.data = isPlainObject(parsed.data) ? parsed.data : {};
+    return result;
+}
+
+/**
+ * Parse a JSON agent file, keeping positions for fields and syntax errors
+ */
+export function parseJsonSource(content) {
+    const { sourceMap, error: yamlError } = parseSource(content, 0);
+    try {
+        return { data: JSON.parse(content), error: null, sourceMap };
+    } catch (error) {
+        return {
+            data: null,
+            error: { message: `Failed to parse JSON: ${error.message}`, ...jsonErrorPosition(error, content, sourceMap, yamlError) },
+            sourceMap
+        };
+    }
+}
+
+function jsonErrorPosition(error, content, sourceMap, yamlError) {
+    // V8 reports either an offset, a line/column pair, or neither depending on the error
+    const offset = /at position (\d+)/.exec(error.message);
+    if (offset) return sourceMap.position(Number(offset[1]));
+    
+    const lineColumn = /line (\d+) column (\d+)/.exec(error.message);
+    if (lineColumn) return { line: Number(lineColumn[1]), column: Number(lineColumn[2]) };
+    
+    if (/end of JSON input/.test(error.message)) return sourceMap.position(content.length);
+    if (yamlError) return { line: yamlError.line, column: yamlError.column };
+    
+    return { line: 1, column: 1 };
+}
+
+/**
+ * Parse an agent file of either format
+ */
+export function parseAgentSource(filePath, content) {
+    if (filePath.endsWith('.json')) {
+        const parsed = parseJsonSource(content);
+        return { ...parsed, body: '', bodyLine: 1, hasFrontmatter: false };
+    }
+    return parseFrontmatter(content);
+}
+
+function parseSource(text, lineOffset) {
+    const lineCounter = new LineCounter();
+    const doc = parseDocument(text, { lineCounter, prettyErrors: false, uniqueKeys: true });
+    const sourceMap = new SourceMap(doc, lineCounter, lineOffset);
+
+    if (doc.errors.length > 0) {
+        const first = doc.errors[0];
+        return {
+            data: null,
+            sourceMap,
+            error: { message: `YAML syntax error: ${first.message}`, ...sourceMap.position(first.pos[0]) }
+        };
+    }
+
+    return { data: doc.toJS(), sourceMap, error: null };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
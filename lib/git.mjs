@@ -0,0 +1,138 @@
+/**
+ * Git Changes
+ * Lists the files changed since a git ref or staged for commit, and moves files, using the local repository
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import { usageError } from './exit-codes.mjs';
+
+const execFileAsync = promisify(execFile);
+
+const AGENT_EXTENSIONS = ['.md', '.json'];
+
+/**
+ * Run a git command and return its output
+ * Failures come from the repository or the given ref, so they are usage errors.
+ */
+async function git(args, cwd) {
+    try {
+        const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 });
+        return stdout;
+    } catch (error) {
+        const detail = (error.stderr || error.message).trim();
+        throw usageError(`git ${args[0]} failed: ${detail}`);
+    }
+}
+
+/**
+ * Read a file as of a commit, or null when it did not exist there
+ */
+async function readAtRef(root, ref, relativePath) {
+    try {
+        return await git(['show', `${ref}:${relativePath}`], root);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * List changed files
+ * `since` compares the working tree with the merge base of the ref and HEAD, so commits that only
+ * landed on the ref are left out, and includes untracked files. `staged` compares the index with
+ * HEAD, or with the merge base when `since` is given as well. Returns { root, base, changes }
+ * where each change is { file, previousFile, status } with absolute paths; `status` is A, M, D or R
+ * and `previousFile` is null for added files.
+ */
+export async function listChangedFiles({ cwd = process.cwd(), since = null, staged = false } = {}) {
+    if (!since && !staged) {
+        throw usageError('A git ref or staged mode is required to list changed files');
+    }
+
+    const root = (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+    const base = since ? (await git(['merge-base', since, 'HEAD'], root)).trim() : 'HEAD';
+    const output = await git(
+        ['diff', '--name-status', '-z', '-M', ...(staged ? ['--cached'] : []), ...(since ? [base] : [])],
+        root
+    );
+
+    const changes = [];
+    const fields = output.split('\0').filter(Boolean);
+    for (let index = 0; index < fields.length;) {
+        const code = fields[index++][0];
+        if (code === 'R') {
+            const previous = fields[index++];
+            changes.push({ file: path.join(root, fields[index++]), previousFile: path.join(root, previous), status: 'R' });
+        } else {
+            const file = path.join(root, fields[index++]);
+            // Copies are new files; type changes are modifications
+            const status = code === 'C' ? 'A' : (code === 'T' ? 'M' : code);
+            changes.push({ file, previousFile: status === 'A' ? null : file, status });
+        }
+    }
+
+    if (!staged) {
+        const untracked = await git(['ls-files', '--others', '--exclude-standard', '-z'], root);
+        for (const file of untracked.split('\0').filter(Boolean)) {
+            changes.push({ file: path.join(root, file), previousFile: null, status: 'A' });
+        }
+    }
+
+    return { root, base, changes };
+}
+
+/**
+ * List changed agent files (.md and .json) under `agentsDir`
+ * Paths are returned under `agentsDir` as given, even when it is reached through a symlink, and
+ * each change carries `previousContent`: the file as of the compared commit, or null when it is new.
+ */
+export async function listChangedAgentFiles(agentsDir, { since = null, staged = false } = {}) {
+    const resolved = path.resolve(agentsDir);
+    const realDir = await fs.realpath(resolved);
+    const { root, base, changes } = await listChangedFiles({ cwd: resolved, since, staged });
+
+    const inAgentsDir = file => {
+        if (!file || !AGENT_EXTENSIONS.includes(path.extname(file))) return null;
+        const relative = path.relative(realDir, file);
+        return relative.startsWith('..') || path.isAbsolute(relative) ? null : path.join(resolved, relative);
+    };
+
+    const agentChanges = [];
+    for (const change of changes) {
+        const file = inAgentsDir(change.file);
+        const previousFile = inAgentsDir(change.previousFile);
+        if (!file && !previousFile) continue;
+
+        const previousContent = change.previousFile
+            ? await readAtRef(root, base, path.relative(root, change.previousFile).split(path.sep).join('/'))
+            : null;
+        agentChanges.push({ ...change, file: file || change.file, previousFile: previousFile || change.previousFile, previousContent });
+    }
+
+    return agentChanges;
+}
+
+/**
+ * Move a file with `git mv` when git tracks it, so history follows the rename, or rename it otherwise
+ * Creates the target directory. Returns true when git moved the file.
+ */
+export async function moveFile(from, to) {
+    const cwd = path.dirname(from);
+    await fs.mkdir(path.dirname(to), { recursive: true });
+
+    let tracked = true;
+    try {
+        await execFileAsync('git', ['ls-files', '--error-unmatch', '--', path.basename(from)], { cwd });
+    } catch (error) {
+        tracked = false;
+    }
+
+    if (tracked) {
+        await git(['mv', '--', path.basename(from), path.relative(cwd, to)], cwd);
+    } else {
+        await fs.rename(from, to);
+    }
+    return tracked;
+}
@@ -8,4 +8,29 @@ export { AgentFixer } from './fixer.mjs';
 export { AgentAnalyzer } from './analyzer.mjs';
 export { AgentCreator } from './creator.mjs';
 export { AgentConfig } from './config.mjs';
+export { validateSchema, minimalValue } from './schema.mjs';
+export { SourceMap, parseFrontmatter, parseJsonSource, parseAgentSource, locateFrontmatter } from './frontmatter.mjs';
+export { editYaml, updateFrontmatter } from './yaml-edit.mjs';
+export { RULES, HOOK_RULES, ANALYSIS_RULES, SEVERITIES, resolveRules, resolveHookRules, runRules, runSystemRules } from './rules.mjs';
+export { findDanglingReferences, findCapabilityIssues, findDependents } from './references.mjs';
+export { parseMemory, parseCpu, parseDuration } from './units.mjs';
+export { analyzePathPolicy, globToRegExp } from './path-policy.mjs';
+export { KNOWN_TOOLS, MCP_TOOL_PATTERN, findToolIssues } from './tools.mjs';
+export { analyzeRegexPattern, analyzeGlobPattern, findTriggerPatternIssues } from './patterns.mjs';
+export { parseBody, DEFAULT_REQUIRED_SECTIONS } from './markdown.mjs';
+export { ResultCache, CACHE_DIR } from './cache.mjs';
+export { IncrementalRun, DirectoryWatcher, diffIssues, formatIssueDiff } from './watch.mjs';
+export { buildSarifLog, attachFixes, SARIF_VERSION } from './sarif.mjs';
+export { CI_FORMATS, formatCIReport } from './ci-reports.mjs';
+export { Baseline, BASELINE_FILE } from './baseline.mjs';
+export { listChangedFiles, listChangedAgentFiles, moveFile } from './git.mjs';
+export { Patch, unifiedDiff, colorizeDiff } from './patch.mjs';
+export { FixJournal, FixTransaction, HISTORY_DIR } from './journal.mjs';
+export { AUTOFIXES, FIXABLE_RULES, FIX_PROFILES, DEFAULT_FIX_PROFILE, applyAutofixes } from './autofixes.mjs';
+export { effectivePermissions, permissionDelta, comparePermissions } from './permissions.mjs';
+export { normalizePlacementPolicy, findPlacementIssue, planMoves, rewriteLinks } from './placement.mjs';
+export { renameReferences, replaceAgentName, replaceAgentReferences } from './rename.mjs';
+export { EXIT_CODES, FAIL_ON_LEVELS, countFindings, evaluateFindings } from './exit-codes.mjs';
+export { Suppressions, parseSuppressions } from './suppressions.mjs';
+export { loadProjectConfig, parseProjectConfig } from './project-config.mjs';
 export * from './utils.mjs';
\ No newline at end of file
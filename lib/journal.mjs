@@ -0,0 +1,364 @@
+/**
+ * Fix Journal
+ * Records every fix run as a transaction under `.agent-toolkit/history/<id>`, keeping the
+ * original content of each file it changed so the run can be undone as a whole
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { hashContent } from './cache.mjs';
+import { moveFile } from './git.mjs';
+import { usageError } from './exit-codes.mjs';
+import { Patch, outputPatch, parseDryRunArgs } from './patch.mjs';
+
+export const HISTORY_DIR = path.join('.agent-toolkit', 'history');
+
+const JOURNAL_FILE = 'journal.json';
+
+// Start time of the last run begun in this process, so runs never share a timestamp
+let lastStart = 0;
+
+export class FixJournal {
+    constructor(options = {}) {
+        this.baseDir = options.baseDir || process.cwd();
+        this.dir = options.dir || path.join(this.baseDir, HISTORY_DIR);
+    }
+
+    /**
+     * Start recording a run; nothing is written until the first file changes
+     */
+    begin(command) {
+        lastStart = Math.max(Date.now(), lastStart + 1);
+        const startedAt = new Date(lastStart).toISOString();
+        return new FixTransaction(this, { id: createRunId(startedAt), command, startedAt });
+    }
+
+    /**
+     * Recorded runs, newest first
+     */
+    async list() {
+        let ids;
+        try {
+            ids = await fs.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const runs = [];
+        for (const id of ids) {
+            try {
+                runs.push(JSON.parse(await fs.readFile(path.join(this.dir, id, JOURNAL_FILE), 'utf-8')));
+            } catch (error) {
+                // Not a run, or one that was never written completely
+            }
+        }
+        return runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt) || b.id.localeCompare(a.id));
+    }
+
+    /**
+     * A recorded run by ID
+     */
+    async get(id) {
+        const run = (await this.list()).find(entry => entry.id === id);
+        if (!run) {
+            throw usageError(`No fix run ${id} in ${path.relative(this.baseDir, this.dir) || this.dir}`);
+        }
+        return run;
+    }
+
+    /**
+     * Restore the files a run changed to their content before it, all or nothing
+     * Moved files go back where they were first. Defaults to the newest run not yet undone. Files
+     * edited since the run, or a moved file's old path being taken, make the undo fail unless
+     * `force` is set. Returns the run with the relative paths it restored.
+     */
+    async undo(id = null, options = {}) {
+        const { force = false } = options;
+        let run;
+        if (id) {
+            run = await this.get(id);
+            if (run.status === 'undone') {
+                throw usageError(`Fix run ${id} was already undone`);
+            }
+        } else {
+            run = (await this.list()).find(entry => entry.status !== 'undone');
+            if (!run) throw usageError('No fix runs to undo');
+        }
+
+        const files = [];
+        for (const entry of run.files) {
+            const filePath = path.resolve(this.baseDir, entry.path);
+            const movedPath = entry.movedTo ? path.resolve(this.baseDir, entry.movedTo) : null;
+            const original = await fs.readFile(path.join(this.dir, run.id, entry.snapshot), 'utf-8');
+            const current = await readIfExists(movedPath || filePath);
+            const taken = movedPath !== null && (await readIfExists(filePath)) !== null;
+            files.push({ entry, filePath, movedPath, original, current, taken });
+        }
+
+        const conflicts = files.filter(file =>
+            file.current === null || file.taken || hashContent(file.current) !== file.entry.afterHash);
+        if (conflicts.length > 0 && !force) {
+            const paths = conflicts.map(file => file.entry.movedTo || file.entry.path).join(', ');
+            throw usageError(`Cannot undo ${run.id}: changed since the fix: ${paths} (use --force to undo anyway)`);
+        }
+
+        await moveAll(files
+            .filter(file => file.movedPath && file.current !== null && !file.taken)
+            .map(file => ({ from: file.movedPath, to: file.filePath })));
+        await replaceAll(files.map(file => ({
+            filePath: file.filePath,
+            content: file.original,
+            previous: file.movedPath && (file.current === null || file.taken) ? null : file.current
+        })));
+
+        const undone = { ...run, status: 'undone', undoneAt: new Date().toISOString() };
+        await writeJson(path.join(this.dir, run.id, JOURNAL_FILE), undone);
+        return { ...undone, restored: run.files.map(entry => entry.path) };
+    }
+}
+
+/**
+ * One fix run: each file's original content is saved before the file is first overwritten,
+ * so even a run that was interrupted can be undone
+ */
+export class FixTransaction {
+    constructor(journal, { id, command, startedAt = new Date().toISOString() }) {
+        this.journal = journal;
+        this.id = id;
+        this.command = command;
+        this.startedAt = startedAt;
+        this.dir = path.join(journal.dir, id);
+        this.files = new Map();
+        // Writes are chained so concurrent fixes never interleave journal updates
+        this.queue = Promise.resolve();
+    }
+
+    get size() {
+        return this.files.size;
+    }
+
+    /**
+     * Record a change to a file and write its new content
+     */
+    write(filePath, before, after) {
+        const step = this.queue.then(() => this.record(filePath, before, after));
+        this.queue = step.catch(() => {});
+        return step;
+    }
+
+    async record(filePath, before, after) {
+        const entry = await this.entryFor(filePath, before);
+        entry.afterHash = hashContent(after);
+        await this.save('open');
+        await writeAtomic(entry.movedTo ? path.resolve(this.journal.baseDir, entry.movedTo) : filePath, after);
+    }
+
+    /**
+     * Record moving a file, with `git mv` when git tracks it, and write its new content there
+     */
+    move(from, to, before, after) {
+        const step = this.queue.then(() => this.recordMove(from, to, before, after));
+        this.queue = step.catch(() => {});
+        return step;
+    }
+
+    async recordMove(from, to, before, after) {
+        const entry = await this.entryFor(from, before);
+        entry.movedTo = this.relative(to);
+        entry.afterHash = hashContent(after);
+        // Saved first so an interrupted move can still be undone
+        await this.save('open');
+        await moveFile(from, to);
+        if (after !== before) await writeAtomic(to, after);
+    }
+
+    async entryFor(filePath, before) {
+        let entry = this.files.get(filePath);
+        if (!entry) {
+            entry = { path: this.relative(filePath), snapshot: `files/${this.files.size}` };
+            await fs.mkdir(path.join(this.dir, 'files'), { recursive: true });
+            await fs.writeFile(path.join(this.dir, entry.snapshot), before);
+            this.files.set(filePath, entry);
+        }
+        return entry;
+    }
+
+    relative(filePath) {
+        return path.relative(this.journal.baseDir, filePath).split(path.sep).join('/');
+    }
+
+    /**
+     * Mark the run complete; returns its ID, or null when it changed nothing
+     */
+    async commit() {
+        await this.queue;
+        if (this.files.size === 0) return null;
+        await this.save('complete');
+        return this.id;
+    }
+
+    async save(status) {
+        await writeJson(path.join(this.dir, JOURNAL_FILE), {
+            id: this.id,
+            command: this.command,
+            startedAt: this.startedAt,
+            status,
+            files: [...this.files.values()]
+        });
+    }
+}
+
+/**
+ * Start a run of a hook fixer script from its arguments
+ * With `--dry-run` or `--patch-out <file>` writes are collected in a patch, otherwise they are
+ * journaled so the run can be undone with `claude-flow-hooks restore`. Returns
+ * { positional, dryRun, write(filePath, before, after), finish() } where `finish` shows or saves
+ * the patch, or commits the run and returns its ID. `options.baseDir` defaults to the working directory.
+ */
+export function startScriptRun(command, args = [], options = {}) {
+    const { positional, dryRun, patchOut } = parseDryRunArgs(args);
+    const patch = new Patch(options);
+    const transaction = new FixJournal(options).begin(command);
+
+    return {
+        positional,
+        dryRun,
+        async write(filePath, before, after) {
+            if (dryRun) {
+                patch.add(filePath, before, after);
+            } else {
+                await transaction.write(filePath, before, after);
+            }
+        },
+        async finish() {
+            if (!dryRun) return transaction.commit();
+            await outputPatch(patch, patchOut);
+            return null;
+        }
+    };
+}
+
+/**
+ * Delete the `*.backup` files and empty `.backup` directories earlier versions left in the agents tree
+ * Returns the removed paths.
+ */
+export async function removeBackupFiles(agentsDir) {
+    const removed = [];
+    const walk = async dir => {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory() && entry.name === '.backup') {
+                if ((await fs.readdir(fullPath)).length === 0) {
+                    await fs.rmdir(fullPath);
+                    removed.push(fullPath);
+                }
+            } else if (entry.isDirectory()) {
+                await walk(fullPath);
+            } else if (entry.isFile() && entry.name.endsWith('.backup')) {
+                await fs.rm(fullPath);
+                removed.push(fullPath);
+            }
+        }
+    };
+    await walk(agentsDir);
+    return removed.sort();
+}
+
+/**
+ * Sortable run ID: UTC start time plus a random suffix
+ */
+function createRunId(startedAt) {
+    const time = startedAt.replace(/[-:]/g, '').replace(/\.(\d+)Z$/, '$1');
+    return `${time}-${randomBytes(3).toString('hex')}`;
+}
+
+async function readIfExists(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function writeJson(filePath, value) {
+    await writeAtomic(filePath, JSON.stringify(value, null, 2) + '\n');
+}
+
+/**
+ * Write then rename so a file is never left half written
+ */
+async function writeAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+        await fs.writeFile(tempPath, content);
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.rm(tempPath, { force: true }).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Move files back, putting the ones already moved where they were if a later move fails
+ */
+async function moveAll(moves) {
+    const moved = [];
+    try {
+        for (const move of moves) {
+            await moveFile(move.from, move.to);
+            moved.push(move);
+        }
+    } catch (error) {
+        for (const move of moved.reverse()) {
+            await moveFile(move.to, move.from).catch(() => {});
+        }
+        throw error;
+    }
+}
+
+/**
+ * Replace several files at once: every new version is staged before any file is replaced, and
+ * files already replaced are put back if a later one fails
+ */
+async function replaceAll(changes) {
+    const staged = [];
+    try {
+        for (const change of changes) {
+            const tempPath = `${change.filePath}.${process.pid}.tmp`;
+            await fs.mkdir(path.dirname(change.filePath), { recursive: true });
+            await fs.writeFile(tempPath, change.content);
+            staged.push({ ...change, tempPath });
+        }
+    } catch (error) {
+        await Promise.all(staged.map(change => fs.rm(change.tempPath, { force: true }).catch(() => {})));
+        throw error;
+    }
+
+    const replaced = [];
+    try {
+        for (const change of staged) {
+            await fs.rename(change.tempPath, change.filePath);
+            replaced.push(change);
+        }
+    } catch (error) {
+        for (const change of replaced) {
+            if (change.previous === null) {
+                await fs.rm(change.filePath, { force: true }).catch(() => {});
+            } else {
+                await fs.writeFile(change.filePath, change.previous).catch(() => {});
+            }
+        }
+        await Promise.all(staged.slice(replaced.length).map(change => fs.rm(change.tempPath, { force: true }).catch(() => {})));
+        throw error;
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Markdown Body Lint
+ * Checks the documentation below the frontmatter: required sections, leftover placeholders,
+ * empty sections and the "Available Tools" list
+ */
+
+/**
+ * Sections every agent body must contain, by agent type (`*` applies to every type)
+ * A required name also matches longer headings that start with it ("Usage" matches "Usage Examples").
+ */
+export const DEFAULT_REQUIRED_SECTIONS = {
+    '*': ['Purpose', 'Usage']
+};
+
+// `[Implementation details go here]`, but not links, task-list boxes or shell tests like `[ -f x ]`
+const PLACEHOLDER = /(?<![\]!\\])\[([A-Za-z][\w .,'/-]*?)\](?![([:])/g;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Split a markdown body into lines and headed sections
+ * `firstLine` is the file line of the body's first line. Fenced code blocks never start a section.
+ */
+export function parseBody(body = '', firstLine = 1) {
+    const lines = body.split(/\r?\n/).map((text, index) => ({ text, line: firstLine + index, code: false }));
+    const sections = [];
+    let fence = null;
+
+    for (const entry of lines) {
+        const fenceMatch = FENCE.exec(entry.text);
+        if (fence) {
+            entry.code = true;
+            if (fenceMatch && fenceMatch[1] === fence) fence = null;
+        } else if (fenceMatch) {
+            entry.code = true;
+            fence = fenceMatch[1];
+        }
+
+        const heading = !entry.code && HEADING.exec(entry.text);
+        if (heading) {
+            sections.push({ level: heading[1].length, title: heading[2], line: entry.line, lines: [] });
+        } else if (sections.length > 0) {
+            sections[sections.length - 1].lines.push(entry);
+        }
+    }
+
+    return { lines, sections };
+}
+
+/**
+ * Find required sections that are missing for the agent's type
+ */
+export function findMissingSections(parsed, agentType, required = DEFAULT_REQUIRED_SECTIONS) {
+    const names = [...(required['*'] || []), ...(required[agentType] || [])];
+    const titles = parsed.sections.map(section => normalizeTitle(section.title));
+
+    return [...new Set(names)]
+        .filter(name => !titles.some(title => title === normalizeTitle(name) || title.startsWith(`${normalizeTitle(name)} `)))
+        .map(name => ({
+            path: '',
+            message: `Missing required section '${name}'`,
+            ...bodyStart(parsed)
+        }));
+}
+
+/**
+ * Find leftover template placeholders such as `[Usage examples]`
+ * `extraPatterns` are additional regex sources that mark a placeholder.
+ */
+export function findPlaceholders(parsed, extraPatterns = []) {
+    const extras = extraPatterns.map(source => new RegExp(source, 'g'));
+    const issues = [];
+
+    for (const { text, line } of parsed.lines) {
+        const matches = [...text.matchAll(PLACEHOLDER), ...extras.flatMap(regex => [...text.matchAll(regex)])]
+            .sort((a, b) => a.index - b.index);
+        for (const match of matches) {
+            issues.push({
+                path: '',
+                message: `Placeholder text '${match[0]}' should be replaced`,
+                line,
+                column: match.index + 1
+            });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Find headings with no content and no subsections
+ */
+export function findEmptySections(parsed) {
+    return parsed.sections
+        .filter((section, index) => {
+            const next = parsed.sections[index + 1];
+            const hasSubsection = next && next.level > section.level;
+            return !hasSubsection && section.lines.every(({ text }) => text.trim() === '');
+        })
+        .map(section => ({
+            path: '',
+            message: `Section '${section.title}' is empty`,
+            line: section.line,
+            column: 1
+        }));
+}
+
+/**
+ * List the tools documented under "Available Tools"
+ * When the section has an "Allowed Tools" subsection, only that subsection counts.
+ * Returns null when the body has no such section.
+ */
+export function documentedTools(parsed) {
+    const index = parsed.sections.findIndex(section => /^(available )?tools$/.test(normalizeTitle(section.title)));
+    if (index === -1) return null;
+
+    const parent = parsed.sections[index];
+    const scope = [parent];
+    for (const section of parsed.sections.slice(index + 1)) {
+        if (section.level <= parent.level) break;
+        scope.push(section);
+    }
+
+    const allowed = scope.find(section => /^allowed( tools)?$/.test(normalizeTitle(section.title)));
+    const listed = [];
+    for (const section of allowed ? [allowed] : scope) {
+        if (!allowed && /^(restricted|conditional)( tools)?$/.test(normalizeTitle(section.title))) continue;
+        for (const entry of section.lines) {
+            const item = /^\s*(?:[-*+]|\d+\.)\s+(?:\*\*|`)?([A-Za-z][\w-]*(?:\([^)]*\))?)/.exec(entry.text);
+            if (item && !entry.code) listed.push({ name: item[1], line: entry.line });
+        }
+    }
+
+    return { section: parent, tools: listed };
+}
+
+/**
+ * Compare the "Available Tools" list in the body with `tools.allowed`
+ */
+export function findToolsDocMismatch(parsed, agentData) {
+    const documented = documentedTools(parsed);
+    const tools = agentData && agentData.tools;
+    if (!documented || !tools || !Array.isArray(tools.allowed)) return [];
+
+    const allowed = tools.allowed.filter(tool => typeof tool === 'string');
+    const names = documented.tools.map(tool => tool.name);
+    const issues = [];
+
+    for (const tool of documented.tools) {
+        if (!allowed.includes(tool.name)) {
+            issues.push({
+                path: '',
+                message: `Tool '${tool.name}' is documented under '${documented.section.title}' but not in 'tools.allowed'`,
+                line: tool.line,
+                column: 1
+            });
+        }
+    }
+
+    const undocumented = allowed.filter(tool => !names.includes(tool));
+    if (undocumented.length > 0) {
+        issues.push({
+            path: 'tools.allowed',
+            message: `'tools.allowed' lists ${undocumented.map(tool => `'${tool}'`).join(', ')} but '${documented.section.title}' does not`
+        });
+    }
+
+    return issues;
+}
+
+function normalizeTitle(title) {
+    return title.replace(/[*_`]/g, '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function bodyStart(parsed) {
+    const first = parsed.lines.find(({ text }) => text.trim() !== '') || parsed.lines[0];
+    return { line: first ? first.line : 1, column: 1 };
+}
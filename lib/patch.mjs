@@ -0,0 +1,197 @@
+/**
+ * Patches
+ * Unified diffs of the changes a fixer would make, for dry runs and patch files
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { diffLines } from './utils.mjs';
+import { usageError } from './exit-codes.mjs';
+
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Create a unified diff between two versions of a file
+ * Returns '' when they are equal. Paths are written as given, so pass `a/...` and `b/...`
+ * for a patch that `git apply` accepts.
+ */
+export function unifiedDiff(before, after, { fromFile = 'a', toFile = 'b', context = DEFAULT_CONTEXT } = {}) {
+    const oldLines = splitLines(before);
+    const newLines = splitLines(after);
+    const changes = diffLines(oldLines, newLines);
+    if (changes.length === 0) return '';
+
+    // Changes closer than twice the context share a hunk
+    const groups = [];
+    for (const change of changes) {
+        const group = groups[groups.length - 1];
+        if (group && change.beforeStart - group[group.length - 1].beforeEnd <= context * 2) {
+            group.push(change);
+        } else {
+            groups.push([change]);
+        }
+    }
+
+    const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+    for (const group of groups) {
+        const first = group[0];
+        const last = group[group.length - 1];
+        const start = Math.max(0, first.beforeStart - context);
+        const end = Math.min(oldLines.length, last.beforeEnd + context);
+        const newStart = first.afterStart - (first.beforeStart - start);
+        const newEnd = last.afterEnd + (end - last.beforeEnd);
+
+        const lines = [];
+        let cursor = start;
+        for (const change of group) {
+            oldLines.slice(cursor, change.beforeStart).forEach(line => lines.push(diffLine(' ', line)));
+            oldLines.slice(change.beforeStart, change.beforeEnd).forEach(line => lines.push(diffLine('-', line)));
+            newLines.slice(change.afterStart, change.afterEnd).forEach(line => lines.push(diffLine('+', line)));
+            cursor = change.beforeEnd;
+        }
+        oldLines.slice(cursor, end).forEach(line => lines.push(diffLine(' ', line)));
+
+        output.push(`@@ -${range(start, end - start)} +${range(newStart, newEnd - newStart)} @@`, ...lines);
+    }
+
+    return output.join('\n') + '\n';
+}
+
+/**
+ * Color a unified diff for the terminal
+ */
+export function colorizeDiff(diff) {
+    return diff.split('\n').map(line => {
+        if (line.startsWith('---') || line.startsWith('+++') || /^(diff --git|rename from|rename to) /.test(line)) {
+            return chalk.bold(line);
+        }
+        if (line.startsWith('@@')) return chalk.cyan(line);
+        if (line.startsWith('+')) return chalk.green(line);
+        if (line.startsWith('-')) return chalk.red(line);
+        return line;
+    }).join('\n');
+}
+
+/**
+ * Pending changes to agent files, kept instead of writing them during a dry run
+ */
+export class Patch {
+    constructor(options = {}) {
+        this.baseDir = options.baseDir || process.cwd();
+        this.files = new Map();
+    }
+
+    get size() {
+        return this.files.size;
+    }
+
+    /**
+     * Record new content for a file; later changes to the same file build on earlier ones
+     */
+    add(filePath, before, after) {
+        const existing = this.files.get(filePath);
+        const original = existing ? existing.before : before;
+        if (original === after && !existing?.movedTo) {
+            this.files.delete(filePath);
+        } else {
+            this.files.set(filePath, { ...existing, before: original, after });
+        }
+    }
+
+    /**
+     * Record moving a file to `to` with new content; the diff shows it as a git rename
+     */
+    move(filePath, to, before, after) {
+        const existing = this.files.get(filePath);
+        this.files.set(filePath, { before: existing ? existing.before : before, after, movedTo: to });
+    }
+
+    /**
+     * Pending content of a file, or undefined when it has no changes
+     */
+    read(filePath) {
+        const entry = this.files.get(filePath);
+        return entry ? entry.after : undefined;
+    }
+
+    /**
+     * One diff per changed file, sorted by path, with paths relative to the base directory
+     */
+    diffs() {
+        return [...this.files.entries()]
+            .map(([file, { before, after, movedTo }]) => {
+                const relativePath = this.relative(file);
+                if (!movedTo) {
+                    const diff = unifiedDiff(before, after, { fromFile: `a/${relativePath}`, toFile: `b/${relativePath}` });
+                    return { file, relativePath, diff };
+                }
+                const newPath = this.relative(movedTo);
+                const diff = [
+                    `diff --git a/${relativePath} b/${newPath}`,
+                    `rename from ${relativePath}`,
+                    `rename to ${newPath}`,
+                    ''
+                ].join('\n') + unifiedDiff(before, after, { fromFile: `a/${relativePath}`, toFile: `b/${newPath}` });
+                return { file, relativePath, diff };
+            })
+            .sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+    }
+
+    relative(filePath) {
+        return path.relative(this.baseDir, filePath).split(path.sep).join('/');
+    }
+
+    toString() {
+        return this.diffs().map(entry => entry.diff).join('');
+    }
+
+    async write(outFile) {
+        await fs.writeFile(outFile, this.toString());
+    }
+}
+
+/**
+ * Show a dry-run patch: write it to `patchOut` when given, otherwise print a colored diff per file
+ */
+export async function outputPatch(patch, patchOut = null, log = console.log) {
+    if (patchOut) {
+        await patch.write(patchOut);
+        log(`📝 Wrote a patch for ${patch.size} file${patch.size === 1 ? '' : 's'} to ${patchOut}`);
+        return;
+    }
+    for (const { diff } of patch.diffs()) {
+        log(colorizeDiff(diff.replace(/\n$/, '')));
+    }
+}
+
+/**
+ * Read `--dry-run` and `--patch-out <file>` from the arguments of a hook fixer script
+ * Returns { dryRun, patchOut, positional }; writing a patch file implies a dry run.
+ */
+export function parseDryRunArgs(args) {
+    const patchIndex = args.indexOf('--patch-out');
+    const patchOut = patchIndex === -1 ? null : args[patchIndex + 1];
+    if (patchIndex !== -1 && (!patchOut || patchOut.startsWith('--'))) {
+        throw usageError('--patch-out requires a file path');
+    }
+    const positional = args.filter((arg, index) => !arg.startsWith('--') && (patchIndex === -1 || index !== patchIndex + 1));
+    return { dryRun: args.includes('--dry-run') || patchIndex !== -1, patchOut, positional };
+}
+
+/**
+ * Split content into lines that keep their line break, so a missing final newline is a change too
+ */
+function splitLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+function diffLine(prefix, line) {
+    return line.endsWith('\n')
+        ? prefix + line.slice(0, -1)
+        : `${prefix}${line}\n\\ No newline at end of file`;
+}
+
+function range(start, count) {
+    return `${count === 0 ? start : start + 1},${count}`;
+}
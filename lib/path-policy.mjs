@@ -0,0 +1,241 @@
+/**
+ * Path Policy
+ * Works out an agent's effective access set from `constraints.allowed_paths` and `forbidden_paths`
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const SECRET_PATTERNS = ['.env*', 'secrets/**', '*.key', '*.pem'];
+export const WRITE_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+
+const DEFAULT_IGNORE = ['node_modules', '.git', '.agent-toolkit'];
+// Stands in for "any characters" when a glob is turned into a sample path
+const WILD = '\u0001';
+
+/**
+ * Normalize a glob: strip `./` and leading `/`, make basename-only globs match at any depth
+ */
+export function normalizeGlob(glob) {
+    let normalized = String(glob).trim().replace(/^\.\//, '').replace(/^\/+/, '');
+    if (normalized.endsWith('/')) normalized += '**';
+    if (!normalized.includes('/') && normalized !== '**') normalized = `**/${normalized}`;
+    return normalized;
+}
+
+/**
+ * Expand `{a,b}` alternatives into separate globs
+ */
+export function expandBraces(glob) {
+    const match = /\{([^{}]*)\}/.exec(glob);
+    if (!match) return [glob];
+
+    const head = glob.slice(0, match.index);
+    const tail = glob.slice(match.index + match[0].length);
+    return match[1].split(',').flatMap(option => expandBraces(head + option + tail));
+}
+
+/**
+ * Compile a glob to a regular expression over project-relative POSIX paths
+ * `dir/**` also matches `dir` itself.
+ */
+export function globToRegExp(glob) {
+    const alternatives = expandBraces(normalizeGlob(glob)).map(translate);
+    return new RegExp(`^(?:${alternatives.join('|')})$`);
+}
+
+function translate(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*' && glob[i + 1] === '*') {
+            const atStart = i === 0 || glob[i - 1] === '/';
+            if (atStart && glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else if (i > 0 && glob[i - 1] === '/' && i + 2 === glob.length) {
+                // Turn the already-emitted separator into an optional suffix
+                source = source.slice(0, -1) + '(?:/.*)?';
+                i += 1;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += '[' + glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+
+    return source;
+}
+
+/**
+ * Build a sample path that stands for everything a brace-free glob can match
+ */
+function witness(glob) {
+    return glob
+        .replace(/\*\*/g, `${WILD}/${WILD}/${WILD}`)
+        .replace(/\*/g, WILD + WILD)
+        .replace(/\?/g, WILD)
+        .replace(/\[[^\]]*\]/g, WILD);
+}
+
+/**
+ * Check whether every path matched by `inner` is also matched by one of `outers`
+ * Conservative: it may miss some containments but never reports a false one.
+ */
+export function isCoveredBy(inner, outers) {
+    const regexes = outers.map(globToRegExp);
+    return expandBraces(normalizeGlob(inner))
+        .every(alternative => regexes.some(regex => regex.test(witness(alternative))));
+}
+
+/**
+ * Find a path that matches both globs and none of the forbidden globs
+ * Candidates are real project files, the globs' own sample paths, and the allow glob with a
+ * basename secret in its last segment.
+ */
+export function findOverlap(allowGlob, otherGlob, forbidden = [], files = []) {
+    const allow = globToRegExp(allowGlob);
+    const other = globToRegExp(otherGlob);
+    const blocked = forbidden.map(globToRegExp);
+
+    // Real files first so reports can name a concrete example
+    const candidates = [...files];
+    for (const a of expandBraces(normalizeGlob(allowGlob))) {
+        const allowSample = witness(a);
+        candidates.push(allowSample);
+        for (const o of expandBraces(normalizeGlob(otherGlob))) {
+            const otherSample = witness(o);
+            candidates.push(otherSample);
+            const basename = otherSample.split('/').pop();
+            candidates.push(allowSample.replace(/[^/]*$/, basename));
+        }
+    }
+
+    return candidates.find(candidate => allow.test(candidate) && other.test(candidate) &&
+        !blocked.some(regex => regex.test(candidate))) || null;
+}
+
+/**
+ * List project-relative paths (files and directories) below a root directory
+ */
+export async function listProjectFiles(rootDir, { ignore = DEFAULT_IGNORE, limit = 20000 } = {}) {
+    const files = [];
+
+    const walk = async (dir) => {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+
+        for (const entry of entries) {
+            if (files.length >= limit) return;
+            if (ignore.includes(entry.name)) continue;
+
+            const fullPath = path.join(dir, entry.name);
+            files.push(path.relative(rootDir, fullPath).split(path.sep).join('/'));
+            if (entry.isDirectory()) await walk(fullPath);
+        }
+    };
+
+    await walk(rootDir);
+    return files;
+}
+
+/**
+ * Work out the effective access set of an agent
+ * `files` is the project file list; pass null to skip the "matches nothing" check.
+ */
+export function analyzePathPolicy(agentData, { files = null, secretPatterns = SECRET_PATTERNS } = {}) {
+    const constraints = agentData && typeof agentData.constraints === 'object' ? agentData.constraints || {} : {};
+    const allowed = stringList(constraints.allowed_paths);
+    const forbidden = stringList(constraints.forbidden_paths);
+    const tools = agentData && agentData.tools;
+    const writable = !(tools && Array.isArray(tools.allowed)) || tools.allowed.some(tool => WRITE_TOOLS.includes(tool));
+
+    const policy = { allowed: [], forbidden, shadowed: [], unmatched: [], secretOverlaps: [], writable };
+
+    allowed.forEach((glob, index) => {
+        const shadowedBy = forbidden.filter(f => isCoveredBy(glob, [f]));
+        if (shadowedBy.length > 0 || isCoveredBy(glob, forbidden)) {
+            policy.shadowed.push({ index, glob, by: shadowedBy.length > 0 ? shadowedBy : forbidden });
+            return;
+        }
+
+        policy.allowed.push(glob);
+
+        if (files) {
+            const regex = globToRegExp(glob);
+            if (!files.some(file => regex.test(file))) {
+                policy.unmatched.push({ index, glob });
+            }
+        }
+
+        if (writable) {
+            for (const secret of secretPatterns) {
+                const example = findOverlap(glob, secret, forbidden, files || []);
+                if (example !== null) {
+                    policy.secretOverlaps.push({ index, glob, secret, example: example.includes(WILD) ? null : example });
+                }
+            }
+        }
+    });
+
+    return policy;
+}
+
+/**
+ * The project files matched by an agent's allowed paths
+ * Path policy findings only depend on these, so a file no allowed glob matches cannot change them.
+ */
+export function matchAllowedPaths(agentData, files) {
+    const constraints = agentData && typeof agentData.constraints === 'object' ? agentData.constraints || {} : {};
+    const regexes = stringList(constraints.allowed_paths).map(globToRegExp);
+    if (regexes.length === 0) return [];
+    return files.filter(file => regexes.some(regex => regex.test(file)));
+}
+
+/**
+ * Turn a path policy into rule issues
+ */
+export function findPathPolicyIssues(agentData, options = {}) {
+    const policy = analyzePathPolicy(agentData, options);
+    const at = index => `constraints.allowed_paths[${index}]`;
+
+    return {
+        shadowed: policy.shadowed.map(({ index, glob, by }) => ({
+            path: at(index),
+            message: `Allowed path '${glob}' is fully shadowed by forbidden path${by.length > 1 ? 's' : ''} ${by.map(f => `'${f}'`).join(', ')}`
+        })),
+        unmatched: policy.unmatched.map(({ index, glob }) => ({
+            path: at(index),
+            message: `Allowed path '${glob}' matches nothing in the project`
+        })),
+        secretOverlaps: policy.secretOverlaps.map(({ index, glob, secret, example }) => ({
+            path: at(index),
+            message: `Writable path '${glob}' overlaps secrets pattern '${secret}'` +
+                (example ? ` (e.g. ${example})` : '') + '; add it to forbidden_paths'
+        }))
+    };
+}
+
+function stringList(value) {
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+}
@@ -0,0 +1,408 @@
+/**
+ * Trigger Patterns
+ * Compiles `triggers.patterns` regexes and `triggers.file_patterns` globs and checks them for
+ * syntax errors, catastrophic-backtracking risk and patterns that match (nearly) everything
+ */
+
+import { globToRegExp } from './path-policy.mjs';
+
+export const MIN_LITERAL_LENGTH = 5;
+
+// Caps the literal text counted for `x{1000000}` and the branches expanded from nested alternatives
+const MAX_LITERAL_REPEAT = 100;
+const MAX_BRANCHES = 64;
+
+/**
+ * Parse a regular expression source into a small syntax tree
+ * Expects a source that already compiles; node types are `alt`, `seq`, `group`, `assert`,
+ * `quant`, `char` and `set` (dot, classes, class escapes and backreferences).
+ */
+export function parseRegex(source) {
+    let i = 0;
+
+    const parseAlt = () => {
+        const branches = [parseSeq()];
+        while (source[i] === '|') {
+            i++;
+            branches.push(parseSeq());
+        }
+        return { type: 'alt', branches };
+    };
+
+    const parseSeq = () => {
+        const items = [];
+        while (i < source.length && source[i] !== '|' && source[i] !== ')') {
+            let atom = parseAtom();
+            const quantifier = parseQuantifier();
+            if (quantifier) atom = { type: 'quant', child: atom, ...quantifier };
+            items.push(atom);
+        }
+        return { type: 'seq', items };
+    };
+
+    const parseGroup = () => {
+        i++;
+        let type = 'group';
+        const lookaround = /^\?(?:=|!|<=|<!)/.exec(source.slice(i));
+        if (lookaround) {
+            type = 'assert';
+            i += lookaround[0].length;
+        } else if (source.startsWith('?:', i)) {
+            i += 2;
+        } else if (source.startsWith('?<', i)) {
+            i = source.indexOf('>', i) + 1;
+        }
+        const body = parseAlt();
+        i++;
+        return { type, body };
+    };
+
+    const parseAtom = () => {
+        const char = source[i];
+
+        if (char === '(') return parseGroup();
+
+        if (char === '[') {
+            let end = i + 1;
+            if (source[end] === '^') end++;
+            if (source[end] === ']') end++;
+            while (end < source.length && source[end] !== ']') {
+                if (source[end] === '\\') end++;
+                end++;
+            }
+            const value = source.slice(i, end + 1);
+            i = end + 1;
+            return { type: 'set', value };
+        }
+
+        if (char === '\\') {
+            const next = source[i + 1];
+            i += 2;
+            if (/[bB]/.test(next)) return { type: 'assert' };
+            if (/[dDwWsS1-9]/.test(next)) return { type: 'set', value: `\\${next}` };
+            if (next === 'k' && source[i] === '<') {
+                i = source.indexOf('>', i) + 1;
+                return { type: 'set', value: '.' };
+            }
+            const code = /^(?:x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|u\{[0-9a-fA-F]+\}|c[A-Za-z]|[pP]\{[^}]*\})/
+                .exec(source.slice(i - 1));
+            if (code) {
+                i += code[0].length - 1;
+                return /^[pP]/.test(code[0]) ? { type: 'set', value: `\\${code[0]}` } : { type: 'char', value: `\\${code[0]}` };
+            }
+            return { type: 'char', value: next };
+        }
+
+        i++;
+        if (char === '.') return { type: 'set', value: '.' };
+        if (char === '^' || char === '$') return { type: 'assert' };
+        return { type: 'char', value: char };
+    };
+
+    const parseQuantifier = () => {
+        let quantifier = null;
+        const char = source[i];
+
+        if (char === '*') quantifier = { min: 0, max: Infinity };
+        else if (char === '+') quantifier = { min: 1, max: Infinity };
+        else if (char === '?') quantifier = { min: 0, max: 1 };
+
+        if (quantifier) {
+            i++;
+        } else if (char === '{') {
+            const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+            if (!match) return null;
+            const min = Number(match[1]);
+            quantifier = { min, max: match[2] ? (match[3] ? Number(match[3]) : Infinity) : min };
+            i += match[0].length;
+        } else {
+            return null;
+        }
+
+        // Lazy modifier
+        if (source[i] === '?') i++;
+        return quantifier;
+    };
+
+    return parseAlt();
+}
+
+/**
+ * Longest literal text that every match of a syntax tree must contain
+ */
+export function requiredLiteral(node) {
+    switch (node.type) {
+        case 'char':
+            return node.value;
+        case 'alt':
+            return node.branches.map(requiredLiteral).reduce((shortest, literal) =>
+                literal.length < shortest.length ? literal : shortest);
+        case 'group':
+            return requiredLiteral(node.body);
+        case 'quant':
+            return node.min > 0 ? requiredLiteral(node.child) : '';
+        case 'seq': {
+            let best = '';
+            let run = '';
+            for (const item of node.items) {
+                if (item.type === 'char') {
+                    run += item.value;
+                    continue;
+                }
+                // `x{3}` extends the run; after `x+` only the required repeats are known
+                if (item.type === 'quant' && item.child.type === 'char' && item.min > 0) {
+                    const repeats = item.child.value.repeat(Math.min(item.min, MAX_LITERAL_REPEAT));
+                    run += repeats;
+                    if (item.max !== item.min) {
+                        best = run.length > best.length ? run : best;
+                        run = repeats;
+                    }
+                    continue;
+                }
+                // Zero-width assertions don't break a literal run
+                if (item.type === 'assert' && !item.body) continue;
+
+                const inner = item.type === 'set' ? '' : requiredLiteral(item);
+                best = [best, run, inner].reduce((a, b) => (b.length > a.length ? b : a));
+                run = '';
+            }
+            return run.length > best.length ? run : best;
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Required literals of the alternatives of a syntax tree that leave it too broad
+ * Alternatives are expanded through groups, so `^(fix|bug)$` has the branches `^fix$` and `^bug$`.
+ * A branch is broad when its required literal is shorter than `minLiteralLength`, unless it has
+ * a literal pinned by an anchor, word boundary or lookaround (`^pr$`, `\bqa\b`, `(?<=a)b`).
+ */
+export function broadLiterals(node, minLiteralLength = MIN_LITERAL_LENGTH) {
+    const literals = expandBranches(node)
+        .filter(items => {
+            const literal = requiredLiteral({ type: 'seq', items });
+            const pinned = literal !== '' && items.some(item => item.type === 'assert');
+            return literal.length < minLiteralLength && !pinned;
+        })
+        .map(items => requiredLiteral({ type: 'seq', items }));
+    return [...new Set(literals)];
+}
+
+function expandBranches(node) {
+    switch (node.type) {
+        case 'alt':
+            return node.branches.flatMap(expandBranches);
+        case 'group':
+            return expandBranches(node.body);
+        case 'seq': {
+            let branches = [[]];
+            for (const item of node.items) {
+                const options = expandBranches(item);
+                // Too many combinations: keep the sequence whole
+                if (branches.length * options.length > MAX_BRANCHES) return [[node]];
+                branches = branches.flatMap(prefix => options.map(option => [...prefix, ...option]));
+            }
+            return branches;
+        }
+        default:
+            return [[node]];
+    }
+}
+
+/**
+ * Find constructs that can make backtracking exponential
+ * Reports repetition of an unbounded quantifier, unbounded (`(a+)+`) or bounded (`(.*a){20}`),
+ * and unbounded repetition of alternatives that can start with the same character (`(a|ab)*`).
+ */
+export function findBacktrackingRisks(node, risks = []) {
+    if (node.type === 'quant' && node.max > 1 && containsUnbounded(node.child)) {
+        risks.push('nested quantifiers');
+    } else if (node.type === 'quant' && node.max === Infinity) {
+        const alternation = unwrapAlternation(node.child);
+        if (alternation && alternation.branches.length > 1 && branchesOverlap(alternation.branches)) {
+            risks.push('repeated alternatives that overlap');
+        }
+    }
+
+    for (const child of children(node)) findBacktrackingRisks(child, risks);
+    return [...new Set(risks)];
+}
+
+function children(node) {
+    switch (node.type) {
+        case 'alt': return node.branches;
+        case 'seq': return node.items;
+        case 'group': return [node.body];
+        case 'assert': return node.body ? [node.body] : [];
+        case 'quant': return [node.child];
+        default: return [];
+    }
+}
+
+function containsUnbounded(node) {
+    if (node.type === 'quant' && node.max === Infinity) return true;
+    return children(node).some(containsUnbounded);
+}
+
+function unwrapAlternation(node) {
+    if (node.type === 'group') return unwrapAlternation(node.body);
+    if (node.type === 'alt') {
+        if (node.branches.length > 1) return node;
+        return unwrapAlternation(node.branches[0]);
+    }
+    if (node.type === 'seq' && node.items.length === 1) return unwrapAlternation(node.items[0]);
+    return null;
+}
+
+function firstAtoms(node) {
+    switch (node.type) {
+        case 'char':
+        case 'set':
+            return [node];
+        case 'alt':
+            return node.branches.flatMap(firstAtoms);
+        case 'group':
+            return firstAtoms(node.body);
+        case 'quant':
+            return firstAtoms(node.child);
+        case 'seq': {
+            const first = node.items.find(item => item.type !== 'assert');
+            return first ? firstAtoms(first) : [];
+        }
+        default:
+            return [];
+    }
+}
+
+function atomsOverlap(a, b) {
+    if (a.value === b.value || a.value === '.' || b.value === '.') return true;
+    if (a.type === 'set' && b.type === 'char') return atomsOverlap(b, a);
+    if (a.type === 'char' && b.type === 'set' && a.value.length === 1) {
+        try {
+            return new RegExp(`^${b.value}$`).test(a.value);
+        } catch (error) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function branchesOverlap(branches) {
+    const starts = branches.map(firstAtoms);
+    for (let i = 0; i < starts.length; i++) {
+        for (let j = i + 1; j < starts.length; j++) {
+            if (starts[i].some(a => starts[j].some(b => atomsOverlap(a, b)))) return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Compile and check a trigger regex
+ * Returns { error } for syntax errors, otherwise { risks, matchesEverything, literal, broadLiterals }.
+ */
+export function analyzeRegexPattern(pattern, { minLiteralLength = MIN_LITERAL_LENGTH } = {}) {
+    let regex;
+    try {
+        regex = new RegExp(pattern);
+    } catch (error) {
+        return { error: error.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /s, '') };
+    }
+
+    const tree = parseRegex(pattern);
+    return {
+        risks: findBacktrackingRisks(tree),
+        matchesEverything: regex.test(''),
+        literal: requiredLiteral(tree),
+        broadLiterals: broadLiterals(tree, minLiteralLength)
+    };
+}
+
+/**
+ * Check a trigger glob
+ * Returns { error } for unbalanced brackets or braces, otherwise { matchesEverything, literal }.
+ */
+export function analyzeGlobPattern(glob) {
+    if (glob.trim() === '') return { error: 'empty glob' };
+
+    let braces = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) return { error: "unterminated '['" };
+            i = end;
+        } else if (char === '{') {
+            braces++;
+        } else if (char === '}') {
+            if (--braces < 0) return { error: "unmatched '}'" };
+        }
+    }
+    if (braces > 0) return { error: "unterminated '{'" };
+
+    try {
+        globToRegExp(glob);
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    const literal = glob.replace(/\[[^\]]*\]|[*?/.]/g, ' ').split(/\s+/)
+        .reduce((longest, part) => (part.length > longest.length ? part : longest), '');
+    return { matchesEverything: literal === '', literal };
+}
+
+/**
+ * Find invalid, risky and overly broad trigger patterns
+ * Issues carry a `kind` of `invalid`, `unsafe` or `broad`.
+ */
+export function findTriggerPatternIssues(agentData, { minLiteralLength = MIN_LITERAL_LENGTH } = {}) {
+    const triggers = agentData && agentData.triggers;
+    if (!triggers || typeof triggers !== 'object') return [];
+
+    const issues = [];
+    const each = (field, callback) => {
+        if (!Array.isArray(triggers[field])) return;
+        triggers[field].forEach((pattern, index) => {
+            if (typeof pattern === 'string') callback(pattern, `triggers.${field}[${index}]`);
+        });
+    };
+
+    each('patterns', (pattern, fieldPath) => {
+        const result = analyzeRegexPattern(pattern, { minLiteralLength });
+        if (result.error) {
+            issues.push({ path: fieldPath, kind: 'invalid', message: `Invalid trigger pattern '${pattern}': ${result.error}` });
+            return;
+        }
+        if (result.risks.length > 0) {
+            issues.push({
+                path: fieldPath,
+                kind: 'unsafe',
+                message: `Trigger pattern '${pattern}' risks catastrophic backtracking (${result.risks.join(', ')})`
+            });
+        }
+        if (result.matchesEverything) {
+            issues.push({ path: fieldPath, kind: 'broad', message: `Trigger pattern '${pattern}' matches every input` });
+        } else if (result.broadLiterals.length > 0) {
+            const literals = result.broadLiterals;
+            let reason = `it only requires one of the texts ${literals.map(literal => `'${literal}'`).join(', ')}`;
+            if (literals.includes('')) reason = 'it requires no literal text';
+            else if (literals.length === 1) reason = `it only requires the text '${literals[0]}'`;
+            issues.push({ path: fieldPath, kind: 'broad', message: `Trigger pattern '${pattern}' is too broad: ${reason}` });
+        }
+    });
+
+    each('file_patterns', (glob, fieldPath) => {
+        const result = analyzeGlobPattern(glob);
+        if (result.error) {
+            issues.push({ path: fieldPath, kind: 'invalid', message: `Invalid file pattern '${glob}': ${result.error}` });
+        } else if (result.matchesEverything) {
+            issues.push({ path: fieldPath, kind: 'broad', message: `File pattern '${glob}' matches every file` });
+        }
+    });
+
+    return issues;
+}
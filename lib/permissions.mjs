@@ -0,0 +1,133 @@
+/**
+ * Agent Permissions
+ * The effective permission set of an agent, and how a change to the agent widens or narrows it
+ */
+
+import { AgentConfig } from './config.mjs';
+import { isCoveredBy } from './path-policy.mjs';
+import { toolCatalog, baseToolName, isMcpToolName, suggestMcpToolName, MCP_TOOL_PATTERN } from './tools.mjs';
+import { suggestClosest } from './utils.mjs';
+
+/**
+ * What an agent may do, from its tools, constraints and sandboxing
+ * An agent without a `tools` key inherits every tool, so `tools` is null then. Otherwise tools
+ * are an allow-list: a list or comma-separated string of tools grants those tools, an object its
+ * allowed and conditional tools minus the restricted ones. A misspelled name counts as the tool the
+ * unknown-tool rules suggest for it (see `toolCatalog`, with `options.extraTools`), so fixing the
+ * spelling grants nothing new; a name without a suggestion grants nothing. Path constraints and
+ * the sandbox only limit, so `allowedPaths` is null when any path is allowed, `sandbox` is null
+ * without sandboxing, and network and filesystem access are `full` unless an enabled sandbox
+ * restricts them.
+ */
+export function effectivePermissions(agentData = {}, { extraTools = [] } = {}) {
+    const tools = Array.isArray(agentData.tools) || typeof agentData.tools === 'string'
+        ? { allowed: [].concat(agentData.tools).flatMap(entry => String(entry).split(',')).map(tool => tool.trim()).filter(Boolean) }
+        : (isObject(agentData.tools) ? agentData.tools : {});
+    const granted = [
+        ...stringList(tools.allowed),
+        ...(Array.isArray(tools.conditional) ? tools.conditional : [])
+            .filter(entry => isObject(entry) && typeof entry.tool === 'string' && entry.allowed !== false)
+            .map(entry => entry.tool)
+    ];
+    const catalog = toolCatalog(extraTools);
+    const resolve = tool => {
+        const name = baseToolName(tool);
+        const known = isMcpToolName(name) ? MCP_TOOL_PATTERN.test(name) : catalog.tools.includes(name);
+        if (known) return tool;
+        const suggestion = isMcpToolName(name)
+            ? suggestMcpToolName(name, catalog.mcpTools)
+            : suggestClosest(name, catalog.tools);
+        // Keep a permission specifier such as `(npm test:*)`
+        return suggestion ? suggestion + tool.slice(name.length) : null;
+    };
+    const restricted = new Set(stringList(tools.restricted).map(resolve));
+
+    const constraints = isObject(agentData.constraints) ? agentData.constraints : {};
+    const security = isObject(agentData.security) ? agentData.security : {};
+    const sandboxing = isObject(security.sandboxing) ? security.sandboxing : {};
+    const sandboxed = sandboxing.enabled === true;
+    const restrictions = sandboxed && isObject(sandboxing.restrictions) ? sandboxing.restrictions : {};
+    const level = (value, levels) => (levels.includes(value) ? value : levels[levels.length - 1]);
+
+    return {
+        tools: agentData.tools == null
+            ? null
+            : [...new Set(granted.map(resolve))].filter(tool => tool && !restricted.has(tool)).sort(),
+        allowedPaths: Array.isArray(constraints.allowed_paths) ? stringList(constraints.allowed_paths) : null,
+        forbiddenPaths: stringList(constraints.forbidden_paths),
+        network: level(restrictions.network, AgentConfig.VALID_NETWORK_ACCESS),
+        filesystem: level(restrictions.filesystem, AgentConfig.VALID_FILESYSTEM_ACCESS),
+        // The weakest isolation stands in for a sandbox of unknown type
+        sandbox: sandboxed ? (AgentConfig.VALID_SANDBOX_TYPES.includes(sandboxing.type) ? sandboxing.type : 'process') : null
+    };
+}
+
+/**
+ * Compare two permission sets from `effectivePermissions`
+ * Returns a list of { kind, widens, message } where kind is tools, paths, network, filesystem or
+ * sandbox and `widens` tells whether the change grants more than before.
+ */
+export function permissionDelta(before, after) {
+    const delta = [];
+    const add = (kind, widens, message) => delta.push({ kind, widens, message });
+
+    if (before.tools && !after.tools) {
+        add('tools', true, 'tools no longer limited');
+    } else if (!before.tools && after.tools) {
+        add('tools', false, `tools limited to: ${after.tools.join(', ') || 'none'}`);
+    } else if (before.tools && after.tools) {
+        const gained = after.tools.filter(tool => !before.tools.includes(tool));
+        const lost = before.tools.filter(tool => !after.tools.includes(tool));
+        if (gained.length > 0) add('tools', true, `tools granted: ${gained.join(', ')}`);
+        if (lost.length > 0) add('tools', false, `tools removed: ${lost.join(', ')}`);
+    }
+
+    if (before.allowedPaths && !after.allowedPaths) {
+        add('paths', true, 'allowed paths no longer limited');
+    } else if (!before.allowedPaths && after.allowedPaths) {
+        add('paths', false, `allowed paths limited to: ${after.allowedPaths.join(', ') || 'none'}`);
+    } else if (before.allowedPaths && after.allowedPaths) {
+        const added = after.allowedPaths.filter(glob => !isCoveredBy(glob, before.allowedPaths));
+        const removed = before.allowedPaths.filter(glob => !isCoveredBy(glob, after.allowedPaths));
+        if (added.length > 0) add('paths', true, `allowed paths added: ${added.join(', ')}`);
+        if (removed.length > 0) add('paths', false, `allowed paths removed: ${removed.join(', ')}`);
+    }
+    const unforbidden = before.forbiddenPaths.filter(glob => !isCoveredBy(glob, after.forbiddenPaths));
+    const forbidden = after.forbiddenPaths.filter(glob => !isCoveredBy(glob, before.forbiddenPaths));
+    if (unforbidden.length > 0) add('paths', true, `forbidden paths removed: ${unforbidden.join(', ')}`);
+    if (forbidden.length > 0) add('paths', false, `forbidden paths added: ${forbidden.join(', ')}`);
+
+    for (const [kind, levels] of [
+        ['network', AgentConfig.VALID_NETWORK_ACCESS],
+        ['filesystem', AgentConfig.VALID_FILESYSTEM_ACCESS]
+    ]) {
+        if (before[kind] !== after[kind]) {
+            add(kind, levels.indexOf(after[kind]) > levels.indexOf(before[kind]), `${kind} access: ${before[kind]} → ${after[kind]}`);
+        }
+    }
+
+    if (before.sandbox !== after.sandbox) {
+        // Listed from the weakest isolation to the strongest; no sandbox is weaker than any
+        const isolation = sandbox => (sandbox ? AgentConfig.VALID_SANDBOX_TYPES.indexOf(sandbox) : -1);
+        add('sandbox', isolation(after.sandbox) < isolation(before.sandbox),
+            `sandbox: ${before.sandbox || 'none'} → ${after.sandbox || 'none'}`);
+    }
+
+    return delta;
+}
+
+/**
+ * The permission changes between two versions of an agent
+ * `options` are passed to `effectivePermissions`.
+ */
+export function comparePermissions(beforeData, afterData, options = {}) {
+    return permissionDelta(effectivePermissions(beforeData, options), effectivePermissions(afterData, options));
+}
+
+function stringList(value) {
+    return Array.isArray(value) ? value.filter(entry => typeof entry === 'string') : [];
+}
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,149 @@
+/**
+ * Agent Placement
+ * A policy mapping agent types and capabilities to directories, the moves that put misplaced
+ * agents where it says, and the link rewrites that keep relative markdown links working
+ */
+
+import path from 'path';
+import { usageError } from './exit-codes.mjs';
+
+/**
+ * Check a placement policy from the `directory-placement` rule options
+ * Each entry is { type?, capability?, directory } with at least one of type and capability;
+ * the first entry that matches an agent decides its directory.
+ */
+export function normalizePlacementPolicy(policy = []) {
+    if (!Array.isArray(policy)) {
+        throw usageError("Invalid placement policy: 'placement' must be a list of { type | capability, directory }");
+    }
+    return policy.map((entry, index) => {
+        const where = `Invalid placement policy entry ${index + 1}`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw usageError(`${where}: expected a mapping`);
+        }
+        if (!entry.type && !entry.capability) {
+            throw usageError(`${where}: needs a 'type' or 'capability'`);
+        }
+        if (typeof entry.directory !== 'string' || !entry.directory.trim() || path.isAbsolute(entry.directory)) {
+            throw usageError(`${where}: 'directory' must be a path relative to the agents directory`);
+        }
+        const directory = entry.directory.split(/[\\/]+/).filter(Boolean).join('/');
+        if (directory.split('/').includes('..')) {
+            throw usageError(`${where}: 'directory' must stay inside the agents directory`);
+        }
+        return { type: entry.type || null, capability: entry.capability || null, directory };
+    });
+}
+
+/**
+ * The policy entry that decides where an agent belongs, or null when none matches
+ */
+export function matchPlacement(agentData, policy) {
+    const capabilities = Array.isArray(agentData.capabilities) ? agentData.capabilities : [];
+    return policy.find(entry =>
+        (!entry.type || entry.type === agentData.type)
+        && (!entry.capability || capabilities.includes(entry.capability))
+    ) || null;
+}
+
+/**
+ * Check an agent's directory against the policy
+ * `relativeDir` is the agent's directory relative to the agents directory, with `/` separators.
+ * Agents in a subdirectory of their target directory are in place.
+ */
+export function findPlacementIssue(agentData, relativeDir, policy) {
+    const entry = matchPlacement(agentData, policy);
+    if (!entry || relativeDir === entry.directory || relativeDir.startsWith(`${entry.directory}/`)) {
+        return null;
+    }
+    const reason = entry.capability ? `capability '${entry.capability}'` : `type '${entry.type}'`;
+    return {
+        path: entry.capability ? 'capabilities' : 'type',
+        message: `Agents with ${reason} belong in '${entry.directory}/' (placement policy), not '${relativeDir || '.'}/'`,
+        directory: entry.directory
+    };
+}
+
+/**
+ * Plan the moves that put every misplaced agent in its directory
+ * `agents` is a list of { file, agentData } under `agentsDir`; `exists(file)` tells whether a
+ * target is taken. Returns { moves, conflicts } with moves as { from, to, agent_name, directory }.
+ */
+export function planMoves(agents, agentsDir, policy, exists = () => false) {
+    const moves = [];
+    const conflicts = [];
+    const taken = new Set();
+
+    for (const { file, agentData } of agents) {
+        const relativeDir = path.relative(agentsDir, path.dirname(file)).split(path.sep).join('/');
+        const issue = findPlacementIssue(agentData, relativeDir, policy);
+        if (!issue) continue;
+
+        const to = path.join(agentsDir, ...issue.directory.split('/'), path.basename(file));
+        if (taken.has(to) || exists(to)) {
+            conflicts.push({ file, to, reason: `${path.relative(agentsDir, to)} already exists` });
+            continue;
+        }
+        taken.add(to);
+        moves.push({ from: file, to, agent_name: agentData.name || path.basename(file), directory: issue.directory });
+    }
+
+    return { moves, conflicts };
+}
+
+/**
+ * Rewrite the relative markdown links in `content` for moved files
+ * The content lives at `filePath` and moves to `newFilePath` (the same path when it stays);
+ * `moves` maps old absolute paths to new ones. Links are rewritten when their target moved, or
+ * when the file itself moved and `exists(target)` says the target is real. Fenced code is left alone.
+ */
+export function rewriteLinks(content, filePath, newFilePath, moves, exists = () => true) {
+    const rewrite = target => rewriteTarget(target, filePath, newFilePath, moves, exists);
+    let inFence = false;
+
+    return content.split('\n').map(line => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            return line;
+        }
+        if (inFence) return line;
+
+        const definition = line.match(/^(\s{0,3}\[[^\]]+\]:\s*)(\S+)(.*)$/);
+        if (definition) {
+            return definition[1] + rewrite(definition[2]) + definition[3];
+        }
+        return line.replace(/(\]\(\s*)(<[^>]*>|[^()\s]+)/g, (match, open, target) => {
+            const bracketed = target.startsWith('<');
+            const inner = bracketed ? target.slice(1, -1) : target;
+            const rewritten = rewrite(inner);
+            return open + (bracketed ? `<${rewritten}>` : rewritten);
+        });
+    }).join('\n');
+}
+
+function rewriteTarget(target, filePath, newFilePath, moves, exists) {
+    // URLs, in-page anchors and absolute paths do not depend on where the file is
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('#') || target.startsWith('/')) {
+        return target;
+    }
+    const [, linkPath, suffix] = target.match(/^([^#?]*)(.*)$/);
+    if (!linkPath) return target;
+
+    let decoded;
+    try {
+        decoded = decodeURI(linkPath);
+    } catch (error) {
+        return target;
+    }
+
+    const oldTarget = path.resolve(path.dirname(filePath), decoded);
+    const newTarget = moves.get(oldTarget) || oldTarget;
+    if (newTarget === oldTarget && (newFilePath === filePath || !exists(oldTarget))) {
+        return target;
+    }
+
+    let link = path.relative(path.dirname(newFilePath), newTarget).split(path.sep).join('/') || '.';
+    if (linkPath.startsWith('./') && !link.startsWith('../')) link = `./${link}`;
+    if (linkPath.endsWith('/') && !link.endsWith('/')) link += '/';
+    return (decoded === linkPath ? link : encodeURI(link)) + suffix;
+}
@@ -0,0 +1,55 @@
+/**
+ * Project Configuration
+ * Loads the optional `.agent-toolkit.yaml` file from the repository root
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseDocument } from 'yaml';
+import { usageError } from './exit-codes.mjs';
+
+export const PROJECT_CONFIG_FILES = ['.agent-toolkit.yaml', '.agent-toolkit.yml'];
+
+/**
+ * Load project configuration from a directory
+ * Returns an empty configuration when no file exists.
+ */
+export async function loadProjectConfig(baseDir = process.cwd()) {
+    for (const fileName of PROJECT_CONFIG_FILES) {
+        const configPath = path.join(baseDir, fileName);
+        let content;
+        
+        try {
+            content = await fs.readFile(configPath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+        
+        return { ...parseProjectConfig(content, fileName), path: configPath };
+    }
+    
+    return { rules: {}, path: null };
+}
+
+/**
+ * Parse project configuration content
+ */
+export function parseProjectConfig(content, fileName = PROJECT_CONFIG_FILES[0]) {
+    const doc = parseDocument(content, { prettyErrors: false });
+    if (doc.errors.length > 0) {
+        throw usageError(`Invalid ${fileName}: ${doc.errors[0].message}`);
+    }
+    
+    const config = doc.toJS() || {};
+    if (typeof config !== 'object' || Array.isArray(config)) {
+        throw usageError(`Invalid ${fileName}: expected a mapping at the top level`);
+    }
+    
+    const rules = config.rules || {};
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+        throw usageError(`Invalid ${fileName}: 'rules' must be a mapping of rule IDs to severities`);
+    }
+    
+    return { ...config, rules };
+}
@@ -0,0 +1,174 @@
+/**
+ * Cross-Agent References
+ * Resolves agent names and required capabilities against the full set of loaded agents
+ */
+
+import { suggestClosest } from './utils.mjs';
+
+export const AGENT_REFERENCE_FIELDS = [
+    'can_spawn',
+    'can_delegate_to',
+    'requires_approval_from',
+    'shares_context_with'
+];
+
+/**
+ * Normalize a `dependencies.requires` entry
+ * Plain strings name an agent; objects may name an agent, a capability or both.
+ */
+export function normalizeRequirement(entry) {
+    if (typeof entry === 'string') return { name: entry };
+    if (!entry || typeof entry !== 'object') return {};
+    return entry;
+}
+
+/**
+ * Normalize a `dependencies.provides` entry to `{ capability, interface }`
+ */
+export function normalizeProvision(entry) {
+    if (typeof entry === 'string') return { capability: entry };
+    if (!entry || typeof entry !== 'object') return {};
+    return entry;
+}
+
+/**
+ * Index provided capabilities: capability -> [{ agent, interface }]
+ */
+export function buildCapabilityIndex(agents) {
+    const index = new Map();
+
+    for (const { name, agentData } of agents) {
+        for (const entry of arrayAt(agentData.dependencies, 'provides')) {
+            const provision = normalizeProvision(entry);
+            if (!provision.capability) continue;
+            if (!index.has(provision.capability)) index.set(provision.capability, []);
+            index.get(provision.capability).push({ agent: name, interface: provision.interface });
+        }
+    }
+
+    return index;
+}
+
+/**
+ * Find references to agents that are not loaded
+ */
+export function findDanglingReferences(agents) {
+    const names = agents.map(agent => agent.name);
+    const issues = [];
+
+    const check = (agent, reference, fieldPath) => {
+        if (typeof reference !== 'string' || names.includes(reference)) return;
+        const suggestion = suggestClosest(reference, names);
+        issues.push({
+            file: agent.file,
+            path: fieldPath,
+            message: `'${fieldPath}' references unknown agent '${reference}'` +
+                (suggestion ? ` (did you mean '${suggestion}'?)` : '')
+        });
+    };
+
+    for (const agent of agents) {
+        for (const field of AGENT_REFERENCE_FIELDS) {
+            arrayAt(agent.agentData.communication, field).forEach((reference, index) => {
+                check(agent, reference, `communication.${field}[${index}]`);
+            });
+        }
+
+        arrayAt(agent.agentData.dependencies, 'requires').forEach((entry, index) => {
+            const requirement = normalizeRequirement(entry);
+            if (requirement.optional) return;
+            check(agent, requirement.name, `dependencies.requires[${index}]`);
+        });
+
+        arrayAt(agent.agentData.dependencies, 'conflicts').forEach((entry, index) => {
+            const reference = typeof entry === 'string' ? entry : (entry && entry.agent);
+            check(agent, reference, `dependencies.conflicts[${index}]`);
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Find required capabilities nobody provides and interface version mismatches
+ * Issues carry a `kind` of `unprovided` or `interface`.
+ */
+export function findCapabilityIssues(agents) {
+    const index = buildCapabilityIndex(agents);
+    const names = agents.map(agent => agent.name);
+    const issues = [];
+
+    for (const agent of agents) {
+        arrayAt(agent.agentData.dependencies, 'requires').forEach((entry, position) => {
+            const requirement = normalizeRequirement(entry);
+            if (!requirement.capability || requirement.optional) return;
+
+            const fieldPath = `dependencies.requires[${position}]`;
+            // A named provider that isn't loaded is already reported as a dangling reference
+            if (requirement.name && !names.includes(requirement.name)) return;
+
+            const providers = (index.get(requirement.capability) || [])
+                .filter(provider => !requirement.name || provider.agent === requirement.name);
+
+            if (providers.length === 0) {
+                const candidates = [...index.keys()].filter(capability => !requirement.name ||
+                    index.get(capability).some(provider => provider.agent === requirement.name));
+                const suggestion = suggestClosest(requirement.capability, candidates);
+                issues.push({
+                    file: agent.file,
+                    path: fieldPath,
+                    kind: 'unprovided',
+                    message: (requirement.name
+                        ? `Agent '${requirement.name}' does not provide required capability '${requirement.capability}'`
+                        : `Required capability '${requirement.capability}' is not provided by any agent`) +
+                        (suggestion ? ` (did you mean '${suggestion}'?)` : '')
+                });
+                return;
+            }
+
+            // Providers that don't declare an interface are treated as compatible
+            if (!requirement.interface || providers.some(p => !p.interface || p.interface === requirement.interface)) {
+                return;
+            }
+
+            const offered = [...new Set(providers.map(p => p.interface))].join(', ');
+            issues.push({
+                file: agent.file,
+                path: fieldPath,
+                kind: 'interface',
+                message: `Required capability '${requirement.capability}' needs interface ${requirement.interface}, ` +
+                    `but only ${offered} is provided (by ${providers.map(p => p.agent).join(', ')})`
+            });
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Find the agents that reference any of `changed` by name or require a capability one of them provides
+ * `changed` lists agent configurations; pass both the old and new version of an edited agent so
+ * agents still pointing at a removed name or capability are found too.
+ */
+export function findDependents(agents, changed) {
+    const names = new Set(changed.map(agentData => agentData.name).filter(name => typeof name === 'string'));
+    const capabilities = new Set(changed.flatMap(agentData => arrayAt(agentData.dependencies, 'provides')
+        .map(entry => normalizeProvision(entry).capability)
+        .filter(Boolean)));
+
+    return agents.filter(({ agentData }) => {
+        const referenced = AGENT_REFERENCE_FIELDS.flatMap(field => arrayAt(agentData.communication, field));
+        arrayAt(agentData.dependencies, 'conflicts').forEach(entry => {
+            referenced.push(typeof entry === 'string' ? entry : (entry && entry.agent));
+        });
+
+        const requirements = arrayAt(agentData.dependencies, 'requires').map(normalizeRequirement);
+        return referenced.some(name => names.has(name)) ||
+            requirements.some(requirement => names.has(requirement.name) || capabilities.has(requirement.capability));
+    });
+}
+
+function arrayAt(section, key) {
+    if (!section || typeof section !== 'object' || !Array.isArray(section[key])) return [];
+    return section[key];
+}
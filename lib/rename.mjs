@@ -0,0 +1,94 @@
+/**
+ * Agent Rename
+ * Rewrites the references to a renamed agent in agent configurations
+ */
+
+import { AGENT_REFERENCE_FIELDS } from './references.mjs';
+
+export const AGENT_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Replace whole-word uses of an agent name in free text such as hook commands
+ * A name only matches where it is not part of a longer name, so `coder` leaves `coder-v2` alone.
+ */
+export function replaceAgentName(text, oldName, newName) {
+    return text.replace(new RegExp(`(?<![\\w-])${escapeName(oldName)}(?![\\w-])`, 'g'), newName);
+}
+
+/**
+ * Replace the uses of an agent name that name an agent in a command: `spawn <name>` and
+ * `--agent <name>` or `--agent=<name>`
+ * Other uses are left alone, since a name such as `test` is also part of `npm test`.
+ */
+export function replaceAgentReferences(text, oldName, newName) {
+    return text.replace(new RegExp(`(\\bspawn\\s+|--agent(?:=|\\s+))${escapeName(oldName)}(?![\\w-])`, 'g'),
+        (match, prefix) => prefix + newName);
+}
+
+/**
+ * Rename the references to `oldName` in an agent configuration
+ * Covers the communication lists, `dependencies.requires` and `dependencies.conflicts` (as strings
+ * or by `name` and `agent`) and agent references in hook commands (see `replaceAgentReferences`).
+ * Returns { data, changes, review } with each change as { path, from, to }; review lists the hook
+ * commands that still use the name some other way as { path, text }. `agentData` is left as is.
+ */
+export function renameReferences(agentData, oldName, newName) {
+    const data = { ...agentData };
+    const changes = [];
+    const review = [];
+    const rename = (value, fieldPath) => {
+        if (value !== oldName) return value;
+        changes.push({ path: fieldPath, from: oldName, to: newName });
+        return newName;
+    };
+
+    if (isObject(data.communication)) {
+        const communication = { ...data.communication };
+        for (const field of AGENT_REFERENCE_FIELDS) {
+            if (!Array.isArray(communication[field])) continue;
+            communication[field] = communication[field].map((reference, index) =>
+                rename(reference, `communication.${field}[${index}]`));
+        }
+        data.communication = communication;
+    }
+
+    if (isObject(data.dependencies)) {
+        const dependencies = { ...data.dependencies };
+        if (Array.isArray(dependencies.requires)) {
+            dependencies.requires = dependencies.requires.map((entry, index) => isObject(entry) && 'name' in entry
+                ? { ...entry, name: rename(entry.name, `dependencies.requires[${index}].name`) }
+                : rename(entry, `dependencies.requires[${index}]`));
+        }
+        if (Array.isArray(dependencies.conflicts)) {
+            dependencies.conflicts = dependencies.conflicts.map((entry, index) => isObject(entry) && 'agent' in entry
+                ? { ...entry, agent: rename(entry.agent, `dependencies.conflicts[${index}].agent`) }
+                : rename(entry, `dependencies.conflicts[${index}]`));
+        }
+        data.dependencies = dependencies;
+    }
+
+    if (isObject(data.hooks)) {
+        const hooks = { ...data.hooks };
+        for (const [hook, command] of Object.entries(hooks)) {
+            if (typeof command !== 'string') continue;
+            hooks[hook] = replaceAgentReferences(command, oldName, newName);
+            if (hooks[hook] !== command) {
+                changes.push({ path: `hooks.${hook}`, from: command, to: hooks[hook] });
+            }
+            if (replaceAgentName(hooks[hook], oldName, newName) !== hooks[hook]) {
+                review.push({ path: `hooks.${hook}`, text: hooks[hook] });
+            }
+        }
+        data.hooks = hooks;
+    }
+
+    return { data, changes, review };
+}
+
+function escapeName(name) {
+    return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
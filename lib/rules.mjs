@@ -0,0 +1,490 @@
+/**
+ * Validation Rules
+ * Every validator check as a named rule with a stable ID and default severity
+ */
+
+import path from 'path';
+import { AgentConfig } from './config.mjs';
+import { validateSchema } from './schema.mjs';
+import { suggestClosest } from './utils.mjs';
+import { findDanglingReferences, findCapabilityIssues } from './references.mjs';
+import { findUnitIssues, findLimitIssues } from './units.mjs';
+import { findPathPolicyIssues } from './path-policy.mjs';
+import { findToolIssues } from './tools.mjs';
+import { findTriggerPatternIssues } from './patterns.mjs';
+import { normalizePlacementPolicy, findPlacementIssue } from './placement.mjs';
+import { usageError } from './exit-codes.mjs';
+import {
+    DEFAULT_REQUIRED_SECTIONS,
+    findMissingSections,
+    findPlaceholders,
+    findEmptySections,
+    findToolsDocMismatch
+} from './markdown.mjs';
+
+export const SEVERITIES = ['error', 'warning', 'info', 'off'];
+
+/**
+ * Built-in rules
+ * `check(context)` receives { agentData, filePath, agentsDir, schema, projectFiles, body, options } and returns
+ * a list of { path, message } issues; body issues carry their own line and column. `body` is the
+ * parsed markdown body, or null for JSON agents. Rules with `scope: 'system'` run once over
+ * every loaded agent instead, receive { agents, options } and return issues with a `file`.
+ */
+export const RULES = [
+    {
+        id: 'parse-error',
+        severity: 'error',
+        description: 'Agent file must contain parseable YAML frontmatter or JSON (reported by the parser)',
+        check: () => []
+    },
+    {
+        id: 'required-field',
+        severity: 'error',
+        description: 'All standard configuration fields must be present',
+        check({ agentData }) {
+            return AgentConfig.REQUIRED_FIELDS
+                .filter(field => !(field in agentData))
+                .map(field => ({ path: field, message: `Missing required field: ${field}` }));
+        }
+    },
+    {
+        id: 'kebab-name',
+        severity: 'error',
+        description: "'name' must be a non-empty kebab-case string",
+        check({ agentData }) {
+            if (!('name' in agentData)) return [];
+            const name = agentData.name;
+            if (typeof name !== 'string' || !name) {
+                return [{ path: 'name', message: "'name' must be a non-empty string" }];
+            }
+            if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+                return [{ path: 'name', message: "'name' must be kebab-case (lowercase, hyphens only)" }];
+            }
+            return [];
+        }
+    },
+    {
+        id: 'valid-type',
+        severity: 'error',
+        description: "'type' must be one of the known agent types",
+        check({ agentData }) {
+            if (!('type' in agentData) || AgentConfig.VALID_TYPES.includes(agentData.type)) return [];
+            return [{
+                path: 'type',
+                message: `Invalid type '${agentData.type}'. Must be one of: ${AgentConfig.VALID_TYPES.join(', ')}`
+            }];
+        }
+    },
+    {
+        id: 'valid-priority',
+        severity: 'error',
+        description: "'priority' must be one of the known priority levels",
+        check({ agentData }) {
+            if (!('priority' in agentData) || AgentConfig.VALID_PRIORITIES.includes(agentData.priority)) return [];
+            return [{
+                path: 'priority',
+                message: `Invalid priority '${agentData.priority}'. Must be one of: ${AgentConfig.VALID_PRIORITIES.join(', ')}`
+            }];
+        }
+    },
+    {
+        id: 'hex-color',
+        severity: 'error',
+        description: "'color' must be a six-digit hex color",
+        check({ agentData }) {
+            if (!('color' in agentData)) return [];
+            const color = agentData.color;
+            if (typeof color === 'string' && /^#[0-9A-Fa-f]{6}$/.test(color)) return [];
+            return [{ path: 'color', message: "'color' must be a valid hex color (e.g., '#FF6B35')" }];
+        }
+    },
+    {
+        id: 'semver-version',
+        severity: 'error',
+        description: "'version' must follow semantic versioning",
+        check({ agentData }) {
+            if (!('version' in agentData)) return [];
+            const version = agentData.version;
+            if (typeof version === 'string' && /^\d+\.\d+\.\d+$/.test(version)) return [];
+            return [{ path: 'version', message: "'version' must follow semantic versioning (e.g., '1.0.0')" }];
+        }
+    },
+    {
+        id: 'tools-shape',
+        severity: 'error',
+        description: "'tools' must be an object with allowed/restricted/conditional lists",
+        check({ agentData, schema }) {
+            if (!('tools' in agentData)) return [];
+            const tools = agentData.tools;
+            if (Array.isArray(tools)) {
+                return [{ path: 'tools', message: "'tools' must be an object with 'allowed', 'restricted', and 'conditional' properties, not an array" }];
+            }
+            if (!tools || typeof tools !== 'object') {
+                return [{ path: 'tools', message: "'tools' must be an object" }];
+            }
+            return schemaIssues(agentData, ['tools'], schema).filter(issue => issue.keyword !== 'additionalProperties');
+        }
+    },
+    {
+        id: 'unknown-tool',
+        severity: 'error',
+        description: 'Tool names must be known Claude Code tools (option: extraTools)',
+        check: ({ agentData, options }) => toolIssues(agentData, options, 'unknown')
+    },
+    {
+        id: 'invalid-mcp-tool-name',
+        severity: 'error',
+        description: 'MCP tool names must follow mcp__<server>__<tool>',
+        check: ({ agentData, options }) => toolIssues(agentData, options, 'mcp')
+    },
+    {
+        id: 'tool-allowed-and-restricted',
+        severity: 'error',
+        description: 'A tool must not appear in both tools.allowed and tools.restricted',
+        check: ({ agentData }) => toolIssues(agentData, {}, 'overlap')
+    },
+    {
+        id: 'config-schema',
+        severity: 'error',
+        description: 'Nested configuration blocks must match the agent JSON Schema (types, enums, required keys)',
+        check({ agentData, schema }) {
+            return schemaIssues(agentData, nestedSections(schema), schema)
+                .filter(issue => issue.keyword !== 'additionalProperties');
+        }
+    },
+    {
+        id: 'unknown-field',
+        severity: 'error',
+        description: 'Nested configuration blocks must not contain unknown (often misspelled) keys',
+        check({ agentData, schema }) {
+            return schemaIssues(agentData, [...nestedSections(schema), 'tools'], schema)
+                .filter(issue => issue.keyword === 'additionalProperties');
+        }
+    },
+    {
+        id: 'unit-format',
+        severity: 'error',
+        description: 'Memory sizes, CPU quotas and durations must be well-formed and positive',
+        check: ({ agentData }) => findUnitIssues(agentData)
+    },
+    {
+        id: 'limit-consistency',
+        severity: 'warning',
+        description: 'Related limits (timeouts, concurrency, file size vs memory) must not contradict each other',
+        check: ({ agentData }) => findLimitIssues(agentData)
+    },
+    {
+        id: 'shadowed-allow-path',
+        severity: 'warning',
+        description: 'Allowed path globs must not be fully covered by forbidden path globs',
+        check: ({ agentData }) => findPathPolicyIssues(agentData).shadowed
+    },
+    {
+        id: 'unmatched-allow-path',
+        severity: 'info',
+        description: 'Allowed path globs should match something in the project tree',
+        check({ agentData, projectFiles }) {
+            if (!projectFiles) return [];
+            return findPathPolicyIssues(agentData, { files: projectFiles }).unmatched;
+        }
+    },
+    {
+        id: 'secret-path-overlap',
+        severity: 'error',
+        description: 'Writable paths must not overlap secrets patterns (option: secretPatterns)',
+        check({ agentData, projectFiles, options }) {
+            return findPathPolicyIssues(agentData, {
+                files: projectFiles || null,
+                ...(options.secretPatterns ? { secretPatterns: options.secretPatterns } : {})
+            }).secretOverlaps;
+        }
+    },
+    {
+        id: 'invalid-trigger-pattern',
+        severity: 'error',
+        description: 'Trigger regexes and file globs must compile',
+        check: ({ agentData }) => triggerPatternIssues(agentData, {}, 'invalid')
+    },
+    {
+        id: 'unsafe-trigger-pattern',
+        severity: 'error',
+        description: 'Trigger regexes must not risk catastrophic backtracking (nested or overlapping repetition)',
+        check: ({ agentData }) => triggerPatternIssues(agentData, {}, 'unsafe')
+    },
+    {
+        id: 'broad-trigger-pattern',
+        severity: 'warning',
+        description: 'Trigger patterns should not match (nearly) everything (option: minLiteralLength)',
+        check: ({ agentData, options }) => triggerPatternIssues(agentData, options, 'broad')
+    },
+    {
+        id: 'directory-placement',
+        severity: 'error',
+        description: 'Agents must live in the directory their type or capabilities map to (option: placement)',
+        check({ agentData, filePath, agentsDir, options }) {
+            if (!filePath || !agentData.type) return [];
+            const result = AgentConfig.validateDirectoryPlacement(filePath, agentData.type);
+            if (!result.valid) return [{ path: 'type', message: result.error }];
+            if (!agentsDir || !options.placement) return [];
+
+            const relativeDir = path.relative(agentsDir, path.dirname(filePath)).split(path.sep).join('/');
+            const issue = findPlacementIssue(agentData, relativeDir, normalizePlacementPolicy(options.placement));
+            return issue ? [{ path: issue.path, message: issue.message }] : [];
+        }
+    },
+    {
+        id: 'empty-capabilities',
+        severity: 'warning',
+        description: 'Agents should declare at least one capability',
+        check({ agentData }) {
+            if (!('capabilities' in agentData)) return [];
+            if (agentData.capabilities && agentData.capabilities.length > 0) return [];
+            return [{ path: 'capabilities', message: 'No capabilities defined' }];
+        }
+    },
+    {
+        id: 'empty-triggers',
+        severity: 'warning',
+        description: 'Agents should declare at least one trigger',
+        check({ agentData }) {
+            if (!('triggers' in agentData)) return [];
+            const triggers = agentData.triggers || {};
+            const hasAnyTriggers = ['keywords', 'patterns', 'file_patterns', 'context_patterns']
+                .some(key => triggers[key] && triggers[key].length > 0);
+            return hasAnyTriggers ? [] : [{ path: 'triggers', message: 'No trigger patterns defined' }];
+        }
+    },
+    {
+        id: 'required-section',
+        severity: 'warning',
+        description: 'The markdown body must contain the sections required for the agent type (option: sections)',
+        check({ agentData, body, options }) {
+            if (!body) return [];
+            return findMissingSections(body, agentData.type, { ...DEFAULT_REQUIRED_SECTIONS, ...(options.sections || {}) });
+        }
+    },
+    {
+        id: 'placeholder-text',
+        severity: 'warning',
+        description: 'The markdown body must not contain template placeholders such as [Usage examples] (option: patterns)',
+        check: ({ body, options }) => (body ? findPlaceholders(body, options.patterns || []) : [])
+    },
+    {
+        id: 'empty-section',
+        severity: 'warning',
+        description: 'Markdown sections should not be empty',
+        check: ({ body }) => (body ? findEmptySections(body) : [])
+    },
+    {
+        id: 'tools-doc-mismatch',
+        severity: 'warning',
+        description: "Tools listed under 'Available Tools' must match tools.allowed",
+        check: ({ agentData, body }) => (body ? findToolsDocMismatch(body, agentData) : [])
+    },
+    {
+        id: 'unknown-agent-reference',
+        severity: 'error',
+        scope: 'system',
+        description: 'Communication lists, requires and conflicts must name agents that exist',
+        check: ({ agents }) => findDanglingReferences(agents)
+    },
+    {
+        id: 'unprovided-capability',
+        severity: 'error',
+        scope: 'system',
+        description: "Every required capability must appear in some agent's dependencies.provides",
+        check: ({ agents }) => capabilityIssues(agents, 'unprovided')
+    },
+    {
+        id: 'interface-mismatch',
+        severity: 'error',
+        scope: 'system',
+        description: 'Required capability interfaces must match the interface version that is provided',
+        check: ({ agents }) => capabilityIssues(agents, 'interface')
+    },
+    {
+        id: 'unused-suppression',
+        severity: 'warning',
+        description: 'Suppression comments must name known rules and suppress at least one finding (reported by the suppression engine)',
+        check: () => []
+    }
+];
+
+/**
+ * Rules checked by the hook scripts under src/
+ * They share the rule ID namespace so hook findings can be suppressed inline as well.
+ */
+export const HOOK_RULES = [
+    {
+        id: 'hook-undefined-function',
+        severity: 'error',
+        description: 'Hooks must not call undefined memory_* shell functions'
+    },
+    {
+        id: 'hook-undefined-variable',
+        severity: 'error',
+        description: 'Hooks must not use undefined ${TASK_ID}-style variables'
+    },
+    {
+        id: 'hook-mcp-call',
+        severity: 'warning',
+        description: 'Swarm MCP calls belong in agent execution, not in hooks'
+    },
+    {
+        id: 'hook-missing-stage',
+        severity: 'warning',
+        description: 'Hooks should define pre, post and on_error stages'
+    }
+];
+
+/**
+ * System-wide checks made by the analyzer
+ * Like hook rules they have no `check`; the IDs label analysis issues, e.g. in SARIF output.
+ */
+export const ANALYSIS_RULES = [
+    {
+        id: 'duplicate-agent-name',
+        severity: 'warning',
+        description: 'Agent names must be unique across the agents directory'
+    },
+    {
+        id: 'circular-dependency',
+        severity: 'error',
+        description: 'dependencies.requires must not form a cycle'
+    }
+];
+
+/**
+ * IDs of every rule that can be named in a suppression comment
+ */
+export function knownRuleIds(customRules = []) {
+    return [...RULES, ...HOOK_RULES, ...ANALYSIS_RULES, ...customRules].map(rule => rule.id);
+}
+
+/**
+ * Normalize a rule setting from config: `warning`, `off`, `false` or `{ severity, ...options }`
+ */
+export function normalizeRuleSetting(ruleId, setting) {
+    let severity = setting;
+    let options = {};
+
+    if (setting && typeof setting === 'object' && !Array.isArray(setting)) {
+        ({ severity, ...options } = setting);
+    }
+    if (severity === false) severity = 'off';
+
+    if (severity !== undefined && !SEVERITIES.includes(severity)) {
+        throw usageError(`Invalid severity '${severity}' for rule '${ruleId}'. Must be one of: ${SEVERITIES.join(', ')}`);
+    }
+
+    return { severity, options };
+}
+
+/**
+ * Resolve the active rule set from built-in and custom rules plus severity overrides
+ * Settings may also name hook rules; those are resolved separately by `resolveHookRules`.
+ */
+export function resolveRules(settings = {}, customRules = []) {
+    checkRuleSettings(settings, [...RULES, ...HOOK_RULES, ...customRules]);
+    return applyRuleSettings([...RULES, ...customRules], settings);
+}
+
+/**
+ * Resolve hook rule severities from the same settings as `resolveRules`
+ */
+export function resolveHookRules(settings = {}, customRules = []) {
+    checkRuleSettings(settings, [...RULES, ...HOOK_RULES, ...customRules]);
+    return applyRuleSettings(HOOK_RULES, settings);
+}
+
+function checkRuleSettings(settings, rules) {
+    const ids = rules.map(rule => rule.id);
+
+    for (const ruleId of Object.keys(settings)) {
+        if (!ids.includes(ruleId)) {
+            const suggestion = suggestClosest(ruleId, ids);
+            throw usageError(`Unknown rule '${ruleId}'` + (suggestion ? ` (did you mean '${suggestion}'?)` : ''));
+        }
+    }
+}
+
+function applyRuleSettings(rules, settings) {
+    return rules.map(rule => {
+        const { severity, options } = normalizeRuleSetting(rule.id, settings[rule.id]);
+        return {
+            ...rule,
+            severity: severity || rule.severity,
+            options: { ...(rule.options || {}), ...options }
+        };
+    });
+}
+
+/**
+ * Run the active rules against an agent and return findings tagged with rule IDs
+ */
+export function runRules(rules, context) {
+    const findings = [];
+
+    for (const rule of rules) {
+        if (rule.severity === 'off' || rule.scope === 'system') continue;
+        for (const issue of rule.check({ ...context, options: rule.options })) {
+            findings.push({ ruleId: rule.id, severity: rule.severity, ...issue });
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Run the active system-scope rules over all loaded agents
+ * `agents` is a list of { file, name, agentData }.
+ */
+export function runSystemRules(rules, agents) {
+    const findings = [];
+
+    for (const rule of rules) {
+        if (rule.severity === 'off' || rule.scope !== 'system') continue;
+        for (const issue of rule.check({ agents, options: rule.options })) {
+            findings.push({ ruleId: rule.id, severity: rule.severity, ...issue });
+        }
+    }
+
+    return findings;
+}
+
+function capabilityIssues(agents, kind) {
+    return findCapabilityIssues(agents)
+        .filter(issue => issue.kind === kind)
+        .map(({ kind: _kind, ...issue }) => issue);
+}
+
+function toolIssues(agentData, options, kind) {
+    return findToolIssues(agentData, { extraTools: options.extraTools || [] })
+        .filter(issue => issue.kind === kind)
+        .map(({ kind: _kind, ...issue }) => issue);
+}
+
+function triggerPatternIssues(agentData, options, kind) {
+    return findTriggerPatternIssues(agentData, options)
+        .filter(issue => issue.kind === kind)
+        .map(({ kind: _kind, ...issue }) => issue);
+}
+
+function nestedSections(schema = {}) {
+    // Top-level scalars and the tools shape have dedicated rules
+    const handled = ['name', 'type', 'priority', 'color', 'version', 'tools'];
+    return Object.keys(schema.properties || {}).filter(field => !handled.includes(field));
+}
+
+function schemaIssues(agentData, sections, schema = AgentConfig.toJSONSchema()) {
+    const issues = [];
+
+    for (const field of sections) {
+        const fieldSchema = (schema.properties || {})[field];
+        if (!fieldSchema || !(field in agentData)) continue;
+        issues.push(...validateSchema(fieldSchema, agentData[field], field));
+    }
+
+    return issues;
+}
@@ -0,0 +1,155 @@
+/**
+ * SARIF Output
+ * Converts validation, analysis and hook findings to SARIF 2.1.0 logs for code-scanning pipelines
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { pathToFileURL } from 'url';
+import { TOOLKIT_VERSION } from './cache.mjs';
+import { FIXABLE_RULES } from './fixer.mjs';
+import { diffLines } from './utils.mjs';
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const INFORMATION_URI = 'https://github.com/teemulinna/claude-flow-agent-toolkit';
+const SRCROOT = 'SRCROOT';
+
+/**
+ * Map a rule severity to a SARIF level
+ */
+export function sarifLevel(severity) {
+    return { error: 'error', warning: 'warning', info: 'note' }[severity] || 'none';
+}
+
+/**
+ * Build a SARIF log
+ * `files` is a list of { file, findings } with absolute paths, reported relative to `baseDir`.
+ * `rules` describes every rule that may appear ({ id, severity, description }). A finding's
+ * `fix` ({ description, replacements: [{ offset, length, text }] }) becomes a SARIF fix.
+ */
+export function buildSarifLog({ rules, files, baseDir = process.cwd(), toolName = 'agent-toolkit' }) {
+    const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+    const results = [];
+
+    for (const { file, findings } of files) {
+        const artifactLocation = {
+            uri: path.relative(baseDir, file).split(path.sep).join('/'),
+            uriBaseId: SRCROOT
+        };
+
+        for (const finding of findings) {
+            if (finding.severity === 'off') continue;
+
+            const result = {
+                ruleId: finding.ruleId,
+                level: sarifLevel(finding.severity),
+                message: { text: finding.message },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation,
+                        region: { startLine: finding.line || 1, startColumn: finding.column || 1 }
+                    },
+                    ...(finding.path ? { logicalLocations: [{ fullyQualifiedName: finding.path, kind: 'member' }] } : {})
+                }]
+            };
+            if (ruleIndex.has(finding.ruleId)) result.ruleIndex = ruleIndex.get(finding.ruleId);
+            if (finding.fix) result.fixes = [sarifFix(finding.fix, artifactLocation)];
+
+            results.push(result);
+        }
+    }
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: SARIF_VERSION,
+        runs: [{
+            tool: {
+                driver: {
+                    name: toolName,
+                    version: TOOLKIT_VERSION,
+                    informationUri: INFORMATION_URI,
+                    rules: rules.map(rule => ({
+                        id: rule.id,
+                        shortDescription: { text: rule.description },
+                        defaultConfiguration: { level: sarifLevel(rule.severity) }
+                    }))
+                }
+            },
+            originalUriBaseIds: {
+                [SRCROOT]: { uri: pathToFileURL(baseDir + path.sep).href }
+            },
+            results
+        }]
+    };
+}
+
+/**
+ * Describe the change from `original` to `updated` as replacements of whole lines
+ * Returns { offset, length, text } per changed hunk, with offsets into `original`.
+ */
+export function textReplacements(original, updated) {
+    const before = original.split(/(?<=\n)/);
+    const after = updated.split(/(?<=\n)/);
+    const offsets = [0];
+    for (const line of before) offsets.push(offsets[offsets.length - 1] + line.length);
+
+    return diffLines(before, after).map(hunk => ({
+        offset: offsets[hunk.beforeStart],
+        length: offsets[hunk.beforeEnd] - offsets[hunk.beforeStart],
+        text: after.slice(hunk.afterStart, hunk.afterEnd).join('')
+    }));
+}
+
+/**
+ * Attach the fix `fixer` would make to each fixable finding
+ * `details` are validator file results; each rule is fixed on its own, so every fix only
+ * carries the change for its own finding. Files that cannot be read are left without fixes.
+ */
+export async function attachFixes(details, fixer) {
+    for (const result of details) {
+        const findings = (result.findings || []).filter(finding => FIXABLE_RULES.includes(finding.ruleId));
+        if (findings.length === 0) continue;
+
+        let content;
+        try {
+            content = await fs.readFile(result.file, 'utf-8');
+        } catch (error) {
+            continue;
+        }
+
+        for (const ruleId of new Set(findings.map(finding => finding.ruleId))) {
+            let fixed;
+            try {
+                fixed = await fixer.fixContent(result.file, content, { rules: [ruleId] });
+            } catch (error) {
+                continue;
+            }
+            if (fixed.error || !fixed.hasChanges) continue;
+
+            const fix = {
+                description: fixed.changes.map(change => change.message).join('; '),
+                replacements: textReplacements(content, fixed.content)
+            };
+            for (const finding of findings.filter(f => f.ruleId === ruleId)) {
+                finding.fix = fix;
+            }
+        }
+    }
+
+    return details;
+}
+
+function sarifFix(fix, artifactLocation) {
+    return {
+        description: { text: fix.description },
+        artifactChanges: [{
+            artifactLocation,
+            replacements: fix.replacements.map(replacement => ({
+                deletedRegion: { charOffset: replacement.offset, charLength: replacement.length },
+                insertedContent: { text: replacement.text }
+            }))
+        }]
+    };
+}
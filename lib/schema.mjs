@@ -0,0 +1,189 @@
+/**
+ * JSON Schema checking
+ * Minimal draft 2020-12 evaluator for the keywords used by AgentConfig.toJSONSchema()
+ */
+
+import { suggestClosest } from './utils.mjs';
+
+const ARTICLES = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'a boolean',
+    array: 'an array',
+    object: 'an object',
+    null: 'null'
+};
+
+/**
+ * Validate a value against a schema and return a list of issues
+ * Each issue has the dotted field path, the failing keyword and a message.
+ */
+export function validateSchema(schema, value, basePath = '') {
+    const issues = [];
+    checkNode(schema, value, basePath, issues);
+    return issues;
+}
+
+/**
+ * Get the JSON type name of a value
+ */
+export function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * The smallest value a schema accepts
+ * Objects get only their required keys, arrays and strings are empty, numbers sit at their minimum
+ * and enums take their first value. Strings ignore `pattern`, so patterned fields need a value of their own.
+ */
+export function minimalValue(schema = {}) {
+    if (schema.enum) return schema.enum[0];
+    if (schema.anyOf) return minimalValue(schema.anyOf[0]);
+
+    switch (Array.isArray(schema.type) ? schema.type[0] : schema.type) {
+        case 'object':
+            return Object.fromEntries((schema.required || [])
+                .map(key => [key, minimalValue((schema.properties || {})[key])]));
+        case 'array':
+            return [];
+        case 'string':
+            return '';
+        case 'number':
+        case 'integer':
+            return schema.minimum !== undefined ? schema.minimum : 0;
+        case 'boolean':
+            return false;
+        default:
+            return null;
+    }
+}
+
+function matchesType(value, type) {
+    const actual = jsonType(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function describeTypes(types) {
+    return types.map(t => ARTICLES[t] || t).join(' or ');
+}
+
+function label(pathName) {
+    return `'${pathName}'`;
+}
+
+function childPath(parent, key) {
+    return parent ? `${parent}.${key}` : String(key);
+}
+
+function checkNode(schema, value, pathName, issues) {
+    if (!schema || schema === true) return;
+
+    if (schema.anyOf) {
+        checkAnyOf(schema.anyOf, value, pathName, issues);
+        return;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            issues.push({
+                path: pathName,
+                keyword: 'type',
+                message: `${label(pathName)} must be ${describeTypes(types)}`
+            });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        issues.push({
+            path: pathName,
+            keyword: 'enum',
+            message: `Invalid value '${value}' for ${label(pathName)}. Must be one of: ${schema.enum.join(', ')}`
+        });
+        return;
+    }
+
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        issues.push({
+            path: pathName,
+            keyword: 'pattern',
+            message: `${label(pathName)} does not match pattern ${schema.pattern}`
+        });
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        issues.push({
+            path: pathName,
+            keyword: 'minimum',
+            message: `${label(pathName)} must be >= ${schema.minimum}`
+        });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            checkNode(schema.items, item, `${pathName}[${index}]`, issues);
+        });
+    }
+
+    if (jsonType(value) === 'object') {
+        checkObject(schema, value, pathName, issues);
+    }
+}
+
+function checkObject(schema, value, pathName, issues) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+        if (!(key in value)) {
+            issues.push({
+                path: childPath(pathName, key),
+                keyword: 'required',
+                message: pathName
+                    ? `${label(childPath(pathName, key))} is required`
+                    : `Missing required field: ${key}`
+            });
+        }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+        const keyPath = childPath(pathName, key);
+        if (key in properties) {
+            checkNode(properties[key], child, keyPath, issues);
+        } else if (schema.additionalProperties === false) {
+            const suggestion = suggestClosest(key, Object.keys(properties));
+            issues.push({
+                path: keyPath,
+                keyword: 'additionalProperties',
+                message: `Unknown field ${label(keyPath)}` + (suggestion ? ` (did you mean '${suggestion}'?)` : ''),
+                suggestion
+            });
+        } else if (typeof schema.additionalProperties === 'object') {
+            checkNode(schema.additionalProperties, child, keyPath, issues);
+        }
+    }
+}
+
+function checkAnyOf(branches, value, pathName, issues) {
+    const attempts = branches.map(branch => validateSchema(branch, value, pathName));
+    if (attempts.some(branchIssues => branchIssues.length === 0)) return;
+
+    // Report the branch whose declared type fits the value, if there is one
+    const typed = branches.findIndex(branch => branch.type && [].concat(branch.type).some(t => matchesType(value, t)));
+    if (typed !== -1) {
+        issues.push(...attempts[typed]);
+        return;
+    }
+
+    const types = branches.flatMap(branch => [].concat(branch.type || []));
+    issues.push({
+        path: pathName,
+        keyword: 'anyOf',
+        message: `${label(pathName)} must be ${describeTypes(types)}`
+    });
+}
@@ -0,0 +1,183 @@
+/**
+ * Inline Suppressions
+ * Parses `# agent-toolkit-disable` comments in agent frontmatter and tracks which ones are used
+ */
+
+import { suggestClosest } from './utils.mjs';
+
+const DIRECTIVE = /(?:^|\s)#\s*agent-toolkit-(disable-next-line|disable)(?=\s|$)(.*)$/;
+const COMMENT_LINE = /^\s*(#.*)?$/;
+
+/**
+ * Get the 1-based line number of a character offset
+ */
+export function lineAt(content, offset) {
+    return content.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Parse suppression directives from the frontmatter of an agent file
+ * Directives outside the frontmatter block are ignored.
+ */
+export function parseSuppressions(content = '') {
+    const lines = content.split(/\r?\n/);
+    if (lines[0] !== '---') return [];
+
+    const end = lines.indexOf('---', 1);
+    const last = end === -1 ? lines.length : end;
+    const directives = [];
+
+    for (let index = 1; index < last; index++) {
+        const match = DIRECTIVE.exec(lines[index]);
+        if (!match) continue;
+
+        const [ruleList] = match[2].split(/\s--\s?/);
+        const directive = {
+            kind: match[1] === 'disable' ? 'file' : 'next-line',
+            rules: ruleList.split(/[\s,]+/).filter(Boolean),
+            line: index + 1,
+            column: lines[index].indexOf('#') + 1,
+            targetLine: null,
+            used: new Set()
+        };
+
+        if (directive.kind === 'next-line') {
+            // Stacked directives and blank lines are skipped so the comment applies to the next field
+            let target = index + 1;
+            while (target < last && COMMENT_LINE.test(lines[target])) target++;
+            directive.targetLine = target < last ? target + 1 : null;
+        }
+
+        directives.push(directive);
+    }
+
+    return directives;
+}
+
+/**
+ * Suppression directives of one file, with usage tracking for unused-suppression reports
+ */
+export class Suppressions {
+    constructor(directives = []) {
+        this.directives = directives;
+    }
+
+    /**
+     * Create suppressions from file content
+     */
+    static fromContent(content) {
+        return new Suppressions(parseSuppressions(content));
+    }
+
+    /**
+     * Check whether a rule is suppressed at a line, marking the matching directive as used
+     */
+    isSuppressed(ruleId, line) {
+        let suppressed = false;
+
+        for (const directive of this.directives) {
+            if (!directive.rules.includes(ruleId)) continue;
+            if (directive.kind === 'file' || directive.targetLine === line) {
+                directive.used.add(ruleId);
+                suppressed = true;
+            }
+        }
+
+        return suppressed;
+    }
+
+    /**
+     * Split located findings into kept and suppressed ones
+     */
+    apply(findings) {
+        const kept = [];
+        const suppressed = [];
+
+        for (const finding of findings) {
+            if (finding.ruleId && this.isSuppressed(finding.ruleId, finding.line)) {
+                suppressed.push(finding);
+            } else {
+                kept.push(finding);
+            }
+        }
+
+        return { findings: kept, suppressed };
+    }
+
+    /**
+     * Find the first match of a pattern whose line is not suppressed for a rule
+     */
+    firstUnsuppressedMatch(content, pattern, ruleId) {
+        const current = this.locate(content);
+        const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+        for (const match of content.matchAll(new RegExp(pattern.source, flags))) {
+            if (!current.isSuppressed(ruleId, lineAt(content, match.index))) {
+                return match;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Replace pattern matches, leaving matches on suppressed lines untouched
+     * Accepts the same replacement strings as String.prototype.replace. `content` may already
+     * contain earlier fixes that moved lines; directives are located in it again.
+     */
+    replace(content, pattern, replacement, ruleId) {
+        const current = this.locate(content);
+        const single = new RegExp(pattern.source, pattern.flags.replace('g', ''));
+        return content.replace(pattern, (match, ...args) => {
+            const offset = args.find(arg => typeof arg === 'number');
+            if (current.isSuppressed(ruleId, lineAt(content, offset))) return match;
+            return typeof replacement === 'function'
+                ? replacement(match, ...args)
+                : match.replace(single, replacement);
+        });
+    }
+
+    /**
+     * The same directives positioned in edited content, sharing usage with these
+     * Directives are matched in order; one that was added or changed by the edit is tracked separately.
+     */
+    locate(content) {
+        return new Suppressions(parseSuppressions(content).map((directive, index) => {
+            const original = this.directives[index];
+            const same = original && original.kind === directive.kind && original.rules.join() === directive.rules.join();
+            return same ? { ...directive, used: original.used } : directive;
+        }));
+    }
+
+    /**
+     * Report directives that suppressed nothing
+     * Only rules in `scope` (the rules the calling tool evaluates) can be reported as unused;
+     * when `knownRules` is given, unknown rule IDs and empty directives are reported as well.
+     */
+    unusedFindings(scope, knownRules = null) {
+        const findings = [];
+        const report = (directive, message) => findings.push({
+            ruleId: 'unused-suppression',
+            path: '',
+            message,
+            line: directive.line,
+            column: directive.column
+        });
+
+        for (const directive of this.directives) {
+            if (knownRules && directive.rules.length === 0) {
+                report(directive, 'Suppression comment must name at least one rule');
+            }
+
+            for (const ruleId of directive.rules) {
+                if (knownRules && !knownRules.includes(ruleId)) {
+                    const suggestion = suggestClosest(ruleId, knownRules);
+                    report(directive, `Unknown rule '${ruleId}' in suppression comment` +
+                        (suggestion ? ` (did you mean '${suggestion}'?)` : ''));
+                } else if (scope.includes(ruleId) && !directive.used.has(ruleId)) {
+                    report(directive, `Unused suppression for '${ruleId}'`);
+                }
+            }
+        }
+
+        return findings;
+    }
+}
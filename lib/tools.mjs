@@ -0,0 +1,211 @@
+/**
+ * Tool Catalog
+ * Known Claude Code tool names and the `mcp__<server>__<tool>` grammar for MCP tools
+ */
+
+import { suggestClosest } from './utils.mjs';
+
+/**
+ * Built-in Claude Code tools
+ */
+export const KNOWN_TOOLS = [
+    'Bash',
+    'BashOutput',
+    'Edit',
+    'ExitPlanMode',
+    'Glob',
+    'Grep',
+    'KillShell',
+    'LS',
+    'MultiEdit',
+    'NotebookEdit',
+    'NotebookRead',
+    'Read',
+    'SlashCommand',
+    'Task',
+    'TodoRead',
+    'TodoWrite',
+    'WebFetch',
+    'WebSearch',
+    'Write'
+];
+
+/**
+ * MCP tools the toolkit itself refers to; used for did-you-mean suggestions
+ */
+export const KNOWN_MCP_TOOLS = [
+    'mcp__claude-flow__swarm_init',
+    'mcp__claude-flow__agent_spawn',
+    'mcp__claude-flow__task_orchestrate',
+    'mcp__claude-flow__swarm_status',
+    'mcp__claude-flow__memory_usage'
+];
+
+// Server and tool segments may contain single underscores but never the `__` separator
+const SEGMENT = '[A-Za-z0-9-]+(?:_[A-Za-z0-9-]+)*';
+export const MCP_TOOL_PATTERN = new RegExp(`^mcp__(${SEGMENT})__(${SEGMENT}|\\*)$`);
+
+export const TOOL_LISTS = ['allowed', 'restricted', 'conditional'];
+
+/**
+ * Check whether a name is meant to be an MCP tool
+ */
+export function isMcpToolName(name) {
+    return /^mcp_/i.test(name);
+}
+
+/**
+ * Strip a permission specifier such as `Bash(npm test:*)` down to the tool name
+ */
+export function baseToolName(name) {
+    return name.replace(/\(.*\)$/s, '');
+}
+
+/**
+ * Build the catalog of accepted tool names from the built-ins plus project extras
+ */
+export function toolCatalog(extraTools = []) {
+    const extras = extraTools.filter(tool => typeof tool === 'string');
+    return {
+        tools: [...KNOWN_TOOLS, ...extras.filter(tool => !isMcpToolName(tool))],
+        mcpTools: [...KNOWN_MCP_TOOLS, ...extras.filter(isMcpToolName)]
+    };
+}
+
+/**
+ * Suggest a corrected spelling for a malformed MCP tool name
+ * Re-inserts the `__` separator after a known server name, then falls back to a close catalog entry.
+ */
+export function suggestMcpToolName(name, mcpTools = KNOWN_MCP_TOOLS) {
+    const rest = name.replace(/^mcp_+/i, '');
+    const servers = [...new Set(mcpTools.map(tool => tool.split('__')[1]).filter(Boolean))];
+
+    for (const server of servers) {
+        if (!rest.startsWith(`${server}_`)) continue;
+        const repaired = `mcp__${server}__${rest.slice(server.length).replace(/^_+/, '')}`;
+        if (MCP_TOOL_PATTERN.test(repaired)) return repaired;
+    }
+
+    const repaired = `mcp__${rest}`;
+    if (repaired !== name && MCP_TOOL_PATTERN.test(repaired)) return repaired;
+
+    return suggestClosest(name, mcpTools, 2);
+}
+
+/**
+ * List every tool reference of an agent as { list, index, path, name }
+ * Conditional entries are objects with a `tool` field.
+ */
+export function toolReferences(agentData) {
+    const tools = agentData && agentData.tools;
+    if (!tools || typeof tools !== 'object' || Array.isArray(tools)) return [];
+
+    const references = [];
+    for (const list of TOOL_LISTS) {
+        if (!Array.isArray(tools[list])) continue;
+        tools[list].forEach((entry, index) => {
+            if (typeof entry === 'string') {
+                references.push({ list, index, path: `tools.${list}[${index}]`, name: entry });
+            } else if (entry && typeof entry === 'object' && typeof entry.tool === 'string') {
+                references.push({ list, index, path: `tools.${list}[${index}].tool`, name: entry.tool });
+            }
+        });
+    }
+    return references;
+}
+
+/**
+ * Find unknown tools, malformed MCP tool names and tools that are both allowed and restricted
+ * Issues carry a `kind` of `unknown`, `mcp` or `overlap`, and a `suggestion` when one exists.
+ */
+export function findToolIssues(agentData, { extraTools = [] } = {}) {
+    const catalog = toolCatalog(extraTools);
+    const issues = [];
+
+    for (const reference of toolReferences(agentData)) {
+        const name = baseToolName(reference.name);
+
+        if (isMcpToolName(name)) {
+            if (MCP_TOOL_PATTERN.test(name)) continue;
+            const suggestion = suggestMcpToolName(name, catalog.mcpTools);
+            issues.push({
+                path: reference.path,
+                kind: 'mcp',
+                message: `Malformed MCP tool name '${name}'; expected mcp__<server>__<tool>` +
+                    (suggestion ? ` (did you mean '${suggestion}'?)` : ''),
+                ...(suggestion ? { suggestion } : {})
+            });
+        } else if (!catalog.tools.includes(name)) {
+            const suggestion = suggestClosest(name, catalog.tools);
+            issues.push({
+                path: reference.path,
+                kind: 'unknown',
+                message: `Unknown tool '${name}' in 'tools.${reference.list}'` +
+                    (suggestion ? ` (did you mean '${suggestion}'?)` : ''),
+                ...(suggestion ? { suggestion } : {})
+            });
+        }
+    }
+
+    const tools = agentData && agentData.tools;
+    if (tools && Array.isArray(tools.allowed) && Array.isArray(tools.restricted)) {
+        tools.allowed.forEach((tool, index) => {
+            if (typeof tool === 'string' && tools.restricted.includes(tool)) {
+                issues.push({
+                    path: `tools.allowed[${index}]`,
+                    kind: 'overlap',
+                    message: `Tool '${tool}' is both allowed and restricted`
+                });
+            }
+        });
+    }
+
+    return issues;
+}
+
+// Rule that reports each kind of tool issue
+const TOOL_FIX_RULES = {
+    unknown: 'unknown-tool',
+    mcp: 'invalid-mcp-tool-name',
+    overlap: 'tool-allowed-and-restricted'
+};
+
+/**
+ * Apply tool-name suggestions to an agent's tools
+ * Misspelled names are replaced by their suggestion and tools that are also restricted are
+ * dropped from `allowed`. Returns the fixed tools object and descriptions of the changes.
+ * `rules` limits the fixes to some of `unknown-tool`, `invalid-mcp-tool-name` and `tool-allowed-and-restricted`.
+ */
+export function applyToolSuggestions(agentData, { extraTools = [], rules = null } = {}) {
+    const tools = agentData && agentData.tools;
+    if (!tools || typeof tools !== 'object' || Array.isArray(tools)) return { tools, changes: [] };
+
+    const fixed = { ...tools };
+    for (const list of TOOL_LISTS) {
+        if (Array.isArray(tools[list])) fixed[list] = [...tools[list]];
+    }
+
+    const changes = [];
+    const issues = findToolIssues(agentData, { extraTools });
+
+    for (const reference of toolReferences(agentData)) {
+        const issue = issues.find(i => i.path === reference.path && i.suggestion);
+        if (!issue || (rules && !rules.includes(TOOL_FIX_RULES[issue.kind]))) continue;
+
+        const replacement = issue.suggestion + reference.name.slice(baseToolName(reference.name).length);
+        const entry = fixed[reference.list][reference.index];
+        fixed[reference.list][reference.index] = typeof entry === 'string' ? replacement : { ...entry, tool: replacement };
+        changes.push(`Fixed tool name: ${reference.name} → ${replacement}`);
+    }
+
+    const fixOverlap = !rules || rules.includes(TOOL_FIX_RULES.overlap);
+    if (fixOverlap && Array.isArray(fixed.allowed) && Array.isArray(fixed.restricted)) {
+        const overlapping = fixed.allowed.filter(tool => fixed.restricted.includes(tool));
+        if (overlapping.length > 0) {
+            fixed.allowed = fixed.allowed.filter(tool => !fixed.restricted.includes(tool));
+            changes.push(`Removed restricted tools from allowed: ${[...new Set(overlapping)].join(', ')}`);
+        }
+    }
+
+    return { tools: fixed, changes };
+}
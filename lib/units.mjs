@@ -0,0 +1,173 @@
+/**
+ * Resource Units
+ * Parses memory sizes, CPU quotas and durations, and checks related limits for consistency
+ */
+
+const MEMORY_UNITS = {
+    b: 1,
+    k: 1024, kb: 1024, ki: 1024, kib: 1024,
+    m: 1024 ** 2, mb: 1024 ** 2, mi: 1024 ** 2, mib: 1024 ** 2,
+    g: 1024 ** 3, gb: 1024 ** 3, gi: 1024 ** 3, gib: 1024 ** 3,
+    t: 1024 ** 4, tb: 1024 ** 4, ti: 1024 ** 4, tib: 1024 ** 4
+};
+
+const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Unit-bearing fields and the kind of value each one holds
+ */
+export const UNIT_FIELDS = {
+    'resources.memory_limit': 'memory',
+    'resources.cpu_quota': 'cpu',
+    'resources.execution_timeout': 'duration',
+    'execution.batching.timeout': 'duration',
+    'monitoring.health_checks.interval': 'duration',
+    'security.audit.retention': 'duration'
+};
+
+const EXAMPLES = {
+    memory: "a memory size such as '512MB'",
+    cpu: "a CPU quota such as '500m' or '2'",
+    duration: "a duration such as '30s', '5m' or '1h30m'"
+};
+
+/**
+ * Parse a memory size to bytes; plain numbers are bytes
+ * Returns null when the value is malformed.
+ */
+export function parseMemory(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(value.trim());
+    if (!match) return null;
+
+    const unit = match[2].toLowerCase() || 'b';
+    if (!(unit in MEMORY_UNITS)) return null;
+    return Math.round(Number(match[1]) * MEMORY_UNITS[unit]);
+}
+
+/**
+ * Parse a CPU quota to millicores; plain numbers and unsuffixed strings are cores
+ */
+export function parseCpu(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value * 1000) : null;
+    if (typeof value !== 'string') return null;
+
+    const match = /^(\d+(?:\.\d+)?)(m?)$/.exec(value.trim());
+    if (!match) return null;
+    return match[2] ? Number(match[1]) : Math.round(Number(match[1]) * 1000);
+}
+
+/**
+ * Parse a duration to milliseconds; plain numbers are seconds
+ * Compound durations such as `1h30m` are supported.
+ */
+export function parseDuration(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value * 1000 : null;
+    if (typeof value !== 'string' || !/^(?:\d+(?:\.\d+)?(?:ms|s|m|h|d|w))+$/.test(value.trim())) return null;
+
+    let total = 0;
+    for (const [, amount, unit] of value.trim().matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g)) {
+        total += Number(amount) * DURATION_UNITS[unit];
+    }
+    return total;
+}
+
+const PARSERS = { memory: parseMemory, cpu: parseCpu, duration: parseDuration };
+
+/**
+ * Parse a unit value of the given kind (`memory`, `cpu` or `duration`)
+ */
+export function parseUnit(kind, value) {
+    return PARSERS[kind](value);
+}
+
+/**
+ * Find malformed or non-positive values in unit-bearing fields
+ */
+export function findUnitIssues(agentData) {
+    const issues = [];
+
+    for (const [fieldPath, kind] of Object.entries(UNIT_FIELDS)) {
+        const value = valueAt(agentData, fieldPath);
+        // Wrong JSON types are reported by the schema rule
+        if (value === undefined || !['string', 'number'].includes(typeof value)) continue;
+
+        const parsed = parseUnit(kind, value);
+        if (parsed === null) {
+            issues.push({ path: fieldPath, message: `'${fieldPath}' must be ${EXAMPLES[kind]} (got '${value}')` });
+        } else if (parsed <= 0) {
+            issues.push({ path: fieldPath, message: `'${fieldPath}' must be greater than zero (got '${value}')` });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Find related limits that contradict each other
+ */
+export function findLimitIssues(agentData) {
+    const issues = [];
+    const exceeds = (inner, innerValue, outer, outerValue, unit = '') => issues.push({
+        path: inner,
+        message: `'${inner}' (${innerValue}) exceeds '${outer}' (${outerValue}${unit})`
+    });
+
+    const executionTimeout = valueAt(agentData, 'resources.execution_timeout');
+    const maxExecutionTime = valueAt(agentData, 'constraints.max_execution_time');
+    const batchingTimeout = valueAt(agentData, 'execution.batching.timeout');
+    const timeoutMs = parseDuration(executionTimeout);
+
+    if (timeoutMs !== null && typeof maxExecutionTime === 'number' && timeoutMs > maxExecutionTime * 1000) {
+        exceeds('resources.execution_timeout', executionTimeout, 'constraints.max_execution_time', maxExecutionTime, 's');
+    }
+
+    const batchingMs = parseDuration(batchingTimeout);
+    if (batchingMs !== null && timeoutMs !== null && batchingMs > timeoutMs) {
+        exceeds('execution.batching.timeout', batchingTimeout, 'resources.execution_timeout', executionTimeout);
+    }
+
+    // Each concurrency limit must fit inside the next broader one that is set
+    const concurrency = [
+        'execution.parallelization.max_concurrent',
+        'resources.concurrent_operations',
+        'constraints.max_concurrent_operations'
+    ]
+        .map(fieldPath => ({ fieldPath, value: valueAt(agentData, fieldPath) }))
+        .filter(({ value }) => Number.isInteger(value));
+
+    for (let i = 0; i < concurrency.length - 1; i++) {
+        const inner = concurrency[i];
+        const outer = concurrency[i + 1];
+        if (inner.value > outer.value) {
+            exceeds(inner.fieldPath, inner.value, outer.fieldPath, outer.value);
+        }
+    }
+
+    const maxFileSize = valueAt(agentData, 'constraints.max_file_size');
+    const memoryLimit = valueAt(agentData, 'resources.memory_limit');
+    const memoryBytes = parseMemory(memoryLimit);
+    if (Number.isInteger(maxFileSize) && memoryBytes !== null && memoryBytes > 0 && maxFileSize > memoryBytes) {
+        exceeds('constraints.max_file_size', maxFileSize, 'resources.memory_limit', memoryLimit);
+    }
+
+    return issues;
+}
+
+function valueAt(data, fieldPath) {
+    let value = data;
+    for (const key of fieldPath.split('.')) {
+        if (!value || typeof value !== 'object') return undefined;
+        value = value[key];
+    }
+    return value;
+}
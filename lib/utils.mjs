@@ -5,30 +5,17 @@
 import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'js-yaml';
+import { parseFrontmatter } from './frontmatter.mjs';
 
 /**
  * Extract YAML frontmatter and content from a markdown file
  */
 export function extractYamlFrontmatter(content) {
-    if (!content.startsWith('---\n')) {
-        return [{}, content];
-    }
-    
-    try {
-        const endMatch = content.slice(4).indexOf('\n---\n');
-        if (endMatch === -1) {
-            return [{}, content];
-        }
-            
-        const yamlContent = content.slice(4, endMatch + 4);
-        const remainingContent = content.slice(endMatch + 8);
-        
-        const yamlData = yaml.load(yamlContent);
-        return [yamlData || {}, remainingContent];
-        
-    } catch (error) {
+    const { data, body, error } = parseFrontmatter(content);
+    if (error) {
         return [{}, content];
     }
+    return [data, body];
 }
 
 /**
@@ -224,4 +211,109 @@ export function convertToolsToObject(tools) {
         restricted: ['Task'],
         conditional: []
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+export function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    
+    return previous[b.length];
+}
+
+/**
+ * Suggest the closest candidate for a misspelled value, or null if none is close
+ */
+export function suggestClosest(value, candidates, maxDistance = null) {
+    const limit = maxDistance ?? Math.max(2, Math.floor(value.length / 3));
+    let best = null;
+    let bestDistance = Infinity;
+    
+    for (const candidate of candidates) {
+        const distance = editDistance(value.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    
+    return bestDistance <= limit ? best : null;
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping results in input order
+ */
+export async function mapConcurrent(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    
+    const workers = Math.max(1, Math.min(limit || 1, items.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return results;
+}
+
+/**
+ * Find the changed line ranges between two lists of lines
+ * Returns hunks of { beforeStart, beforeEnd, afterStart, afterEnd } (0-based, end exclusive)
+ * from a longest-common-subsequence match, so unchanged lines between changes are kept.
+ */
+export function diffLines(before, after) {
+    const rows = before.length + 1;
+    const cols = after.length + 1;
+    // common[i][j] = length of the LCS of before[i..] and after[j..]
+    const common = Array.from({ length: rows }, () => new Uint32Array(cols));
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            common[i][j] = before[i] === after[j]
+                ? common[i + 1][j + 1] + 1
+                : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+    
+    const hunks = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length || j < after.length) {
+        if (i < before.length && j < after.length && before[i] === after[j]) {
+            i++;
+            j++;
+            continue;
+        }
+        
+        const hunk = { beforeStart: i, beforeEnd: i, afterStart: j, afterEnd: j };
+        while ((i < before.length || j < after.length) && !(i < before.length && j < after.length && before[i] === after[j])) {
+            if (j >= after.length || (i < before.length && common[i + 1][j] >= common[i][j + 1])) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+        hunk.beforeEnd = i;
+        hunk.afterEnd = j;
+        hunks.push(hunk);
+    }
+    
+    return hunks;
+}
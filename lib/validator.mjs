@@ -6,11 +6,22 @@
 import path from 'path';
 import fs from 'fs/promises';
 import { AgentConfig } from './config.mjs';
+import { parseAgentSource, SourceMap } from './frontmatter.mjs';
+import { resolveRules, runRules, runSystemRules, knownRuleIds } from './rules.mjs';
+import { Suppressions } from './suppressions.mjs';
+import { listProjectFiles, matchAllowedPaths } from './path-policy.mjs';
+import { parseBody } from './markdown.mjs';
+import { resolveCache, hashContent, DEFAULT_CONCURRENCY } from './cache.mjs';
+import { loadProjectConfig } from './project-config.mjs';
+import { buildSarifLog } from './sarif.mjs';
+import { CI_FORMATS, formatCIReport } from './ci-reports.mjs';
+import { findDependents } from './references.mjs';
+import { usageError } from './exit-codes.mjs';
 import { 
-    extractYamlFrontmatter, 
     findMarkdownFiles, 
     getRelativePath,
-    safeReadFile 
+    safeReadFile,
+    mapConcurrent
 } from './utils.mjs';
 
 export class AgentValidator {
@@ -26,6 +37,67 @@ export class AgentValidator {
         ];
         this.excludeDirs = options.excludeDirs || ['docs', '_templates'];
         this.verbose = options.verbose || false;
+        this.schema = options.schema || AgentConfig.toJSONSchema();
+        this.ruleSettings = options.rules || {};
+        this.customRules = options.customRules || [];
+        this.projectConfig = options.projectConfig || null;
+        this.projectFiles = options.projectFiles || null;
+        this.cache = resolveCache(options.cache, this.baseDir);
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+        this.fingerprint = null;
+        this.rules = resolveRules(
+            { ...(this.projectConfig ? this.projectConfig.rules : {}), ...this.ruleSettings },
+            this.customRules
+        );
+    }
+
+    /**
+     * Load `.agent-toolkit.yaml` from the base directory and apply its rule settings
+     */
+    async loadProjectConfig() {
+        if (!this.projectConfig) {
+            this.projectConfig = await loadProjectConfig(this.baseDir);
+            this.rules = resolveRules({ ...this.projectConfig.rules, ...this.ruleSettings }, this.customRules);
+        }
+        return this.projectConfig;
+    }
+
+    /**
+     * List the project tree once, for rules that check globs against real paths
+     */
+    async loadProjectFiles() {
+        if (!this.projectFiles) {
+            this.projectFiles = await listProjectFiles(this.baseDir);
+        }
+        return this.projectFiles;
+    }
+
+    /**
+     * Hash the rule settings and schema, which can change the findings of any file
+     * Custom rules contribute their source, so editing one invalidates cached results. The project
+     * tree is checked per entry instead (see `projectFilesDigest`), so unrelated files keep the cache.
+     */
+    cacheFingerprint() {
+        if (!this.fingerprint) {
+            const custom = this.customRules.map(rule => rule.id);
+            this.fingerprint = hashContent(
+                this.rules.map(rule => [
+                    rule.id,
+                    rule.severity,
+                    rule.options,
+                    custom.includes(rule.id) ? String(rule.check) : null
+                ]),
+                this.schema
+            );
+        }
+        return this.fingerprint;
+    }
+
+    /**
+     * Hash the project files an agent's path rules look at, to tell whether its cached findings still hold
+     */
+    projectFilesDigest(agentData) {
+        return hashContent(matchAllowedPaths(agentData, this.projectFiles || []));
     }
 
     /**
@@ -53,11 +125,51 @@ export class AgentValidator {
      * Validate all agents in the directory
      */
     async validateAll() {
+        const agentFiles = await this.listAgentFiles();
+        const entries = await mapConcurrent(agentFiles, this.concurrency, filePath => this.checkFile(filePath));
+        return this.collectResults(entries);
+    }
+
+    /**
+     * Validate changed agent files and the agents that reference them
+     * `changes` are { file, previousContent } as listed by listChangedAgentFiles(). Every agent is
+     * still checked, so cross-agent rules see the whole system, but only changed agents and agents
+     * referencing their old or new name or capabilities are reported.
+     */
+    async validateChanged(changes) {
+        const agentFiles = await this.listAgentFiles();
+        const entries = await mapConcurrent(agentFiles, this.concurrency, filePath => this.checkFile(filePath));
+        const results = this.collectResults(entries);
+        
+        const changedFiles = new Set(changes.map(change => change.file));
+        const changed = entries
+            .filter(entry => changedFiles.has(entry.result.file) && entry.agentData)
+            .map(entry => entry.agentData);
+        for (const { previousFile, previousContent } of changes) {
+            if (previousContent === null) continue;
+            const { data } = parseAgentSource(previousFile, previousContent);
+            if (data) changed.push(data);
+        }
+        
+        const agents = entries
+            .filter(entry => entry.agentData)
+            .map(entry => ({ file: entry.result.file, agentData: entry.agentData }));
+        const selected = new Set([...changedFiles, ...findDependents(agents, changed).map(agent => agent.file)]);
+        
+        return this.summarizeResults(results.details.filter(result => selected.has(result.file)));
+    }
+
+    /**
+     * List the agent files in the directory, without excluded files and directories
+     */
+    async listAgentFiles() {
+        await this.loadProjectConfig();
+        
         // Check if directory exists
         try {
             await fs.stat(this.agentsDir);
         } catch (error) {
-            throw new Error('No agents found');
+            throw usageError('No agents found');
         }
         
         const mdFiles = await findMarkdownFiles(this.agentsDir);
@@ -65,11 +177,11 @@ export class AgentValidator {
         const allFiles = [...mdFiles, ...jsonFiles];
         
         if (allFiles.length === 0) {
-            throw new Error('No agents found');
+            throw usageError('No agents found');
         }
         
         // Filter out excluded files and directories
-        const agentFiles = allFiles.filter(f => {
+        return allFiles.filter(f => {
             const fileName = path.basename(f);
             const relativePath = getRelativePath(f, this.agentsDir);
             
@@ -87,173 +199,264 @@ export class AgentValidator {
             
             return true;
         });
+    }
 
+    /**
+     * Combine checkFile() entries into directory results, running the cross-agent checks
+     * The entries are not modified, so watch mode can keep them and re-check only changed files.
+     */
+    collectResults(checked) {
+        const entries = checked.map(entry => ({ ...entry }));
+        
+        // Cross-agent references can only be resolved once every agent is loaded
+        this.checkSystem(entries);
+        
+        return this.summarizeResults(entries.map(entry => entry.result));
+    }
+
+    /**
+     * Count file results by status
+     */
+    summarizeResults(details) {
         const results = {
-            total: agentFiles.length,
+            total: details.length,
             valid: 0,
             warnings: 0,
             errors: 0,
-            details: []
+            details
         };
-
-        for (const filePath of agentFiles) {
-            const result = await this.validateFile(filePath);
-            results.details.push(result);
-            
+        
+        for (const result of details) {
             if (result.status === 'valid') results.valid++;
             else if (result.status === 'warning') results.warnings++;
             else results.errors++;
         }
 
-        results.typeStats = this.calculateTypeStats(results.details);
+        results.typeStats = this.calculateTypeStats(details);
         
         return results;
     }
 
+    /**
+     * Hide the findings a baseline covers
+     * Statuses and counts are recomputed from the remaining findings; `baselined` counts the hidden ones.
+     */
+    applyBaseline(results, baseline) {
+        const { kept, baselined } = baseline.match(results.details);
+        const details = results.details.map((result, index) => ({
+            ...this.buildResult(result.file, { name: result.agent_name, type: result.agent_type }, kept[index]),
+            suppressed: result.suppressed,
+            baselined: result.findings.length - kept[index].length
+        }));
+        
+        return { ...this.summarizeResults(details), baselined };
+    }
+
     /**
      * Validate a single agent file
      */
     async validateFile(filePath) {
+        const { result } = await this.checkFile(filePath);
+        return result;
+    }
+
+    /**
+     * Run per-file rules and keep the parsed source for the system pass
+     * With a cache, unchanged files reuse their stored result and are not parsed again.
+     */
+    async checkFile(filePath) {
+        await this.loadProjectConfig();
+        await this.loadProjectFiles();
+        
+        let content;
+        try {
+            content = await safeReadFile(filePath);
+        } catch (error) {
+            return {
+                result: this.buildResult(filePath, {}, [this.parseFinding(`Failed to process file: ${error.message}`)]),
+                agentData: null,
+                content: '',
+                sourceMap: null
+            };
+        }
+        
+        if (!this.cache) {
+            return this.lintFile(filePath, content);
+        }
+        
+        const key = this.cache.key(this.cacheFingerprint(), path.relative(this.baseDir, filePath), content);
+        const cached = await this.cache.get('validate', key,
+            value => value.projectFiles === this.projectFilesDigest(value.agentData));
+        if (cached) {
+            const result = { ...cached.result, file: filePath, relativePath: getRelativePath(filePath, this.agentsDir) };
+            return { result, agentData: cached.agentData, content, sourceMap: null };
+        }
+        
+        const entry = this.lintFile(filePath, content);
+        await this.cache.set('validate', key, {
+            result: entry.result,
+            agentData: entry.agentData,
+            projectFiles: this.projectFilesDigest(entry.agentData)
+        });
+        return entry;
+    }
+
+    /**
+     * Parse file content and run the per-file rules
+     */
+    lintFile(filePath, content) {
+        const entry = { result: null, agentData: null, content, sourceMap: null };
+        
         try {
-            let agentData;
-            const content = await safeReadFile(filePath);
+            const parsed = parseAgentSource(filePath, content);
+            
+            if (parsed.error) {
+                entry.result = this.buildResult(filePath, {}, [this.parseFinding(parsed.error.message, parsed.error)]);
+                return entry;
+            }
             
+            const agentData = parsed.data;
             if (filePath.endsWith('.json')) {
-                // Handle JSON files
-                try {
-                    agentData = JSON.parse(content);
-                } catch (error) {
-                    return {
-                        file: filePath,
-                        relativePath: getRelativePath(filePath, this.agentsDir),
-                        status: 'error',
-                        errors: [`Failed to parse JSON: ${error.message}`],
-                        warnings: [],
-                        agent_name: 'unknown',
-                        agent_type: 'unknown'
-                    };
-                }
-            } else {
-                // Handle Markdown files
-                const [yamlData, remainingContent] = extractYamlFrontmatter(content);
-                agentData = yamlData;
-                
-                if (Object.keys(agentData).length === 0) {
-                    return {
-                        file: filePath,
-                        relativePath: getRelativePath(filePath, this.agentsDir),
-                        status: 'error',
-                        errors: ['No YAML frontmatter found'],
-                        warnings: [],
-                        agent_name: 'unknown',
-                        agent_type: 'unknown'
-                    };
+                if (!agentData || typeof agentData !== 'object' || Array.isArray(agentData)) {
+                    entry.result = this.buildResult(filePath, {}, [this.parseFinding('Agent JSON must be an object')]);
+                    return entry;
                 }
+            } else if (Object.keys(agentData).length === 0) {
+                entry.result = this.buildResult(filePath, {}, [this.parseFinding('No YAML frontmatter found')]);
+                return entry;
             }
             
-            // Validate configuration
-            const configErrors = this.validateConfig(agentData);
-            const directoryErrors = this.validateDirectory(filePath, agentData);
+            const { findings, suppressed } = this.lintAgent(agentData, {
+                filePath,
+                content,
+                sourceMap: parsed.sourceMap,
+                body: filePath.endsWith('.json') ? null : parsed.body,
+                bodyLine: parsed.bodyLine
+            });
             
-            const allErrors = [...configErrors, ...directoryErrors];
-            const warnings = this.checkWarnings(agentData);
-            
-            const status = allErrors.length > 0 ? 'error' : (warnings.length > 0 ? 'warning' : 'valid');
-            
-            return {
-                file: filePath,
-                relativePath: getRelativePath(filePath, this.agentsDir),
-                status,
-                errors: allErrors,
-                warnings,
-                agent_name: agentData.name || 'unknown',
-                agent_type: agentData.type || 'unknown'
-            };
+            entry.result = { ...this.buildResult(filePath, agentData, findings), suppressed: suppressed.length };
+            Object.assign(entry, { agentData, sourceMap: parsed.sourceMap });
             
         } catch (error) {
-            return {
-                file: filePath,
-                relativePath: getRelativePath(filePath, this.agentsDir),
-                status: 'error',
-                errors: [`Failed to process file: ${error.message}`],
-                warnings: [],
-                agent_name: 'unknown',
-                agent_type: 'unknown'
-            };
+            entry.result = this.buildResult(filePath, {}, [this.parseFinding(`Failed to process file: ${error.message}`)]);
         }
+        
+        return entry;
     }
 
     /**
-     * Validate agent configuration
+     * Run system-scope rules (cross-agent references) and merge their findings into each entry
      */
-    validateConfig(agentData) {
-        const errors = [];
+    checkSystem(entries) {
+        const loaded = entries.filter(entry => entry.agentData);
+        const agents = loaded
+            .filter(entry => typeof entry.agentData.name === 'string')
+            .map(entry => ({ file: entry.result.file, name: entry.agentData.name, agentData: entry.agentData }));
+        const findings = runSystemRules(this.rules, agents);
         
-        // Check required fields
-        for (const field of AgentConfig.REQUIRED_FIELDS) {
-            if (!(field in agentData)) {
-                errors.push(`Missing required field: ${field}`);
-            }
-        }
-        
-        // Validate specific fields
-        if ('name' in agentData) {
-            const name = agentData.name;
-            if (typeof name !== 'string' || !name) {
-                errors.push("'name' must be a non-empty string");
-            } else if (!/^[a-z][a-z0-9-]*$/.test(name)) {
-                errors.push("'name' must be kebab-case (lowercase, hyphens only)");
-            }
-        }
-        
-        if ('type' in agentData) {
-            const agentType = agentData.type;
-            if (!AgentConfig.VALID_TYPES.includes(agentType)) {
-                errors.push(`Invalid type '${agentType}'. Must be one of: ${AgentConfig.VALID_TYPES.join(', ')}`);
-            }
-        }
+        const scope = this.rules.filter(rule => rule.scope === 'system').map(rule => rule.id);
+        const unusedRule = this.rules.find(rule => rule.id === 'unused-suppression');
         
-        if ('priority' in agentData) {
-            const priority = agentData.priority;
-            if (!AgentConfig.VALID_PRIORITIES.includes(priority)) {
-                errors.push(`Invalid priority '${priority}'. Must be one of: ${AgentConfig.VALID_PRIORITIES.join(', ')}`);
+        for (const entry of loaded) {
+            const { file } = entry.result;
+            const suppressions = Suppressions.fromContent(entry.content);
+            const own = findings.filter(finding => finding.file === file);
+            // Cached entries are only parsed again when a finding has to be located
+            if (own.length > 0 && !entry.sourceMap) {
+                entry.sourceMap = parseAgentSource(file, entry.content).sourceMap;
             }
-        }
-        
-        if ('color' in agentData) {
-            const color = agentData.color;
-            if (typeof color !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(color)) {
-                errors.push("'color' must be a valid hex color (e.g., '#FF6B35')");
+            const located = own
+                .map(({ file: _file, ...finding }) => ({ ...finding, ...entry.sourceMap.locate(finding.path) }));
+            const { findings: kept, suppressed } = suppressions.apply(located);
+            
+            if (unusedRule.severity !== 'off') {
+                for (const finding of suppressions.unusedFindings(scope)) {
+                    kept.push({ ...finding, severity: unusedRule.severity });
+                }
             }
+            
+            if (kept.length === 0 && suppressed.length === 0) continue;
+            
+            entry.result = {
+                ...this.buildResult(file, entry.agentData, [...entry.result.findings, ...kept]),
+                suppressed: entry.result.suppressed + suppressed.length
+            };
         }
+    }
+
+    /**
+     * Build a finding for a file that could not be read or parsed
+     */
+    parseFinding(message, position = { line: 1, column: 1 }) {
+        const rule = this.rules.find(r => r.id === 'parse-error');
+        return {
+            ruleId: 'parse-error',
+            severity: rule ? rule.severity : 'error',
+            path: '',
+            message,
+            line: position.line,
+            column: position.column
+        };
+    }
+
+    /**
+     * Build a file result from located findings
+     */
+    buildResult(filePath, agentData, findings) {
+        const active = findings.filter(f => f.severity !== 'off');
+        const errors = active.filter(f => f.severity === 'error').map(f => f.message);
+        const warnings = active.filter(f => f.severity === 'warning').map(f => f.message);
+        const status = errors.length > 0 ? 'error' : (warnings.length > 0 ? 'warning' : 'valid');
         
-        if ('version' in agentData) {
-            const version = agentData.version;
-            if (typeof version !== 'string' || !/^\d+\.\d+\.\d+$/.test(version)) {
-                errors.push("'version' must follow semantic versioning (e.g., '1.0.0')");
-            }
-        }
+        return {
+            file: filePath,
+            relativePath: getRelativePath(filePath, this.agentsDir),
+            status,
+            errors,
+            warnings,
+            findings: active,
+            agent_name: agentData.name || 'unknown',
+            agent_type: agentData.type || 'unknown'
+        };
+    }
+
+    /**
+     * Run all active rules against an agent configuration
+     */
+    collectFindings(agentData, filePath = null, projectFiles = this.projectFiles, body = null) {
+        return runRules(this.rules, { agentData, filePath, agentsDir: this.agentsDir, schema: this.schema, projectFiles, body });
+    }
+
+    /**
+     * Run per-file rules against parsed agent data, locating findings and applying inline suppressions
+     * Unused suppressions are only reported when the file path is known, since every per-file rule can run then.
+     * `body` is the markdown below the frontmatter and `bodyLine` its first line; body rules are skipped without it.
+     */
+    lintAgent(agentData, { filePath = null, content = '', sourceMap = new SourceMap(), projectFiles = this.projectFiles, body = null, bodyLine = 1 } = {}) {
+        const suppressions = Suppressions.fromContent(content);
+        const parsedBody = body === null ? null : parseBody(body, bodyLine);
+        const located = this.collectFindings(agentData, filePath, projectFiles, parsedBody)
+            .map(finding => ('line' in finding ? finding : { ...finding, ...sourceMap.locate(finding.path) }));
+        const { findings, suppressed } = suppressions.apply(located);
         
-        // Validate tools structure
-        if ('tools' in agentData) {
-            const tools = agentData.tools;
-            if (Array.isArray(tools)) {
-                errors.push("'tools' must be an object with 'allowed', 'restricted', and 'conditional' properties, not an array");
-            } else if (typeof tools !== 'object') {
-                errors.push("'tools' must be an object");
-            } else {
-                const requiredToolFields = ['allowed', 'restricted'];
-                for (const field of requiredToolFields) {
-                    if (!(field in tools)) {
-                        errors.push(`'tools.${field}' is required`);
-                    } else if (!Array.isArray(tools[field])) {
-                        errors.push(`'tools.${field}' must be an array`);
-                    }
-                }
+        const unusedRule = this.rules.find(rule => rule.id === 'unused-suppression');
+        if (filePath && unusedRule.severity !== 'off') {
+            const scope = this.rules.filter(rule => rule.scope !== 'system').map(rule => rule.id);
+            for (const finding of suppressions.unusedFindings(scope, knownRuleIds(this.customRules))) {
+                findings.push({ ...finding, severity: unusedRule.severity });
             }
         }
         
-        return errors;
+        return { findings, suppressed };
+    }
+
+    /**
+     * Validate agent configuration
+     */
+    validateConfig(agentData) {
+        return this.collectFindings(agentData)
+            .filter(finding => finding.severity === 'error')
+            .map(finding => finding.message);
     }
 
     /**
@@ -276,22 +479,9 @@ export class AgentValidator {
      * Check for warnings
      */
     checkWarnings(agentData) {
-        const warnings = [];
-        
-        if ('capabilities' in agentData && (!agentData.capabilities || agentData.capabilities.length === 0)) {
-            warnings.push("No capabilities defined");
-        }
-        
-        if ('triggers' in agentData) {
-            const triggers = agentData.triggers;
-            const hasAnyTriggers = ['keywords', 'patterns', 'file_patterns', 'context_patterns']
-                .some(key => triggers[key] && triggers[key].length > 0);
-            if (!hasAnyTriggers) {
-                warnings.push("No trigger patterns defined");
-            }
-        }
-        
-        return warnings;
+        return this.collectFindings(agentData)
+            .filter(finding => finding.severity === 'warning')
+            .map(finding => finding.message);
     }
 
     /**
@@ -324,18 +514,35 @@ export class AgentValidator {
                 warnings: results.warnings,
                 errors: results.errors,
                 total: results.total,
+                baselined: results.baselined,
                 results: results.details,
                 typeStats: results.typeStats
             }, null, 2);
         }
         
+        if (format === 'sarif') {
+            return JSON.stringify(buildSarifLog({
+                rules: this.rules,
+                files: results.details.map(result => ({ file: result.file, findings: result.findings || [] })),
+                baseDir: this.baseDir
+            }), null, 2);
+        }
+        
+        if (CI_FORMATS.includes(format)) {
+            return formatCIReport(results, format, { baseDir: this.baseDir });
+        }
+        
         let report = `Agent Validation Report\n`;
         report += `=======================\n\n`;
         report += `Total Agents: ${results.total}\n`;
         const validPercent = results.total > 0 ? Math.round(results.valid / results.total * 100) : 0;
         report += `✓ Valid: ${results.valid} (${validPercent}%)\n`;
         report += `⚠ Warnings: ${results.warnings}\n`;
-        report += `✗ Errors: ${results.errors}\n\n`;
+        report += `✗ Errors: ${results.errors}\n`;
+        if (results.baselined) {
+            report += `Baselined: ${results.baselined} known finding${results.baselined === 1 ? '' : 's'} not shown\n`;
+        }
+        report += '\n';
         
         // Show valid agents
         if (results.valid > 0) {
@@ -360,9 +567,7 @@ export class AgentValidator {
             for (const result of results.details) {
                 if (result.status === 'error') {
                     report += `\n${result.relativePath}:\n`;
-                    for (const error of result.errors) {
-                        report += `  • ${error}\n`;
-                    }
+                    report += this.formatFindings(result, 'error');
                 }
             }
         }
@@ -373,13 +578,21 @@ export class AgentValidator {
             for (const result of results.details) {
                 if (result.status === 'warning') {
                     report += `\n${result.relativePath}:\n`;
-                    for (const warning of result.warnings) {
-                        report += `  • ${warning}\n`;
-                    }
+                    report += this.formatFindings(result, 'warning');
                 }
             }
         }
         
+        const withInfo = results.details.filter(r => (r.findings || []).some(f => f.severity === 'info'));
+        if (withInfo.length > 0) {
+            report += `\nInfo:\n`;
+            report += `-----\n`;
+            for (const result of withInfo) {
+                report += `\n${result.relativePath}:\n`;
+                report += this.formatFindings(result, 'info');
+            }
+        }
+        
         report += `\nStatistics by Type:\n`;
         report += `------------------\n`;
         for (const [type, stats] of Object.entries(results.typeStats).sort()) {
@@ -389,4 +602,22 @@ export class AgentValidator {
         
         return report;
     }
-}
\ No newline at end of file
+
+    /**
+     * Format a result's findings of one severity as report lines
+     */
+    formatFindings(result, severity) {
+        // Results built outside validateFile may only carry plain messages
+        const findings = result.findings
+            ? result.findings.filter(f => f.severity === severity)
+            : ((severity === 'error' ? result.errors : result.warnings) || []).map(message => ({ message }));
+        
+        return findings
+            .map(f => {
+                const location = f.line ? `${f.line}:${f.column} ` : '';
+                const rule = f.ruleId ? ` [${f.ruleId}]` : '';
+                return `  • ${location}${f.message}${rule}\n`;
+            })
+            .join('');
+    }
+}
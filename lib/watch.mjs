@@ -0,0 +1,217 @@
+/**
+ * Watch Mode
+ * Re-checks only the agent files that changed, recomputes the cross-agent results from the
+ * files kept in memory and reports which issues appeared or went away
+ */
+
+import { watch, readdirSync, statSync, existsSync } from 'fs';
+import path from 'path';
+import { mapConcurrent } from './utils.mjs';
+import { DEFAULT_CONCURRENCY } from './cache.mjs';
+
+export const WATCH_DEBOUNCE = 100;
+
+/**
+ * Keeps per-file check results between runs
+ * `list()` returns the current agent files, `check(file)` checks one file and
+ * `combine(files, entries)` builds the full result, including cross-agent checks.
+ */
+export class IncrementalRun {
+    constructor(options = {}) {
+        this.list = options.list;
+        this.check = options.check;
+        this.combine = options.combine;
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+        this.entries = new Map();
+    }
+
+    /**
+     * Check new files and the `changed` ones (every file when `changed` is null), then combine
+     * Returns { result, checked } where `checked` lists the files that were checked again.
+     */
+    async run(changed = null) {
+        const files = await this.list();
+        const stale = changed ? new Set(changed.map(file => path.resolve(file))) : null;
+
+        for (const file of this.entries.keys()) {
+            if (!files.includes(file)) this.entries.delete(file);
+        }
+
+        const checked = files.filter(file => !stale || stale.has(file) || !this.entries.has(file));
+        const entries = await mapConcurrent(checked, this.concurrency, file => this.check(file));
+        checked.forEach((file, index) => this.entries.set(file, entries[index]));
+
+        const result = await this.combine(files, files.map(file => this.entries.get(file)));
+        return { result, checked };
+    }
+}
+
+/**
+ * Watch a directory tree and call `onChange(files)` with the changed paths
+ * Every directory gets its own watcher, since recursive watching misses files that editors
+ * replace on save on some platforms. Events are debounced and runs never overlap. `files` is
+ * null when the platform did not report a file name, meaning everything should be checked again.
+ */
+export class DirectoryWatcher {
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.onChange = options.onChange;
+        this.onError = options.onError || (() => {});
+        this.debounce = options.debounce ?? WATCH_DEBOUNCE;
+        this.pending = new Set();
+        this.unknown = false;
+        this.timer = null;
+        this.running = Promise.resolve();
+        this.watchers = new Map();
+    }
+
+    start() {
+        this.watchTree(this.dir);
+        return this;
+    }
+
+    /**
+     * Watch a directory and its subdirectories that are not watched yet
+     */
+    watchTree(dir) {
+        if (this.watchers.has(dir)) return;
+
+        const watcher = watch(dir, (event, filename) => {
+            this.queue(filename ? path.join(dir, filename.toString()) : null);
+        });
+        watcher.on('error', () => this.unwatch(dir));
+        this.watchers.set(dir, watcher);
+
+        for (const entry of readdirSync(dir, { withFileTypes: true })) {
+            if (entry.isDirectory()) this.watchTree(path.join(dir, entry.name));
+        }
+    }
+
+    unwatch(dir) {
+        const watcher = this.watchers.get(dir);
+        if (watcher) watcher.close();
+        this.watchers.delete(dir);
+    }
+
+    /**
+     * Record a changed path and schedule a run
+     */
+    queue(filePath) {
+        if (filePath) {
+            this.pending.add(path.resolve(this.dir, filePath));
+        } else {
+            this.unknown = true;
+        }
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.debounce);
+    }
+
+    /**
+     * Run `onChange` for everything queued so far, after any run in progress
+     */
+    flush() {
+        const files = this.unknown ? null : [...this.pending];
+        this.pending.clear();
+        this.unknown = false;
+        this.running = this.running
+            .then(() => {
+                this.refresh(files);
+                return this.onChange(files);
+            })
+            .catch(error => this.onError(error));
+        return this.running;
+    }
+
+    /**
+     * Start watching new directories and stop watching removed ones
+     */
+    refresh(files) {
+        for (const dir of this.watchers.keys()) {
+            if (!existsSync(dir)) this.unwatch(dir);
+        }
+        for (const file of files || [this.dir]) {
+            try {
+                if (statSync(file).isDirectory()) this.watchTree(file);
+            } catch (error) {
+                // Removed before the run started
+            }
+        }
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        for (const dir of [...this.watchers.keys()]) this.unwatch(dir);
+    }
+}
+
+/**
+ * Flatten validation results into comparable issues
+ * Issues are keyed without their line, so edits that only move a finding do not show up in the diff.
+ */
+export function validationIssues(results) {
+    return results.details.flatMap(result => (result.findings || []).map(finding => ({
+        key: [result.relativePath, finding.ruleId, finding.path, finding.message].join('\0'),
+        severity: finding.severity,
+        location: finding.line ? `${result.relativePath}:${finding.line}:${finding.column}` : result.relativePath,
+        message: finding.ruleId ? `${finding.message} [${finding.ruleId}]` : finding.message
+    })));
+}
+
+/**
+ * Flatten an analysis into comparable issues: system issues plus each agent's errors
+ */
+export function analysisIssues(analysis) {
+    const issues = analysis.issues.map(issue => ({
+        key: [issue.type, issue.ruleId, issue.message].join('\0'),
+        severity: issue.type,
+        location: '',
+        message: issue.ruleId ? `${issue.message} [${issue.ruleId}]` : issue.message
+    }));
+
+    for (const agent of analysis.agents) {
+        for (const error of agent.errors || []) {
+            issues.push({ key: [agent.path, error].join('\0'), severity: 'error', location: agent.name, message: error });
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Compare two issue lists; an issue reported twice must also disappear twice
+ */
+export function diffIssues(previous, current) {
+    const remaining = new Map();
+    for (const issue of previous) {
+        if (!remaining.has(issue.key)) remaining.set(issue.key, []);
+        remaining.get(issue.key).push(issue);
+    }
+
+    const added = [];
+    for (const issue of current) {
+        const matches = remaining.get(issue.key);
+        if (matches && matches.length > 0) {
+            matches.shift();
+        } else {
+            added.push(issue);
+        }
+    }
+
+    return { added, removed: [...remaining.values()].flat() };
+}
+
+/**
+ * Format an issue diff as `+`/`-` lines
+ */
+export function formatIssueDiff({ added, removed }) {
+    if (added.length === 0 && removed.length === 0) {
+        return 'No issues appeared or went away';
+    }
+
+    const line = (sign, issue) => {
+        const location = issue.location ? `${issue.location} ` : '';
+        return `${sign} ${issue.severity}: ${location}${issue.message}`;
+    };
+
+    return [...added.map(issue => line('+', issue)), ...removed.map(issue => line('-', issue))].join('\n');
+}
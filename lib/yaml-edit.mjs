@@ -0,0 +1,274 @@
+/**
+ * Minimal YAML edits
+ * Rewrites YAML source to hold new data by replacing only the nodes whose values changed,
+ * so comments, key order, anchors and scalar styles elsewhere in the document survive
+ */
+
+import { parseDocument, Document, isMap, isSeq, isScalar, isPair } from 'yaml';
+import { isDeepStrictEqual } from 'util';
+import { locateFrontmatter } from './frontmatter.mjs';
+import { serializeToFrontmatter, diffLines } from './utils.mjs';
+
+// Single quotes match the frontmatter written by serializeToFrontmatter
+const STRINGIFY_OPTIONS = { lineWidth: 0, singleQuote: true, flowCollectionPadding: false };
+
+/**
+ * Rewrite the frontmatter of markdown content to hold `data`
+ * Only the changed lines of the frontmatter are touched and the body is kept as is. Content
+ * without frontmatter, or with frontmatter that does not parse, is serialized from scratch.
+ */
+export function updateFrontmatter(content, data) {
+    const location = locateFrontmatter(content);
+    if (!location || location.unterminated) {
+        return serializeToFrontmatter(data, content);
+    }
+
+    const source = content.slice(location.start, location.end);
+    const doc = parseDocument(source, { uniqueKeys: true });
+    if (doc.errors.length > 0) {
+        return serializeToFrontmatter(data, content);
+    }
+
+    return content.slice(0, location.start) + editDocument(doc, source, data) + content.slice(location.end);
+}
+
+/**
+ * Rewrite YAML source to hold `data`, changing only the nodes whose values differ
+ */
+export function editYaml(source, data) {
+    const doc = parseDocument(source, { uniqueKeys: true });
+    if (doc.errors.length > 0) {
+        throw new Error(`Cannot edit YAML with syntax errors: ${doc.errors[0].message}`);
+    }
+    return editDocument(doc, source, data);
+}
+
+function editDocument(doc, source, data) {
+    const target = JSON.parse(JSON.stringify(data));
+    const editor = { doc, source, edits: [] };
+
+    if (!doc.contents || (isScalar(doc.contents) && doc.contents.value === null)) {
+        // Nothing to keep but comments; add the data after them
+        const separator = source === '' || source.endsWith('\n') ? '' : '\n';
+        return `${source}${separator}${stringify(target)}\n`;
+    }
+
+    editNode(editor, doc.contents, target, { childColumn: 0 });
+
+    const edited = applyEdits(source, editor.edits);
+    // Every edit is checked: anything the splicing got wrong falls back to a full rewrite
+    const check = parseDocument(edited);
+    if (check.errors.length > 0 || !isDeepStrictEqual(check.toJS(), target)) {
+        return `${stringify(target)}\n`;
+    }
+    return edited;
+}
+
+/**
+ * Record the edits that turn `node` into `value`
+ * `place` describes where the node sits: `childColumn` is the indentation of nested block lines,
+ * and `colon` is set for map values so block collections can start on the next line.
+ */
+function editNode(editor, node, value, place) {
+    if (node && isDeepStrictEqual(node.toJS(editor.doc), value)) return;
+
+    if (isMap(node) && !node.flow && isObject(value) && Object.keys(value).length > 0) {
+        editMap(editor, node, value, place);
+    } else if (isSeq(node) && !node.flow && Array.isArray(value) && value.length > 0) {
+        editSeq(editor, node, value, place);
+    } else {
+        replaceNode(editor, node, value, place);
+    }
+}
+
+function editMap(editor, node, value, place) {
+    const { source } = editor;
+    const keyOf = pair => (isScalar(pair.key) ? String(pair.key.value) : null);
+    const pairs = node.items.filter(isPair);
+    if (pairs.some(pair => keyOf(pair) === null)) {
+        return replaceNode(editor, node, value, place);
+    }
+
+    const column = columnOf(source, pairs[0].key.range[0]);
+    const compact = !onOwnLine(source, pairs[0].key.range[0]);
+    const byKey = new Map(pairs.map(pair => [keyOf(pair), pair]));
+    const keys = Object.keys(value);
+
+    if (compact && !Object.hasOwn(value, keyOf(pairs[0]))) {
+        // The first key shares its line with a `- ` marker and cannot be removed on its own
+        return replaceNode(editor, node, value, place);
+    }
+
+    for (const pair of pairs) {
+        const key = keyOf(pair);
+        if (!Object.hasOwn(value, key)) {
+            const end = pair.value ? pair.value.range[1] : pair.key.range[1];
+            editor.edits.push({ start: lineStart(source, pair.key.range[0]), end: lineEnd(source, end), text: '' });
+        } else {
+            const colon = source.indexOf(':', pair.key.range[1]) + 1;
+            editNode(editor, pair.value, value[key], { childColumn: column + 2, colon });
+        }
+    }
+
+    // New keys go after the closest preceding key that already exists, keeping their order
+    let anchor = null;
+    let pending = [];
+    const flush = () => {
+        if (pending.length === 0) return;
+        const text = pending.map(key => indent(stringify({ [key]: value[key] }), column, true)).join('\n') + '\n';
+        if (anchor) {
+            const end = lineEnd(source, anchor.value ? anchor.value.range[1] : anchor.key.range[1]);
+            editor.edits.push({ start: end, end, text: prefixNewline(source, end, text) });
+        } else {
+            const start = compact ? pairs[0].key.range[0] : lineStart(source, pairs[0].key.range[0]);
+            editor.edits.push({ start, end: start, text: compact ? `${text.trimStart()}${' '.repeat(column)}` : text });
+        }
+        pending = [];
+    };
+    for (const key of keys) {
+        if (byKey.has(key)) {
+            flush();
+            anchor = byKey.get(key);
+        } else {
+            pending.push(key);
+        }
+    }
+    flush();
+}
+
+function editSeq(editor, node, value, place) {
+    const { source } = editor;
+    const items = node.items;
+    const before = items.map(item => JSON.stringify(item.toJS(editor.doc)));
+    const after = value.map(item => JSON.stringify(item));
+    const marker = index => source.slice(lineStart(source, items[index].range[0]), items[index].range[0]);
+    if (items.some((item, index) => !/^\s*-\s+$/.test(marker(index)))) {
+        return replaceNode(editor, node, value, place);
+    }
+
+    for (const hunk of diffLines(before, after)) {
+        const paired = Math.min(hunk.beforeEnd - hunk.beforeStart, hunk.afterEnd - hunk.afterStart);
+        for (let offset = 0; offset < paired; offset++) {
+            const item = items[hunk.beforeStart + offset];
+            const column = columnOf(source, item.range[0]);
+            editNode(editor, item, value[hunk.afterStart + offset], { childColumn: column });
+        }
+
+        for (let index = hunk.beforeStart + paired; index < hunk.beforeEnd; index++) {
+            const item = items[index];
+            editor.edits.push({ start: lineStart(source, item.range[0]), end: lineEnd(source, item.range[1]), text: '' });
+        }
+
+        const added = value.slice(hunk.afterStart + paired, hunk.afterEnd);
+        if (added.length > 0) {
+            const at = hunk.beforeStart + paired;
+            const prefix = marker(Math.min(at, items.length - 1));
+            const text = added.map(item => prefix + indent(stringify(item), prefix.length)).join('\n') + '\n';
+            const start = at < items.length
+                ? lineStart(source, items[at].range[0])
+                : lineEnd(source, items[items.length - 1].range[1]);
+            editor.edits.push({ start, end: start, text: prefixNewline(source, start, text) });
+        }
+    }
+}
+
+/**
+ * Replace a whole node with freshly serialized YAML, keeping the scalar style and anchor it had
+ */
+function replaceNode(editor, node, value, place) {
+    const { source } = editor;
+    const anchor = node && node.anchor ? `&${node.anchor} ` : '';
+    const empty = !node || node.range[0] === node.range[1];
+    const sameShape = (isSeq(node) && Array.isArray(value)) || (isMap(node) && isObject(value));
+    // Flow collections stay on one line unless they were empty or change shape
+    const block = (isObject(value) || Array.isArray(value)) && Object.keys(value).length > 0
+        && !(sameShape && node.flow && node.items.length > 0);
+
+    let text;
+    if (isScalar(node) && !isObject(value) && !Array.isArray(value)) {
+        text = indent(stringify(value, { type: empty ? undefined : node.type }), place.childColumn);
+    } else if (block && place.colon) {
+        text = `\n${' '.repeat(place.childColumn)}${indent(stringify(value), place.childColumn)}`;
+    } else {
+        text = indent(stringify(value, { flow: !block }), place.childColumn);
+    }
+
+    if (!node || empty) {
+        // `key:` without a value
+        const at = !node || (text.startsWith('\n') && place.colon) ? place.colon : node.range[0];
+        const spaced = text.startsWith('\n') ? text : ` ${anchor}${text}`;
+        editor.edits.push({ start: at, end: at, text: spaced });
+        return;
+    }
+
+    let start = node.range[0];
+    if (text.startsWith('\n') && place.colon) {
+        // Block collections start on the line after `key:`
+        start = place.colon;
+        text = anchor ? ` ${anchor.trimEnd()}${text}` : text;
+    } else {
+        text = anchor && source.slice(start - anchor.length, start) !== anchor ? anchor + text : text;
+    }
+    const original = source.slice(node.range[0], node.range[1]);
+    const trailing = original.endsWith('\n') && !text.endsWith('\n') ? '\n' : '';
+    editor.edits.push({ start, end: node.range[1], text: text + trailing });
+}
+
+/**
+ * Serialize a value on its own; block output is indented from column 0
+ */
+function stringify(value, { type, flow = false } = {}) {
+    const doc = new Document();
+    doc.contents = doc.createNode(value, { flow });
+    if (type && isScalar(doc.contents)) doc.contents.type = type;
+    const text = doc.toString(STRINGIFY_OPTIONS);
+    return text.endsWith('\n') && !/^[|>]/.test(text) ? text.slice(0, -1) : text;
+}
+
+/**
+ * Indent every line but the first by `column` spaces (the first as well with `all`)
+ */
+function indent(text, column, all = false) {
+    const pad = ' '.repeat(column);
+    const lines = text.split('\n').map((line, index) => (line && (all || index > 0) ? pad + line : line));
+    return lines.join('\n');
+}
+
+function applyEdits(source, edits) {
+    // Applied from the end; of insertions at one offset, the first recorded (the most deeply
+    // nested) is applied last so it ends up first
+    const sorted = edits
+        .map((edit, index) => ({ ...edit, index }))
+        .sort((a, b) => b.start - a.start || b.end - a.end || b.index - a.index);
+    let result = source;
+    for (const { start, end, text } of sorted) {
+        result = result.slice(0, start) + text + result.slice(end);
+    }
+    return result;
+}
+
+function lineStart(source, offset) {
+    return source.lastIndexOf('\n', offset - 1) + 1;
+}
+
+function lineEnd(source, offset) {
+    if (offset > 0 && source[offset - 1] === '\n') return offset;
+    const newline = source.indexOf('\n', offset);
+    return newline === -1 ? source.length : newline + 1;
+}
+
+function columnOf(source, offset) {
+    return offset - lineStart(source, offset);
+}
+
+function onOwnLine(source, offset) {
+    return source.slice(lineStart(source, offset), offset).trim() === '';
+}
+
+function prefixNewline(source, offset, text) {
+    return offset === source.length && source.length > 0 && !source.endsWith('\n') ? `\n${text}` : text;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -3,15 +3,19 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { Suppressions, lineAt } from '../lib/suppressions.mjs';
+import { startScriptRun } from '../lib/journal.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Automatic hook fixing utility for Claude Flow agents
 class AutoHookFixer {
-  constructor(agentsDir) {
+  constructor(agentsDir, options = {}) {
     // Use provided agentsDir or default to current working directory
     this.agentsDir = agentsDir || path.join(process.cwd(), '.claude', 'agents');
+    this.run = options.run || startScriptRun('auto-fix-hooks');
+    this.runId = null;
     this.fixed = [];
     this.skipped = [];
     this.errors = [];
@@ -26,6 +30,8 @@ class AutoHookFixer {
       await this.autoFixAgent(file);
     }
     
+    this.runId = await this.run.finish();
+
     this.reportResults();
   }
 
@@ -65,6 +71,7 @@ class AutoHookFixer {
 
       let newContent = content;
       let changesMade = [];
+      const suppressions = Suppressions.fromContent(content);
 
       // 1. Replace undefined memory functions
       const memoryReplacements = [
@@ -86,8 +93,9 @@ class AutoHookFixer {
       ];
 
       for (const replacement of memoryReplacements) {
-        if (replacement.from.test(newContent)) {
-          newContent = newContent.replace(replacement.from, replacement.to);
+        const replaced = suppressions.replace(newContent, replacement.from, replacement.to, 'hook-undefined-function');
+        if (replaced !== newContent) {
+          newContent = replaced;
           changesMade.push(`Fixed ${replacement.desc}`);
         }
       }
@@ -101,14 +109,16 @@ class AutoHookFixer {
       ];
 
       for (const replacement of variableReplacements) {
-        if (replacement.from.test(newContent)) {
-          newContent = newContent.replace(replacement.from, replacement.to);
+        const replaced = suppressions.replace(newContent, replacement.from, replacement.to, 'hook-undefined-variable');
+        if (replaced !== newContent) {
+          newContent = replaced;
           changesMade.push(`Fixed ${replacement.desc}`);
         }
       }
 
       // 3. Add missing on_error hook if not present
-      if (content.includes('hooks:') && !content.includes('on_error:')) {
+      if (content.includes('hooks:') && !content.includes('on_error:') &&
+          !suppressions.isSuppressed('hook-missing-stage', lineAt(content, content.indexOf('hooks:')))) {
         const agentName = this.extractAgentName(content, filePath);
         const onErrorHook = `  on_error: |
     echo "⚠️ ${agentName} agent error: {{error_message}}"
@@ -131,9 +141,7 @@ class AutoHookFixer {
 
       // Only write if changes were made
       if (changesMade.length > 0) {
-        // Create backup
-        fs.writeFileSync(filePath + '.backup', content);
-        fs.writeFileSync(filePath, newContent);
+        await this.run.write(filePath, content, newContent);
         
         console.log(`✅ ${relativePath}:`);
         changesMade.forEach(change => console.log(`   - ${change}`));
@@ -192,19 +200,19 @@ class AutoHookFixer {
       }
     }
     
-    console.log('\n💾 BACKUP INFO:');
-    console.log('   Original files backed up with .backup extension');
-    console.log('   To restore: for f in **/*.backup; do mv "$f" "${f%.backup}"; done');
+    if (this.runId) {
+      console.log(`\n↩️  Undo with: claude-flow-hooks restore ${this.runId}`);
+    }
     
     console.log('\n🔍 NEXT STEPS:');
     console.log('1. Run: npm run fix-hooks-interactive (for remaining issues)');
     console.log('2. Test hooks with sample agents');
-    console.log('3. Remove .backup files when satisfied');
   }
 }
 
 // Run the auto-fixer
 // Get agents directory from command line argument or default
-const agentsDir = process.argv[2] || path.join(process.cwd(), '.claude', 'agents');
-const fixer = new AutoHookFixer(agentsDir);
+const run = startScriptRun('auto-fix-hooks', process.argv.slice(2));
+const agentsDir = run.positional[0] || path.join(process.cwd(), '.claude', 'agents');
+const fixer = new AutoHookFixer(agentsDir, { run });
 await fixer.autoFixAll();
\ No newline at end of file
@@ -7,6 +7,17 @@ import { dirname, join } from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
 import { validator, fixer, analyzer, creator } from './index.mjs';
+import { outputPatch } from '../lib/patch.mjs';
+import { parseFixRule, parseFixProfile, FIX_PROFILES, DEFAULT_FIX_PROFILE } from '../lib/autofixes.mjs';
+import { formatInventedValues, formatPermissionDelta } from '../lib/fixer.mjs';
+import {
+  EXIT_CODES,
+  exitCodeForError,
+  parseFailOn,
+  parseMaxWarnings,
+  countFindings,
+  evaluateFindings
+} from '../lib/exit-codes.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -15,13 +26,17 @@ const packageJson = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'
 program
   .name('agent-toolkit')
   .description('Claude Flow Agent Toolkit - Validate, fix, and manage your agent system')
-  .version(packageJson.version);
+  .version(packageJson.version)
+  // Commands defined below inherit this, so their usage errors reach the parse call at the end
+  .exitOverride();
 
 // Validate command
 program
   .command('validate [agent-name]')
   .description('Validate agents against Claude Flow v2 standards')
   .option('-f, --format <format>', 'Output format (text, json)', 'text')
+  .option('--fail-on <level>', 'Lowest severity that fails the run (error, warning, info)', parseFailOn, 'error')
+  .option('--max-warnings <n>', 'Fail when there are more warnings than this', parseMaxWarnings)
   .action(async (agentName, options) => {
     const spinner = ora('Validating agents...').start();
     
@@ -38,7 +53,8 @@ program
           valid: result.status === 'valid' ? 1 : 0,
           warnings: result.status === 'warning' ? 1 : 0,
           errors: result.status === 'error' ? 1 : 0,
-          details: [result]
+          details: [result],
+          typeStats: {}
         };
       } else {
         // Validate all agents
@@ -47,40 +63,26 @@ program
       
       spinner.stop();
       
+      const counts = countFindings(results.details);
+      const evaluation = evaluateFindings(counts, { failOn: options.failOn, maxWarnings: options.maxWarnings });
+      
       if (options.format === 'json') {
         console.log(JSON.stringify(results, null, 2));
       } else {
-        let hasErrors = false;
-        
-        if (results.details) {
-          const report = validator.generateReport(results, 'text');
-          console.log(report);
-        } else {
-          for (const result of results.details || []) {
-            if (result.status === 'valid') {
-              console.log(chalk.green(`✓ ${result.agent_name}`));
-            } else {
-              hasErrors = true;
-              console.log(chalk.red(`✗ ${result.agent_name}`));
-              result.errors.forEach(error => {
-                console.log(chalk.red(`  - ${error}`));
-              });
-            }
-          }
-        }
-        
+        console.log(validator.generateReport(results, 'text'));
         console.log();
-        if (hasErrors) {
-          console.log(chalk.red(`${results.details ? results.details.filter(r => r.status === 'error').length : results.errors || 0} validation errors found`));
-          process.exit(1);
+        if (evaluation.exitCode !== EXIT_CODES.OK) {
+          console.log(chalk.red(`Validation failed: ${evaluation.reason}`));
         } else {
           console.log(chalk.green('All agents are valid!'));
         }
       }
+      
+      process.exit(evaluation.exitCode);
     } catch (error) {
       spinner.stop();
       console.error(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
+      process.exit(exitCodeForError(error));
     }
   });
 
@@ -88,20 +90,33 @@ program
 program
   .command('fix [agent-name]')
   .description('Automatically fix common agent issues')
-  .option('--dry-run', 'Show what would be fixed without making changes')
+  .option('--dry-run', 'Show a diff of what would be fixed without making changes')
+  .option('--patch-out <file>', 'Write the proposed changes to a patch file instead of applying them')
   .option('--all', 'Fix all agents')
+  .option('--rule <id>', 'Only apply the autofix for this rule ID (repeatable)', parseFixRule)
+  .option('--only-safe', 'Skip autofixes that change permissions or agent behavior')
+  .option('--profile <profile>', `Values to add for missing fields (${FIX_PROFILES.join(', ')})`, parseFixProfile, DEFAULT_FIX_PROFILE)
+  .option('--allow-escalation', 'Apply autofixes that widen agent permissions (tools, paths, network, sandbox)')
   .action(async (agentName, options) => {
     const spinner = ora('Fixing agents...').start();
+    const dryRun = Boolean(options.dryRun || options.patchOut);
+    const fixOptions = {
+      dryRun,
+      rules: options.rule,
+      onlySafe: options.onlySafe,
+      profile: options.profile,
+      allowEscalation: Boolean(options.allowEscalation)
+    };
     
     try {
       let results;
       
       if (options.all || agentName === '*') {
-        results = await fixer.fixAll({ dryRun: options.dryRun });
+        results = await fixer.fixAll(fixOptions);
       } else if (agentName) {
         const result = await fixer.fixFile(
           join(process.cwd(), '.claude', 'agents', `${agentName}.md`),
-          { dryRun: options.dryRun }
+          fixOptions
         );
         results = { 
           total: 1,
@@ -113,15 +128,17 @@ program
       } else {
         spinner.stop();
         console.error(chalk.red('Please specify an agent name or use --all'));
-        process.exit(1);
+        process.exit(EXIT_CODES.USAGE);
       }
       
+      const runId = await fixer.commitTransaction();
       spinner.stop();
       
       const fixed = results.details ? results.details.filter(r => r.fixed).length : results.fixed || 0;
       const wouldFix = results.details ? results.details.filter(r => r.fixes && r.fixes.length > 0).length : 0;
       
-      if (options.dryRun) {
+      if (dryRun) {
+        await outputPatch(fixer.patch, options.patchOut);
         console.log(chalk.yellow(`Would fix ${wouldFix} agents`));
       } else {
         console.log(chalk.green(`Fixed ${fixed} agents`));
@@ -130,20 +147,43 @@ program
       if (results.details) {
         results.details.forEach(result => {
           if (result.fixed || (result.fixes && result.fixes.length > 0)) {
-            const prefix = options.dryRun ? 'Would fix' : 'Fixed';
+            const prefix = dryRun ? 'Would fix' : 'Fixed';
             console.log(chalk.green(`${prefix} ${result.relativePath}:`));
             if (result.fixes) {
               result.fixes.forEach(fix => {
                 console.log(`  - ${fix}`);
               });
             }
+            if (result.invented && result.invented.length > 0) {
+              console.log(chalk.yellow('  Invented values (replace with real ones):'));
+              formatInventedValues(result.invented).forEach(line => console.log(chalk.yellow(`    ${line}`)));
+            }
+            if (result.permissions && result.permissions.length > 0) {
+              console.log('  Permission changes:');
+              result.permissions.forEach(change => {
+                const line = `    ${formatPermissionDelta([change])[0]}`;
+                console.log(change.widens ? chalk.red(line) : chalk.gray(line));
+              });
+            }
+          }
+          if (result.refused && result.refused.length > 0) {
+            result.refused.forEach(({ ruleId, escalations }) => {
+              console.log(chalk.yellow(`Refused ${ruleId} in ${result.relativePath}: ${escalations.map(change => change.message).join('; ')}`));
+            });
           }
         });
+        if (results.details.some(result => result.refused && result.refused.length > 0)) {
+          console.log(chalk.gray('Re-run with --allow-escalation to apply fixes that widen permissions'));
+        }
+      }
+
+      if (runId) {
+        console.log(chalk.gray(`Undo with: agent-toolkit undo ${runId}`));
       }
     } catch (error) {
       spinner.stop();
       console.error(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
+      process.exit(exitCodeForError(error));
     }
   });
 
@@ -172,7 +212,7 @@ program
     } catch (error) {
       spinner.stop();
       console.error(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
+      process.exit(exitCodeForError(error));
     }
   });
 
@@ -197,7 +237,7 @@ program
     
     if (!agentName) {
       console.error(chalk.red('Agent name is required'));
-      process.exit(1);
+      process.exit(EXIT_CODES.USAGE);
     }
     
     const spinner = ora('Creating agent...').start();
@@ -237,20 +277,28 @@ program
     } catch (error) {
       spinner.stop();
       console.error(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
+      process.exit(exitCodeForError(error));
     }
   });
 
 // Handle unknown commands
 program.on('command:*', () => {
   console.error(chalk.red(`Unknown command: ${program.args.join(' ')}`));
-  program.help();
-  process.exit(1);
+  program.help({ error: true });
 });
 
 // Show help if no command provided
 if (process.argv.length === 2) {
-  program.help();
+  program.outputHelp();
+  process.exit(0);
 }
 
-program.parse();
\ No newline at end of file
+// Commander has already printed its own usage errors
+try {
+  program.parse();
+} catch (error) {
+  if (!error.code || !error.code.startsWith('commander.')) {
+    console.error(chalk.red(`Error: ${error.message}`));
+  }
+  process.exit(exitCodeForError(error));
+}
\ No newline at end of file
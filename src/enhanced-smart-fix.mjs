@@ -3,14 +3,18 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { Suppressions } from '../lib/suppressions.mjs';
+import { startScriptRun } from '../lib/journal.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Enhanced smart hook fixing that preserves legitimate MCP usage
 class EnhancedSmartHookFixer {
-  constructor(agentsDir) {
+  constructor(agentsDir, options = {}) {
     this.agentsDir = agentsDir || path.join(process.cwd(), '.claude', 'agents');
+    this.run = options.run || startScriptRun('enhanced-smart-fix');
+    this.runId = null;
     this.fixed = [];
     this.preserved = [];
     this.enhanced = [];
@@ -28,6 +32,8 @@ class EnhancedSmartHookFixer {
       await this.enhancedSmartFixAgent(file);
     }
     
+    this.runId = await this.run.finish();
+
     this.reportResults();
   }
 
@@ -70,7 +76,8 @@ class EnhancedSmartHookFixer {
       }
 
       const agentInfo = this.analyzeAgent(content, filePath);
-      const analysis = this.analyzeHookUsage(content, agentInfo);
+      const suppressions = Suppressions.fromContent(content);
+      const analysis = this.analyzeHookUsage(content, agentInfo, suppressions);
       
       if (analysis.isOptimal) {
         console.log(`✨ ${relativePath}: Hooks are optimally configured`);
@@ -89,7 +96,7 @@ class EnhancedSmartHookFixer {
           const fix = this.getEnhancedContextualFix(issue, agentInfo, analysis);
           
           if (fix.action === 'fix') {
-            newContent = newContent.replace(fix.pattern, fix.replacement);
+            newContent = suppressions.replace(newContent, fix.pattern, fix.replacement, issue.ruleId);
             changesMade.push(fix.description);
             console.log(`   ✅ ${fix.description}`);
           } else if (fix.action === 'preserve') {
@@ -113,9 +120,7 @@ class EnhancedSmartHookFixer {
       
       // Apply changes if any were made
       if (changesMade.length > 0) {
-        // Create backup
-        fs.writeFileSync(filePath + '.backup', content);
-        fs.writeFileSync(filePath, newContent);
+        await this.run.write(filePath, content, newContent);
         
         this.fixed.push({ file: relativePath, changes: changesMade, type: agentInfo.type });
       } else if (analysis.hasLegitimateUsage) {
@@ -168,7 +173,7 @@ class EnhancedSmartHookFixer {
     return { name, type, description, category, coordinationLevel, filePath };
   }
 
-  analyzeHookUsage(content, agentInfo) {
+  analyzeHookUsage(content, agentInfo, suppressions = new Suppressions()) {
     const hookSection = this.extractHookSection(content);
     const toolsSection = this.extractToolsSection(content);
     const usageExamples = this.extractUsageExamples(content);
@@ -180,11 +185,13 @@ class EnhancedSmartHookFixer {
     // Analyze actual hooks section (not tools or examples)
     if (hookSection) {
       // Check for MCP calls ONLY in hooks section
-      if (hookSection.includes('mcp__claude-flow__swarm_init')) {
+      if (hookSection.includes('mcp__claude-flow__swarm_init') &&
+          suppressions.firstUnsuppressedMatch(content, /mcp__claude-flow__swarm_init/, 'hook-mcp-call')) {
         if (agentInfo.coordinationLevel === 'full-swarm') {
           hasLegitimateUsage = true;
           // Even swarm coordinators should do heavy init in execution, not hooks
           hookIssues.push({
+            ruleId: 'hook-mcp-call',
             type: 'move_to_execution',
             description: 'Heavy swarm init in hooks should move to execution',
             location: 'hooks'
@@ -192,6 +199,7 @@ class EnhancedSmartHookFixer {
           isOptimal = false;
         } else {
           hookIssues.push({
+            ruleId: 'hook-mcp-call',
             type: 'inappropriate_swarm_init',
             description: 'Inappropriate swarm init in hooks',
             location: 'hooks'
@@ -378,11 +386,16 @@ class EnhancedSmartHookFixer {
     console.log('2. Examples and tools sections are preserved');
     console.log('3. Only hooks have lightweight improvements');
     console.log('4. Run validation to confirm improvements');
+    
+    if (this.runId) {
+      console.log(`\n↩️  Undo with: claude-flow-hooks restore ${this.runId}`);
+    }
   }
 }
 
 // Run the enhanced smart fixer
 // Get agents directory from command line argument or default
-const agentsDir = process.argv[2] || path.join(process.cwd(), '.claude', 'agents');
-const fixer = new EnhancedSmartHookFixer(agentsDir);
+const run = startScriptRun('enhanced-smart-fix', process.argv.slice(2));
+const agentsDir = run.positional[0] || path.join(process.cwd(), '.claude', 'agents');
+const fixer = new EnhancedSmartHookFixer(agentsDir, { run });
 await fixer.enhancedSmartFixAll();
\ No newline at end of file
@@ -3,21 +3,46 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { Suppressions, lineAt } from '../lib/suppressions.mjs';
+import { HOOK_RULES, resolveRules, resolveHookRules } from '../lib/rules.mjs';
+import { loadProjectConfig } from '../lib/project-config.mjs';
+import { buildSarifLog } from '../lib/sarif.mjs';
+import { listChangedAgentFiles } from '../lib/git.mjs';
+import {
+  EXIT_CODES,
+  exitCodeForError,
+  parseFailOn,
+  parseMaxWarnings,
+  countFindings,
+  evaluateFindings
+} from '../lib/exit-codes.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Hook validation and fixing utility for Claude Flow agents
 class HookFixer {
-  constructor(agentsDir) {
+  constructor(agentsDir, options = {}) {
     // Use provided agentsDir or default to current working directory
     this.agentsDir = agentsDir || path.join(process.cwd(), '.claude', 'agents');
+    this.format = options.format || 'text';
+    this.since = options.since || null;
+    this.staged = options.staged || false;
+    this.failOn = options.failOn || 'error';
+    this.maxWarnings = options.maxWarnings;
     this.issues = [];
+    this.findings = [];
     this.fixed = [];
+    this.setRuleSettings({});
+    // SARIF output must be the only thing on stdout
+    this.log = this.format === 'sarif' ? () => {} : (...args) => console.log(...args);
   }
 
   async analyzeAndFix() {
-    console.log('🔍 Analyzing Claude Flow agent hook configurations...\n');
+    this.log('🔍 Analyzing Claude Flow agent hook configurations...\n');
+    
+    const projectConfig = await loadProjectConfig(process.cwd());
+    this.setRuleSettings(projectConfig.rules);
     
     const agentFiles = await this.findAgentFiles();
     
@@ -25,7 +50,27 @@ class HookFixer {
       await this.processAgentFile(file);
     }
     
-    this.reportResults();
+    const evaluation = evaluateFindings(countFindings(this.findings), {
+      failOn: this.failOn,
+      maxWarnings: this.maxWarnings
+    });
+    
+    if (this.format === 'sarif') {
+      this.reportSarif();
+    } else {
+      this.reportResults();
+      if (evaluation.exitCode !== EXIT_CODES.OK) {
+        console.log(`❌ Hook validation failed: ${evaluation.reason}`);
+      }
+    }
+    
+    return evaluation;
+  }
+
+  // Rule severities from `.agent-toolkit.yaml`, as validate applies them
+  setRuleSettings(settings) {
+    this.hookRules = resolveHookRules(settings);
+    this.unusedSuppressionRule = resolveRules(settings).find(rule => rule.id === 'unused-suppression');
   }
 
   async findAgentFiles() {
@@ -47,6 +92,13 @@ class HookFixer {
     };
     
     walkDir(this.agentsDir);
+    
+    // Changed-files mode: hooks are checked per file, so only the changed agents are needed
+    if (this.since || this.staged) {
+      const changes = await listChangedAgentFiles(this.agentsDir, { since: this.since, staged: this.staged });
+      const changed = new Set(changes.map(change => change.file));
+      return files.filter(file => changed.has(file));
+    }
     return files;
   }
 
@@ -57,27 +109,48 @@ class HookFixer {
       
       // Check if file has hooks section
       if (!content.includes('hooks:')) {
-        console.log(`⚠️  ${relativePath}: No hooks section found`);
+        this.log(`⚠️  ${relativePath}: No hooks section found`);
         return;
       }
 
-      const issues = this.validateHooks(content, relativePath);
+      const findings = this.findHookIssues(content);
+      const issues = findings.map(finding => finding.ruleId === 'unused-suppression'
+        ? `${finding.message} (line ${finding.line})`
+        : finding.message);
       
       if (issues.length > 0) {
         this.issues.push({ file: relativePath, issues });
-        console.log(`❌ ${relativePath}:`);
-        issues.forEach(issue => console.log(`   - ${issue}`));
+        this.findings.push({ file: filePath, findings });
+        this.log(`❌ ${relativePath}:`);
+        issues.forEach(issue => this.log(`   - ${issue}`));
       } else {
-        console.log(`✅ ${relativePath}: Hooks are valid`);
+        this.log(`✅ ${relativePath}: Hooks are valid`);
       }
       
     } catch (error) {
-      console.log(`❌ Error processing ${filePath}: ${error.message}`);
+      this.log(`❌ Error processing ${filePath}: ${error.message}`);
     }
   }
 
   validateHooks(content, filePath) {
+    return this.findHookIssues(content).map(finding => finding.ruleId === 'unused-suppression'
+      ? `${finding.message} (line ${finding.line})`
+      : finding.message);
+  }
+
+  // Hook issues with their rule, severity and position in the file
+  findHookIssues(content) {
     const issues = [];
+    const suppressions = Suppressions.fromContent(content);
+    const report = (ruleId, message, offset) => {
+      const position = Math.max(offset, 0);
+      const line = lineAt(content, position);
+      const rule = this.hookRules.find(r => r.id === ruleId);
+      if (rule.severity !== 'off' && !suppressions.isSuppressed(ruleId, line)) {
+        const column = position - content.lastIndexOf('\n', position - 1);
+        issues.push({ ruleId, severity: rule.severity, path: '', message, line, column });
+      }
+    };
     
     // Check for undefined functions
     const undefinedFunctions = [
@@ -88,7 +161,7 @@ class HookFixer {
     
     for (const func of undefinedFunctions) {
       if (content.includes(func + ' ')) {
-        issues.push(`Undefined function: ${func} (use: npx claude-flow@alpha memory)`);
+        report('hook-undefined-function', `Undefined function: ${func} (use: npx claude-flow@alpha memory)`, content.indexOf(func + ' '));
       }
     }
     
@@ -101,7 +174,7 @@ class HookFixer {
     
     for (const variable of undefinedVars) {
       if (content.includes(variable)) {
-        issues.push(`Undefined variable: ${variable} (use: $AGENT_TASK)`);
+        report('hook-undefined-variable', `Undefined variable: ${variable} (use: $AGENT_TASK)`, content.indexOf(variable));
       }
     }
     
@@ -114,25 +187,34 @@ class HookFixer {
     
     for (const call of problematicMCPCalls) {
       if (content.includes(call)) {
-        issues.push(`MCP call in hooks: ${call} (should be in agent execution, not hooks)`);
+        report('hook-mcp-call', `MCP call in hooks: ${call} (should be in agent execution, not hooks)`, content.indexOf(call));
       }
     }
     
     // Check hook structure
     if (content.includes('hooks:')) {
       const hookSection = this.extractHookSection(content);
+      const hooksOffset = content.indexOf('hooks:');
       
       if (!hookSection.includes('pre:')) {
-        issues.push('Missing pre: hook (recommended)');
+        report('hook-missing-stage', 'Missing pre: hook (recommended)', hooksOffset);
       }
       
       if (!hookSection.includes('post:')) {
-        issues.push('Missing post: hook (recommended)');
+        report('hook-missing-stage', 'Missing post: hook (recommended)', hooksOffset);
       }
       
       // Check for proper error handling
       if (!hookSection.includes('on_error:')) {
-        issues.push('Missing on_error: hook (recommended for robustness)');
+        report('hook-missing-stage', 'Missing on_error: hook (recommended for robustness)', hooksOffset);
+      }
+    }
+    
+    // Suppressions of hook rules that matched nothing
+    const hookRuleIds = HOOK_RULES.map(rule => rule.id);
+    if (this.unusedSuppressionRule.severity !== 'off') {
+      for (const finding of suppressions.unusedFindings(hookRuleIds)) {
+        issues.push({ ...finding, severity: this.unusedSuppressionRule.severity });
       }
     }
     
@@ -149,6 +231,16 @@ class HookFixer {
     return content.substring(hookStart, endPos);
   }
 
+  reportSarif() {
+    const rules = [...this.hookRules, this.unusedSuppressionRule];
+    console.log(JSON.stringify(buildSarifLog({
+      rules,
+      files: this.findings,
+      baseDir: process.cwd(),
+      toolName: 'claude-flow-hooks'
+    }), null, 2));
+  }
+
   reportResults() {
     console.log('\n' + '='.repeat(60));
     console.log('📊 HOOK VALIDATION SUMMARY');
@@ -195,7 +287,36 @@ class HookFixer {
 }
 
 // Run the analysis
-// Get agents directory from command line argument or default
-const agentsDir = process.argv[2] || path.join(process.cwd(), '.claude', 'agents');
-const fixer = new HookFixer(agentsDir);
-await fixer.analyzeAndFix();
\ No newline at end of file
+// Get agents directory from command line argument or default, plus optional `--format sarif`,
+// `--since <ref>`, `--staged`, `--fail-on <level>` and `--max-warnings <n>`
+const args = process.argv.slice(2);
+const valueFlags = ['--format', '--since', '--fail-on', '--max-warnings'];
+const valueIndexes = valueFlags.filter(flag => args.includes(flag)).map(flag => args.indexOf(flag) + 1);
+const valueOf = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+const positional = args.filter((arg, index) => !arg.startsWith('--') && !valueIndexes.includes(index));
+const agentsDir = positional[0] || path.join(process.cwd(), '.claude', 'agents');
+const parseOption = (flag, parse, fallback) => {
+  if (!args.includes(flag)) return fallback;
+  try {
+    return parse(valueOf(flag));
+  } catch (error) {
+    error.message = `Invalid ${flag}: ${error.message}`;
+    throw error;
+  }
+};
+
+// Exit with EXIT_CODES.FINDINGS when findings fail the run, so callers can tell them from crashes
+try {
+  const fixer = new HookFixer(agentsDir, {
+    format: valueOf('--format') || 'text',
+    since: valueOf('--since'),
+    staged: args.includes('--staged'),
+    failOn: parseOption('--fail-on', parseFailOn, 'error'),
+    maxWarnings: parseOption('--max-warnings', parseMaxWarnings, undefined)
+  });
+  const { exitCode } = await fixer.analyzeAndFix();
+  process.exitCode = exitCode;
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = exitCodeForError(error);
+}
@@ -7,33 +7,93 @@ import { dirname, join } from 'path';
 import path from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
-import { execSync } from 'child_process';
+import { execSync, execFileSync, spawnSync } from 'child_process';
+import { EXIT_CODES, exitCodeForError, parseFailOn, parseMaxWarnings, usageError } from '../lib/exit-codes.mjs';
+import { FixJournal } from '../lib/journal.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const packageJson = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf-8'));
 
+/**
+ * Run a hook script and return its output and exit code
+ * EXIT_CODES.FINDINGS only means the script reported issues, so its output is still returned;
+ * any other failure is thrown with the script's exit code.
+ */
+function runHookScript(scriptPath, args = []) {
+  // Arguments are passed separately so refs never go through a shell; the script's output is
+  // piped, so it is told whether to color dry-run diffs for the terminal this CLI writes to
+  const run = spawnSync('node', [scriptPath, ...args], {
+    cwd: process.cwd(),
+    encoding: 'utf8',
+    env: { ...process.env, FORCE_COLOR: String(chalk.level) }
+  });
+  if (run.error) throw run.error;
+  if (run.status !== EXIT_CODES.OK && run.status !== EXIT_CODES.FINDINGS) {
+    const error = new Error(run.stderr.trim() || `${path.basename(scriptPath)} exited with code ${run.status}`);
+    error.exitCode = run.status === null ? EXIT_CODES.INTERNAL : run.status;
+    throw error;
+  }
+  return { output: run.stdout, status: run.status };
+}
+
+/**
+ * Arguments that make a hook fixer script show or save its changes instead of writing them
+ */
+function dryRunArgs(options) {
+  return [
+    ...(options.dryRun ? ['--dry-run'] : []),
+    ...(options.patchOut ? ['--patch-out', path.resolve(options.patchOut)] : [])
+  ];
+}
+
 program
   .name('claude-flow-hooks')
   .description('Claude Flow Agent Hook Management CLI - Validate, fix, and manage agent hooks')
-  .version(packageJson.version);
+  .version(packageJson.version)
+  // Commands defined below inherit this, so their usage errors reach the parse call at the end
+  .exitOverride();
 
 // Validate hooks command
 program
   .command('validate')
   .description('Validate all agent hook configurations')
   .option('-v, --verbose', 'Show detailed validation results')
+  .option('-f, --format <format>', 'Output format (text, sarif)', 'text')
+  .option('--since <ref>', 'Only validate agents changed since a git ref')
+  .option('--staged', 'Only validate agents staged for commit')
+  .option('--fail-on <level>', 'Lowest severity that fails the run (error, warning, info)', parseFailOn, 'error')
+  .option('--max-warnings <n>', 'Fail when there are more warnings than this', parseMaxWarnings)
   .action(async (options) => {
+    const fixHooksPath = path.join(__dirname, 'fix-hooks.mjs');
+    const scriptArgs = [
+      ...(options.since ? ['--since', options.since] : []),
+      ...(options.staged ? ['--staged'] : []),
+      '--fail-on', options.failOn,
+      ...(options.maxWarnings !== undefined ? ['--max-warnings', String(options.maxWarnings)] : [])
+    ];
+    
+    if (options.format === 'sarif') {
+      try {
+        const { output, status } = runHookScript(fixHooksPath, ['--format', 'sarif', ...scriptArgs]);
+        process.stdout.write(output);
+        process.exit(status);
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(exitCodeForError(error));
+      }
+    }
+    
     const spinner = ora('Validating agent hooks...').start();
     
     try {
-      const fixHooksPath = path.join(__dirname, 'fix-hooks.mjs');
-      const result = execSync(`node "${fixHooksPath}"`, { 
-        cwd: process.cwd(),
-        encoding: 'utf8'
-      });
+      const { output: result, status } = runHookScript(fixHooksPath, scriptArgs);
       
-      spinner.succeed('Hook validation completed');
+      if (status === EXIT_CODES.OK) {
+        spinner.succeed('Hook validation completed');
+      } else {
+        spinner.fail('Hook validation found issues');
+      }
       
       if (options.verbose) {
         console.log(result);
@@ -45,10 +105,12 @@ program
           console.log('\n' + lines.slice(summaryStart).join('\n'));
         }
       }
+      
+      process.exit(status);
     } catch (error) {
       spinner.fail('Hook validation failed');
       console.error(chalk.red(error.message));
-      process.exit(1);
+      process.exit(exitCodeForError(error));
     }
   });
 
@@ -56,29 +118,26 @@ program
 program
   .command('auto-fix')
   .description('Automatically fix common hook issues')
-  .option('--dry-run', 'Show what would be fixed without making changes')
+  .option('--dry-run', 'Show a diff of what would be fixed without making changes')
+  .option('--patch-out <file>', 'Write the proposed changes to a patch file instead of applying them')
   .action(async (options) => {
-    if (options.dryRun) {
+    const dryRun = Boolean(options.dryRun || options.patchOut);
+    if (dryRun) {
       console.log(chalk.yellow('🔍 Dry run mode - no changes will be made\n'));
     }
     
     const spinner = ora('Auto-fixing agent hooks...').start();
     
     try {
-      const fixHooksPath = path.join(__dirname, 'fix-hooks.mjs');
       const autoFixPath = path.join(__dirname, 'auto-fix-hooks.mjs');
-      const command = options.dryRun ? `node "${fixHooksPath}"` : `node "${autoFixPath}"`;
-      const result = execSync(command, { 
-        cwd: process.cwd(),
-        encoding: 'utf8'
-      });
+      const { output: result } = runHookScript(autoFixPath, dryRunArgs(options));
       
-      spinner.succeed(options.dryRun ? 'Dry run completed' : 'Auto-fix completed');
+      spinner.succeed(dryRun ? 'Dry run completed' : 'Auto-fix completed');
       console.log(result);
     } catch (error) {
       spinner.fail('Auto-fix failed');
       console.error(chalk.red(error.message));
-      process.exit(1);
+      process.exit(exitCodeForError(error));
     }
   });
 
@@ -87,22 +146,21 @@ program
   .command('smart-fix')
   .description('Apply context-aware intelligent fixes to agent hooks')
   .option('--verbose', 'Show detailed contextual decisions')
+  .option('--dry-run', 'Show a diff of what would be fixed without making changes')
+  .option('--patch-out <file>', 'Write the proposed changes to a patch file instead of applying them')
   .action(async (options) => {
     const spinner = ora('Running smart contextual fixes...').start();
     
     try {
       const smartFixPath = path.join(__dirname, 'smart-fix-hooks.mjs');
-      const result = execSync(`node "${smartFixPath}"`, { 
-        cwd: process.cwd(),
-        encoding: 'utf8'
-      });
+      const { output: result } = runHookScript(smartFixPath, dryRunArgs(options));
       
-      spinner.succeed('Smart-fix completed');
+      spinner.succeed(options.dryRun || options.patchOut ? 'Dry run completed' : 'Smart-fix completed');
       console.log(result);
     } catch (error) {
       spinner.fail('Smart-fix failed');
       console.error(chalk.red(error.message));
-      process.exit(1);
+      process.exit(exitCodeForError(error));
     }
   });
 
@@ -110,19 +168,21 @@ program
 program
   .command('interactive')
   .description('Interactively fix agent hooks with guided approval')
-  .action(async () => {
+  .option('--dry-run', 'Collect approved changes as a diff instead of writing them')
+  .option('--patch-out <file>', 'Write approved changes to a patch file instead of applying them')
+  .action(async (options) => {
     console.log(chalk.blue('🎯 Starting interactive hook fixing...'));
     console.log(chalk.gray('This will guide you through fixing each agent individually.\n'));
     
     try {
       const interactivePath = path.join(__dirname, 'interactive-fix-hooks.mjs');
-      execSync(`node "${interactivePath}"`, { 
+      execFileSync('node', [interactivePath, ...dryRunArgs(options)], { 
         cwd: process.cwd(),
         stdio: 'inherit'
       });
     } catch (error) {
       console.error(chalk.red('Interactive fix failed:'), error.message);
-      process.exit(1);
+      process.exit(exitCodeForError(error));
     }
   });
 
@@ -135,10 +195,7 @@ program
     
     try {
       const fixHooksPath = path.join(__dirname, 'fix-hooks.mjs');
-      const result = execSync(`node "${fixHooksPath}"`, { 
-        cwd: process.cwd(),
-        encoding: 'utf8'
-      });
+      const { output: result } = runHookScript(fixHooksPath);
       
       spinner.succeed('Status gathered');
       
@@ -170,21 +227,30 @@ program
     } catch (error) {
       spinner.fail('Status check failed');
       console.error(chalk.red(error.message));
-      process.exit(1);
+      process.exit(exitCodeForError(error));
     }
   });
 
 // Restore command
 program
-  .command('restore')
-  .description('Restore agent files from backups')
+  .command('restore [run-id]')
+  .description('Undo a fix run recorded in .agent-toolkit/history, the most recent one by default')
   .option('--confirm', 'Skip confirmation prompt')
-  .action(async (options) => {
+  .option('-f, --force', 'Restore even if the files were edited after the fix')
+  .action(async (runId, options) => {
+    const journal = new FixJournal();
+    
     if (!options.confirm) {
-      console.log(chalk.yellow('⚠️  This will restore all agent files from .backup files'));
+      try {
+        const run = runId ? await journal.get(runId) : (await journal.list()).find(entry => entry.status !== 'undone');
+        if (!run) throw usageError('No fix runs to undo');
+        console.log(chalk.yellow(`⚠️  This will restore ${run.files.length} agent file(s) changed by ${run.id} (${run.command})`));
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(exitCodeForError(error));
+      }
       console.log(chalk.gray('Use --confirm to skip this prompt\n'));
       
-      const { execSync } = await import('child_process');
       try {
         execSync('read -p "Continue? (y/N): " confirm && [ "$confirm" = "y" ]', {
           stdio: 'inherit',
@@ -196,25 +262,17 @@ program
       }
     }
     
-    const spinner = ora('Restoring agent files from backups...').start();
+    const spinner = ora('Restoring agent files...').start();
     
     try {
-      const result = execSync('find .claude/agents -name "*.backup" -exec sh -c \'mv "$1" "${1%.backup}"\' _ {} \\;', {
-        cwd: process.cwd(),
-        encoding: 'utf8'
-      });
-      
-      const backupCount = execSync('find .claude/agents -name "*.backup" 2>/dev/null | wc -l', {
-        cwd: process.cwd(),
-        encoding: 'utf8'
-      }).trim();
-      
-      spinner.succeed(`Restored files from backups (${backupCount} backups processed)`);
+      const run = await journal.undo(runId, { force: options.force });
+      spinner.succeed(`Restored ${run.restored.length} file(s) changed by ${run.id}`);
+      run.restored.forEach(file => console.log(chalk.gray(`   ${file}`)));
       console.log(chalk.blue('💡 Run claude-flow-hooks validate to check status after restore'));
     } catch (error) {
       spinner.fail('Restore failed');
       console.error(chalk.red(error.message));
-      process.exit(1);
+      process.exit(exitCodeForError(error));
     }
   });
 
@@ -223,23 +281,22 @@ program
   .command('restore-mcp')
   .description('Restore legitimate MCP usage that was incorrectly commented')
   .option('-d, --dir <directory>', 'Agents directory', '.claude/agents')
+  .option('--dry-run', 'Show a diff of what would be restored without making changes')
+  .option('--patch-out <file>', 'Write the proposed changes to a patch file instead of applying them')
   .action(async (options) => {
     const spinner = ora('Restoring legitimate MCP usage...').start();
     
     try {
       const restorePath = path.join(__dirname, 'restore-legitimate-mcp.mjs');
       const agentsDir = path.resolve(options.dir || '.claude/agents');
-      const result = execSync(`node "${restorePath}" "${agentsDir}"`, {
-        cwd: process.cwd(),
-        encoding: 'utf8'
-      });
+      const { output: result } = runHookScript(restorePath, [agentsDir, ...dryRunArgs(options)]);
       
       spinner.succeed('MCP restoration completed');
       console.log(result);
     } catch (error) {
       spinner.fail('MCP restoration failed');
       console.error(chalk.red(error.message));
-      process.exit(1);
+      process.exit(exitCodeForError(error));
     }
   });
 
@@ -264,8 +321,9 @@ program
     console.log(chalk.gray('   npx @aigentics/agent-toolkit claude-flow-hooks interactive\n'));
     
     console.log(chalk.bold('4. Safety & Recovery:'));
-    console.log(chalk.gray('   npx @aigentics/agent-toolkit claude-flow-hooks restore'));
-    console.log(chalk.gray('   # Restores from .backup files if needed\n'));
+    console.log(chalk.gray('   npx @aigentics/agent-toolkit history'));
+    console.log(chalk.gray('   npx @aigentics/agent-toolkit claude-flow-hooks restore [run-id]'));
+    console.log(chalk.gray('   # Undoes a fix run (the latest by default)\n'));
     
     console.log(chalk.blue('🔧 Development Workflow:\n'));
     console.log(chalk.gray('1. Validate: claude-flow-hooks validate'));
@@ -275,10 +333,18 @@ program
     console.log(chalk.gray('5. Test: Run your agents with Claude Code'));
     
     console.log(chalk.blue('\n💡 Tips:'));
-    console.log(chalk.gray('- All fixes create .backup files automatically'));
+    console.log(chalk.gray('- Every fix run is recorded in .agent-toolkit/history and can be undone'));
     console.log(chalk.gray('- Smart-fix makes contextual decisions based on agent type'));
     console.log(chalk.gray('- Interactive mode lets you approve each change'));
     console.log(chalk.gray('- Status shows quick overview of hook system health'));
   });
 
-program.parse();
\ No newline at end of file
+// Commander has already printed its own usage errors
+try {
+  program.parse();
+} catch (error) {
+  if (!error.code || !error.code.startsWith('commander.')) {
+    console.error(chalk.red(error.message));
+  }
+  process.exit(exitCodeForError(error));
+}
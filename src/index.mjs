@@ -4,6 +4,31 @@ export { AgentFixer } from '../lib/fixer.mjs';
 export { AgentAnalyzer } from '../lib/analyzer.mjs';
 export { AgentCreator } from '../lib/creator.mjs';
 export { AgentConfig } from '../lib/config.mjs';
+export { validateSchema, minimalValue } from '../lib/schema.mjs';
+export { SourceMap, parseFrontmatter, parseJsonSource, parseAgentSource, locateFrontmatter } from '../lib/frontmatter.mjs';
+export { editYaml, updateFrontmatter } from '../lib/yaml-edit.mjs';
+export { RULES, HOOK_RULES, ANALYSIS_RULES, SEVERITIES, resolveRules, resolveHookRules, runRules, runSystemRules } from '../lib/rules.mjs';
+export { findDanglingReferences, findCapabilityIssues, findDependents } from '../lib/references.mjs';
+export { parseMemory, parseCpu, parseDuration } from '../lib/units.mjs';
+export { analyzePathPolicy, globToRegExp } from '../lib/path-policy.mjs';
+export { KNOWN_TOOLS, MCP_TOOL_PATTERN, findToolIssues } from '../lib/tools.mjs';
+export { analyzeRegexPattern, analyzeGlobPattern, findTriggerPatternIssues } from '../lib/patterns.mjs';
+export { parseBody, DEFAULT_REQUIRED_SECTIONS } from '../lib/markdown.mjs';
+export { ResultCache, CACHE_DIR } from '../lib/cache.mjs';
+export { IncrementalRun, DirectoryWatcher, diffIssues, formatIssueDiff } from '../lib/watch.mjs';
+export { buildSarifLog, attachFixes, SARIF_VERSION } from '../lib/sarif.mjs';
+export { CI_FORMATS, formatCIReport } from '../lib/ci-reports.mjs';
+export { Baseline, BASELINE_FILE } from '../lib/baseline.mjs';
+export { listChangedFiles, listChangedAgentFiles, moveFile } from '../lib/git.mjs';
+export { Patch, unifiedDiff, colorizeDiff } from '../lib/patch.mjs';
+export { FixJournal, FixTransaction, HISTORY_DIR } from '../lib/journal.mjs';
+export { AUTOFIXES, FIXABLE_RULES, FIX_PROFILES, DEFAULT_FIX_PROFILE, applyAutofixes } from '../lib/autofixes.mjs';
+export { effectivePermissions, permissionDelta, comparePermissions } from '../lib/permissions.mjs';
+export { normalizePlacementPolicy, findPlacementIssue, planMoves, rewriteLinks } from '../lib/placement.mjs';
+export { renameReferences, replaceAgentName, replaceAgentReferences } from '../lib/rename.mjs';
+export { EXIT_CODES, FAIL_ON_LEVELS, countFindings, evaluateFindings } from '../lib/exit-codes.mjs';
+export { Suppressions, parseSuppressions } from '../lib/suppressions.mjs';
+export { loadProjectConfig, parseProjectConfig } from '../lib/project-config.mjs';
 export * from '../lib/utils.mjs';
 
 // Also export lowercase instances for convenience
@@ -4,15 +4,19 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import readline from 'readline';
+import { Suppressions, lineAt } from '../lib/suppressions.mjs';
+import { startScriptRun } from '../lib/journal.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Interactive hook fixing utility for Claude Flow agents
 class InteractiveHookFixer {
-  constructor(agentsDir) {
+  constructor(agentsDir, options = {}) {
     // Use provided agentsDir or default to current working directory
     this.agentsDir = agentsDir || path.join(process.cwd(), '.claude', 'agents');
+    this.run = options.run || startScriptRun('fix-hooks-interactive');
+    this.runId = null;
     this.rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout
@@ -20,6 +24,7 @@ class InteractiveHookFixer {
     this.fixed = [];
     this.skipped = [];
     this.errors = [];
+    this.suppressions = new Suppressions();
   }
 
   async interactiveFixAll() {
@@ -35,6 +40,8 @@ class InteractiveHookFixer {
       await this.interactiveFixAgent(file);
     }
     
+    this.runId = await this.run.finish();
+
     this.reportResults();
     this.rl.close();
   }
@@ -77,6 +84,7 @@ class InteractiveHookFixer {
         return;
       }
 
+      this.suppressions = Suppressions.fromContent(content);
       const issues = this.analyzeHooks(content, relativePath);
       
       if (issues.length === 0) {
@@ -131,11 +139,9 @@ class InteractiveHookFixer {
       if (changesMade.length > 0) {
         const confirm = await this.askQuestion(`\nApply ${changesMade.length} change(s)? (y/n): `);
         if (confirm.toLowerCase() === 'y') {
-          // Create backup
-          fs.writeFileSync(filePath + '.backup', content);
-          fs.writeFileSync(filePath, newContent);
+          await this.run.write(filePath, content, newContent);
           
-          console.log('✅ Changes applied successfully!');
+          console.log(this.run.dryRun ? '📝 Changes added to the patch' : '✅ Changes applied successfully!');
           changesMade.forEach(change => console.log(`   - ${change}`));
           this.fixed.push({ file: relativePath, changes: changesMade });
         } else {
@@ -156,40 +162,43 @@ class InteractiveHookFixer {
     
     // Check for undefined functions
     if (content.match(/memory_store\s/)) {
-      issues.push({ type: 'undefined_function', description: 'Uses undefined memory_store function', pattern: /memory_store\s+"([^"]+)"\s+"([^"]+)"/g });
+      issues.push({ ruleId: 'hook-undefined-function', type: 'undefined_function', description: 'Uses undefined memory_store function', pattern: /memory_store\s+"([^"]+)"\s+"([^"]+)"/g });
     }
     if (content.match(/memory_search\s/)) {
-      issues.push({ type: 'undefined_function', description: 'Uses undefined memory_search function', pattern: /memory_search\s+"([^"]+)"/g });
+      issues.push({ ruleId: 'hook-undefined-function', type: 'undefined_function', description: 'Uses undefined memory_search function', pattern: /memory_search\s+"([^"]+)"/g });
     }
     if (content.match(/memory_retrieve\s/)) {
-      issues.push({ type: 'undefined_function', description: 'Uses undefined memory_retrieve function', pattern: /memory_retrieve\s+"([^"]+)"/g });
+      issues.push({ ruleId: 'hook-undefined-function', type: 'undefined_function', description: 'Uses undefined memory_retrieve function', pattern: /memory_retrieve\s+"([^"]+)"/g });
     }
     
     // Check for undefined variables
     if (content.includes('${TASK_ID}')) {
-      issues.push({ type: 'undefined_variable', description: 'Uses undefined ${TASK_ID} variable', pattern: /\$\{TASK_ID\}/g });
+      issues.push({ ruleId: 'hook-undefined-variable', type: 'undefined_variable', description: 'Uses undefined ${TASK_ID} variable', pattern: /\$\{TASK_ID\}/g });
     }
     if (content.includes('${SWARM_ID}')) {
-      issues.push({ type: 'undefined_variable', description: 'Uses undefined ${SWARM_ID} variable', pattern: /\$\{SWARM_ID\}/g });
+      issues.push({ ruleId: 'hook-undefined-variable', type: 'undefined_variable', description: 'Uses undefined ${SWARM_ID} variable', pattern: /\$\{SWARM_ID\}/g });
     }
     
     // Check for problematic MCP calls in hooks
     if (content.includes('mcp__claude-flow__swarm_init')) {
-      issues.push({ type: 'mcp_in_hooks', description: 'MCP swarm_init call in hooks (should be in execution)', pattern: /mcp__claude-flow__swarm_init/g });
+      issues.push({ ruleId: 'hook-mcp-call', type: 'mcp_in_hooks', description: 'MCP swarm_init call in hooks (should be in execution)', pattern: /mcp__claude-flow__swarm_init/g });
     }
     if (content.includes('mcp__claude-flow__agent_spawn')) {
-      issues.push({ type: 'mcp_in_hooks', description: 'MCP agent_spawn call in hooks (should be in execution)', pattern: /mcp__claude-flow__agent_spawn/g });
+      issues.push({ ruleId: 'hook-mcp-call', type: 'mcp_in_hooks', description: 'MCP agent_spawn call in hooks (should be in execution)', pattern: /mcp__claude-flow__agent_spawn/g });
     }
     if (content.includes('mcp__claude-flow__task_orchestrate')) {
-      issues.push({ type: 'mcp_in_hooks', description: 'MCP task_orchestrate call in hooks (should be in execution)', pattern: /mcp__claude-flow__task_orchestrate/g });
+      issues.push({ ruleId: 'hook-mcp-call', type: 'mcp_in_hooks', description: 'MCP task_orchestrate call in hooks (should be in execution)', pattern: /mcp__claude-flow__task_orchestrate/g });
     }
     
     // Check for missing error handling
     if (content.includes('hooks:') && !content.includes('on_error:')) {
-      issues.push({ type: 'missing_error_hook', description: 'Missing on_error hook for error handling' });
+      issues.push({ ruleId: 'hook-missing-stage', type: 'missing_error_hook', description: 'Missing on_error hook for error handling' });
     }
     
-    return issues;
+    // Drop issues whose every occurrence is suppressed inline
+    return issues.filter(issue => issue.pattern
+      ? this.suppressions.firstUnsuppressedMatch(content, issue.pattern, issue.ruleId)
+      : !this.suppressions.isSuppressed(issue.ruleId, lineAt(content, content.indexOf('hooks:'))));
   }
 
   async interactiveFixIssues(content, issues, agentInfo) {
@@ -259,26 +268,26 @@ class InteractiveHookFixer {
     switch (issue.type) {
       case 'undefined_function':
         if (issue.pattern.source.includes('memory_store')) {
-          newContent = newContent.replace(issue.pattern, 'npx claude-flow@alpha memory store "$1" "$2" --namespace="agent"');
+          newContent = this.suppressions.replace(newContent, issue.pattern, 'npx claude-flow@alpha memory store "$1" "$2" --namespace="agent"', issue.ruleId);
           change = 'Fixed memory_store function calls';
         } else if (issue.pattern.source.includes('memory_search')) {
-          newContent = newContent.replace(issue.pattern, 'npx claude-flow@alpha memory search "$1" --namespace="agent"');
+          newContent = this.suppressions.replace(newContent, issue.pattern, 'npx claude-flow@alpha memory search "$1" --namespace="agent"', issue.ruleId);
           change = 'Fixed memory_search function calls';
         } else if (issue.pattern.source.includes('memory_retrieve')) {
-          newContent = newContent.replace(issue.pattern, 'npx claude-flow@alpha memory retrieve "$1" --namespace="agent"');
+          newContent = this.suppressions.replace(newContent, issue.pattern, 'npx claude-flow@alpha memory retrieve "$1" --namespace="agent"', issue.ruleId);
           change = 'Fixed memory_retrieve function calls';
         }
         break;
         
       case 'undefined_variable':
-        newContent = newContent.replace(issue.pattern, '$AGENT_TASK');
+        newContent = this.suppressions.replace(newContent, issue.pattern, '$AGENT_TASK', issue.ruleId);
         change = `Fixed undefined variables to use $AGENT_TASK`;
         break;
         
       case 'mcp_in_hooks':
         // For MCP calls, we'll comment them out with explanation
         if (issue.pattern) {
-          newContent = newContent.replace(issue.pattern, '# REMOVED: $& (MCP calls should be in agent execution, not hooks)');
+          newContent = this.suppressions.replace(newContent, issue.pattern, '# REMOVED: $& (MCP calls should be in agent execution, not hooks)', issue.ruleId);
           change = 'Commented out MCP calls in hooks';
         }
         break;
@@ -439,14 +448,15 @@ class InteractiveHookFixer {
       }
     }
     
-    console.log('\n💾 BACKUP INFO:');
-    console.log('   Original files backed up with .backup extension');
-    console.log('   To restore: for f in **/*.backup; do mv "$f" "${f%.backup}"; done');
+    if (this.runId) {
+      console.log(`\n↩️  Undo with: claude-flow-hooks restore ${this.runId}`);
+    }
   }
 }
 
 // Run the interactive fixer
 // Get agents directory from command line argument or default
-const agentsDir = process.argv[2] || path.join(process.cwd(), '.claude', 'agents');
-const fixer = new InteractiveHookFixer(agentsDir);
+const run = startScriptRun('fix-hooks-interactive', process.argv.slice(2));
+const agentsDir = run.positional[0] || path.join(process.cwd(), '.claude', 'agents');
+const fixer = new InteractiveHookFixer(agentsDir, { run });
 await fixer.interactiveFixAll();
\ No newline at end of file
@@ -3,14 +3,17 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { startScriptRun } from '../lib/journal.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Tool to restore legitimate MCP usage that was incorrectly commented out
 class MCPRestorer {
-  constructor(agentsDir) {
+  constructor(agentsDir, options = {}) {
     this.agentsDir = agentsDir || path.join(process.cwd(), '.claude', 'agents');
+    this.run = options.run || startScriptRun('restore-mcp');
+    this.runId = null;
     this.restored = [];
     this.errors = [];
   }
@@ -26,6 +29,8 @@ class MCPRestorer {
       await this.restoreAgent(file);
     }
     
+    this.runId = await this.run.finish();
+
     this.reportResults();
   }
 
@@ -135,7 +140,7 @@ class MCPRestorer {
       
       // Apply changes if any were made
       if (changesMade.length > 0) {
-        fs.writeFileSync(filePath, newContent);
+        await this.run.write(filePath, content, newContent);
         this.restored.push({ file: relativePath, changes: changesMade });
       }
       
@@ -178,10 +183,15 @@ class MCPRestorer {
     console.log('\n💡 RESULT:');
     console.log('   Agents now have legitimate coordination capabilities preserved');
     console.log('   while maintaining lightweight, proper hook configurations.');
+    
+    if (this.runId) {
+      console.log(`\n↩️  Undo with: claude-flow-hooks restore ${this.runId}`);
+    }
   }
 }
 
 // Run the MCP restorer
-const agentsDir = process.argv[2] || path.join(process.cwd(), '.claude', 'agents');
-const restorer = new MCPRestorer(agentsDir);
+const run = startScriptRun('restore-mcp', process.argv.slice(2));
+const agentsDir = run.positional[0] || path.join(process.cwd(), '.claude', 'agents');
+const restorer = new MCPRestorer(agentsDir, { run });
 await restorer.restoreLegitimateUsage();
\ No newline at end of file
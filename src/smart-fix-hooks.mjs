@@ -3,15 +3,19 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { Suppressions, lineAt } from '../lib/suppressions.mjs';
+import { startScriptRun } from '../lib/journal.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Smart hook fixing utility that understands agent types and contexts
 class SmartHookFixer {
-  constructor(agentsDir) {
+  constructor(agentsDir, options = {}) {
     // Use provided agentsDir or default to current working directory
     this.agentsDir = agentsDir || path.join(process.cwd(), '.claude', 'agents');
+    this.run = options.run || startScriptRun('smart-fix-hooks');
+    this.runId = null;
     this.fixed = [];
     this.skipped = [];
     this.errors = [];
@@ -28,6 +32,8 @@ class SmartHookFixer {
       await this.smartFixAgent(file);
     }
     
+    this.runId = await this.run.finish();
+
     this.reportResults();
   }
 
@@ -66,7 +72,8 @@ class SmartHookFixer {
       }
 
       const agentInfo = this.analyzeAgent(content, filePath);
-      const issues = this.analyzeHooks(content, agentInfo);
+      const suppressions = Suppressions.fromContent(content);
+      const issues = this.analyzeHooks(content, agentInfo, suppressions);
       
       if (issues.length === 0) {
         console.log(`✨ ${relativePath}: Hooks are contextually appropriate`);
@@ -83,11 +90,11 @@ class SmartHookFixer {
         const fix = this.getContextualFix(issue, agentInfo);
         
         if (fix.action === 'fix') {
-          newContent = newContent.replace(fix.pattern, fix.replacement);
+          newContent = suppressions.replace(newContent, fix.pattern, fix.replacement, issue.ruleId);
           changesMade.push(fix.description);
           console.log(`   ✅ ${fix.description}`);
         } else if (fix.action === 'comment') {
-          newContent = newContent.replace(fix.pattern, `# CONTEXTUAL: ${fix.replacement} (${fix.reason})`);
+          newContent = suppressions.replace(newContent, fix.pattern, `# CONTEXTUAL: ${fix.replacement} (${fix.reason})`, issue.ruleId);
           changesMade.push(`Commented: ${fix.description}`);
           console.log(`   💬 Commented: ${fix.description} (${fix.reason})`);
         } else if (fix.action === 'keep') {
@@ -99,9 +106,7 @@ class SmartHookFixer {
       
       // Apply changes if any were made
       if (changesMade.length > 0) {
-        // Create backup
-        fs.writeFileSync(filePath + '.backup', content);
-        fs.writeFileSync(filePath, newContent);
+        await this.run.write(filePath, content, newContent);
         
         this.fixed.push({ file: relativePath, changes: changesMade, type: agentInfo.type });
       } else {
@@ -151,7 +156,7 @@ class SmartHookFixer {
     return { name, type, description, category, isCoordinator, filePath };
   }
 
-  analyzeHooks(content, agentInfo) {
+  analyzeHooks(content, agentInfo, suppressions = new Suppressions()) {
     const issues = [];
     
     // Check for MCP calls in hooks
@@ -162,8 +167,9 @@ class SmartHookFixer {
     ];
     
     for (const mcp of mcpCallsInHooks) {
-      if (mcp.pattern.test(content)) {
+      if (suppressions.firstUnsuppressedMatch(content, mcp.pattern, 'hook-mcp-call')) {
         issues.push({
+          ruleId: 'hook-mcp-call',
           type: mcp.type,
           description: `MCP ${mcp.type.replace('mcp_', '').replace('_', ' ')} call in hooks`,
           pattern: mcp.pattern,
@@ -173,8 +179,10 @@ class SmartHookFixer {
     }
     
     // Check for missing error hooks
-    if (content.includes('hooks:') && !content.includes('on_error:')) {
+    if (content.includes('hooks:') && !content.includes('on_error:') &&
+        !suppressions.isSuppressed('hook-missing-stage', lineAt(content, content.indexOf('hooks:')))) {
       issues.push({
+        ruleId: 'hook-missing-stage',
         type: 'missing_error_hook',
         description: 'Missing on_error hook',
         severity: 'low'
@@ -293,11 +301,16 @@ $1`,
     console.log('2. Move heavy orchestration from hooks to execution phase');
     console.log('3. Test agents with lightweight hooks');
     console.log('4. Validate coordination still works properly');
+    
+    if (this.runId) {
+      console.log(`\n↩️  Undo with: claude-flow-hooks restore ${this.runId}`);
+    }
   }
 }
 
 // Run the smart fixer
 // Get agents directory from command line argument or default
-const agentsDir = process.argv[2] || path.join(process.cwd(), '.claude', 'agents');
-const fixer = new SmartHookFixer(agentsDir);
+const run = startScriptRun('smart-fix-hooks', process.argv.slice(2));
+const agentsDir = run.positional[0] || path.join(process.cwd(), '.claude', 'agents');
+const fixer = new SmartHookFixer(agentsDir, { run });
 await fixer.smartFixAll();
\ No newline at end of file
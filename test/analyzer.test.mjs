@@ -90,6 +90,60 @@ describe('Analyzer', () => {
       expect(result.agents[0].errors).toBeDefined();
     });
 
+    it('should honor inline suppression comments', async () => {
+      const agentsDir = join(tempDir, '.claude', 'agents');
+      await mkdir(agentsDir, { recursive: true });
+
+      const content = serializeToFrontmatter({ name: 'legacy-agent', version: '1.0.0' }, '# Legacy')
+        .replace('---\n', '---\n# agent-toolkit-disable required-field\n');
+      await writeFile(join(agentsDir, 'legacy-agent.md'), content);
+
+      const result = await analyzer.analyze(tempDir);
+
+      expect(result.agents[0].valid).toBe(true);
+      expect(result.summary.validAgents).toBe(1);
+    });
+
+    it('should honor suppressions of analysis rules without reporting them as unknown', async () => {
+      const agentsDir = join(tempDir, '.claude', 'agents');
+      await mkdir(join(agentsDir, 'legacy'), { recursive: true });
+
+      const agent = (name, requires) => serializeToFrontmatter({ name, dependencies: { requires } }, '# Agent');
+      await writeFile(join(agentsDir, 'alpha-agent.md'), agent('alpha-agent', ['beta-agent']));
+      await writeFile(join(agentsDir, 'beta-agent.md'), agent('beta-agent', ['alpha-agent'])
+        .replace('dependencies:', '# agent-toolkit-disable-next-line circular-dependency\ndependencies:'));
+      await writeFile(join(agentsDir, 'legacy', 'alpha-agent.md'), agent('alpha-agent', [])
+        .replace('---\n', '---\n# agent-toolkit-disable duplicate-agent-name\n'));
+
+      const result = await analyzer.analyze(tempDir);
+
+      expect(result.issues.filter(issue => ['duplicate-agent-name', 'circular-dependency'].includes(issue.ruleId))).toEqual([]);
+      const findings = analyzer.results.flatMap(entry => entry.findings);
+      expect(findings.filter(finding => finding.ruleId === 'unused-suppression')).toEqual([]);
+    });
+
+    it('should report path policy problems per agent', async () => {
+      const agentsDir = join(tempDir, '.claude', 'agents');
+      await mkdir(join(tempDir, 'src'), { recursive: true });
+      await mkdir(agentsDir, { recursive: true });
+
+      const content = serializeToFrontmatter({
+        name: 'path-agent',
+        tools: { allowed: ['Read', 'Write'] },
+        constraints: { allowed_paths: ['src/**', 'build/**'], forbidden_paths: ['build/**'] }
+      }, '# Paths');
+      await writeFile(join(agentsDir, 'path-agent.md'), content);
+
+      const result = await analyzer.analyze(tempDir);
+
+      expect(result.pathPolicy['path-agent']).toMatchObject({ allowed: ['src/**'], shadowed: ['build/**'], writable: true });
+      expect(result.issues).toContainEqual(expect.objectContaining({
+        ruleId: 'shadowed-allow-path',
+        message: "path-agent: Allowed path 'build/**' is fully shadowed by forbidden path 'build/**'"
+      }));
+      expect(result.issues.some(issue => issue.ruleId === 'secret-path-overlap')).toBe(true);
+    });
+
     it('should calculate capability distribution', async () => {
       const agentsDir = join(tempDir, '.claude', 'agents');
       await mkdir(agentsDir, { recursive: true });
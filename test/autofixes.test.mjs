@@ -0,0 +1,192 @@
+import { describe, it, expect } from 'vitest';
+import { InvalidArgumentError } from 'commander';
+import { AUTOFIXES, FIXABLE_RULES, selectAutofixes, applyAutofixes, parseFixRule, parseFixProfile } from '../lib/autofixes.mjs';
+import { RULES } from '../lib/rules.mjs';
+import { AgentConfig } from '../lib/config.mjs';
+
+describe('Autofixes', () => {
+    const schema = AgentConfig.toJSONSchema();
+    const filePath = '/project/.claude/agents/swarm/test-agent.md';
+    const ruleFindings = (ruleId, agentData) => RULES.find(rule => rule.id === ruleId)
+        .check({ agentData, filePath, schema, options: {} });
+    const agent = (overrides = {}) => ({ ...AgentConfig.generateDefaults('test-agent', 'swarm'), ...overrides });
+
+    // One agent per autofix that breaks only the rule it fixes
+    const broken = {
+        'required-field': () => {
+            const data = agent();
+            delete data.monitoring;
+            return data;
+        },
+        'valid-type': () => agent({ type: 'coordination' }),
+        'hex-color': () => agent({ color: 'red' }),
+        'tools-shape': () => agent({ tools: ['Read', 'Task'] }),
+        'unknown-tool': () => agent({ tools: { allowed: ['Reed'], restricted: [], conditional: [] } }),
+        'invalid-mcp-tool-name': () => agent({ tools: { allowed: ['mcp__claude-flow_swarm_init'], restricted: [], conditional: [] } }),
+        'tool-allowed-and-restricted': () => agent({ tools: { allowed: ['Read', 'Task'], restricted: ['Task'], conditional: [] } }),
+        'kebab-name': () => agent({ name: 'Test Agent' }),
+        'semver-version': () => agent({ version: 'v2.1' }),
+        'valid-priority': () => agent({ priority: 'urgent' }),
+        'empty-capabilities': () => agent({ capabilities: [] })
+    };
+
+    it('should pair every autofix with exactly one validator rule', () => {
+        const ruleIds = RULES.map(rule => rule.id);
+        expect(new Set(FIXABLE_RULES).size).toBe(FIXABLE_RULES.length);
+        for (const autofix of AUTOFIXES) {
+            expect(ruleIds).toContain(autofix.ruleId);
+            expect(typeof autofix.safe).toBe('boolean');
+            expect(autofix.description).toBeTruthy();
+        }
+        expect(Object.keys(broken).sort()).toEqual([...FIXABLE_RULES].sort());
+    });
+
+    for (const ruleId of FIXABLE_RULES) {
+        it(`should clear the ${ruleId} finding with the ${ruleId} fix alone`, () => {
+            const data = broken[ruleId]();
+            expect(ruleFindings(ruleId, data)).not.toEqual([]);
+
+            const { data: fixed, changes } = applyAutofixes(data, { filePath }, { rules: [ruleId] });
+
+            expect(ruleFindings(ruleId, fixed)).toEqual([]);
+            expect(changes.length).toBeGreaterThan(0);
+            expect(changes.every(change => change.ruleId === ruleId)).toBe(true);
+        });
+    }
+
+    it('should only select fixes that keep permissions and behavior with onlySafe', () => {
+        expect(selectAutofixes({ onlySafe: true }).map(autofix => autofix.ruleId))
+            .toEqual(['hex-color', 'semver-version']);
+
+        const data = agent({ color: 'red', tools: { allowed: ['Reed'], restricted: [], conditional: [] } });
+        const { data: fixed, changes } = applyAutofixes(data, { filePath }, { onlySafe: true });
+        expect(changes).toEqual([{ ruleId: 'hex-color', message: 'Fixed color: red → #4ECDC4' }]);
+        expect(fixed.tools.allowed).toEqual(['Reed']);
+    });
+
+    it('should refuse fixes that widen permissions unless escalation is allowed', () => {
+        const data = agent({ color: 'red', tools: { restricted: ['Task'], conditional: [] } });
+        delete data.monitoring;
+
+        const { data: fixed, changes, refused } = applyAutofixes(data, { filePath, profile: 'full' });
+        expect(changes.map(change => change.ruleId)).toEqual(['hex-color', 'tools-shape']);
+        expect(fixed.tools.allowed).toEqual([]);
+        expect(fixed.monitoring).toBeUndefined();
+        expect(refused).toEqual([{
+            ruleId: 'required-field',
+            messages: ['Added missing fields (full profile): monitoring'],
+            escalations: [{ kind: 'tools', widens: true, message: 'tools granted: Edit, Glob, Grep, Read, Write' }]
+        }]);
+
+        const escalated = applyAutofixes(data, { filePath, profile: 'full' }, { allowEscalation: true });
+        expect(escalated.refused).toEqual([]);
+        expect(escalated.data.tools.allowed).toEqual(['Read', 'Write', 'Edit', 'Grep', 'Glob']);
+    });
+
+    it('should not count replacing an unknown tool with its suggestion or adding tools to an agent without them as widening', () => {
+        const misspelled = agent({ tools: { allowed: ['Grepp', 'mcp__claude-flow_swarm_init'], restricted: [], conditional: [] } });
+        const suggested = applyAutofixes(misspelled, { filePath });
+        expect(suggested.refused).toEqual([]);
+        expect(suggested.data.tools.allowed).toEqual(['Grep', 'mcp__claude-flow__swarm_init']);
+
+        const toolless = agent();
+        delete toolless.tools;
+        const added = applyAutofixes(toolless, { filePath });
+        expect(added.refused).toEqual([]);
+        expect(added.data.tools.allowed).toEqual(['Read', 'Write', 'Edit', 'Grep', 'Glob']);
+    });
+
+    it('should keep the numbers of a version and leave the input unchanged', () => {
+        const data = agent({ version: 'v2.1', capabilities: [] });
+        const { data: fixed } = applyAutofixes(data, { filePath });
+
+        expect(fixed.version).toBe('2.1.0');
+        expect(fixed.capabilities).toEqual(['coordination']);
+        expect(data.version).toBe('v2.1');
+        expect(data.capabilities).toEqual([]);
+        expect(applyAutofixes(agent({ version: 'latest' }), { filePath }).data.version).toBe('latest');
+    });
+
+    it('should fix the case of a priority and list an unknown one it replaces', () => {
+        const cased = applyAutofixes(agent({ priority: 'High' }), { filePath }, { rules: ['valid-priority'] });
+        expect(cased.data.priority).toBe('high');
+        expect(cased.invented).toEqual([]);
+
+        const unknown = applyAutofixes(agent({ priority: 'urgent' }), { filePath }, { rules: ['valid-priority'] });
+        expect(unknown.data.priority).toBe('medium');
+        expect(unknown.changes).toEqual([{ ruleId: 'valid-priority', message: 'Replaced unknown priority: urgent → medium' }]);
+        expect(unknown.invented).toEqual([{ ruleId: 'valid-priority', path: 'priority', value: 'medium' }]);
+    });
+
+    describe('fix profiles', () => {
+        const partial = () => {
+            const data = agent({ resources: { max_memory: '1GB' } });
+            delete data.constraints;
+            delete data.description;
+            return data;
+        };
+
+        it('should add only the missing keys with their smallest valid value in the minimal profile', () => {
+            const { data, invented } = applyAutofixes(partial(), { filePath, profile: 'minimal' }, { rules: ['required-field'] });
+
+            expect(data.constraints).toEqual({});
+            expect(data.description).toBe('');
+            expect(data.resources).toEqual({ max_memory: '1GB' });
+            expect(invented).toEqual([
+                { ruleId: 'required-field', path: 'description', value: '' },
+                { ruleId: 'required-field', path: 'constraints', value: {} }
+            ]);
+            expect(ruleFindings('required-field', data)).toEqual([]);
+            expect(ruleFindings('config-schema', data)).toEqual([]);
+
+            const empty = applyAutofixes({}, { filePath, profile: 'minimal' }, { rules: ['required-field'] }).data;
+            expect(empty.tools).toEqual(AgentConfig.generateDefaults('test-agent', 'swarm').tools);
+            expect(empty).toMatchObject({ name: 'test-agent', type: 'swarm', version: '1.0.0', priority: 'medium', hooks: {} });
+            expect(ruleFindings('tools-shape', empty)).toEqual([]);
+        });
+
+        it('should list a value invented by several fixes once, with the last fix', () => {
+            const { data, invented } = applyAutofixes({}, { filePath, profile: 'minimal' });
+
+            expect(data.capabilities).toEqual(['coordination']);
+            expect(invented.filter(value => value.path === 'capabilities'))
+                .toEqual([{ ruleId: 'empty-capabilities', path: 'capabilities', value: ['coordination'] }]);
+            expect(new Set(invented.map(value => value.path)).size).toBe(invented.length);
+        });
+
+        it('should add defaults for missing keys in standard and inside existing blocks in full', () => {
+            const standard = applyAutofixes(partial(), { filePath, profile: 'standard' }, { rules: ['required-field'] });
+            expect(standard.data.resources).toEqual({ max_memory: '1GB' });
+            expect(standard.invented.map(value => value.path)).toContain('constraints.allowed_paths');
+
+            const full = applyAutofixes(partial(), { filePath, profile: 'full' }, { rules: ['required-field'] });
+            expect(full.data.resources.memory_limit).toBe('512MB');
+            expect(full.invented).toContainEqual({ ruleId: 'required-field', path: 'resources.memory_limit', value: '512MB' });
+            expect(full.invented.map(value => value.path)).not.toContain('resources.max_memory');
+        });
+
+        it('should invent values from the kebab-case name the name fix writes', () => {
+            const data = { name: 'Broken_Agent', type: 'core' };
+
+            const { data: fixed, invented } = applyAutofixes(data, { filePath, profile: 'full' }, { allowEscalation: true });
+
+            expect(fixed.name).toBe('broken-agent');
+            expect(JSON.stringify(fixed)).not.toContain('Broken_Agent');
+            expect(JSON.stringify(invented)).not.toContain('Broken_Agent');
+            expect(invented.map(value => value.path)).toContain('prompts.main');
+        });
+
+        it('should reject unknown profiles for --profile', () => {
+            expect(parseFixProfile('minimal')).toBe('minimal');
+            expect(() => parseFixProfile('tiny')).toThrow("Unknown profile 'tiny'. Must be one of: minimal, standard, full.");
+        });
+    });
+
+    it('should reject unknown and unfixable rules for --rule', () => {
+        expect(parseFixRule('hex-color')).toEqual(['hex-color']);
+        expect(parseFixRule('semver-version', ['hex-color'])).toEqual(['hex-color', 'semver-version']);
+        expect(() => parseFixRule('hex-colour')).toThrow(InvalidArgumentError);
+        expect(() => parseFixRule('hex-colour')).toThrow("Unknown rule 'hex-colour'");
+        expect(() => parseFixRule('unit-format')).toThrow("Rule 'unit-format' has no autofix");
+    });
+});
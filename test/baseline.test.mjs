@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { Baseline, BASELINE_FILE } from '../lib/baseline.mjs';
+import { AgentValidator } from '../lib/validator.mjs';
+import { AgentConfig } from '../lib/config.mjs';
+import { serializeToFrontmatter } from '../lib/utils.mjs';
+import { AGENT_BODY, createTempProject, removeTempProject, writeAgent } from './helpers.mjs';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Baseline', () => {
+    let dir;
+    let agentsDir;
+    let validator;
+
+    beforeEach(async () => {
+        ({ dir, agentsDir } = await createTempProject('baseline-test'));
+        validator = new AgentValidator({ baseDir: dir, agentsDir, cache: false });
+    });
+
+    afterEach(async () => {
+        await removeTempProject(dir);
+    });
+
+    const result = (agentName, findings) => ({
+        agent_name: agentName,
+        relativePath: `core/${agentName}.md`,
+        findings: findings.map(([ruleId, fieldPath]) => ({ ruleId, path: fieldPath, severity: 'warning', message: ruleId }))
+    });
+
+    it('should save findings sorted by agent, rule and field path and load them back', async () => {
+        const baseline = Baseline.fromResults({
+            details: [
+                result('beta-agent', [['unknown-tool', 'tools.allowed[0]']]),
+                result('alpha-agent', [['hex-color', 'color'], ['empty-section', ''], ['empty-section', '']])
+            ]
+        });
+        const filePath = path.join(dir, BASELINE_FILE);
+        await baseline.save(filePath);
+
+        expect(JSON.parse(await fs.readFile(filePath, 'utf-8'))).toEqual({
+            version: 1,
+            findings: [
+                { agent: 'alpha-agent', ruleId: 'empty-section', path: '', count: 2 },
+                { agent: 'alpha-agent', ruleId: 'hex-color', path: 'color', count: 1 },
+                { agent: 'beta-agent', ruleId: 'unknown-tool', path: 'tools.allowed[0]', count: 1 }
+            ]
+        });
+        expect((await Baseline.load(filePath)).toJSON()).toEqual(baseline.toJSON());
+        expect(await Baseline.load(path.join(dir, 'missing.json'))).toBeNull();
+    });
+
+    it('should reject a baseline file that is not valid JSON', async () => {
+        const filePath = path.join(dir, BASELINE_FILE);
+        await fs.writeFile(filePath, '{ findings');
+
+        await expect(Baseline.load(filePath)).rejects.toThrow(`Invalid baseline file ${filePath}`);
+    });
+
+    it('should only report findings that are not in the baseline, wherever they move', async () => {
+        await writeAgent(agentsDir, 'alpha-agent', { color: 'red' });
+        const baseline = Baseline.fromResults(await validator.validateAll());
+
+        // Moving the color field down and adding a new problem above it
+        const config = AgentConfig.generateDefaults('alpha-agent', 'core');
+        delete config.color;
+        await fs.writeFile(
+            path.join(agentsDir, 'core', 'alpha-agent.md'),
+            serializeToFrontmatter({ ...config, version: '1.0', color: 'red' }, AGENT_BODY)
+        );
+        const results = validator.applyBaseline(await validator.validateAll(), baseline);
+        const [detail] = results.details;
+
+        expect(detail.findings.map(f => f.ruleId)).toEqual(['semver-version']);
+        expect(detail.status).toBe('error');
+        expect(detail.baselined).toBe(baseline.size);
+        expect(results.baselined).toBe(baseline.size);
+        expect(results.errors).toBe(1);
+    });
+
+    it('should count repeated findings so extra occurrences are reported', () => {
+        const baseline = Baseline.fromResults({ details: [result('alpha-agent', [['empty-section', '']])] });
+        const { kept, baselined } = baseline.match([result('alpha-agent', [['empty-section', ''], ['empty-section', '']])]);
+
+        expect(baselined).toBe(1);
+        expect(kept[0]).toHaveLength(1);
+    });
+
+    it('should prune fixed findings without recording new ones', () => {
+        const baseline = Baseline.fromResults({
+            details: [
+                result('alpha-agent', [['hex-color', 'color'], ['semver-version', 'version']]),
+                result('beta-agent', [['hex-color', 'color']])
+            ]
+        });
+
+        const pruned = baseline.prune({ details: [result('alpha-agent', [['semver-version', 'version'], ['unknown-tool', 'tools.allowed[0]']])] });
+
+        expect(pruned).toBe(2);
+        expect(baseline.toJSON().findings).toEqual([{ agent: 'alpha-agent', ruleId: 'semver-version', path: 'version', count: 1 }]);
+    });
+
+    it('should leave other agents alone when pruning or updating results of one agent', () => {
+        const baseline = Baseline.fromResults({
+            details: [
+                result('alpha-agent', [['hex-color', 'color']]),
+                result('beta-agent', [['hex-color', 'color']])
+            ]
+        });
+        const single = { details: [result('alpha-agent', [])] };
+
+        expect(baseline.prune(single, { complete: false })).toBe(1);
+        baseline.update({ details: [result('alpha-agent', [['semver-version', 'version']])] }, { complete: false });
+
+        expect(baseline.toJSON().findings.map(entry => `${entry.agent}:${entry.ruleId}`)).toEqual([
+            'alpha-agent:semver-version',
+            'beta-agent:hex-color'
+        ]);
+    });
+});
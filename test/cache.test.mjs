@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ResultCache, hashContent, CACHE_DIR } from '../lib/cache.mjs';
+import { AgentValidator } from '../lib/validator.mjs';
+import { AgentFixer } from '../lib/fixer.mjs';
+import { AgentAnalyzer } from '../lib/analyzer.mjs';
+import { AgentConfig } from '../lib/config.mjs';
+import { createTempProject, removeTempProject, writeAgent } from './helpers.mjs';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('ResultCache', () => {
+    let dir;
+
+    beforeEach(async () => {
+        ({ dir } = await createTempProject('cache-test'));
+    });
+
+    afterEach(async () => {
+        await removeTempProject(dir);
+    });
+
+    async function writeAgents(agentsDir, names) {
+        for (const name of names) await writeAgent(agentsDir, name);
+    }
+
+    it('should hash parts with separators', () => {
+        expect(hashContent('ab', 'c')).not.toBe(hashContent('a', 'bc'));
+        expect(hashContent({ a: 1 })).toBe(hashContent({ a: 1 }));
+    });
+
+    it('should store entries under .agent-toolkit/cache keyed by version', async () => {
+        const cache = new ResultCache({ baseDir: dir, version: '1.0.0' });
+        const key = cache.key('content');
+
+        expect(await cache.get('validate', key)).toBeNull();
+        await cache.set('validate', key, { ok: true });
+        expect(await cache.get('validate', key)).toEqual({ ok: true });
+        expect(new ResultCache({ baseDir: dir, version: '2.0.0' }).key('content')).not.toBe(key);
+        await expect(fs.stat(path.join(dir, CACHE_DIR, 'validate'))).resolves.toBeDefined();
+    });
+
+    it('should skip unchanged files on later validation runs', async () => {
+        const agentsDir = path.join(dir, 'agents');
+        await writeAgents(agentsDir, ['alpha-agent', 'beta-agent', 'gamma-agent']);
+
+        const first = new AgentValidator({ baseDir: dir, agentsDir, cache: true, concurrency: 2 });
+        const firstResults = await first.validateAll();
+
+        await writeAgent(agentsDir, 'beta-agent', { color: 'red' });
+
+        const second = new AgentValidator({ baseDir: dir, agentsDir, cache: true });
+        const lintFile = vi.spyOn(second, 'lintFile');
+        const secondResults = await second.validateAll();
+
+        expect(lintFile).toHaveBeenCalledTimes(1);
+        expect(lintFile.mock.calls[0][0]).toMatch(/beta-agent\.md$/);
+        expect(second.cache.hits).toBe(2);
+        expect(firstResults.details.map(r => r.agent_name)).toEqual(secondResults.details.map(r => r.agent_name));
+        expect(secondResults.details.find(r => r.agent_name === 'beta-agent').status).toBe('error');
+    });
+
+    it('should invalidate cached results when rule settings change', async () => {
+        const agentsDir = path.join(dir, 'agents');
+        await writeAgents(agentsDir, ['alpha-agent']);
+
+        await new AgentValidator({ baseDir: dir, agentsDir, cache: true }).validateAll();
+        const validator = new AgentValidator({ baseDir: dir, agentsDir, cache: true, rules: { 'empty-triggers': 'off' } });
+        await validator.validateAll();
+
+        expect(validator.cache.hits).toBe(0);
+    });
+
+    it('should keep cached results when unrelated project files change', async () => {
+        const agentsDir = path.join(dir, 'agents');
+        await writeAgents(agentsDir, ['alpha-agent']);
+        const { constraints } = AgentConfig.generateDefaults('beta-agent', 'core');
+        await writeAgent(agentsDir, 'beta-agent', { constraints: { ...constraints, allowed_paths: ['lib/**'] } });
+        const unmatched = results => results.details.find(r => r.agent_name === 'beta-agent').findings
+            .filter(finding => finding.ruleId === 'unmatched-allow-path');
+
+        expect(unmatched(await new AgentValidator({ baseDir: dir, agentsDir, cache: true }).validateAll())).toHaveLength(1);
+
+        await fs.writeFile(path.join(dir, 'unrelated.log'), '');
+        await fs.writeFile(path.join(dir, 'report.json'), '{}');
+        const unrelated = new AgentValidator({ baseDir: dir, agentsDir, cache: true });
+        await unrelated.validateAll();
+        expect(unrelated.cache.hits).toBe(2);
+
+        await fs.mkdir(path.join(dir, 'lib'));
+        await fs.writeFile(path.join(dir, 'lib', 'index.js'), '');
+        const matched = new AgentValidator({ baseDir: dir, agentsDir, cache: true });
+        const lintFile = vi.spyOn(matched, 'lintFile');
+        expect(unmatched(await matched.validateAll())).toEqual([]);
+        expect(lintFile).toHaveBeenCalledTimes(1);
+        expect(lintFile.mock.calls[0][0]).toMatch(/beta-agent\.md$/);
+    });
+
+    it('should prune entries that were not used for the maximum age', async () => {
+        const cache = new ResultCache({ baseDir: dir, maxAge: 60 * 1000 });
+        const [used, stale] = [cache.key('used'), cache.key('stale')];
+        await cache.set('validate', used, { ok: true });
+        await cache.set('validate', stale, { ok: false });
+        const old = new Date(Date.now() - 2 * 60 * 1000);
+        await fs.utimes(cache.entryPath('validate', used), old, old);
+        await fs.utimes(cache.entryPath('validate', stale), old, old);
+
+        expect(await cache.get('validate', used)).toEqual({ ok: true });
+        expect(await cache.prune()).toBe(1);
+        expect(await cache.get('validate', used)).toEqual({ ok: true });
+        expect(await cache.get('validate', stale)).toBeNull();
+    });
+
+    it('should share one cache between the validator and analyzer, with the fixer keeping its own entries', async () => {
+        const agentsDir = path.join(dir, '.claude', 'agents');
+        await writeAgents(agentsDir, ['alpha-agent', 'beta-agent']);
+        const cache = new ResultCache({ baseDir: dir });
+
+        await new AgentValidator({ baseDir: dir, agentsDir, cache }).validateAll();
+        const analysis = await new AgentAnalyzer({ baseDir: dir, cache }).analyze();
+        expect(cache.hits).toBe(2);
+        expect(analysis.summary.validAgents).toBe(2);
+
+        const fixer = new AgentFixer({ baseDir: dir, agentsDir, cache, backup: false });
+        await fixer.fixAll();
+        const results = await fixer.fixAll();
+        expect(cache.hits).toBe(4);
+        expect(results.skipped).toBe(2);
+    });
+
+    it('should key fix results by the path inside the agents directory', async () => {
+        const agentsDir = path.join(dir, '.claude', 'agents');
+        await writeAgents(agentsDir, ['alpha-agent']);
+        await fs.mkdir(path.join(agentsDir, 'swarm'));
+        await fs.copyFile(path.join(agentsDir, 'core', 'alpha-agent.md'), path.join(agentsDir, 'swarm', 'alpha-agent.md'));
+        const cache = new ResultCache({ baseDir: dir });
+        const fixer = new AgentFixer({ baseDir: dir, agentsDir, cache, backup: false });
+
+        await fixer.fixFile(path.join(agentsDir, 'core', 'alpha-agent.md'));
+        await fixer.fixFile(path.join(agentsDir, 'swarm', 'alpha-agent.md'));
+        expect(cache.hits).toBe(0);
+
+        await fixer.fixFile(path.join(agentsDir, 'swarm', 'alpha-agent.md'));
+        expect(cache.hits).toBe(1);
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { formatCIReport, CI_FORMATS } from '../lib/ci-reports.mjs';
+import { AgentValidator } from '../lib/validator.mjs';
+import { createTempProject, removeTempProject, writeAgent } from './helpers.mjs';
+import path from 'path';
+
+describe('CI Report Formats', () => {
+    const baseDir = '/repo';
+    const results = (findings, name = 'coder') => ({
+        details: [{
+            file: path.join(baseDir, '.claude', 'agents', 'core', `${name}.md`),
+            agent_type: 'core',
+            findings
+        }]
+    });
+    const colorError = { ruleId: 'hex-color', severity: 'error', path: 'color', message: 'Invalid color: red', line: 4, column: 8 };
+    const toolsWarning = { ruleId: 'unknown-tool', severity: 'warning', path: 'tools.allowed[1]', message: 'Unknown tool: Foo, bar', line: 12, column: 7 };
+
+    describe('github', () => {
+        it('should emit one escaped workflow command per finding', () => {
+            const report = formatCIReport(results([
+                colorError,
+                toolsWarning,
+                { ruleId: 'unmatched-allow-path', severity: 'info', message: '100% of\nglobs', line: 20, column: 3 },
+                { ruleId: 'semver-version', severity: 'off', message: 'Ignored', line: 2, column: 1 }
+            ]), 'github', { baseDir });
+
+            expect(report.split('\n')).toEqual([
+                '::error file=.claude/agents/core/coder.md,line=4,col=8,title=hex-color::Invalid color: red',
+                '::warning file=.claude/agents/core/coder.md,line=12,col=7,title=unknown-tool::Unknown tool: Foo, bar',
+                '::notice file=.claude/agents/core/coder.md,line=20,col=3,title=unmatched-allow-path::100%25 of%0Aglobs'
+            ]);
+        });
+    });
+
+    describe('junit', () => {
+        it('should fail test cases with errors and keep other findings in system-out', () => {
+            const report = formatCIReport({
+                details: [
+                    ...results([colorError, toolsWarning]).details,
+                    ...results([], 'clean').details
+                ]
+            }, 'junit', { baseDir });
+
+            expect(report).toContain('<testsuites name="agent-toolkit" tests="2" failures="1">');
+            expect(report).toContain(
+                '<failure message="1 error: Invalid color: red" type="hex-color">' +
+                '.claude/agents/core/coder.md:4:8 error: Invalid color: red [hex-color]</failure>'
+            );
+            expect(report).toContain('<system-out>.claude/agents/core/coder.md:12:7 warning: Unknown tool: Foo, bar [unknown-tool]</system-out>');
+            expect(report).toContain('<testcase name=".claude/agents/core/clean.md" classname="agents.core"/>');
+        });
+    });
+
+    describe('gitlab', () => {
+        it('should map severities and keep fingerprints stable when a finding moves', () => {
+            const [error, warning] = JSON.parse(formatCIReport(results([colorError, toolsWarning]), 'gitlab', { baseDir }));
+            const [moved] = JSON.parse(formatCIReport(results([{ ...colorError, line: 9 }]), 'gitlab', { baseDir }));
+
+            expect(error).toMatchObject({
+                description: 'Invalid color: red',
+                check_name: 'hex-color',
+                severity: 'major',
+                location: { path: '.claude/agents/core/coder.md', lines: { begin: 4 } }
+            });
+            expect(warning.severity).toBe('minor');
+            expect(moved.fingerprint).toBe(error.fingerprint);
+            expect(moved.location.lines.begin).toBe(9);
+        });
+
+        it('should give repeated findings unique fingerprints', () => {
+            const issues = JSON.parse(formatCIReport(results([colorError, colorError, colorError]), 'gitlab', { baseDir }));
+            const [other] = JSON.parse(formatCIReport(results([colorError], 'tester'), 'gitlab', { baseDir }));
+
+            expect(new Set(issues.map(issue => issue.fingerprint)).size).toBe(3);
+            expect(issues.map(issue => issue.fingerprint)).not.toContain(other.fingerprint);
+        });
+    });
+
+    describe('checkstyle', () => {
+        it('should report findings per file with rule IDs as the source', () => {
+            const report = formatCIReport(results([{ ...colorError, message: 'Invalid color: "<red>"' }]), 'checkstyle', { baseDir });
+
+            expect(report.split('\n')).toEqual([
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<checkstyle version="4.3">',
+                '  <file name=".claude/agents/core/coder.md">',
+                '    <error line="4" column="8" severity="error" message="Invalid color: &quot;&lt;red&gt;&quot;" source="agent-toolkit.hex-color"/>',
+                '  </file>',
+                '</checkstyle>'
+            ]);
+        });
+    });
+
+    it('should reject unknown formats', () => {
+        expect(() => formatCIReport(results([]), 'teamcity')).toThrow('Unknown CI report format: teamcity');
+    });
+
+    describe('AgentValidator.generateReport', () => {
+        let dir;
+        let agentsDir;
+
+        beforeEach(async () => {
+            ({ dir, agentsDir } = await createTempProject('ci-reports-test'));
+        });
+
+        afterEach(async () => {
+            await removeTempProject(dir);
+        });
+
+        it('should render every CI format relative to the base directory', async () => {
+            await writeAgent(agentsDir, 'test-agent', { color: 'red' });
+
+            const validator = new AgentValidator({ baseDir: dir, agentsDir });
+            const validation = await validator.validateAll();
+
+            for (const format of CI_FORMATS) {
+                expect(validator.generateReport(validation, format)).toContain('.claude/agents/core/test-agent.md');
+            }
+            expect(validator.generateReport(validation, 'github')).toMatch(/^::error file=\.claude\/agents\/core\/test-agent\.md,line=\d+,col=\d+,title=hex-color::/m);
+        });
+    });
+});
@@ -52,12 +52,13 @@ describe('CLI', () => {
         encoding: 'utf-8',
         env: { ...process.env, NO_COLOR: '1' }
       });
-      return { success: true, output };
+      return { success: true, output, status: 0 };
     } catch (error) {
       return { 
         success: false, 
         output: (error.stdout || '') + (error.stderr || ''), 
-        error: error.stderr || error.message 
+        error: error.stderr || error.message,
+        status: error.status
       };
     }
   };
@@ -161,6 +162,50 @@ describe('CLI', () => {
       expect(output).toHaveProperty('valid');
       expect(output).toHaveProperty('results');
     });
+
+    it('should fail on warnings with --fail-on warning or above --max-warnings', async () => {
+      const agentsDir = join(tempDir, '.claude', 'agents');
+      await mkdir(agentsDir, { recursive: true });
+
+      await writeFile(
+        join(agentsDir, 'test-agent.json'),
+        JSON.stringify(createValidAgent({ capabilities: [] }), null, 2)
+      );
+
+      expect(runCLI('validate').status).toBe(0);
+      expect(runCLI('validate --max-warnings 1').status).toBe(0);
+
+      const overLimit = runCLI('validate --max-warnings 0');
+      expect(overLimit.status).toBe(1);
+      expect(overLimit.output).toContain('validation issues found: 1 warning (more than the maximum of 0)');
+
+      const failOn = runCLI('validate --fail-on warning --format json');
+      expect(failOn.status).toBe(1);
+      expect(JSON.parse(failOn.output).warnings).toBe(1);
+    });
+
+    it('should exit with the usage error code for invalid thresholds', () => {
+      const result = runCLI('validate --fail-on fatal');
+      expect(result.status).toBe(2);
+      expect(result.output).toContain('Must be one of: error, warning, info');
+      expect(runCLI('validate --max-warnings many').status).toBe(2);
+    });
+
+    it('should exit with the usage error code for invalid rule settings in the project config', async () => {
+      const agentsDir = join(tempDir, '.claude', 'agents');
+      await mkdir(agentsDir, { recursive: true });
+      await writeFile(join(agentsDir, 'test-agent.json'), JSON.stringify(createValidAgent(), null, 2));
+
+      await writeFile(join(tempDir, '.agent-toolkit.yaml'), 'rules:\n  hex-colour: off\n');
+      const unknownRule = runCLI('validate');
+      expect(unknownRule.status).toBe(2);
+      expect(unknownRule.output).toContain("Unknown rule 'hex-colour' (did you mean 'hex-color'?)");
+
+      await writeFile(join(tempDir, '.agent-toolkit.yaml'), 'rules:\n  hex-color: fatal\n');
+      const invalidSeverity = runCLI('validate');
+      expect(invalidSeverity.status).toBe(2);
+      expect(invalidSeverity.output).toContain("Invalid severity 'fatal' for rule 'hex-color'");
+    });
   });
 
   describe('fix command', () => {
@@ -186,7 +231,8 @@ describe('CLI', () => {
       expect(fixed.version).toBe('1.0.0');
       expect(fixed.description).toBeDefined();
       expect(fixed.tools).toBeDefined();
-      expect(fixed.prompts).toBeDefined();
+      // The default standard profile only adds the missing required fields
+      expect(fixed.prompts).toBeUndefined();
     });
 
     it('should fix specific agent', async () => {
@@ -223,11 +269,155 @@ describe('CLI', () => {
 
       const result = runCLI('fix --dry-run');
       expect(result.success).toBe(true);
-      expect(result.output).toContain('Would fix');
+      expect(result.output).toContain('Would fix:\n  dry-run-agent.json\n   • Added missing fields (standard profile): ');
 
       // Verify the agent was NOT modified
       const content = JSON.parse(await readFile(agentPath, 'utf-8'));
       expect(content.version).toBeUndefined();
+      expect(result.output).toContain('--- a/.claude/agents/dry-run-agent.json');
+      expect(result.output).toContain('+  "version": "1.0.0",');
+    });
+
+    it('should write the proposed changes to a patch file', async () => {
+      const agentsDir = join(tempDir, '.claude', 'agents');
+      await mkdir(agentsDir, { recursive: true });
+
+      const agentPath = join(agentsDir, 'patch-agent.json');
+      const original = JSON.stringify(createValidAgent({ name: 'patch-agent', color: 'red' }), null, 2);
+      await writeFile(agentPath, original);
+
+      const result = runCLI('fix --patch-out fix.patch');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('Wrote a patch for 1 file to fix.patch');
+
+      const patch = await readFile(join(tempDir, 'fix.patch'), 'utf-8');
+      expect(patch).toContain('-  "color": "red",\n+  "color": "#FF6B35",\n');
+      expect(await readFile(agentPath, 'utf-8')).toBe(original);
+    });
+
+    it('should apply only the selected or safe autofixes', async () => {
+      const agentsDir = join(tempDir, '.claude', 'agents');
+      await mkdir(agentsDir, { recursive: true });
+
+      const agentPath = join(agentsDir, 'rule-agent.json');
+      const tools = { allowed: ['Reed'], restricted: ['Task'], conditional: [] };
+      await writeFile(agentPath, JSON.stringify(createValidAgent({ name: 'rule-agent', color: 'red', version: '2.1', tools }), null, 2));
+
+      runCLI('fix --rule semver-version --no-cache');
+      let fixed = JSON.parse(await readFile(agentPath, 'utf-8'));
+      expect(fixed).toMatchObject({ version: '2.1.0', color: 'red', tools: { allowed: ['Reed'] } });
+
+      runCLI('fix --only-safe --no-cache');
+      fixed = JSON.parse(await readFile(agentPath, 'utf-8'));
+      expect(fixed).toMatchObject({ color: '#FF6B35', tools: { allowed: ['Reed'] } });
+
+      const result = runCLI('fix --rule unit-format');
+      expect(result.status).toBe(2);
+      expect(result.output).toContain("Rule 'unit-format' has no autofix");
+
+      const combined = runCLI('fix --tools-format --only-safe');
+      expect(combined.status).toBe(2);
+      expect(combined.output).toContain('--tools-format and --type-mismatches cannot be combined with --rule, --only-safe or --profile');
+    });
+
+    it('should list the values a fix profile invents', async () => {
+      const agentsDir = join(tempDir, '.claude', 'agents');
+      await mkdir(agentsDir, { recursive: true });
+
+      const agent = createValidAgent({ name: 'profile-agent' });
+      delete agent.resources;
+      await writeFile(join(agentsDir, 'profile-agent.json'), JSON.stringify(agent, null, 2));
+
+      const result = runCLI('fix --profile minimal');
+      expect(result.output).toContain('Invented values (minimal profile) - replace them with real ones:');
+      expect(result.output).toContain('resources: {}');
+      expect(JSON.parse(await readFile(join(agentsDir, 'profile-agent.json'), 'utf-8')).resources).toEqual({});
+    });
+
+    it('should refuse fixes that widen permissions unless --allow-escalation is given', async () => {
+      const agentsDir = join(tempDir, '.claude', 'agents');
+      await mkdir(agentsDir, { recursive: true });
+
+      const agentPath = join(agentsDir, 'escalation-agent.json');
+      const agent = createValidAgent({ name: 'escalation-agent', color: 'red' });
+      agent.tools = { restricted: ['Task'] };
+      delete agent.monitoring;
+      await writeFile(agentPath, JSON.stringify(agent, null, 2));
+      const typoPath = join(agentsDir, 'typo-agent.json');
+      await writeFile(typoPath, JSON.stringify(createValidAgent({ name: 'typo-agent', tools: { allowed: ['Grepp'], restricted: [] } }), null, 2));
+
+      let result = runCLI('fix --profile full --no-cache');
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('Refused fixes that would widen permissions:');
+      expect(result.output).toContain('escalation-agent.json [required-field]: tools granted: Edit, Glob, Grep, Read, Write');
+      expect(result.output).toContain('re-run with --allow-escalation, or use --profile minimal to add less.');
+      let fixed = JSON.parse(await readFile(agentPath, 'utf-8'));
+      expect(fixed.color).toBe('#FF6B35');
+      expect(fixed.monitoring).toBeUndefined();
+      expect(JSON.parse(await readFile(typoPath, 'utf-8')).tools.allowed).toEqual(['Grep']);
+
+      await writeFile(agentPath, JSON.stringify(agent, null, 2));
+      result = runCLI('fix --profile full --no-cache --allow-escalation');
+      expect(result.output).toContain('Permission changes:');
+      expect(result.output).toContain('tools granted: Edit, Glob, Grep, Read, Write (widens)');
+      fixed = JSON.parse(await readFile(agentPath, 'utf-8'));
+      expect(fixed.tools.allowed).toEqual(['Read', 'Write', 'Edit', 'Grep', 'Glob']);
+    });
+
+    it('should record fix runs and undo them', async () => {
+      const agentsDir = join(tempDir, '.claude', 'agents');
+      await mkdir(agentsDir, { recursive: true });
+
+      const agentPath = join(agentsDir, 'undo-agent.json');
+      const original = JSON.stringify(createValidAgent({ name: 'undo-agent', color: 'red' }), null, 2);
+      await writeFile(agentPath, original);
+
+      const fix = runCLI('fix');
+      const [, runId] = fix.output.match(/Undo with: agent-toolkit undo (\S+)/);
+      expect(await readFile(agentPath, 'utf-8')).toContain('"color": "#FF6B35"');
+
+      const history = runCLI('history');
+      expect(history.output).toContain(runId);
+      expect(history.output).toContain('agent-toolkit fix');
+      expect(history.output).toContain('1 file: .claude/agents/undo-agent.json');
+
+      const undo = runCLI('undo');
+      expect(undo.success).toBe(true);
+      expect(undo.output).toContain(`Undid ${runId}`);
+      expect(await readFile(agentPath, 'utf-8')).toBe(original);
+
+      const again = runCLI(`undo ${runId}`);
+      expect(again.status).toBe(2);
+      expect(again.output).toContain('was already undone');
+    });
+  });
+
+  describe('rename command', () => {
+    it('should preview, refuse collisions and rename agents with their references', async () => {
+      const agentsDir = join(tempDir, '.claude', 'agents');
+      await mkdir(agentsDir, { recursive: true });
+      await writeFile(join(agentsDir, 'coder.json'), JSON.stringify(createValidAgent({ name: 'coder' }), null, 2));
+      await writeFile(join(agentsDir, 'lead.json'), JSON.stringify(createValidAgent({
+        name: 'lead',
+        communication: { can_spawn: ['coder'] }
+      }), null, 2));
+
+      const preview = runCLI('rename coder code-writer --dry-run');
+      expect(preview.output).toContain('Rename coder → code-writer:');
+      expect(preview.output).toContain('.claude/agents/lead.json: communication.can_spawn[0]');
+      expect(preview.output).toContain('rename to .claude/agents/code-writer.json');
+      expect(await readFile(join(agentsDir, 'coder.json'), 'utf-8')).toContain('"name": "coder"');
+
+      const collision = runCLI('rename coder lead');
+      expect(collision.status).toBe(2);
+      expect(collision.output).toContain("Cannot rename 'coder' to 'lead': agent 'lead' already exists in lead.json");
+
+      const rename = runCLI('rename coder code-writer');
+      expect(rename.success).toBe(true);
+      expect(rename.output).toContain('Renamed coder to code-writer, updating 1 reference in 2 files');
+      expect(JSON.parse(await readFile(join(agentsDir, 'code-writer.json'), 'utf-8')).name).toBe('code-writer');
+      expect(JSON.parse(await readFile(join(agentsDir, 'lead.json'), 'utf-8')).communication.can_spawn).toEqual(['code-writer']);
+      expect(runCLI('validate').output).not.toContain('unknown agent');
     });
   });
 
@@ -413,6 +603,7 @@ describe('CLI', () => {
     it('should handle unknown command', () => {
       const result = runCLI('unknown-command');
       expect(result.success).toBe(false);
+      expect(result.status).toBe(2);
       expect(result.output).toContain('Unknown command');
     });
 
@@ -425,6 +616,7 @@ describe('CLI', () => {
     it('should handle non-existent agent for validate', () => {
       const result = runCLI('validate non-existent-agent');
       expect(result.success).toBe(false);
+      expect(result.status).toBe(2);
       expect(result.output).toContain('not found');
     });
 
@@ -84,4 +84,24 @@ describe('AgentConfig', () => {
             expect(template.type).toBe('core');
         });
     });
-});
\ No newline at end of file
+
+    describe('toJSONSchema', () => {
+        it('should describe every required field', () => {
+            const schema = AgentConfig.toJSONSchema();
+            
+            expect(schema.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+            expect(schema.required).toEqual(AgentConfig.REQUIRED_FIELDS);
+            AgentConfig.REQUIRED_FIELDS.forEach(field => {
+                expect(schema.properties[field]).toBeDefined();
+            });
+        });
+
+        it('should close nested blocks to unknown keys', () => {
+            const schema = AgentConfig.toJSONSchema();
+            
+            expect(schema.properties.constraints.additionalProperties).toBe(false);
+            expect(schema.properties.execution.properties.parallelization.properties.strategy.enum)
+                .toEqual(AgentConfig.VALID_PARALLEL_STRATEGIES);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { InvalidArgumentError, CommanderError } from 'commander';
+import {
+    EXIT_CODES,
+    usageError,
+    exitCodeForError,
+    parseFailOn,
+    parseMaxWarnings,
+    countFindings,
+    evaluateFindings
+} from '../lib/exit-codes.mjs';
+
+describe('Exit Codes', () => {
+    const counts = (error, warning, info) => ({ error, warning, info });
+
+    describe('evaluateFindings', () => {
+        it('should fail on errors by default', () => {
+            expect(evaluateFindings(counts(0, 5, 3))).toEqual({ exitCode: EXIT_CODES.OK, reason: null });
+            expect(evaluateFindings(counts(2, 1, 0))).toEqual({
+                exitCode: EXIT_CODES.FINDINGS,
+                reason: '2 errors (failing on error)'
+            });
+        });
+
+        it('should include less severe levels with --fail-on', () => {
+            expect(evaluateFindings(counts(0, 1, 0), { failOn: 'warning' }).reason).toBe('1 warning (failing on warning)');
+            expect(evaluateFindings(counts(1, 0, 2), { failOn: 'info' }).reason).toBe('1 error, 2 info findings (failing on info)');
+            expect(evaluateFindings(counts(0, 0, 2), { failOn: 'warning' }).exitCode).toBe(EXIT_CODES.OK);
+        });
+
+        it('should fail when warnings exceed --max-warnings', () => {
+            expect(evaluateFindings(counts(0, 3, 0), { maxWarnings: 3 }).exitCode).toBe(EXIT_CODES.OK);
+            expect(evaluateFindings(counts(0, 4, 0), { maxWarnings: 3 })).toEqual({
+                exitCode: EXIT_CODES.FINDINGS,
+                reason: '4 warnings (more than the maximum of 3)'
+            });
+            expect(evaluateFindings(counts(0, 1, 0), { maxWarnings: 0 }).exitCode).toBe(EXIT_CODES.FINDINGS);
+        });
+    });
+
+    describe('countFindings', () => {
+        it('should count findings by severity, skipping those turned off', () => {
+            const details = [
+                { findings: [{ severity: 'error' }, { severity: 'warning' }, { severity: 'off' }] },
+                { findings: [{ severity: 'info' }, { severity: 'warning' }] },
+                { errors: ['plain message'] }
+            ];
+
+            expect(countFindings(details)).toEqual(counts(1, 2, 1));
+        });
+    });
+
+    describe('option parsers', () => {
+        it('should accept known levels and non-negative integers', () => {
+            expect(parseFailOn('warning')).toBe('warning');
+            expect(parseMaxWarnings('0')).toBe(0);
+            expect(parseMaxWarnings('25')).toBe(25);
+        });
+
+        it('should reject invalid values as commander argument errors', () => {
+            expect(() => parseFailOn('fatal')).toThrow(InvalidArgumentError);
+            for (const value of ['-1', '1.5', 'ten', '']) {
+                expect(() => parseMaxWarnings(value)).toThrow(InvalidArgumentError);
+            }
+        });
+    });
+
+    describe('exitCodeForError', () => {
+        it('should tell usage errors from crashes', () => {
+            expect(exitCodeForError(usageError('No agents found'))).toBe(EXIT_CODES.USAGE);
+            expect(exitCodeForError(new InvalidArgumentError('bad'))).toBe(EXIT_CODES.USAGE);
+            expect(exitCodeForError(new CommanderError(1, 'commander.unknownOption', 'bad'))).toBe(EXIT_CODES.USAGE);
+            expect(exitCodeForError(new CommanderError(0, 'commander.helpDisplayed', '(outputHelp)'))).toBe(EXIT_CODES.OK);
+            expect(exitCodeForError(new TypeError('undefined is not a function'))).toBe(EXIT_CODES.INTERNAL);
+        });
+    });
+});
@@ -1,8 +1,12 @@
 import { describe, it, expect } from 'vitest';
 import { AgentFixer } from '../lib/fixer.mjs';
+import { AgentConfig } from '../lib/config.mjs';
+import { serializeToFrontmatter, extractYamlFrontmatter } from '../lib/utils.mjs';
 import path from 'path';
 import fs from 'fs/promises';
+import { tmpdir } from 'os';
 import { fileURLToPath } from 'url';
+import { createTempProject, removeTempProject, writeAgent } from './helpers.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -174,20 +178,208 @@ describe('AgentFixer', () => {
         });
     });
 
-    describe('backup functionality', () => {
+    describe('tool names', () => {
+        it('should apply tool name suggestions', () => {
+            const fixer = new AgentFixer();
+            const agent = {
+                name: 'test-agent',
+                type: 'core',
+                tools: {
+                    allowed: ['Grepp', 'Read', 'Bash', 'mcp__claude-flow_swarm_init'],
+                    restricted: ['Bash'],
+                    conditional: [{ tool: 'bash', condition: 'command.includes("test")' }]
+                }
+            };
+            
+            const fixed = fixer.fixAgent('/test/agent.md', agent);
+            
+            expect(fixed.tools.allowed).toEqual(['Grep', 'Read', 'mcp__claude-flow__swarm_init']);
+            expect(fixed.tools.conditional[0].tool).toBe('Bash');
+            expect(agent.tools.allowed[0]).toBe('Grepp');
+        });
+
+        it('should keep extra tools declared in .agent-toolkit.yaml', async () => {
+            const dir = await fs.mkdtemp(path.join(tmpdir(), 'fixer-tools-'));
+            const filePath = path.join(dir, 'test-agent.md');
+            const agent = AgentConfig.generateDefaults('test-agent', 'core');
+            agent.tools.allowed = ['Reed', 'Deploy'];
+            await fs.writeFile(filePath, serializeToFrontmatter(agent, '# Test'));
+            await fs.writeFile(path.join(dir, '.agent-toolkit.yaml'), 'rules:\n  unknown-tool:\n    extraTools: [Deploy]\n');
+            
+            const fixer = new AgentFixer({ baseDir: dir, agentsDir: dir, backup: false });
+            const result = await fixer.fixFile(filePath);
+            const [fixedData] = extractYamlFrontmatter(await fs.readFile(filePath, 'utf-8'));
+            
+            expect(result.fixes).toContain('Fixed tool name: Reed → Read');
+            expect(fixedData.tools.allowed).toEqual(['Read', 'Deploy']);
+            
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+    });
+
+    describe('fixContent', () => {
+        it('should leave files with broken frontmatter unchanged and report the syntax error', async () => {
+            const dir = await fs.mkdtemp(path.join(tmpdir(), 'fixer-broken-'));
+            const filePath = path.join(dir, 'broken-agent.md');
+            const content = '---\nname: broken-agent\ntools: [Read\n---\n\n# Broken\n';
+            await fs.writeFile(filePath, content);
+
+            const fixer = new AgentFixer({ baseDir: dir, agentsDir: dir, backup: false, cache: false });
+            const result = await fixer.fixFile(filePath);
+
+            expect(result.fixed).toBe(false);
+            expect(result.error).toMatch(/^Failed to parse frontmatter: YAML syntax error: .* \(line \d+\)$/);
+            expect(await fs.readFile(filePath, 'utf-8')).toBe(content);
+
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('should tag each change with its rule and fix only the requested rules', async () => {
+            const agent = AgentConfig.generateDefaults('test-agent', 'core');
+            Object.assign(agent, { color: 'red', version: '1.0' });
+            agent.tools.allowed = ['Reed', 'Task'];
+            const content = serializeToFrontmatter(agent, '# Test');
+            const fixer = new AgentFixer({ extraTools: [] });
+            
+            const all = await fixer.fixContent('/test/test-agent.md', content);
+            expect(all.changes).toEqual([
+                { ruleId: 'hex-color', message: 'Fixed color: red → #FF6B35' },
+                { ruleId: 'unknown-tool', message: 'Fixed tool name: Reed → Read' },
+                { ruleId: 'tool-allowed-and-restricted', message: 'Removed restricted tools from allowed: Task' },
+                { ruleId: 'semver-version', message: 'Fixed version to semantic format' }
+            ]);
+            
+            const colorOnly = await fixer.fixContent('/test/test-agent.md', content, { rules: ['hex-color'] });
+            const [data] = extractYamlFrontmatter(colorOnly.content);
+            expect(colorOnly.fixes).toEqual(['Fixed color: red → #FF6B35']);
+            expect(data.version).toBe('1.0');
+            expect(data.tools.allowed).toEqual(['Reed', 'Task']);
+        });
+
+        it('should only change the fixed lines, keeping comments and block scalars', async () => {
+            const agent = AgentConfig.generateDefaults('test-agent', 'core');
+            Object.assign(agent, { color: 'red', version: '1.0' });
+            agent.tools.allowed = ['Reed', 'Write'];
+            agent.hooks = { pre: 'echo "starting"\nnpm test\n' };
+            const content = serializeToFrontmatter(agent, '# Test\n')
+                .replace('name: test-agent\n', 'name: test-agent  # kebab-case identifier\n')
+                .replace('hooks:\n', 'hooks:\n  # Run before each task\n');
+            const fixer = new AgentFixer({ extraTools: [] });
+
+            const result = await fixer.fixContent('/test/test-agent.md', content);
+            const before = content.split('\n');
+            const after = result.content.split('\n');
+
+            expect(after).toHaveLength(before.length);
+            expect(after.filter((line, index) => line !== before[index])).toEqual([
+                "color: '#FF6B35'",
+                "version: '1.0.0'",
+                '    - Read'
+            ]);
+            expect(result.content).toContain('name: test-agent  # kebab-case identifier');
+            expect(result.content).toContain('  # Run before each task\n  pre: |\n    echo "starting"\n    npm test\n');
+        });
+
+        it('should report the values the fix profile invents', async () => {
+            const agent = AgentConfig.generateDefaults('test-agent', 'core');
+            delete agent.resources;
+            const content = serializeToFrontmatter(agent, '# Test\n');
+            const fixer = new AgentFixer({ extraTools: [], profile: 'minimal' });
+
+            const result = await fixer.fixContent('/test/test-agent.md', content);
+            expect(result.invented).toEqual([{ ruleId: 'required-field', path: 'resources', value: {} }]);
+
+            const standard = await fixer.fixContent('/test/test-agent.md', content, { profile: 'standard' });
+            const report = fixer.generateReport({
+                total: 1,
+                fixed: 1,
+                skipped: 0,
+                errors: 0,
+                details: [{ relativePath: 'test-agent.md', fixed: true, fixes: standard.fixes, invented: standard.invented }]
+            });
+            expect(report).toContain('Invented Values (replace with real ones):');
+            expect(report).toContain('  resources.memory_limit: "512MB"\n');
+        });
+
+        it('should refuse fixes that widen permissions and report the permission delta', async () => {
+            const agent = AgentConfig.generateDefaults('test-agent', 'core');
+            Object.assign(agent, { color: 'red' });
+            agent.tools = { allowed: ['Grepp', 'Task'], restricted: ['Task'] };
+            delete agent.monitoring;
+            const content = serializeToFrontmatter(agent, '# Test');
+            const fixer = new AgentFixer({ extraTools: [], profile: 'full' });
+
+            const result = await fixer.fixContent('/test/test-agent.md', content);
+            expect(result.fixes).toEqual([
+                'Added missing fields (full profile): monitoring',
+                'Fixed color: red → #FF6B35',
+                'Fixed tool name: Grepp → Grep',
+                'Removed restricted tools from allowed: Task'
+            ]);
+            expect(result.refused).toEqual([]);
+            expect(result.permissions).toEqual([]);
+
+            const toolless = { ...agent, tools: { restricted: ['Task'] } };
+            const refused = await fixer.fixContent('/test/test-agent.md', serializeToFrontmatter(toolless, '# Test'));
+            expect(refused.refused.map(refusal => refusal.ruleId)).toEqual(['required-field']);
+            const escalated = await fixer.fixContent('/test/test-agent.md', serializeToFrontmatter(toolless, '# Test'), { allowEscalation: true });
+            expect(escalated.refused).toEqual([]);
+            expect(escalated.permissions).toEqual([
+                { kind: 'tools', widens: true, message: 'tools granted: Edit, Glob, Grep, Read, Write' }
+            ]);
+
+            const report = fixer.generateReport({
+                total: 1,
+                fixed: 1,
+                skipped: 0,
+                errors: 0,
+                details: [
+                    { relativePath: 'escalated.md', fixed: true, ...escalated },
+                    { relativePath: 'refused.md', fixed: true, ...refused }
+                ]
+            });
+            expect(report).toContain('Permission Changes:\n-------------------\n\nescalated.md:\n  tools granted: Edit, Glob, Grep, Read, Write (widens)\n');
+            expect(report).toContain('\nrefused.md:\n  required-field: tools granted: Edit, Glob, Grep, Read, Write\n');
+        });
+    });
+
+    describe('fixSpecificIssues', () => {
+        it('should report the fixes and permission changes of the tools format fix', async () => {
+            const { dir, agentsDir } = await createTempProject('specific-issues-test');
+            const filePath = await writeAgent(agentsDir, 'pr-bot', { tools: ['Read', 'Task'] }, { type: 'github' });
+            const fixer = new AgentFixer({ baseDir: dir, agentsDir, dryRun: true, cache: false });
+
+            const results = await fixer.fixSpecificIssues({ fixToolsFormat: true });
+
+            expect(results.toolsFormat).toBe(1);
+            expect(results.details).toEqual([expect.objectContaining({
+                file: filePath,
+                fixed: true,
+                fixes: ['Converted tools from array to object format'],
+                permissions: [{ kind: 'tools', widens: false, message: 'tools removed: Task' }],
+                refused: []
+            })]);
+            expect(fixer.patch.diffs().map(entry => entry.relativePath)).toEqual(['.claude/agents/github/pr-bot.md']);
+
+            await removeTempProject(dir);
+        });
+    });
+
+    describe('fix history', () => {
         const testDir = path.join(__dirname, 'fixtures', 'backup-test');
         const agentsDir = path.join(testDir, '.claude', 'agents');
         const testAgent = path.join(agentsDir, 'test-agent.md');
-        
-        // Helper to create test directory structure
-        async function setupTestDir() {
-            await fs.mkdir(agentsDir, { recursive: true });
-            await fs.writeFile(testAgent, `---
+        const original = `---
 name: test-agent
 type: core
 ---
 
-# Test Agent`);
+# Test Agent`;
+        
+        // Helper to create test directory structure
+        async function setupTestDir() {
+            await fs.mkdir(agentsDir, { recursive: true });
+            await fs.writeFile(testAgent, original);
         }
         
         // Helper to clean up test directory
@@ -199,43 +391,36 @@ type: core
             }
         }
         
-        it('should create backup when enabled', async function() {
+        it('should record the run instead of leaving backup files', async function() {
             await setupTestDir();
             
-            const fixer = new AgentFixer({ 
-                agentsDir,
-                backup: true 
-            });
-            
-            // Fix a single agent to trigger backup
+            const fixer = new AgentFixer({ baseDir: testDir, agentsDir, cache: false });
             await fixer.fixSingle('test-agent.md');
+            const runId = await fixer.commitTransaction();
             
-            // Check backup was created (as .backup file)
-            const backupPath = path.join(agentsDir, 'test-agent.md.backup');
-            await expect(fs.access(backupPath)).resolves.toBeUndefined();
+            expect(runId).toBeTruthy();
+            expect(await fs.readdir(agentsDir)).toEqual(['test-agent.md']);
+            
+            const [run] = await fixer.journal.list();
+            expect(run).toMatchObject({ id: runId, command: 'fix', status: 'complete' });
+            expect(run.files.map(file => file.path)).toEqual(['.claude/agents/test-agent.md']);
+            
+            await fixer.journal.undo(runId);
+            expect(await fs.readFile(testAgent, 'utf-8')).toBe(original);
             
             await cleanupTestDir();
         });
         
-        it('should not create backup when disabled', async function() {
+        it('should not record the run when disabled', async function() {
             await setupTestDir();
             
-            const fixer = new AgentFixer({ 
-                agentsDir,
-                backup: false 
-            });
-            
-            // Fix a single agent
-            await fixer.fixSingle('test-agent.md');
+            const fixer = new AgentFixer({ baseDir: testDir, agentsDir, cache: false, backup: false });
+            const result = await fixer.fixSingle('test-agent.md');
             
-            // Check no backup file was created
-            const backupPath = path.join(agentsDir, 'test-agent.md.backup');
-            try {
-                await fs.access(backupPath);
-                expect.fail('Backup file should not exist');
-            } catch (err) {
-                expect(err.code).toBe('ENOENT');
-            }
+            expect(result.fixed).toBe(true);
+            expect(await fixer.commitTransaction()).toBeNull();
+            expect(await fixer.journal.list()).toEqual([]);
+            expect(await fs.readdir(agentsDir)).toEqual(['test-agent.md']);
             
             await cleanupTestDir();
         });
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseFrontmatter,
+    parseJsonSource,
+    parseAgentSource,
+    splitFieldPath
+} from '../lib/frontmatter.mjs';
+
+const AGENT = `---
+name: test-agent
+type: core
+constraints:
+  max_file_size: 1048576
+  allowed_paths:
+    - src/**
+monitoring:
+  metrics:
+    - name: execution_time
+      type: histogram
+---
+
+# Test Agent
+`;
+
+describe('Frontmatter', () => {
+    describe('parseFrontmatter', () => {
+        it('should parse data and body', () => {
+            const parsed = parseFrontmatter(AGENT);
+            
+            expect(parsed.error).toBeNull();
+            expect(parsed.hasFrontmatter).toBe(true);
+            expect(parsed.data.name).toBe('test-agent');
+            expect(parsed.body).toBe('\n# Test Agent\n');
+            expect(parsed.bodyLine).toBe(13);
+        });
+
+        it('should locate nested fields', () => {
+            const { sourceMap } = parseFrontmatter(AGENT);
+            
+            expect(sourceMap.locate('name')).toEqual({ line: 2, column: 1 });
+            expect(sourceMap.locate('constraints.max_file_size')).toEqual({ line: 5, column: 3 });
+            expect(sourceMap.locate('constraints.allowed_paths[0]')).toEqual({ line: 7, column: 7 });
+            expect(sourceMap.locate('monitoring.metrics[0].type')).toEqual({ line: 11, column: 7 });
+        });
+
+        it('should fall back to the closest existing parent', () => {
+            const { sourceMap } = parseFrontmatter(AGENT);
+            
+            expect(sourceMap.locate('constraints.forbidden_paths')).toEqual({ line: 4, column: 1 });
+        });
+
+        it('should report YAML syntax errors with their position', () => {
+            const parsed = parseFrontmatter('---\nname: test-agent\ntools: [Read\ntype: core\n---\n');
+            
+            expect(parsed.error.message).toMatch(/^YAML syntax error:/);
+            expect(parsed.error.line).toBeGreaterThan(2);
+            expect(parsed.data).toEqual({});
+        });
+
+        it('should report duplicate keys', () => {
+            const parsed = parseFrontmatter('---\nname: a\nname: b\n---\n');
+            
+            expect(parsed.error.message).toMatch(/unique/);
+            expect(parsed.error.line).toBe(3);
+        });
+
+        it('should report unterminated frontmatter', () => {
+            const parsed = parseFrontmatter('---\nname: test-agent\n');
+            expect(parsed.error.message).toContain('Unterminated');
+        });
+
+        it('should handle content without frontmatter', () => {
+            const parsed = parseFrontmatter('# Just markdown');
+            
+            expect(parsed.hasFrontmatter).toBe(false);
+            expect(parsed.error).toBeNull();
+            expect(parsed.body).toBe('# Just markdown');
+        });
+    });
+
+    describe('parseJsonSource', () => {
+        it('should locate fields in JSON files', () => {
+            const parsed = parseJsonSource('{\n  "name": "test-agent",\n  "tools": {\n    "allowed": []\n  }\n}');
+            
+            expect(parsed.data.name).toBe('test-agent');
+            expect(parsed.sourceMap.locate('tools.allowed')).toEqual({ line: 4, column: 5 });
+        });
+
+        it('should position JSON syntax errors', () => {
+            const parsed = parseJsonSource('{\n  "name": "test-agent",\n}');
+            
+            expect(parsed.error.message).toMatch(/^Failed to parse JSON/);
+            expect(parsed.error.line).toBe(3);
+        });
+    });
+
+    describe('parseAgentSource', () => {
+        it('should dispatch on file extension', () => {
+            expect(parseAgentSource('agent.json', '{"name": "a"}').data.name).toBe('a');
+            expect(parseAgentSource('agent.md', '---\nname: b\n---\n').data.name).toBe('b');
+        });
+    });
+
+    describe('splitFieldPath', () => {
+        it('should split dotted and indexed paths', () => {
+            expect(splitFieldPath('monitoring.metrics[0].type')).toEqual(['monitoring', 'metrics', 0, 'type']);
+            expect(splitFieldPath('')).toEqual([]);
+        });
+    });
+});
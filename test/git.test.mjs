@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { listChangedFiles, listChangedAgentFiles, moveFile } from '../lib/git.mjs';
+import { AgentValidator } from '../lib/validator.mjs';
+import { createTempProject, removeTempProject, writeAgent } from './helpers.mjs';
+import { execFileSync } from 'child_process';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Git Changes', () => {
+    let dir;
+    let agentsDir;
+
+    const git = (...args) => execFileSync('git', args, { cwd: dir, encoding: 'utf8' });
+
+    beforeEach(async () => {
+        ({ dir, agentsDir } = await createTempProject('git-test'));
+        git('init', '-q');
+        git('config', 'user.email', 'test@example.com');
+        git('config', 'user.name', 'Test');
+        git('config', 'commit.gpgsign', 'false');
+    });
+
+    afterEach(async () => {
+        await removeTempProject(dir);
+    });
+
+    function commit(message = 'update') {
+        git('add', '-A');
+        git('commit', '-q', '-m', message);
+    }
+
+    describe('listChangedFiles', () => {
+        it('should list added, modified, deleted, renamed and untracked files since a ref', async () => {
+            const alpha = await writeAgent(agentsDir, 'alpha-agent');
+            const beta = await writeAgent(agentsDir, 'beta-agent');
+            const gamma = await writeAgent(agentsDir, 'gamma-agent');
+            commit('initial');
+            git('branch', 'base');
+
+            await writeAgent(agentsDir, 'alpha-agent', { color: '#123456' });
+            commit();
+            await fs.rm(beta);
+            git('mv', gamma, path.join(agentsDir, 'core', 'delta-agent.md'));
+            const untracked = await writeAgent(agentsDir, 'epsilon-agent');
+
+            const { changes } = await listChangedFiles({ cwd: dir, since: 'base' });
+            const byFile = Object.fromEntries(changes.map(change => [path.basename(change.file), change]));
+
+            expect(byFile['alpha-agent.md']).toEqual({ file: alpha, previousFile: alpha, status: 'M' });
+            expect(byFile['beta-agent.md']).toEqual({ file: beta, previousFile: beta, status: 'D' });
+            expect(byFile['delta-agent.md']).toMatchObject({ previousFile: gamma, status: 'R' });
+            expect(byFile['epsilon-agent.md']).toEqual({ file: untracked, previousFile: null, status: 'A' });
+        });
+
+        it('should only list staged changes in staged mode', async () => {
+            await writeAgent(agentsDir, 'alpha-agent');
+            commit('initial');
+            const staged = await writeAgent(agentsDir, 'beta-agent');
+            git('add', staged);
+            await writeAgent(agentsDir, 'gamma-agent');
+
+            const { changes } = await listChangedFiles({ cwd: dir, staged: true });
+
+            expect(changes).toEqual([{ file: staged, previousFile: null, status: 'A' }]);
+        });
+
+        it('should report git failures', async () => {
+            await writeAgent(agentsDir, 'alpha-agent');
+            commit('initial');
+
+            await expect(listChangedFiles({ cwd: dir, since: 'no-such-ref' })).rejects.toThrow('git merge-base failed');
+        });
+    });
+
+    describe('listChangedAgentFiles', () => {
+        it('should keep agent files under the agents directory with their previous content', async () => {
+            const alpha = await writeAgent(agentsDir, 'alpha-agent');
+            await fs.writeFile(path.join(dir, 'notes.md'), '# Notes\n');
+            commit('initial');
+            const before = await fs.readFile(alpha, 'utf-8');
+
+            await writeAgent(agentsDir, 'alpha-agent', { color: '#123456' });
+            await fs.writeFile(path.join(dir, 'notes.md'), '# Changed\n');
+            await fs.writeFile(path.join(agentsDir, 'core', 'notes.txt'), 'text\n');
+
+            const changes = await listChangedAgentFiles(agentsDir, { since: 'HEAD' });
+
+            expect(changes).toEqual([{ file: alpha, previousFile: alpha, status: 'M', previousContent: before }]);
+        });
+    });
+
+    describe('moveFile', () => {
+        it('should use git mv for tracked files and rename untracked ones', async () => {
+            const tracked = await writeAgent(agentsDir, 'alpha-agent');
+            commit('initial');
+            const untracked = await writeAgent(agentsDir, 'beta-agent');
+
+            expect(await moveFile(tracked, path.join(agentsDir, 'github', 'alpha-agent.md'))).toBe(true);
+            expect(await moveFile(untracked, path.join(agentsDir, 'github', 'beta-agent.md'))).toBe(false);
+
+            expect(git('status', '--short').split('\n').filter(Boolean)).toEqual([
+                'R  .claude/agents/core/alpha-agent.md -> .claude/agents/github/alpha-agent.md',
+                '?? .claude/agents/github/beta-agent.md'
+            ]);
+        });
+    });
+
+    describe('AgentValidator.validateChanged', () => {
+        it('should report changed agents and agents referencing their old or new name', async () => {
+            await writeAgent(agentsDir, 'alpha-agent', { communication: { can_delegate_to: ['beta-agent'] } });
+            await writeAgent(agentsDir, 'beta-agent');
+            await writeAgent(agentsDir, 'gamma-agent');
+            await writeAgent(agentsDir, 'delta-agent', { dependencies: { requires: ['gamma-agent'] } });
+            commit('initial');
+
+            await writeAgent(agentsDir, 'beta-renamed', {}, { file: 'core/beta-agent.md' });
+            const validator = new AgentValidator({ baseDir: dir, agentsDir, cache: false });
+            const results = await validator.validateChanged(await listChangedAgentFiles(agentsDir, { since: 'HEAD' }));
+
+            expect(results.details.map(result => result.agent_name).sort()).toEqual(['alpha-agent', 'beta-renamed']);
+            expect(results.total).toBe(2);
+            expect(results.details.find(result => result.agent_name === 'alpha-agent').findings.map(f => f.ruleId))
+                .toContain('unknown-agent-reference');
+        });
+    });
+});
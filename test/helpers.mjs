@@ -0,0 +1,39 @@
+/**
+ * Test Helpers
+ * Temporary projects with agent files written from generated defaults
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { AgentConfig } from '../lib/config.mjs';
+import { serializeToFrontmatter } from '../lib/utils.mjs';
+
+export const AGENT_BODY = '# Agent\n\n## Purpose\nTest agent.\n\n## Usage\nRun it.\n';
+
+/**
+ * Create a temporary project directory with an empty `.claude/agents` directory
+ * The directory path is resolved, so it matches paths reported by git.
+ */
+export async function createTempProject(prefix) {
+    const dir = await fs.realpath(await fs.mkdtemp(path.join(tmpdir(), `${prefix}-`)));
+    const agentsDir = path.join(dir, '.claude', 'agents');
+    await fs.mkdir(agentsDir, { recursive: true });
+    return { dir, agentsDir };
+}
+
+export async function removeTempProject(dir) {
+    await fs.rm(dir, { recursive: true, force: true });
+}
+
+/**
+ * Write an agent from the defaults for its name and type plus overrides
+ * `file` is relative to the agents directory and defaults to `<type>/<name>.md`. Returns the file path.
+ */
+export async function writeAgent(agentsDir, name, overrides = {}, { type = 'core', file = `${type}/${name}.md`, body = AGENT_BODY } = {}) {
+    const config = { ...AgentConfig.generateDefaults(name, type), ...overrides };
+    const filePath = path.join(agentsDir, file);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, serializeToFrontmatter(config, body));
+    return filePath;
+}
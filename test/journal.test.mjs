@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import path from 'path';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+import { FixJournal, HISTORY_DIR, removeBackupFiles, startScriptRun } from '../lib/journal.mjs';
+import { EXIT_CODES, exitCodeForError } from '../lib/exit-codes.mjs';
+
+describe('FixJournal', () => {
+    let dir;
+    let journal;
+    const agent = name => path.join(dir, '.claude', 'agents', `${name}.md`);
+    const read = name => fs.readFile(agent(name), 'utf-8');
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(tmpdir(), 'journal-'));
+        await fs.mkdir(path.join(dir, '.claude', 'agents'), { recursive: true });
+        await fs.writeFile(agent('coder'), 'coder v1\n');
+        await fs.writeFile(agent('tester'), 'tester v1\n');
+        journal = new FixJournal({ baseDir: dir });
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should record each run and undo it as a whole', async () => {
+        const transaction = journal.begin('agent-toolkit fix --all');
+        await Promise.all([
+            transaction.write(agent('coder'), 'coder v1\n', 'coder v2\n'),
+            transaction.write(agent('tester'), 'tester v1\n', 'tester v2\n')
+        ]);
+        // A second change to a file keeps its original content from before the run
+        await transaction.write(agent('coder'), 'coder v2\n', 'coder v3\n');
+        const id = await transaction.commit();
+
+        expect(await read('coder')).toBe('coder v3\n');
+        const [run] = await journal.list();
+        expect(run).toMatchObject({ id, command: 'agent-toolkit fix --all', status: 'complete' });
+        expect(run.files.map(file => file.path).sort()).toEqual(['.claude/agents/coder.md', '.claude/agents/tester.md']);
+
+        const undone = await journal.undo(id);
+        expect(undone.restored.sort()).toEqual(['.claude/agents/coder.md', '.claude/agents/tester.md']);
+        expect(await read('coder')).toBe('coder v1\n');
+        expect(await read('tester')).toBe('tester v1\n');
+        expect((await journal.get(id)).status).toBe('undone');
+
+        await expect(journal.undo(id)).rejects.toThrow(`Fix run ${id} was already undone`);
+    });
+
+    it('should undo the newest run not yet undone by default', async () => {
+        const first = journal.begin('first');
+        await first.write(agent('coder'), 'coder v1\n', 'coder v2\n');
+        await first.commit();
+        const second = journal.begin('second');
+        await second.write(agent('tester'), 'tester v1\n', 'tester v2\n');
+        await second.commit();
+
+        expect((await journal.undo()).command).toBe('second');
+        expect((await journal.undo()).command).toBe('first');
+        await expect(journal.undo()).rejects.toThrow('No fix runs to undo');
+    });
+
+    it('should refuse to undo over later edits unless forced', async () => {
+        const transaction = journal.begin('fix');
+        await transaction.write(agent('coder'), 'coder v1\n', 'coder v2\n');
+        await transaction.write(agent('tester'), 'tester v1\n', 'tester v2\n');
+        const id = await transaction.commit();
+        await fs.writeFile(agent('tester'), 'edited by hand\n');
+
+        const error = await journal.undo(id).catch(err => err);
+        expect(error.message).toBe(`Cannot undo ${id}: changed since the fix: .claude/agents/tester.md (use --force to undo anyway)`);
+        expect(exitCodeForError(error)).toBe(EXIT_CODES.USAGE);
+        // Nothing is restored when any file conflicts
+        expect(await read('coder')).toBe('coder v2\n');
+
+        await journal.undo(id, { force: true });
+        expect(await read('coder')).toBe('coder v1\n');
+        expect(await read('tester')).toBe('tester v1\n');
+    });
+
+    it('should keep runs that were never committed undoable', async () => {
+        const transaction = journal.begin('interrupted');
+        await transaction.write(agent('coder'), 'coder v1\n', 'coder v2\n');
+
+        const [run] = await journal.list();
+        expect(run.status).toBe('open');
+        await journal.undo(run.id);
+        expect(await read('coder')).toBe('coder v1\n');
+    });
+
+    it('should undo moves by moving the files back', async () => {
+        const moved = path.join(dir, '.claude', 'agents', 'github', 'coder.md');
+        const transaction = journal.begin('fix --move-misplaced');
+        await transaction.move(agent('coder'), moved, 'coder v1\n', 'coder v2\n');
+        const id = await transaction.commit();
+
+        await expect(fs.access(agent('coder'))).rejects.toThrow();
+        expect(await fs.readFile(moved, 'utf-8')).toBe('coder v2\n');
+        expect((await journal.get(id)).files).toEqual([
+            expect.objectContaining({ path: '.claude/agents/coder.md', movedTo: '.claude/agents/github/coder.md' })
+        ]);
+
+        // A new file at the old path blocks the undo
+        await fs.writeFile(agent('coder'), 'new coder\n');
+        await expect(journal.undo(id)).rejects.toThrow('changed since the fix: .claude/agents/github/coder.md');
+        await fs.rm(agent('coder'));
+
+        await journal.undo(id);
+        expect(await read('coder')).toBe('coder v1\n');
+        await expect(fs.access(moved)).rejects.toThrow();
+    });
+
+    it('should not record runs that changed nothing', async () => {
+        expect(await journal.begin('noop').commit()).toBeNull();
+        await expect(fs.access(path.join(dir, HISTORY_DIR))).rejects.toThrow();
+        expect(await journal.list()).toEqual([]);
+        await expect(journal.undo('20260101T000000-abcdef')).rejects.toThrow('No fix run 20260101T000000-abcdef');
+    });
+
+    it('should journal script runs, or collect a patch for dry runs', async () => {
+        const run = startScriptRun('auto-fix-hooks', ['agents'], { baseDir: dir });
+        await run.write(agent('coder'), 'coder v1\n', 'coder v2\n');
+        const id = await run.finish();
+
+        expect(run.positional).toEqual(['agents']);
+        expect(await read('coder')).toBe('coder v2\n');
+        expect((await journal.get(id)).command).toBe('auto-fix-hooks');
+
+        const patchFile = path.join(dir, 'hooks.patch');
+        const dryRun = startScriptRun('auto-fix-hooks', ['--patch-out', patchFile], { baseDir: dir });
+        await dryRun.write(agent('tester'), 'tester v1\n', 'tester v2\n');
+
+        expect(dryRun.dryRun).toBe(true);
+        expect(await dryRun.finish()).toBeNull();
+        expect(await read('tester')).toBe('tester v1\n');
+        expect(await fs.readFile(patchFile, 'utf-8')).toContain('+tester v2\n');
+        expect(await journal.list()).toHaveLength(1);
+    });
+});
+
+describe('removeBackupFiles', () => {
+    it('should delete backup files and empty backup directories left by earlier versions', async () => {
+        const dir = await fs.mkdtemp(path.join(tmpdir(), 'backups-'));
+        await fs.mkdir(path.join(dir, 'core', '.backup'), { recursive: true });
+        await fs.writeFile(path.join(dir, 'core', 'coder.md'), 'coder\n');
+        await fs.writeFile(path.join(dir, 'core', 'coder.md.backup'), 'old coder\n');
+        await fs.writeFile(path.join(dir, 'tester.md.backup'), 'old tester\n');
+
+        const removed = await removeBackupFiles(dir);
+
+        expect(removed.map(file => path.relative(dir, file))).toEqual([
+            path.join('core', '.backup'),
+            path.join('core', 'coder.md.backup'),
+            'tester.md.backup'
+        ]);
+        expect(await fs.readdir(path.join(dir, 'core'))).toEqual(['coder.md']);
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseBody,
+    findMissingSections,
+    findPlaceholders,
+    findEmptySections,
+    documentedTools,
+    findToolsDocMismatch
+} from '../lib/markdown.mjs';
+import { AgentCreator } from '../lib/creator.mjs';
+import { AgentConfig } from '../lib/config.mjs';
+
+const body = [
+    '# Reviewer Agent',
+    '',
+    '## Purpose',
+    'Reviews pull requests.',
+    '',
+    '## Usage Examples',
+    '```bash',
+    '# not a heading',
+    'if [ -f package.json ]; then npm test; fi',
+    '```',
+    '',
+    '## Integration',
+    '- Works with: [list of compatible agents]',
+    '- See [the guide](docs/guide.md) and [ ] open tasks',
+    '',
+    '## Troubleshooting',
+    '',
+    '## Available Tools',
+    '### Allowed Tools',
+    '- **Read** - read files',
+    '- `Grep`',
+    '- Bash',
+    '',
+    '### Restricted Tools',
+    '- Task',
+    ''
+].join('\n');
+
+describe('Markdown Body Lint', () => {
+    describe('parseBody', () => {
+        it('should split headed sections with file line numbers and skip code blocks', () => {
+            const parsed = parseBody(body, 10);
+
+            expect(parsed.sections.map(section => section.title)).toEqual([
+                'Reviewer Agent', 'Purpose', 'Usage Examples', 'Integration',
+                'Troubleshooting', 'Available Tools', 'Allowed Tools', 'Restricted Tools'
+            ]);
+            expect(parsed.sections[1].line).toBe(12);
+        });
+    });
+
+    describe('findMissingSections', () => {
+        it('should match required names against heading prefixes and agent types', () => {
+            const parsed = parseBody(body, 10);
+
+            expect(findMissingSections(parsed, 'core')).toEqual([]);
+            expect(findMissingSections(parsed, 'github', { '*': ['Purpose'], github: ['Workflow'] })).toEqual([
+                { path: '', message: "Missing required section 'Workflow'", line: 10, column: 1 }
+            ]);
+        });
+    });
+
+    describe('findPlaceholders', () => {
+        it('should report bracketed placeholders but not links, task boxes or shell tests', () => {
+            expect(findPlaceholders(parseBody(body, 10))).toEqual([{
+                path: '',
+                message: "Placeholder text '[list of compatible agents]' should be replaced",
+                line: 22,
+                column: 15
+            }]);
+        });
+
+        it('should accept extra placeholder patterns', () => {
+            const issues = findPlaceholders(parseBody('## Purpose\nTODO: describe\n'), ['\\bTODO\\b']);
+            expect(issues.map(issue => issue.message)).toEqual(["Placeholder text 'TODO' should be replaced"]);
+        });
+
+        it('should flag the placeholders written by the agent generator', () => {
+            const creator = new AgentCreator();
+            const content = creator.generateAgentContent(AgentConfig.generateDefaults('test-agent', 'core'));
+
+            expect(findPlaceholders(parseBody(content)).map(issue => issue.message)).toEqual([
+                "Placeholder text '[Implementation details go here]' should be replaced",
+                "Placeholder text '[Best practices for using this agent]' should be replaced",
+                "Placeholder text '[Usage examples]' should be replaced"
+            ]);
+        });
+    });
+
+    describe('findEmptySections', () => {
+        it('should report sections without content or subsections', () => {
+            expect(findEmptySections(parseBody(body, 10))).toEqual([
+                { path: '', message: "Section 'Troubleshooting' is empty", line: 25, column: 1 }
+            ]);
+        });
+    });
+
+    describe('findToolsDocMismatch', () => {
+        it('should read only the allowed tools subsection', () => {
+            expect(documentedTools(parseBody(body)).tools.map(tool => tool.name)).toEqual(['Read', 'Grep', 'Bash']);
+        });
+
+        it('should compare documented tools with tools.allowed in both directions', () => {
+            const agent = { tools: { allowed: ['Read', 'Grep', 'Write'], restricted: ['Task'] } };
+            const issues = findToolsDocMismatch(parseBody(body, 10), agent);
+
+            expect(issues).toEqual([
+                {
+                    path: '',
+                    message: "Tool 'Bash' is documented under 'Available Tools' but not in 'tools.allowed'",
+                    line: 31,
+                    column: 1
+                },
+                {
+                    path: 'tools.allowed',
+                    message: "'tools.allowed' lists 'Write' but 'Available Tools' does not"
+                }
+            ]);
+        });
+
+        it('should skip bodies without a tools section', () => {
+            expect(findToolsDocMismatch(parseBody('## Purpose\nx\n'), { tools: { allowed: ['Read'] } })).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { unifiedDiff, Patch, parseDryRunArgs } from '../lib/patch.mjs';
+import { AgentFixer } from '../lib/fixer.mjs';
+import { AgentConfig } from '../lib/config.mjs';
+import { serializeToFrontmatter } from '../lib/utils.mjs';
+import { execFileSync } from 'child_process';
+import path from 'path';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
+
+const lines = count => Array.from({ length: count }, (_, index) => `line ${index + 1}\n`).join('');
+
+describe('Patches', () => {
+    describe('unifiedDiff', () => {
+        it('should return an empty diff for equal content', () => {
+            expect(unifiedDiff('a\n', 'a\n')).toBe('');
+        });
+
+        it('should write hunks with three lines of context, merging nearby changes', () => {
+            const before = lines(20);
+            const after = before.replace('line 2\n', 'line two\n').replace('line 6\n', '').replace('line 18\n', 'line 18\nextra\n');
+
+            expect(unifiedDiff(before, after, { fromFile: 'a/f.md', toFile: 'b/f.md' })).toBe([
+                '--- a/f.md',
+                '+++ b/f.md',
+                '@@ -1,9 +1,8 @@',
+                ' line 1',
+                '-line 2',
+                '+line two',
+                ' line 3',
+                ' line 4',
+                ' line 5',
+                '-line 6',
+                ' line 7',
+                ' line 8',
+                ' line 9',
+                '@@ -16,5 +15,6 @@',
+                ' line 16',
+                ' line 17',
+                ' line 18',
+                '+extra',
+                ' line 19',
+                ' line 20',
+                ''
+            ].join('\n'));
+        });
+
+        it('should mark a missing newline at the end of the file', () => {
+            expect(unifiedDiff('a\nb\n', 'a\nb', { context: 0 })).toBe(
+                '--- a\n+++ b\n@@ -2,1 +2,1 @@\n-b\n+b\n\\ No newline at end of file\n'
+            );
+            expect(unifiedDiff('', 'new\n', { context: 0 })).toBe('--- a\n+++ b\n@@ -0,0 +1,1 @@\n+new\n');
+        });
+    });
+
+    describe('Patch', () => {
+        it('should build later changes to a file on earlier ones and drop files changed back', () => {
+            const patch = new Patch({ baseDir: '/project' });
+            patch.add('/project/agents/b.md', 'one\n', 'two\n');
+            patch.add('/project/agents/b.md', 'two\n', 'three\n');
+            patch.add('/project/agents/a.md', 'x\n', 'y\n');
+
+            expect(patch.read('/project/agents/b.md')).toBe('three\n');
+            expect(patch.diffs().map(entry => entry.relativePath)).toEqual(['agents/a.md', 'agents/b.md']);
+            expect(patch.toString()).toContain('--- a/agents/b.md\n+++ b/agents/b.md\n@@ -1,1 +1,1 @@\n-one\n+three\n');
+
+            patch.add('/project/agents/a.md', 'y\n', 'x\n');
+            expect(patch.size).toBe(1);
+            expect(patch.read('/project/agents/a.md')).toBeUndefined();
+        });
+
+        it('should write moves as git renames, with or without content changes', () => {
+            const patch = new Patch({ baseDir: '/project' });
+            patch.move('/project/agents/core/a.md', '/project/agents/github/a.md', 'x\n', 'x\n');
+            patch.move('/project/agents/core/b.md', '/project/agents/github/b.md', 'x\n', 'y\n');
+
+            expect(patch.toString()).toBe([
+                'diff --git a/agents/core/a.md b/agents/github/a.md',
+                'rename from agents/core/a.md',
+                'rename to agents/github/a.md',
+                'diff --git a/agents/core/b.md b/agents/github/b.md',
+                'rename from agents/core/b.md',
+                'rename to agents/github/b.md',
+                '--- a/agents/core/b.md',
+                '+++ b/agents/github/b.md',
+                '@@ -1,1 +1,1 @@',
+                '-x',
+                '+y',
+                ''
+            ].join('\n'));
+
+            // A move stays in the patch when its content is changed back
+            patch.add('/project/agents/core/b.md', 'y\n', 'x\n');
+            expect(patch.size).toBe(2);
+        });
+    });
+
+    describe('parseDryRunArgs', () => {
+        it('should read the flags around the agents directory', () => {
+            expect(parseDryRunArgs(['agents'])).toEqual({ dryRun: false, patchOut: null, positional: ['agents'] });
+            expect(parseDryRunArgs(['--patch-out', 'fix.patch', 'agents'])).toEqual({
+                dryRun: true,
+                patchOut: 'fix.patch',
+                positional: ['agents']
+            });
+            expect(() => parseDryRunArgs(['--patch-out', '--dry-run'])).toThrow('--patch-out requires a file path');
+        });
+    });
+
+    describe('AgentFixer dry run', () => {
+        let dir;
+        let agentsDir;
+
+        beforeEach(async () => {
+            dir = await fs.realpath(await fs.mkdtemp(path.join(tmpdir(), 'patch-test-')));
+            agentsDir = path.join(dir, '.claude', 'agents');
+            await fs.mkdir(path.join(agentsDir, 'core'), { recursive: true });
+        });
+
+        afterEach(async () => {
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('should collect a patch that git applies instead of writing files', async () => {
+            const filePath = path.join(agentsDir, 'core', 'test-agent.md');
+            const config = { ...AgentConfig.generateDefaults('test-agent', 'core'), color: 'red' };
+            const content = serializeToFrontmatter(config, '# Test Agent\n');
+            await fs.writeFile(filePath, content);
+
+            const fixer = new AgentFixer({ baseDir: dir, agentsDir, dryRun: true, cache: false });
+            const results = await fixer.fixAll();
+            await fixer.patch.write(path.join(dir, 'fix.patch'));
+
+            expect(results.fixed).toBe(1);
+            expect(await fs.readFile(filePath, 'utf-8')).toBe(content);
+            expect(fixer.patch.toString()).toContain("-color: red\n+color: '#FF6B35'\n");
+
+            execFileSync('git', ['init', '-q'], { cwd: dir });
+            execFileSync('git', ['apply', 'fix.patch'], { cwd: dir });
+            expect(await fs.readFile(filePath, 'utf-8')).toBe(content.replace('color: red', "color: '#FF6B35'"));
+        });
+
+        it('should let a call override the dry-run setting', async () => {
+            const filePath = path.join(agentsDir, 'core', 'test-agent.md');
+            await fs.writeFile(filePath, serializeToFrontmatter({ name: 'test-agent', type: 'core', color: 'red' }, '# Test\n'));
+
+            const fixer = new AgentFixer({ baseDir: dir, agentsDir, backup: false, cache: false });
+            await fixer.fixFile(filePath, { dryRun: true });
+
+            expect(fixer.patch.size).toBe(1);
+            expect(await fs.readFile(filePath, 'utf-8')).toContain('color: red');
+        });
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+    globToRegExp,
+    isCoveredBy,
+    findOverlap,
+    analyzePathPolicy,
+    findPathPolicyIssues
+} from '../lib/path-policy.mjs';
+import { AgentConfig } from '../lib/config.mjs';
+
+describe('Path Policy', () => {
+    describe('globToRegExp', () => {
+        it('should match directory globs including the directory itself', () => {
+            expect(globToRegExp('src/**').test('src')).toBe(true);
+            expect(globToRegExp('src/**').test('src/lib/index.mjs')).toBe(true);
+            expect(globToRegExp('src/**').test('srcs/index.mjs')).toBe(false);
+        });
+
+        it('should match basename globs at any depth', () => {
+            expect(globToRegExp('*.pem').test('config/certs/server.pem')).toBe(true);
+            expect(globToRegExp('.env*').test('.env.local')).toBe(true);
+            expect(globToRegExp('src/*.js').test('src/lib/a.js')).toBe(false);
+        });
+
+        it('should support braces, character classes and single-character wildcards', () => {
+            expect(globToRegExp('src/*.{js,ts}').test('src/a.ts')).toBe(true);
+            expect(globToRegExp('file[0-9].txt').test('file7.txt')).toBe(true);
+            expect(globToRegExp('file?.txt').test('file10.txt')).toBe(false);
+        });
+    });
+
+    describe('isCoveredBy', () => {
+        it('should detect containment conservatively', () => {
+            expect(isCoveredBy('src/**', ['src/**'])).toBe(true);
+            expect(isCoveredBy('src/lib/**', ['src/**'])).toBe(true);
+            expect(isCoveredBy('src/**', ['src/*'])).toBe(false);
+            expect(isCoveredBy('src/{a,b}/**', ['src/a/**', 'src/b/**'])).toBe(true);
+        });
+    });
+
+    describe('findOverlap', () => {
+        it('should find paths matched by both globs unless forbidden', () => {
+            expect(findOverlap('src/**', '.env*')).not.toBeNull();
+            expect(findOverlap('src/**', '.env*', ['.env*'])).toBeNull();
+            expect(findOverlap('src/*.ts', '.env*')).toBeNull();
+            expect(findOverlap('config/**', '*.pem', [], ['config/tls/server.pem'])).not.toBeNull();
+        });
+    });
+
+    describe('analyzePathPolicy', () => {
+        it('should accept the generated defaults', () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            const policy = analyzePathPolicy(config, { files: ['src/index.mjs', 'docs/README.md'] });
+            
+            expect(policy.allowed).toEqual(['src/**', 'docs/**']);
+            expect(policy.shadowed).toEqual([]);
+            expect(policy.unmatched).toEqual([]);
+            expect(policy.secretOverlaps).toEqual([]);
+        });
+
+        it('should report shadowed, unmatched and secret-overlapping allow globs', () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            config.constraints.allowed_paths = ['src/**', 'lib/**', 'config/**'];
+            config.constraints.forbidden_paths = ['src/**'];
+            
+            const issues = findPathPolicyIssues(config, { files: ['src/index.mjs', 'config/server.pem'] });
+            
+            expect(issues.shadowed).toEqual([{
+                path: 'constraints.allowed_paths[0]',
+                message: "Allowed path 'src/**' is fully shadowed by forbidden path 'src/**'"
+            }]);
+            expect(issues.unmatched.map(issue => issue.path)).toEqual(['constraints.allowed_paths[1]']);
+            expect(issues.secretOverlaps.map(issue => issue.message)).toContain(
+                "Writable path 'config/**' overlaps secrets pattern '*.pem' (e.g. config/server.pem); add it to forbidden_paths"
+            );
+        });
+
+        it('should not report secret overlaps for read-only agents', () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            config.tools.allowed = ['Read', 'Grep'];
+            config.constraints.forbidden_paths = [];
+            
+            expect(analyzePathPolicy(config).secretOverlaps).toEqual([]);
+        });
+    });
+});
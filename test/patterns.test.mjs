@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseRegex,
+    requiredLiteral,
+    broadLiterals,
+    findBacktrackingRisks,
+    analyzeRegexPattern,
+    analyzeGlobPattern,
+    findTriggerPatternIssues
+} from '../lib/patterns.mjs';
+import { AgentConfig } from '../lib/config.mjs';
+
+const withTriggers = (triggers) => ({
+    ...AgentConfig.generateDefaults('test-agent', 'core'),
+    triggers: { keywords: [], patterns: [], file_patterns: [], context_patterns: [], ...triggers }
+});
+
+describe('Trigger Patterns', () => {
+    describe('requiredLiteral', () => {
+        it('should find the longest text every match must contain', () => {
+            expect(requiredLiteral(parseRegex('test-agent.*'))).toBe('test-agent');
+            expect(requiredLiteral(parseRegex('.*core.*'))).toBe('core');
+            expect(requiredLiteral(parseRegex('(deploy|ship)-v\\d+'))).toBe('ship');
+            expect(requiredLiteral(parseRegex('\\breview\\b'))).toBe('review');
+            expect(requiredLiteral(parseRegex('(?:pull request)?'))).toBe('');
+            expect(requiredLiteral(parseRegex('x{1000000}'))).toBe('x'.repeat(100));
+            expect(requiredLiteral(parseRegex('ab+c'))).toBe('ab');
+        });
+    });
+
+    describe('broadLiterals', () => {
+        it('should treat anchors, word boundaries and lookarounds as constraints on a short literal', () => {
+            for (const pattern of ['^pr$', '\\bqa\\b', '^(fix|bug)$', 'x{1000000}', '(?<=a)b']) {
+                expect(broadLiterals(parseRegex(pattern))).toEqual([]);
+            }
+        });
+
+        it('should check every alternative', () => {
+            expect(broadLiterals(parseRegex('(fix|bug)'))).toEqual(['fix', 'bug']);
+            expect(broadLiterals(parseRegex('^deploy$|ship'))).toEqual(['ship']);
+            expect(broadLiterals(parseRegex('release|^\\d+$'))).toEqual(['']);
+            expect(broadLiterals(parseRegex('(deploy|release)-(staging|production)'))).toEqual([]);
+        });
+    });
+
+    describe('findBacktrackingRisks', () => {
+        it('should flag nested quantifiers and overlapping repeated alternatives', () => {
+            expect(findBacktrackingRisks(parseRegex('(a+)+$'))).toEqual(['nested quantifiers']);
+            expect(findBacktrackingRisks(parseRegex('^(\\w+\\s?)*$'))).toEqual(['nested quantifiers']);
+            expect(findBacktrackingRisks(parseRegex('(.*a){20}'))).toEqual(['nested quantifiers']);
+            expect(findBacktrackingRisks(parseRegex('(?:\\s+\\w){2,}'))).toEqual(['nested quantifiers']);
+            expect(findBacktrackingRisks(parseRegex('(a|ab)*c'))).toEqual(['repeated alternatives that overlap']);
+            expect(findBacktrackingRisks(parseRegex('(.|\\s)*end'))).toEqual(['repeated alternatives that overlap']);
+        });
+
+        it('should accept ordinary patterns', () => {
+            expect(findBacktrackingRisks(parseRegex('deploy.*to (staging|production)'))).toEqual([]);
+            expect(findBacktrackingRisks(parseRegex('(foo|bar)+'))).toEqual([]);
+            expect(findBacktrackingRisks(parseRegex('[a-z]+@[a-z]+\\.com'))).toEqual([]);
+            expect(findBacktrackingRisks(parseRegex('(?:\\d{1,3}\\.){3}\\d{1,3}'))).toEqual([]);
+            expect(findBacktrackingRisks(parseRegex('(?:v\\d+)?-release'))).toEqual([]);
+        });
+    });
+
+    describe('analyzeRegexPattern', () => {
+        it('should report syntax errors', () => {
+            expect(analyzeRegexPattern('deploy(').error).toBe('Unterminated group');
+            expect(analyzeRegexPattern('*.md').error).toBe('Nothing to repeat');
+        });
+    });
+
+    describe('analyzeGlobPattern', () => {
+        it('should report unbalanced globs and globs that match every file', () => {
+            expect(analyzeGlobPattern('src/[ab.js').error).toBe("unterminated '['");
+            expect(analyzeGlobPattern('*.{js,ts').error).toBe("unterminated '{'");
+            expect(analyzeGlobPattern('**/*').matchesEverything).toBe(true);
+            expect(analyzeGlobPattern('*.*').matchesEverything).toBe(true);
+            expect(analyzeGlobPattern('*.md').matchesEverything).toBe(false);
+        });
+    });
+
+    describe('findTriggerPatternIssues', () => {
+        it('should accept the default triggers of every agent type', () => {
+            for (const type of AgentConfig.VALID_TYPES) {
+                expect(findTriggerPatternIssues(AgentConfig.generateDefaults('test-agent', type))).toEqual([]);
+            }
+        });
+
+        it('should report invalid, unsafe and broad patterns with their field paths', () => {
+            const issues = findTriggerPatternIssues(withTriggers({
+                patterns: ['deploy(', '(a+)+$', '.*core.*', '.*'],
+                file_patterns: ['*.{js,ts', '**']
+            }));
+
+            expect(issues.map(issue => [issue.kind, issue.path])).toEqual([
+                ['invalid', 'triggers.patterns[0]'],
+                ['unsafe', 'triggers.patterns[1]'],
+                ['broad', 'triggers.patterns[2]'],
+                ['broad', 'triggers.patterns[3]'],
+                ['invalid', 'triggers.file_patterns[0]'],
+                ['broad', 'triggers.file_patterns[1]']
+            ]);
+            expect(issues[2].message).toBe("Trigger pattern '.*core.*' is too broad: it only requires the text 'core'");
+            expect(issues[3].message).toBe("Trigger pattern '.*' matches every input");
+        });
+
+        it('should name every alternative that is too broad', () => {
+            const issues = findTriggerPatternIssues(withTriggers({ patterns: ['(fix|bug)', 'urgent|\\d+', '^(fix|bug)$'] }));
+
+            expect(issues.map(issue => issue.message)).toEqual([
+                "Trigger pattern '(fix|bug)' is too broad: it only requires one of the texts 'fix', 'bug'",
+                "Trigger pattern 'urgent|\\d+' is too broad: it requires no literal text"
+            ]);
+        });
+
+        it('should honor a custom minimum literal length', () => {
+            const agent = withTriggers({ patterns: ['.*core.*'] });
+            expect(findTriggerPatternIssues(agent, { minLiteralLength: 4 })).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { effectivePermissions, permissionDelta, comparePermissions } from '../lib/permissions.mjs';
+import { convertToolsToObject } from '../lib/utils.mjs';
+
+describe('Agent Permissions', () => {
+    describe('effectivePermissions', () => {
+        it('should grant allowed and conditional tools except restricted ones', () => {
+            const permissions = effectivePermissions({
+                tools: {
+                    allowed: ['Write', 'Read', 'Task'],
+                    restricted: ['Task'],
+                    conditional: [{ tool: 'Bash', condition: 'tests only' }, { tool: 'WebFetch', allowed: false }]
+                },
+                constraints: { allowed_paths: ['src/**'], forbidden_paths: ['.env'] }
+            });
+
+            expect(permissions).toEqual({
+                tools: ['Bash', 'Read', 'Write'],
+                allowedPaths: ['src/**'],
+                forbiddenPaths: ['.env'],
+                network: 'full',
+                filesystem: 'full',
+                sandbox: null
+            });
+        });
+
+        it('should read tool lists and strings, and only apply restrictions of an enabled sandbox', () => {
+            expect(effectivePermissions({ tools: ['Read', 'Grep'] }).tools).toEqual(['Grep', 'Read']);
+            expect(effectivePermissions({ tools: 'Read, Grep' }).tools).toEqual(['Grep', 'Read']);
+            expect(effectivePermissions({}).tools).toBeNull();
+            expect(effectivePermissions({ tools: { allowed: ['Grepp', 'Bassh(npm test:*)', 'Frobnicate'] } }).tools)
+                .toEqual(['Bash(npm test:*)', 'Grep']);
+            expect(effectivePermissions({ tools: ['Deploy'] }, { extraTools: ['Deploy'] }).tools).toEqual(['Deploy']);
+
+            const restrictions = { network: 'none', filesystem: 'read-only' };
+            expect(effectivePermissions({ security: { sandboxing: { enabled: true, type: 'container', restrictions } } }))
+                .toMatchObject({ network: 'none', filesystem: 'read-only', sandbox: 'container' });
+            expect(effectivePermissions({ security: { sandboxing: { enabled: false, type: 'vm', restrictions } } }))
+                .toMatchObject({ network: 'full', filesystem: 'full', sandbox: null });
+        });
+    });
+
+    describe('permissionDelta', () => {
+        it('should tell widening from narrowing changes', () => {
+            const before = effectivePermissions({
+                tools: { allowed: ['Read', 'Task'] },
+                constraints: { allowed_paths: ['src/**'], forbidden_paths: ['.env', 'secrets/**'] },
+                security: { sandboxing: { enabled: true, type: 'vm', restrictions: { network: 'none' } } }
+            });
+            const after = effectivePermissions({
+                tools: { allowed: ['Read', 'Bash'] },
+                constraints: { allowed_paths: ['src/**', 'docs/**'], forbidden_paths: ['.env', 'secrets/keys/**'] },
+                security: { sandboxing: { enabled: true, type: 'process', restrictions: { network: 'limited' } } }
+            });
+
+            expect(permissionDelta(before, after)).toEqual([
+                { kind: 'tools', widens: true, message: 'tools granted: Bash' },
+                { kind: 'tools', widens: false, message: 'tools removed: Task' },
+                { kind: 'paths', widens: true, message: 'allowed paths added: docs/**' },
+                { kind: 'paths', widens: true, message: 'forbidden paths removed: secrets/**' },
+                { kind: 'network', widens: true, message: 'network access: none → limited' },
+                { kind: 'sandbox', widens: true, message: 'sandbox: vm → process' }
+            ]);
+            expect(permissionDelta(after, after)).toEqual([]);
+        });
+
+        it('should compare agents, not counting a tool list converted to the object format as widening', () => {
+            const tools = ['Read', 'Edit', 'Task'];
+
+            expect(comparePermissions({ tools }, { tools: convertToolsToObject(tools) }))
+                .toEqual([{ kind: 'tools', widens: false, message: 'tools removed: Task' }]);
+            expect(comparePermissions({ constraints: { allowed_paths: ['src/**'] } }, {}))
+                .toEqual([{ kind: 'paths', widens: true, message: 'allowed paths no longer limited' }]);
+            expect(comparePermissions({}, { security: { sandboxing: { enabled: true } } }))
+                .toEqual([{ kind: 'sandbox', widens: false, message: 'sandbox: none → process' }]);
+            expect(comparePermissions({}, { tools: { allowed: ['Read'] } }))
+                .toEqual([{ kind: 'tools', widens: false, message: 'tools limited to: Read' }]);
+            expect(comparePermissions({ tools: ['Read'] }, {}))
+                .toEqual([{ kind: 'tools', widens: true, message: 'tools no longer limited' }]);
+            expect(comparePermissions({ tools: ['Grepp'] }, { tools: ['Grep'] })).toEqual([]);
+        });
+    });
+});
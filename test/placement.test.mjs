@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import path from 'path';
+import fs from 'fs/promises';
+import { normalizePlacementPolicy, findPlacementIssue, planMoves, rewriteLinks } from '../lib/placement.mjs';
+import { AgentFixer } from '../lib/fixer.mjs';
+import { AgentValidator } from '../lib/validator.mjs';
+import { createTempProject, removeTempProject, writeAgent } from './helpers.mjs';
+
+const POLICY = [
+    { type: 'github', directory: 'github' },
+    { capability: 'code_review', directory: 'analysis/code-review/' }
+];
+
+describe('Agent Placement', () => {
+    const policy = normalizePlacementPolicy(POLICY);
+
+    describe('normalizePlacementPolicy', () => {
+        it('should normalize directories and reject entries it cannot apply', () => {
+            expect(policy[1]).toEqual({ type: null, capability: 'code_review', directory: 'analysis/code-review' });
+            expect(() => normalizePlacementPolicy({ github: 'github' })).toThrow("'placement' must be a list");
+            expect(() => normalizePlacementPolicy([{ directory: 'github' }])).toThrow("entry 1: needs a 'type' or 'capability'");
+            expect(() => normalizePlacementPolicy([{ type: 'core', directory: '/agents' }])).toThrow('relative to the agents directory');
+            expect(() => normalizePlacementPolicy([{ type: 'core', directory: '../core' }])).toThrow('stay inside the agents directory');
+        });
+    });
+
+    describe('findPlacementIssue', () => {
+        it('should apply the first matching entry and accept its subdirectories', () => {
+            const reviewer = { type: 'github', capabilities: ['code_review'] };
+
+            expect(findPlacementIssue(reviewer, 'core', policy)).toEqual({
+                path: 'type',
+                message: "Agents with type 'github' belong in 'github/' (placement policy), not 'core/'",
+                directory: 'github'
+            });
+            expect(findPlacementIssue(reviewer, 'github/pr', policy)).toBeNull();
+            expect(findPlacementIssue({ type: 'core', capabilities: ['code_review'] }, '', policy).message)
+                .toBe("Agents with capability 'code_review' belong in 'analysis/code-review/' (placement policy), not './'");
+            expect(findPlacementIssue({ type: 'core' }, 'core', policy)).toBeNull();
+        });
+    });
+
+    describe('planMoves', () => {
+        it('should report agents whose target is taken instead of moving them', () => {
+            const agentsDir = '/project/agents';
+            const agents = [
+                { file: '/project/agents/core/pr-bot.md', agentData: { name: 'pr-bot', type: 'github' } },
+                { file: '/project/agents/swarm/pr-bot.md', agentData: { name: 'pr-bot-2', type: 'github' } },
+                { file: '/project/agents/core/issues.md', agentData: { name: 'issues', type: 'github' } },
+                { file: '/project/agents/github/sync.md', agentData: { name: 'sync', type: 'github' } }
+            ];
+            const exists = file => file === '/project/agents/github/issues.md';
+
+            const { moves, conflicts } = planMoves(agents, agentsDir, policy, exists);
+
+            expect(moves).toEqual([{
+                from: '/project/agents/core/pr-bot.md',
+                to: '/project/agents/github/pr-bot.md',
+                agent_name: 'pr-bot',
+                directory: 'github'
+            }]);
+            expect(conflicts.map(conflict => [conflict.file, conflict.reason])).toEqual([
+                ['/project/agents/swarm/pr-bot.md', `${path.join('github', 'pr-bot.md')} already exists`],
+                ['/project/agents/core/issues.md', `${path.join('github', 'issues.md')} already exists`]
+            ]);
+        });
+    });
+
+    describe('rewriteLinks', () => {
+        const moves = new Map([['/p/agents/core/pr-bot.md', '/p/agents/github/pr-bot.md']]);
+
+        it('should point links at moved files, keeping anchors, titles and other targets', () => {
+            const content = [
+                'See [bot](pr-bot.md#usage "PR bot") and [same](./pr-bot.md).',
+                '[web](https://example.com/pr-bot.md), [top](#top), [abs](/p/agents/core/pr-bot.md), [angle](<pr-bot.md>)',
+                '[bot]: ./pr-bot.md',
+                '```',
+                '[code](pr-bot.md)',
+                '```'
+            ].join('\n');
+
+            expect(rewriteLinks(content, '/p/agents/core/coder.md', '/p/agents/core/coder.md', moves)).toBe([
+                'See [bot](../github/pr-bot.md#usage "PR bot") and [same](../github/pr-bot.md).',
+                '[web](https://example.com/pr-bot.md), [top](#top), [abs](/p/agents/core/pr-bot.md), [angle](<../github/pr-bot.md>)',
+                '[bot]: ../github/pr-bot.md',
+                '```',
+                '[code](pr-bot.md)',
+                '```'
+            ].join('\n'));
+        });
+
+        it('should keep the links of a moved file pointing at files that exist', () => {
+            const exists = file => file === '/p/agents/core/coder.md';
+            const content = 'Uses [coder](./coder.md) and [missing](missing.md).';
+
+            expect(rewriteLinks(content, '/p/agents/core/pr-bot.md', '/p/agents/github/pr-bot.md', moves, exists))
+                .toBe('Uses [coder](../core/coder.md) and [missing](missing.md).');
+        });
+    });
+
+    describe('AgentFixer.moveMisplacedAgents', () => {
+        let dir;
+        let agentsDir;
+        const agentPath = (...parts) => path.join(agentsDir, ...parts);
+
+        beforeEach(async () => {
+            ({ dir, agentsDir } = await createTempProject('placement-test'));
+            await writeAgent(agentsDir, 'pr-bot', {}, { type: 'github', file: 'core/pr-bot.md', body: '# PR bot\n\nAsks [the coder](coder.md).\n' });
+            await writeAgent(agentsDir, 'coder', {}, { body: '# Coder\n\nHands off to [PR bot](./pr-bot.md).\n' });
+            await fs.writeFile(path.join(dir, 'CLAUDE.md'), '- [PR bot](.claude/agents/core/pr-bot.md)\n');
+            await fs.writeFile(path.join(dir, '.agent-toolkit.yaml'), [
+                'rules:',
+                '  directory-placement:',
+                '    placement:',
+                '      - type: github',
+                '        directory: github',
+                ''
+            ].join('\n'));
+        });
+
+        afterEach(async () => {
+            await removeTempProject(dir);
+        });
+
+        it('should preview the moves and link updates as a patch during a dry run', async () => {
+            const fixer = new AgentFixer({ baseDir: dir, agentsDir, dryRun: true, cache: false });
+
+            const results = await fixer.fixSpecificIssues({ moveMisplacedAgents: true });
+
+            expect(results.misplacedAgents).toBe(1);
+            expect(results.moves.map(move => move.to)).toEqual([agentPath('github', 'pr-bot.md')]);
+            expect(fixer.patch.diffs().map(entry => entry.relativePath)).toEqual([
+                '.claude/agents/core/coder.md',
+                '.claude/agents/core/pr-bot.md',
+                'CLAUDE.md'
+            ]);
+            expect(fixer.patch.toString()).toContain('rename to .claude/agents/github/pr-bot.md\n');
+            expect(fixer.patch.toString()).toContain('+Asks [the coder](../core/coder.md).\n');
+            await expect(fs.access(agentPath('github'))).rejects.toThrow();
+        });
+
+        it('should move agents, update links to them and record the run for undo', async () => {
+            const fixer = new AgentFixer({ baseDir: dir, agentsDir, cache: false });
+
+            expect(await fixer.moveMisplacedAgents()).toBe(1);
+            const runId = await fixer.commitTransaction();
+
+            expect(await fs.readFile(agentPath('github', 'pr-bot.md'), 'utf-8')).toContain('[the coder](../core/coder.md)');
+            expect(await fs.readFile(agentPath('core', 'coder.md'), 'utf-8')).toContain('[PR bot](../github/pr-bot.md)');
+            expect(await fs.readFile(path.join(dir, 'CLAUDE.md'), 'utf-8')).toBe('- [PR bot](.claude/agents/github/pr-bot.md)\n');
+
+            const validator = new AgentValidator({ baseDir: dir, agentsDir, cache: false });
+            expect((await validator.validateAll()).errors).toBe(0);
+
+            await fixer.journal.undo(runId);
+            expect(await fs.readFile(agentPath('core', 'pr-bot.md'), 'utf-8')).toContain('[the coder](coder.md)');
+            expect(await fs.readFile(path.join(dir, 'CLAUDE.md'), 'utf-8')).toBe('- [PR bot](.claude/agents/core/pr-bot.md)\n');
+        });
+
+        it('should report misplaced agents through the directory-placement rule', async () => {
+            const validator = new AgentValidator({ baseDir: dir, agentsDir, cache: false });
+            const result = await validator.validateFile(agentPath('core', 'pr-bot.md'));
+
+            expect(result.findings.filter(finding => finding.ruleId === 'directory-placement').map(finding => finding.message))
+                .toEqual(["Agents with type 'github' belong in 'github/' (placement policy), not 'core/'"]);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { findDanglingReferences, findCapabilityIssues, buildCapabilityIndex, findDependents } from '../lib/references.mjs';
+
+function agent(name, sections = {}) {
+    return { file: `${name}.md`, name, agentData: { name, ...sections } };
+}
+
+describe('References', () => {
+    describe('findDanglingReferences', () => {
+        it('should report communication references to unknown agents with a suggestion', () => {
+            const agents = [
+                agent('coder'),
+                agent('reviewer', { communication: { can_delegate_to: ['codr'], shares_context_with: ['coder'] } })
+            ];
+            
+            expect(findDanglingReferences(agents)).toEqual([{
+                file: 'reviewer.md',
+                path: 'communication.can_delegate_to[0]',
+                message: "'communication.can_delegate_to[0]' references unknown agent 'codr' (did you mean 'coder'?)"
+            }]);
+        });
+
+        it('should check named requirements and conflicts but skip optional ones', () => {
+            const agents = [agent('coder', {
+                dependencies: {
+                    requires: ['planner', { name: 'tester', optional: true }],
+                    conflicts: [{ agent: 'legacy-coder' }]
+                }
+            })];
+            
+            expect(findDanglingReferences(agents).map(issue => issue.path))
+                .toEqual(['dependencies.requires[0]', 'dependencies.conflicts[0]']);
+        });
+    });
+
+    describe('findCapabilityIssues', () => {
+        const provider = agent('api-designer', {
+            dependencies: { provides: [{ capability: 'api_design', interface: 'v1' }, 'schema_review'] }
+        });
+
+        it('should index provided capabilities', () => {
+            const index = buildCapabilityIndex([provider]);
+            expect(index.get('api_design')).toEqual([{ agent: 'api-designer', interface: 'v1' }]);
+            expect(index.get('schema_review')).toEqual([{ agent: 'api-designer', interface: undefined }]);
+        });
+
+        it('should report capabilities nobody provides', () => {
+            const consumer = agent('backend-dev', { dependencies: { requires: [{ capability: 'api_designs' }] } });
+            const [issue] = findCapabilityIssues([provider, consumer]);
+            
+            expect(issue.kind).toBe('unprovided');
+            expect(issue.message).toBe("Required capability 'api_designs' is not provided by any agent (did you mean 'api_design'?)");
+        });
+
+        it('should report interface version mismatches', () => {
+            const consumer = agent('backend-dev', {
+                dependencies: { requires: [{ capability: 'api_design', interface: 'v2' }] }
+            });
+            const [issue] = findCapabilityIssues([provider, consumer]);
+            
+            expect(issue).toMatchObject({ kind: 'interface', path: 'dependencies.requires[0]' });
+            expect(issue.message).toBe("Required capability 'api_design' needs interface v2, but only v1 is provided (by api-designer)");
+        });
+
+        it('should accept matching interfaces and providers without an interface', () => {
+            const consumer = agent('backend-dev', {
+                dependencies: {
+                    requires: [
+                        { capability: 'api_design', interface: 'v1' },
+                        { capability: 'schema_review', interface: 'v3' }
+                    ]
+                }
+            });
+            
+            expect(findCapabilityIssues([provider, consumer])).toEqual([]);
+        });
+
+        it('should require a named provider to offer the capability', () => {
+            const consumer = agent('backend-dev', {
+                dependencies: { requires: [{ name: 'backend-dev', capability: 'api_design' }] }
+            });
+            
+            expect(findCapabilityIssues([provider, consumer])[0].message)
+                .toBe("Agent 'backend-dev' does not provide required capability 'api_design'");
+        });
+    });
+
+    describe('findDependents', () => {
+        it('should find agents that reference a changed agent by name or capability', () => {
+            const agents = [
+                agent('coder', { dependencies: { provides: ['code_review'] } }),
+                agent('reviewer', { communication: { can_delegate_to: ['coder'] } }),
+                agent('planner', { dependencies: { requires: [{ capability: 'code_review' }] } }),
+                agent('tester', { dependencies: { conflicts: [{ agent: 'coder' }] } }),
+                agent('writer', { communication: { shares_context_with: ['planner'] } })
+            ];
+            
+            expect(findDependents(agents, [agents[0].agentData]).map(a => a.name)).toEqual(['reviewer', 'planner', 'tester']);
+        });
+
+        it('should find agents still referencing the old name of a renamed agent', () => {
+            const agents = [agent('reviewer', { dependencies: { requires: ['old-coder'] } })];
+            
+            expect(findDependents(agents, [{ name: 'new-coder' }])).toEqual([]);
+            expect(findDependents(agents, [{ name: 'new-coder' }, { name: 'old-coder' }])).toHaveLength(1);
+        });
+    });
+});
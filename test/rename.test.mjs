@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import path from 'path';
+import fs from 'fs/promises';
+import { renameReferences, replaceAgentName, replaceAgentReferences } from '../lib/rename.mjs';
+import { AgentFixer } from '../lib/fixer.mjs';
+import { EXIT_CODES, exitCodeForError } from '../lib/exit-codes.mjs';
+import { createTempProject, removeTempProject, writeAgent } from './helpers.mjs';
+
+describe('Agent Rename', () => {
+    describe('replaceAgentName', () => {
+        it('should only replace the name where it is not part of a longer name', () => {
+            expect(replaceAgentName('spawn coder; echo "coder-v2 coders my_coder coder."', 'coder', 'writer'))
+                .toBe('spawn writer; echo "coder-v2 coders my_coder writer."');
+        });
+    });
+
+    describe('replaceAgentReferences', () => {
+        it('should only replace names that follow spawn or --agent', () => {
+            expect(replaceAgentReferences('npm test; spawn test; x --agent test --agent=test-v2', 'test', 'checker'))
+                .toBe('npm test; spawn checker; x --agent checker --agent=test-v2');
+        });
+    });
+
+    describe('renameReferences', () => {
+        it('should rename every reference field and report each change', () => {
+            const agentData = {
+                name: 'lead',
+                communication: { can_spawn: ['coder', 'tester'], can_delegate_to: ['coder'], shares_context_with: 'coder' },
+                dependencies: {
+                    requires: ['coder', { name: 'coder', capability: 'code_generation' }, { capability: 'testing' }],
+                    conflicts: [{ agent: 'coder' }, 'other']
+                },
+                hooks: { pre: 'npx claude-flow agent spawn coder', post: 'echo done' }
+            };
+
+            const { data, changes } = renameReferences(agentData, 'coder', 'writer');
+
+            expect(data.communication).toEqual({ can_spawn: ['writer', 'tester'], can_delegate_to: ['writer'], shares_context_with: 'coder' });
+            expect(data.dependencies).toEqual({
+                requires: ['writer', { name: 'writer', capability: 'code_generation' }, { capability: 'testing' }],
+                conflicts: [{ agent: 'writer' }, 'other']
+            });
+            expect(data.hooks.pre).toBe('npx claude-flow agent spawn writer');
+            expect(changes.map(change => change.path)).toEqual([
+                'communication.can_spawn[0]',
+                'communication.can_delegate_to[0]',
+                'dependencies.requires[0]',
+                'dependencies.requires[1].name',
+                'dependencies.conflicts[0].agent',
+                'hooks.pre'
+            ]);
+            expect(agentData.communication.can_spawn).toEqual(['coder', 'tester']);
+        });
+
+        it('should only rewrite agent references in hook commands and list other uses for review', () => {
+            const agentData = {
+                name: 'unit-tester',
+                hooks: { pre: 'npm test && npx claude-flow agent spawn test', post: 'run --agent=test' }
+            };
+
+            const { data, changes, review } = renameReferences(agentData, 'test', 'unit-tester');
+
+            expect(data.hooks).toEqual({ pre: 'npm test && npx claude-flow agent spawn unit-tester', post: 'run --agent=unit-tester' });
+            expect(changes.map(change => change.path)).toEqual(['hooks.pre', 'hooks.post']);
+            expect(review).toEqual([{ path: 'hooks.pre', text: 'npm test && npx claude-flow agent spawn unit-tester' }]);
+        });
+    });
+
+    describe('AgentFixer.renameAgent', () => {
+        let dir;
+        let agentsDir;
+        const agentPath = file => path.join(agentsDir, file);
+        const read = file => fs.readFile(agentPath(file), 'utf-8');
+
+        beforeEach(async () => {
+            ({ dir, agentsDir } = await createTempProject('rename-test'));
+            await writeAgent(agentsDir, 'coder');
+            await writeAgent(agentsDir, 'lead', {
+                communication: { can_spawn: ['coder'], can_delegate_to: [] },
+                dependencies: { requires: ['coder'] }
+            }, { file: 'swarm/lead.md', body: '# Lead\n\nSpawns the [coder](../core/coder.md).\n' });
+        });
+
+        afterEach(async () => {
+            await removeTempProject(dir);
+        });
+
+        it('should preview the rename as a patch during a dry run', async () => {
+            const fixer = new AgentFixer({ baseDir: dir, agentsDir, dryRun: true });
+
+            const plan = await fixer.renameAgent('coder', 'code-writer');
+
+            expect(plan.newFile).toBe(agentPath('core/code-writer.md'));
+            expect(fixer.patch.toString()).toContain('rename to .claude/agents/core/code-writer.md\n');
+            expect(fixer.patch.toString()).toContain('+Spawns the [coder](../core/code-writer.md).\n');
+            expect(await read('core/coder.md')).toContain('name: coder');
+        });
+
+        it('should rename the file, the name and references, and undo it as one run', async () => {
+            const fixer = new AgentFixer({ baseDir: dir, agentsDir });
+
+            await fixer.renameAgent('coder', 'code-writer');
+            const runId = await fixer.commitTransaction();
+
+            await expect(fs.access(agentPath('core/coder.md'))).rejects.toThrow();
+            expect(await read('core/code-writer.md')).toContain('name: code-writer');
+            const lead = await read('swarm/lead.md');
+            expect(lead).toContain('can_spawn:\n    - code-writer');
+            expect(lead).toContain('requires:\n    - code-writer');
+            expect(lead).toContain('[coder](../core/code-writer.md)');
+
+            await fixer.journal.undo(runId);
+            expect(await read('core/coder.md')).toContain('name: coder');
+            expect(await read('swarm/lead.md')).toContain('[coder](../core/coder.md)');
+        });
+
+        it('should refuse names that are taken or invalid and agents that do not exist', async () => {
+            const fixer = new AgentFixer({ baseDir: dir, agentsDir });
+
+            const collision = await fixer.renameAgent('coder', 'lead').catch(error => error);
+            expect(collision.message).toBe(`Cannot rename 'coder' to 'lead': agent 'lead' already exists in ${path.join('swarm', 'lead.md')}`);
+            expect(exitCodeForError(collision)).toBe(EXIT_CODES.USAGE);
+
+            await expect(fixer.renameAgent('codr', 'writer')).rejects.toThrow("No agent named 'codr' (did you mean 'coder'?)");
+            await expect(fixer.renameAgent('coder', 'Code Writer')).rejects.toThrow("Invalid agent name 'Code Writer'");
+            expect(fixer.transaction).toBeNull();
+            expect(await read('core/coder.md')).toContain('name: coder');
+        });
+    });
+});
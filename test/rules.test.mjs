@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { RULES, resolveRules, resolveHookRules, runRules, normalizeRuleSetting } from '../lib/rules.mjs';
+import { parseProjectConfig } from '../lib/project-config.mjs';
+import { AgentConfig } from '../lib/config.mjs';
+
+describe('Rules', () => {
+    const schema = AgentConfig.toJSONSchema();
+
+    it('should give every built-in rule a unique id and a default severity', () => {
+        const ids = RULES.map(rule => rule.id);
+        expect(new Set(ids).size).toBe(ids.length);
+        for (const rule of RULES) {
+            expect(['error', 'warning', 'info']).toContain(rule.severity);
+            expect(rule.description).toBeTruthy();
+        }
+    });
+
+    it('should tag findings with rule id and severity', () => {
+        const agentData = AgentConfig.generateDefaults('test-agent', 'core');
+        agentData.color = 'red';
+        agentData.capabilities = [];
+        
+        const findings = runRules(resolveRules(), { agentData, schema });
+        
+        expect(findings).toContainEqual(expect.objectContaining({ ruleId: 'hex-color', severity: 'error', path: 'color' }));
+        expect(findings).toContainEqual(expect.objectContaining({ ruleId: 'empty-capabilities', severity: 'warning' }));
+    });
+
+    it('should apply severity overrides and skip rules that are off', () => {
+        const agentData = AgentConfig.generateDefaults('test-agent', 'core');
+        agentData.color = 'red';
+        agentData.capabilities = [];
+        
+        const rules = resolveRules({ 'hex-color': 'warning', 'empty-capabilities': 'off' });
+        const findings = runRules(rules, { agentData, schema });
+        
+        expect(findings.find(f => f.ruleId === 'hex-color').severity).toBe('warning');
+        expect(findings.some(f => f.ruleId === 'empty-capabilities')).toBe(false);
+    });
+
+    it('should reject unknown rule ids with a suggestion', () => {
+        expect(() => resolveRules({ 'hex-colour': 'off' })).toThrow("Unknown rule 'hex-colour' (did you mean 'hex-color'?)");
+    });
+
+    it('should accept hook rule settings and resolve their severities separately', () => {
+        const settings = { 'hook-missing-stage': 'off', 'hex-color': 'warning' };
+
+        expect(resolveRules(settings).some(rule => rule.id === 'hook-missing-stage')).toBe(false);
+        const hookRules = resolveHookRules(settings);
+        expect(hookRules.find(rule => rule.id === 'hook-missing-stage').severity).toBe('off');
+        expect(hookRules.find(rule => rule.id === 'hook-mcp-call').severity).toBe('warning');
+        expect(() => resolveHookRules({ 'hook-missing-stag': 'off' })).toThrow(/did you mean 'hook-missing-stage'/);
+    });
+
+    it('should reject invalid severities', () => {
+        expect(() => normalizeRuleSetting('hex-color', 'fatal')).toThrow(/Invalid severity 'fatal'/);
+        expect(normalizeRuleSetting('hex-color', false).severity).toBe('off');
+        expect(normalizeRuleSetting('hex-color', { severity: 'info', limit: 2 })).toEqual({ severity: 'info', options: { limit: 2 } });
+    });
+
+    it('should run custom rules with their options', () => {
+        const custom = {
+            id: 'name-prefix',
+            severity: 'warning',
+            description: 'Names must start with a prefix',
+            check: ({ agentData, options }) => agentData.name.startsWith(options.prefix)
+                ? []
+                : [{ path: 'name', message: `Name must start with '${options.prefix}'` }]
+        };
+        
+        const rules = resolveRules({ 'name-prefix': { severity: 'error', prefix: 'acme-' } }, [custom]);
+        const findings = runRules(rules, { agentData: { name: 'test-agent' }, schema });
+        
+        expect(findings).toContainEqual(expect.objectContaining({ ruleId: 'name-prefix', severity: 'error', message: "Name must start with 'acme-'" }));
+    });
+
+    describe('parseProjectConfig', () => {
+        it('should read rule settings', () => {
+            const config = parseProjectConfig('rules:\n  empty-triggers: off\n  hex-color: warning\n');
+            expect(config.rules).toEqual({ 'empty-triggers': 'off', 'hex-color': 'warning' });
+        });
+
+        it('should reject malformed configuration', () => {
+            expect(() => parseProjectConfig('rules: [a, b]\n')).toThrow(/'rules' must be a mapping/);
+            expect(() => parseProjectConfig('rules: [a\n')).toThrow(/^Invalid \.agent-toolkit\.yaml/);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { buildSarifLog, textReplacements, attachFixes, sarifLevel, SARIF_VERSION } from '../lib/sarif.mjs';
+import { AgentValidator } from '../lib/validator.mjs';
+import { AgentAnalyzer } from '../lib/analyzer.mjs';
+import { AgentFixer } from '../lib/fixer.mjs';
+import { createTempProject, removeTempProject, writeAgent } from './helpers.mjs';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('SARIF Output', () => {
+    let dir;
+    let agentsDir;
+
+    beforeEach(async () => {
+        ({ dir, agentsDir } = await createTempProject('sarif-test'));
+    });
+
+    afterEach(async () => {
+        await removeTempProject(dir);
+    });
+
+    describe('buildSarifLog', () => {
+        it('should emit rule metadata and physical locations relative to the base directory', () => {
+            const log = buildSarifLog({
+                rules: [
+                    { id: 'hex-color', severity: 'error', description: 'Color must be hex' },
+                    { id: 'unmatched-allow-path', severity: 'info', description: 'Globs must match' }
+                ],
+                files: [{
+                    file: path.join(dir, 'agents', 'coder.md'),
+                    findings: [
+                        { ruleId: 'unmatched-allow-path', severity: 'info', path: 'constraints.allowed_paths[0]', message: 'No match', line: 9, column: 7 },
+                        { ruleId: 'hex-color', severity: 'off', path: 'color', message: 'Ignored', line: 4, column: 1 }
+                    ]
+                }],
+                baseDir: dir
+            });
+            const [run] = log.runs;
+
+            expect(log.version).toBe(SARIF_VERSION);
+            expect(run.tool.driver.rules[1]).toEqual({
+                id: 'unmatched-allow-path',
+                shortDescription: { text: 'Globs must match' },
+                defaultConfiguration: { level: 'note' }
+            });
+            expect(run.results).toEqual([{
+                ruleId: 'unmatched-allow-path',
+                ruleIndex: 1,
+                level: 'note',
+                message: { text: 'No match' },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: 'agents/coder.md', uriBaseId: 'SRCROOT' },
+                        region: { startLine: 9, startColumn: 7 }
+                    },
+                    logicalLocations: [{ fullyQualifiedName: 'constraints.allowed_paths[0]', kind: 'member' }]
+                }]
+            }]);
+            expect(run.originalUriBaseIds.SRCROOT.uri).toMatch(/^file:\/\/.*\/$/);
+        });
+
+        it('should map severities to SARIF levels', () => {
+            expect(['error', 'warning', 'info', 'off'].map(sarifLevel)).toEqual(['error', 'warning', 'note', 'none']);
+        });
+    });
+
+    describe('textReplacements', () => {
+        it('should replace only the changed lines', () => {
+            const original = 'a\nb\nc\nd\n';
+            const replacements = textReplacements(original, 'a\nB\nc\nd\ne\n');
+
+            expect(replacements).toEqual([
+                { offset: 2, length: 2, text: 'B\n' },
+                { offset: 8, length: 0, text: 'e\n' }
+            ]);
+        });
+    });
+
+    describe('attachFixes', () => {
+        it('should attach a fix per rule that the fixer can fix', async () => {
+            const filePath = await writeAgent(agentsDir, 'test-agent', { color: 'red', version: '1.0' });
+            const validator = new AgentValidator({ baseDir: dir, agentsDir });
+            const result = await validator.validateFile(filePath);
+            await attachFixes([result], new AgentFixer({ baseDir: dir, agentsDir }));
+
+            const color = result.findings.find(f => f.ruleId === 'hex-color');
+            const version = result.findings.find(f => f.ruleId === 'semver-version');
+            const content = await fs.readFile(filePath, 'utf-8');
+            const [replacement] = color.fix.replacements;
+
+            expect(color.fix.description).toBe('Fixed color: red → #FF6B35');
+            expect(content.slice(replacement.offset, replacement.offset + replacement.length)).toBe('color: red\n');
+            expect(replacement.text).toBe("color: '#FF6B35'\n");
+            expect(version.fix.description).toBe('Fixed version to semantic format');
+            expect(version.fix.replacements[0].text).toBe("version: '1.0.0'\n");
+            expect(result.findings.filter(f => f.ruleId === 'unmatched-allow-path').every(f => !f.fix)).toBe(true);
+
+            const [run] = JSON.parse(validator.generateReport({ details: [result] }, 'sarif')).runs;
+            const sarifResult = run.results.find(r => r.ruleId === 'hex-color');
+            expect(sarifResult.fixes[0].artifactChanges[0].replacements[0].insertedContent.text).toBe("color: '#FF6B35'\n");
+        });
+    });
+
+    describe('analyzer', () => {
+        it('should report circular dependencies at the first agent in the cycle', async () => {
+            const alpha = await writeAgent(agentsDir, 'alpha-agent', { dependencies: { requires: ['beta-agent'] } });
+            await writeAgent(agentsDir, 'beta-agent', { dependencies: { requires: ['alpha-agent'] } });
+            const analyzer = new AgentAnalyzer({ baseDir: dir });
+            const analysis = await analyzer.analyze();
+
+            const [run] = JSON.parse(analyzer.generateReport(analysis, 'sarif')).runs;
+            const cycle = run.results.find(r => r.ruleId === 'circular-dependency');
+
+            expect(cycle.level).toBe('error');
+            expect(cycle.locations[0].physicalLocation.artifactLocation.uri).toBe(path.relative(dir, alpha));
+            expect(run.results.some(r => r.ruleId === 'unmatched-allow-path')).toBe(true);
+        });
+    });
+});
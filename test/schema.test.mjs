@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { validateSchema, jsonType, minimalValue } from '../lib/schema.mjs';
+import { AgentConfig } from '../lib/config.mjs';
+
+describe('Schema', () => {
+    const schema = AgentConfig.toJSONSchema();
+
+    describe('validateSchema', () => {
+        it('should accept the generated default configuration', () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            expect(validateSchema(schema, config)).toEqual([]);
+        });
+
+        it('should report missing required fields at the root', () => {
+            const issues = validateSchema(schema, { name: 'test-agent' });
+            expect(issues.some(i => i.message === 'Missing required field: hooks')).toBe(true);
+        });
+
+        it('should report unknown nested fields with a suggestion', () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            config.execution.paralellization = { enabled: true };
+            
+            const issues = validateSchema(schema, config);
+            expect(issues).toHaveLength(1);
+            expect(issues[0].path).toBe('execution.paralellization');
+            expect(issues[0].keyword).toBe('additionalProperties');
+            expect(issues[0].suggestion).toBe('parallelization');
+        });
+
+        it('should check nested types and enums', () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            config.constraints.max_file_size = '1MB';
+            config.security.sandboxing.restrictions.network = 'open';
+            
+            const issues = validateSchema(schema, config);
+            expect(issues.map(i => i.path)).toEqual([
+                'constraints.max_file_size',
+                'security.sandboxing.restrictions.network'
+            ]);
+            expect(issues[0].message).toBe("'constraints.max_file_size' must be an integer");
+        });
+
+        it('should index array items in paths', () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            config.monitoring.metrics.push({ name: 'latency' });
+            
+            const issues = validateSchema(schema, config);
+            expect(issues[0].path).toBe('monitoring.metrics[3].type');
+            expect(issues[0].keyword).toBe('required');
+        });
+
+        it('should accept either form of anyOf branches', () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            config.dependencies.requires = ['other-agent', { name: 'dependency-1', version: '>=1.0.0' }];
+            
+            expect(validateSchema(schema, config)).toEqual([]);
+        });
+    });
+
+    describe('jsonType', () => {
+        it('should distinguish integers, arrays and null', () => {
+            expect(jsonType(1)).toBe('integer');
+            expect(jsonType(1.5)).toBe('number');
+            expect(jsonType([])).toBe('array');
+            expect(jsonType(null)).toBe('null');
+            expect(jsonType({})).toBe('object');
+        });
+    });
+
+    describe('minimalValue', () => {
+        it('should build the smallest value each block accepts', () => {
+            expect(minimalValue(schema.properties.tools)).toEqual({ allowed: [], restricted: [] });
+            expect(minimalValue(schema.properties.resources)).toEqual({});
+            expect(minimalValue(schema.properties.priority)).toBe('critical');
+            expect(minimalValue({ type: 'integer', minimum: 1 })).toBe(1);
+
+            for (const field of ['triggers', 'tools', 'constraints', 'communication', 'execution', 'security', 'hooks']) {
+                expect(validateSchema(schema.properties[field], minimalValue(schema.properties[field]))).toEqual([]);
+            }
+        });
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { Suppressions, parseSuppressions, lineAt } from '../lib/suppressions.mjs';
+
+const content = [
+    '---',
+    'name: swarm-coordinator',
+    '# agent-toolkit-disable hex-color',
+    'color: red',
+    '# agent-toolkit-disable-next-line empty-triggers, kebab-name -- spawned programmatically',
+    '',
+    'triggers: {}',
+    '---',
+    '# agent-toolkit-disable-next-line empty-capabilities',
+    'Body text'
+].join('\n');
+
+describe('Suppressions', () => {
+    describe('parseSuppressions', () => {
+        it('should parse file and next-line directives from frontmatter only', () => {
+            const directives = parseSuppressions(content);
+            
+            expect(directives).toHaveLength(2);
+            expect(directives[0]).toMatchObject({ kind: 'file', rules: ['hex-color'], line: 3, column: 1 });
+            expect(directives[1]).toMatchObject({
+                kind: 'next-line',
+                rules: ['empty-triggers', 'kebab-name'],
+                line: 5,
+                targetLine: 7
+            });
+        });
+
+        it('should return nothing for files without frontmatter', () => {
+            expect(parseSuppressions('{"name": "agent"}')).toEqual([]);
+        });
+    });
+
+    describe('apply', () => {
+        it('should suppress matching findings and report unused directives', () => {
+            const suppressions = Suppressions.fromContent(content);
+            const { findings, suppressed } = suppressions.apply([
+                { ruleId: 'hex-color', line: 4 },
+                { ruleId: 'empty-triggers', line: 7 },
+                { ruleId: 'empty-triggers', line: 2 }
+            ]);
+            
+            expect(suppressed).toHaveLength(2);
+            expect(findings).toEqual([{ ruleId: 'empty-triggers', line: 2 }]);
+            expect(suppressions.unusedFindings(['hex-color', 'empty-triggers', 'kebab-name']).map(f => f.message))
+                .toEqual(["Unused suppression for 'kebab-name'"]);
+        });
+
+        it('should only report unused rules within the given scope', () => {
+            const suppressions = Suppressions.fromContent(content);
+            expect(suppressions.unusedFindings(['hook-mcp-call'])).toEqual([]);
+        });
+
+        it('should report unknown rule ids with a suggestion', () => {
+            const suppressions = Suppressions.fromContent('---\n# agent-toolkit-disable hex-colour\n---\n');
+            const [finding] = suppressions.unusedFindings([], ['hex-color', 'kebab-name']);
+            
+            expect(finding).toMatchObject({ ruleId: 'unused-suppression', line: 2 });
+            expect(finding.message).toBe("Unknown rule 'hex-colour' in suppression comment (did you mean 'hex-color'?)");
+        });
+    });
+
+    describe('replace', () => {
+        it('should leave matches on suppressed lines untouched', () => {
+            const source = '---\nhooks:\n  pre: memory_store "a" "b"\n  # agent-toolkit-disable-next-line hook-undefined-function\n  post: memory_store "c" "d"\n---\n';
+            const suppressions = Suppressions.fromContent(source);
+            const result = suppressions.replace(source, /memory_store\s+"([^"]+)"\s+"([^"]+)"/g, 'store $1=$2', 'hook-undefined-function');
+            
+            expect(result).toContain('pre: store a=b');
+            expect(result).toContain('post: memory_store "c" "d"');
+            expect(lineAt(source, source.indexOf('post:'))).toBe(5);
+        });
+
+        it('should locate directives in content that earlier fixes moved', () => {
+            const source = '---\nhooks:\n  pre: echo ${TASK_ID}\n  # agent-toolkit-disable-next-line hook-undefined-function\n  post: memory_store "c" "d"\n  on_error: memory_store "e" "f"\n---\n';
+            const suppressions = Suppressions.fromContent(source);
+            const moved = suppressions.replace(source, /echo \$\{TASK_ID\}/g, '|\n    echo "$AGENT_TASK"', 'hook-undefined-variable');
+            const result = suppressions.replace(moved, /memory_store\s+"([^"]+)"\s+"([^"]+)"/g, 'store $1=$2', 'hook-undefined-function');
+
+            expect(result).toContain('post: memory_store "c" "d"');
+            expect(result).toContain('on_error: store e=f');
+            expect(suppressions.unusedFindings(['hook-undefined-function'])).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+    MCP_TOOL_PATTERN,
+    suggestMcpToolName,
+    findToolIssues,
+    applyToolSuggestions
+} from '../lib/tools.mjs';
+import { AgentConfig } from '../lib/config.mjs';
+import { resolveRules, runRules } from '../lib/rules.mjs';
+
+const withTools = (tools) => ({
+    ...AgentConfig.generateDefaults('test-agent', 'core'),
+    tools: { restricted: [], conditional: [], ...tools }
+});
+
+describe('Tool Catalog', () => {
+    describe('MCP_TOOL_PATTERN', () => {
+        it('should accept well-formed MCP tool names and server wildcards', () => {
+            expect(MCP_TOOL_PATTERN.test('mcp__claude-flow__swarm_init')).toBe(true);
+            expect(MCP_TOOL_PATTERN.test('mcp__github__*')).toBe(true);
+            expect(MCP_TOOL_PATTERN.test('mcp__claude-flow_swarm_init')).toBe(false);
+            expect(MCP_TOOL_PATTERN.test('mcp__claude-flow__swarm__init')).toBe(false);
+            expect(MCP_TOOL_PATTERN.test('mcp__github__')).toBe(false);
+        });
+    });
+
+    describe('suggestMcpToolName', () => {
+        it('should restore the separator after a known server', () => {
+            expect(suggestMcpToolName('mcp__claude-flow_swarm_monitor')).toBe('mcp__claude-flow__swarm_monitor');
+            expect(suggestMcpToolName('mcp_claude-flow__agent_spawn')).toBe('mcp__claude-flow__agent_spawn');
+            expect(suggestMcpToolName('mcp__github_create_pr')).toBeNull();
+        });
+    });
+
+    describe('findToolIssues', () => {
+        it('should accept the default tools of every agent type', () => {
+            for (const type of AgentConfig.VALID_TYPES) {
+                expect(findToolIssues(AgentConfig.generateDefaults('test-agent', type))).toEqual([]);
+            }
+        });
+
+        it('should report unknown tools with suggestions in every tool list', () => {
+            const issues = findToolIssues(withTools({
+                allowed: ['Grepp', 'Bash(npm test:*)'],
+                conditional: [{ tool: 'Wrte', condition: 'true' }]
+            }));
+
+            expect(issues).toEqual([
+                {
+                    path: 'tools.allowed[0]',
+                    kind: 'unknown',
+                    message: "Unknown tool 'Grepp' in 'tools.allowed' (did you mean 'Grep'?)",
+                    suggestion: 'Grep'
+                },
+                {
+                    path: 'tools.conditional[0].tool',
+                    kind: 'unknown',
+                    message: "Unknown tool 'Wrte' in 'tools.conditional' (did you mean 'Write'?)",
+                    suggestion: 'Write'
+                }
+            ]);
+        });
+
+        it('should report malformed MCP names and tools that are allowed and restricted', () => {
+            const issues = findToolIssues(withTools({
+                allowed: ['mcp__claude-flow_swarm_init', 'Bash'],
+                restricted: ['Bash']
+            }));
+
+            expect(issues.map(issue => [issue.kind, issue.path])).toEqual([
+                ['mcp', 'tools.allowed[0]'],
+                ['overlap', 'tools.allowed[1]']
+            ]);
+            expect(issues[0].suggestion).toBe('mcp__claude-flow__swarm_init');
+        });
+
+        it('should accept extra tools from the project catalog', () => {
+            expect(findToolIssues(withTools({ allowed: ['Deploy'] }), { extraTools: ['Deploy'] })).toEqual([]);
+        });
+    });
+
+    describe('applyToolSuggestions', () => {
+        it('should return fixed tools without touching the input', () => {
+            const agent = withTools({ allowed: ['Grepp', 'Bash(git:*)', 'Task'], restricted: ['Task'] });
+            const { tools, changes } = applyToolSuggestions(agent);
+
+            expect(tools.allowed).toEqual(['Grep', 'Bash(git:*)']);
+            expect(changes).toEqual([
+                'Fixed tool name: Grepp → Grep',
+                'Removed restricted tools from allowed: Task'
+            ]);
+            expect(agent.tools.allowed).toEqual(['Grepp', 'Bash(git:*)', 'Task']);
+        });
+    });
+
+    describe('rules', () => {
+        it('should report tool issues under separate rule ids', () => {
+            const rules = resolveRules({ 'unknown-tool': { extraTools: ['Deploy'] } });
+            const findings = runRules(rules, {
+                agentData: withTools({ allowed: ['Deploy', 'Serch', 'mcp_github__*'] }),
+                schema: AgentConfig.toJSONSchema()
+            }).filter(finding => finding.ruleId.includes('tool'));
+
+            expect(findings.map(f => f.ruleId)).toEqual(['unknown-tool', 'invalid-mcp-tool-name']);
+        });
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { parseMemory, parseCpu, parseDuration, findUnitIssues, findLimitIssues } from '../lib/units.mjs';
+import { AgentConfig } from '../lib/config.mjs';
+
+describe('Units', () => {
+    describe('parseMemory', () => {
+        it('should parse sizes with binary units', () => {
+            expect(parseMemory('512MB')).toBe(512 * 1024 * 1024);
+            expect(parseMemory('1Gi')).toBe(1024 ** 3);
+            expect(parseMemory('1.5 KB')).toBe(1536);
+            expect(parseMemory(2048)).toBe(2048);
+        });
+
+        it('should reject malformed sizes', () => {
+            expect(parseMemory('512 megs')).toBeNull();
+            expect(parseMemory('MB')).toBeNull();
+            expect(parseMemory(true)).toBeNull();
+        });
+    });
+
+    describe('parseCpu', () => {
+        it('should parse millicores and cores', () => {
+            expect(parseCpu('500m')).toBe(500);
+            expect(parseCpu('2')).toBe(2000);
+            expect(parseCpu(0.5)).toBe(500);
+            expect(parseCpu('1 core')).toBeNull();
+        });
+    });
+
+    describe('parseDuration', () => {
+        it('should parse simple and compound durations', () => {
+            expect(parseDuration('30s')).toBe(30000);
+            expect(parseDuration('1h30m')).toBe(90 * 60 * 1000);
+            expect(parseDuration('30d')).toBe(30 * 24 * 60 * 60 * 1000);
+            expect(parseDuration('250ms')).toBe(250);
+            expect(parseDuration(600)).toBe(600000);
+        });
+
+        it('should reject malformed durations', () => {
+            expect(parseDuration('30')).toBeNull();
+            expect(parseDuration('30 seconds')).toBeNull();
+            expect(parseDuration('s')).toBeNull();
+        });
+    });
+
+    describe('findUnitIssues', () => {
+        it('should accept the generated defaults', () => {
+            expect(findUnitIssues(AgentConfig.generateDefaults('test-agent', 'core'))).toEqual([]);
+        });
+
+        it('should report malformed and zero values', () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            config.resources.memory_limit = '512 megs';
+            config.monitoring.health_checks.interval = '0s';
+            
+            expect(findUnitIssues(config)).toEqual([
+                { path: 'resources.memory_limit', message: "'resources.memory_limit' must be a memory size such as '512MB' (got '512 megs')" },
+                { path: 'monitoring.health_checks.interval', message: "'monitoring.health_checks.interval' must be greater than zero (got '0s')" }
+            ]);
+        });
+    });
+
+    describe('findLimitIssues', () => {
+        it('should accept the generated defaults', () => {
+            expect(findLimitIssues(AgentConfig.generateDefaults('test-agent', 'core'))).toEqual([]);
+        });
+
+        it('should report timeouts that exceed their bounds', () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            config.resources.execution_timeout = '15m';
+            config.execution.batching.timeout = '1h';
+            
+            expect(findLimitIssues(config).map(issue => issue.message)).toEqual([
+                "'resources.execution_timeout' (15m) exceeds 'constraints.max_execution_time' (600s)",
+                "'execution.batching.timeout' (1h) exceeds 'resources.execution_timeout' (15m)"
+            ]);
+        });
+
+        it('should compare each concurrency limit with the next broader one', () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            config.execution.parallelization.max_concurrent = 8;
+            delete config.resources.concurrent_operations;
+            
+            expect(findLimitIssues(config)).toEqual([{
+                path: 'execution.parallelization.max_concurrent',
+                message: "'execution.parallelization.max_concurrent' (8) exceeds 'constraints.max_concurrent_operations' (5)"
+            }]);
+        });
+
+        it('should report a max file size larger than the memory limit', () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            config.resources.memory_limit = '512KB';
+            
+            expect(findLimitIssues(config)[0].path).toBe('constraints.max_file_size');
+        });
+    });
+});
@@ -5,7 +5,11 @@ import {
     determineAgentType,
     deepMerge,
     formatFileSize,
-    convertToolsToObject
+    convertToolsToObject,
+    editDistance,
+    suggestClosest,
+    mapConcurrent,
+    diffLines
 } from '../lib/utils.mjs';
 
 describe('Utils', () => {
@@ -128,4 +132,47 @@ invalid: yaml: content:
             expect(result).toEqual(tools);
         });
     });
-});
\ No newline at end of file
+
+    describe('suggestClosest', () => {
+        it('should compute edit distance', () => {
+            expect(editDistance('paralellization', 'parallelization')).toBe(2);
+            expect(editDistance('', 'abc')).toBe(3);
+        });
+
+        it('should suggest the closest candidate', () => {
+            expect(suggestClosest('max_concurent', ['max_concurrent', 'strategy'])).toBe('max_concurrent');
+            expect(suggestClosest('Grepp', ['Grep', 'Glob', 'Read'])).toBe('Grep');
+        });
+
+        it('should return null when nothing is close', () => {
+            expect(suggestClosest('zzzz', ['allowed', 'restricted'])).toBeNull();
+        });
+    });
+
+    describe('mapConcurrent', () => {
+        it('should keep input order with at most limit calls in flight', async () => {
+            let active = 0;
+            let peak = 0;
+            const results = await mapConcurrent([30, 10, 20, 5, 15], 2, async (delay, index) => {
+                active++;
+                peak = Math.max(peak, active);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                active--;
+                return index;
+            });
+
+            expect(results).toEqual([0, 1, 2, 3, 4]);
+            expect(peak).toBe(2);
+        });
+    });
+
+    describe('diffLines', () => {
+        it('should return changed hunks and keep common lines between them', () => {
+            expect(diffLines(['a', 'b', 'c', 'd'], ['a', 'B', 'c', 'd', 'e'])).toEqual([
+                { beforeStart: 1, beforeEnd: 2, afterStart: 1, afterEnd: 2 },
+                { beforeStart: 4, beforeEnd: 4, afterStart: 4, afterEnd: 5 }
+            ]);
+            expect(diffLines(['x'], ['x'])).toEqual([]);
+        });
+    });
+});
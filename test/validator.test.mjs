@@ -1,12 +1,18 @@
 import { describe, it, expect } from 'vitest';
 import { AgentValidator } from '../lib/validator.mjs';
 import { AgentConfig } from '../lib/config.mjs';
+import { serializeToFrontmatter } from '../lib/utils.mjs';
 import path from 'path';
+import fs from 'fs/promises';
+import { tmpdir } from 'os';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// A body with the sections every agent type requires
+const documented = (title) => `# ${title}\n\n## Purpose\nTest agent.\n\n## Usage\nRun it.\n`;
+
 describe('AgentValidator', () => {
     describe('validateConfig', () => {
         it('should validate a complete agent configuration', () => {
@@ -73,6 +79,27 @@ describe('AgentValidator', () => {
             const errors = validator.validateConfig(invalidToolsConfig);
             expect(errors.some(e => e.includes('tools') && e.includes('must be an object'))).toBe(true);
         });
+
+        it('should catch typos in nested blocks', () => {
+            const validator = new AgentValidator();
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            config.constraints.max_concurent_operations = 3;
+            
+            const errors = validator.validateConfig(config);
+            expect(errors).toContain("Unknown field 'constraints.max_concurent_operations' (did you mean 'max_concurrent_operations'?)");
+        });
+
+        it('should validate nested tool fields', () => {
+            const validator = new AgentValidator();
+            const config = {
+                ...AgentConfig.generateDefaults('test-agent', 'core'),
+                tools: { allowed: 'Read' }
+            };
+            
+            const errors = validator.validateConfig(config);
+            expect(errors).toContain("'tools.allowed' must be an array");
+            expect(errors).toContain("'tools.restricted' is required");
+        });
     });
 
     describe('validateDirectory', () => {
@@ -123,4 +150,139 @@ describe('AgentValidator', () => {
             expect(warnings.some(w => w.includes('No trigger patterns defined'))).toBe(true);
         });
     });
-});
\ No newline at end of file
+
+    describe('validateAll', () => {
+        it('should resolve cross-agent references across the whole system', async () => {
+            const dir = await fs.mkdtemp(path.join(tmpdir(), 'validator-refs-'));
+            await fs.mkdir(path.join(dir, 'core'));
+            
+            const provider = AgentConfig.generateDefaults('api-designer', 'core');
+            provider.dependencies.provides = [{ capability: 'api_design', interface: 'v1' }];
+            const consumer = AgentConfig.generateDefaults('backend-dev', 'core');
+            consumer.communication.can_delegate_to = ['api-designer', 'test-writer'];
+            consumer.dependencies.requires = [{ capability: 'api_design', interface: 'v2' }];
+            
+            await fs.writeFile(path.join(dir, 'core', 'api-designer.md'), serializeToFrontmatter(provider, documented('API')));
+            await fs.writeFile(path.join(dir, 'core', 'backend-dev.md'), serializeToFrontmatter(consumer, documented('Backend')));
+            
+            const validator = new AgentValidator({ baseDir: dir, agentsDir: dir });
+            const results = await validator.validateAll();
+            const backend = results.details.find(r => r.agent_name === 'backend-dev');
+            
+            expect(results.valid).toBe(1);
+            expect(backend.findings.filter(f => f.severity !== 'info').map(f => f.ruleId).sort())
+                .toEqual(['interface-mismatch', 'unknown-agent-reference']);
+            expect(backend.findings.find(f => f.ruleId === 'unknown-agent-reference').line).toBeGreaterThan(1);
+            
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+    });
+
+    describe('validateFile', () => {
+        async function writeAgent(fileName, content) {
+            const dir = await fs.mkdtemp(path.join(tmpdir(), 'validator-test-'));
+            const filePath = path.join(dir, fileName);
+            await fs.writeFile(filePath, content);
+            return { dir, filePath };
+        }
+
+        it('should attach line, column and field path to findings', async () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            config.constraints.max_file_size = 'big';
+            const { dir, filePath } = await writeAgent('test-agent.md', serializeToFrontmatter(config, documented('Test')));
+            
+            const validator = new AgentValidator({ agentsDir: dir });
+            const result = await validator.validateFile(filePath);
+            const finding = result.findings.find(f => f.path === 'constraints.max_file_size');
+            
+            expect(result.status).toBe('error');
+            expect(finding.severity).toBe('error');
+            expect(finding.column).toBe(3);
+            expect(finding.line).toBeGreaterThan(1);
+            expect(result.errors).toContain("'constraints.max_file_size' must be an integer");
+            
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('should report YAML syntax errors instead of missing frontmatter', async () => {
+            const { dir, filePath } = await writeAgent('broken.md', '---\nname: broken\ntools: [Read\n---\n');
+            
+            const validator = new AgentValidator({ agentsDir: dir });
+            const result = await validator.validateFile(filePath);
+            
+            expect(result.errors[0]).toMatch(/^YAML syntax error/);
+            expect(result.findings[0].line).toBeGreaterThan(1);
+            
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('should honor inline suppression comments', async () => {
+            const config = AgentConfig.generateDefaults('swarm-coordinator', 'swarm');
+            config.triggers = {};
+            const frontmatter = serializeToFrontmatter(config, documented('Coordinator'))
+                .replace('\ntriggers:', '\n# agent-toolkit-disable-next-line empty-triggers\ntriggers:');
+            const { dir, filePath } = await writeAgent('swarm-coordinator.md', frontmatter);
+            
+            const validator = new AgentValidator({ agentsDir: dir });
+            const result = await validator.validateFile(filePath);
+            
+            expect(result.status).toBe('valid');
+            expect(result.suppressed).toBe(1);
+            
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('should report unused suppression comments', async () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            const frontmatter = serializeToFrontmatter(config, documented('Test'))
+                .replace('\ncolor:', '\n# agent-toolkit-disable-next-line hex-color\ncolor:');
+            const { dir, filePath } = await writeAgent('test-agent.md', frontmatter);
+            
+            const validator = new AgentValidator({ agentsDir: dir });
+            const result = await validator.validateFile(filePath);
+            
+            expect(result.status).toBe('warning');
+            expect(result.findings).toContainEqual(expect.objectContaining({
+                ruleId: 'unused-suppression',
+                message: "Unused suppression for 'hex-color'"
+            }));
+            
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('should lint the markdown body at file line numbers', async () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            const content = serializeToFrontmatter(config, '# Test\n\n## Purpose\n[Describe the agent]\n');
+            const { dir, filePath } = await writeAgent('test-agent.md', content);
+            
+            const validator = new AgentValidator({ agentsDir: dir });
+            const result = await validator.validateFile(filePath);
+            const placeholder = result.findings.find(f => f.ruleId === 'placeholder-text');
+            
+            expect(result.findings.filter(f => f.severity !== 'info').map(f => f.ruleId))
+                .toEqual(['required-section', 'placeholder-text']);
+            expect(content.split('\n')[placeholder.line - 1]).toBe('[Describe the agent]');
+            
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('should apply rule severities from .agent-toolkit.yaml', async () => {
+            const config = AgentConfig.generateDefaults('test-agent', 'core');
+            config.capabilities = [];
+            config.color = 'red';
+            const { dir, filePath } = await writeAgent('test-agent.md', serializeToFrontmatter(config, documented('Test')));
+            await fs.writeFile(path.join(dir, '.agent-toolkit.yaml'), 'rules:\n  empty-capabilities: off\n  hex-color: warning\n');
+            
+            const validator = new AgentValidator({ baseDir: dir, agentsDir: dir });
+            const result = await validator.validateFile(filePath);
+            
+            expect(result.status).toBe('warning');
+            expect(result.findings.filter(f => f.severity !== 'info').map(f => f.ruleId)).toEqual(['hex-color']);
+            expect(validator.generateReport({
+                total: 1, valid: 0, warnings: 1, errors: 0, details: [result], typeStats: {}
+            })).toContain('[hex-color]');
+            
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+    });
+});
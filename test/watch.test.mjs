@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    IncrementalRun,
+    DirectoryWatcher,
+    validationIssues,
+    analysisIssues,
+    diffIssues,
+    formatIssueDiff
+} from '../lib/watch.mjs';
+import { AgentValidator } from '../lib/validator.mjs';
+import { AgentAnalyzer } from '../lib/analyzer.mjs';
+import { createTempProject, removeTempProject, writeAgent } from './helpers.mjs';
+import path from 'path';
+import fs from 'fs/promises';
+
+describe('Watch Mode', () => {
+    let dir;
+    let agentsDir;
+
+    beforeEach(async () => {
+        ({ dir, agentsDir } = await createTempProject('watch-test'));
+    });
+
+    afterEach(async () => {
+        await removeTempProject(dir);
+    });
+
+    function validationRun(validator) {
+        return new IncrementalRun({
+            list: () => validator.listAgentFiles(),
+            check: file => validator.checkFile(file),
+            combine: (files, entries) => validator.collectResults(entries)
+        });
+    }
+
+    describe('IncrementalRun', () => {
+        it('should re-check only changed and new files and drop removed ones', async () => {
+            const alpha = await writeAgent(agentsDir, 'alpha-agent');
+            const beta = await writeAgent(agentsDir, 'beta-agent');
+            const validator = new AgentValidator({ baseDir: dir, agentsDir });
+            const checkFile = vi.spyOn(validator, 'checkFile');
+            const run = validationRun(validator);
+
+            expect((await run.run()).checked).toHaveLength(2);
+
+            await writeAgent(agentsDir, 'alpha-agent', { color: 'red' });
+            const gamma = await writeAgent(agentsDir, 'gamma-agent');
+            await fs.rm(beta);
+            checkFile.mockClear();
+            const { result, checked } = await run.run([alpha]);
+
+            expect(checked.sort()).toEqual([alpha, gamma].sort());
+            expect(checkFile).toHaveBeenCalledTimes(2);
+            expect(result.details.map(detail => detail.agent_name).sort()).toEqual(['alpha-agent', 'gamma-agent']);
+            expect(result.details.find(detail => detail.agent_name === 'alpha-agent').status).toBe('error');
+        });
+
+        it('should recompute cross-agent findings without re-checking unchanged files', async () => {
+            await writeAgent(agentsDir, 'alpha-agent', { communication: { can_delegate_to: ['beta-agent'] } });
+            const run = validationRun(new AgentValidator({ baseDir: dir, agentsDir }));
+
+            const first = validationIssues((await run.run()).result);
+            expect(first.map(issue => issue.message)).toContain(
+                "'communication.can_delegate_to[0]' references unknown agent 'beta-agent' [unknown-agent-reference]"
+            );
+
+            const beta = await writeAgent(agentsDir, 'beta-agent');
+            const { result, checked } = await run.run([beta]);
+            const { added, removed } = diffIssues(first, validationIssues(result));
+
+            expect(checked).toEqual([beta]);
+            expect(added.filter(issue => issue.severity !== 'info')).toEqual([]);
+            expect(removed.map(issue => issue.location)).toEqual(['core/alpha-agent.md:47:7']);
+        });
+
+        it('should recompute duplicate names and circular dependencies in an analysis', async () => {
+            await writeAgent(agentsDir, 'alpha-agent', { dependencies: { requires: ['beta-agent'] } });
+            const beta = await writeAgent(agentsDir, 'beta-agent');
+            const analyzer = new AgentAnalyzer({ baseDir: dir, agentsDir });
+            await analyzer.prepare(dir, agentsDir);
+            const run = new IncrementalRun({
+                list: () => analyzer.listAgentFiles(agentsDir),
+                check: file => analyzer.validator.checkFile(file),
+                combine: (files, entries) => analyzer.buildAnalysis(files, entries)
+            });
+
+            const first = analysisIssues((await run.run()).result);
+            await writeAgent(agentsDir, 'beta-agent', { dependencies: { requires: ['alpha-agent'] } });
+            const { result } = await run.run([beta]);
+            const { added } = diffIssues(first, analysisIssues(result));
+
+            expect(added.map(issue => issue.message)).toEqual([
+                'Circular dependency detected: alpha-agent -> beta-agent -> alpha-agent [circular-dependency]'
+            ]);
+        });
+    });
+
+    describe('diffIssues', () => {
+        const issue = (key, message = key) => ({ key, severity: 'error', location: 'a.md:1:1', message });
+
+        it('should treat repeated issues as a multiset', () => {
+            const { added, removed } = diffIssues([issue('x'), issue('x'), issue('y')], [issue('x'), issue('z')]);
+
+            expect(added.map(i => i.key)).toEqual(['z']);
+            expect(removed.map(i => i.key)).toEqual(['x', 'y']);
+        });
+
+        it('should format appeared and resolved issues', () => {
+            expect(formatIssueDiff({ added: [issue('x', 'Bad color')], removed: [issue('y', 'Old problem')] }))
+                .toBe('+ error: a.md:1:1 Bad color\n- error: a.md:1:1 Old problem');
+            expect(formatIssueDiff({ added: [], removed: [] })).toBe('No issues appeared or went away');
+        });
+    });
+
+    describe('DirectoryWatcher', () => {
+        it('should debounce changes into one run', async () => {
+            const onChange = vi.fn();
+            const watcher = new DirectoryWatcher({ dir: agentsDir, onChange, debounce: 5 });
+
+            watcher.queue(path.join(agentsDir, 'core/a.md'));
+            watcher.queue(path.join(agentsDir, 'core/b.md'));
+            watcher.queue(path.join(agentsDir, 'core/a.md'));
+            await new Promise(resolve => setTimeout(resolve, 20));
+            await watcher.running;
+
+            expect(onChange).toHaveBeenCalledTimes(1);
+            expect(onChange).toHaveBeenCalledWith([
+                path.join(agentsDir, 'core/a.md'),
+                path.join(agentsDir, 'core/b.md')
+            ]);
+        });
+
+        it('should ask for a full re-check when no file name is reported', async () => {
+            const onChange = vi.fn();
+            const watcher = new DirectoryWatcher({ dir: agentsDir, onChange });
+
+            watcher.queue(null);
+            await watcher.flush();
+
+            expect(onChange).toHaveBeenCalledWith(null);
+        });
+    });
+});
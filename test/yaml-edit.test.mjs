@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { editYaml, updateFrontmatter } from '../lib/yaml-edit.mjs';
+import { parse } from 'yaml';
+
+const SOURCE = [
+    '# Agent configuration',
+    'name: coder               # kebab-case identifier',
+    "color: \"red\"",
+    'tools:',
+    '  allowed:',
+    '    - Reed                # typo',
+    '    - Write',
+    '  restricted: [Task]',
+    'hooks:',
+    '  pre: |',
+    '    echo "starting"',
+    '    npm test',
+    'defaults: &defaults',
+    '  timeout: 30',
+    'limits: *defaults',
+    ''
+].join('\n');
+
+const edit = changes => editYaml(SOURCE, { ...parse(SOURCE), ...changes });
+const changedLines = (before, after) => after.split('\n').filter(line => !before.split('\n').includes(line));
+
+describe('YAML Edits', () => {
+    describe('editYaml', () => {
+        it('should leave the source untouched when nothing changed', () => {
+            expect(editYaml(SOURCE, parse(SOURCE))).toBe(SOURCE);
+        });
+
+        it('should replace changed scalars in place, keeping their style and trailing comments', () => {
+            const result = edit({ color: '#FF6B35', name: 'code-writer' });
+
+            expect(changedLines(SOURCE, result)).toEqual([
+                'name: code-writer               # kebab-case identifier',
+                'color: "#FF6B35"'
+            ]);
+        });
+
+        it('should edit sequence items one by one', () => {
+            const result = edit({ tools: { allowed: ['Read', 'Write', 'Grep'], restricted: [] } });
+
+            expect(result).toContain('    - Read                # typo\n    - Write\n    - Grep\n  restricted: []\n');
+            expect(parse(result).tools).toEqual({ allowed: ['Read', 'Write', 'Grep'], restricted: [] });
+        });
+
+        it('should remove sequence items and keys without touching their neighbours', () => {
+            const { hooks, ...withoutHooks } = parse(SOURCE);
+            const result = editYaml(SOURCE, { ...withoutHooks, tools: { allowed: ['Write'], restricted: ['Task'] } });
+
+            expect(result).toBe(SOURCE
+                .replace('    - Reed                # typo\n', '')
+                .replace('hooks:\n  pre: |\n    echo "starting"\n    npm test\n', ''));
+        });
+
+        it('should insert new keys after the closest existing key before them', () => {
+            const data = parse(SOURCE);
+            const result = editYaml(SOURCE, {
+                name: data.name,
+                type: 'core',
+                ...data,
+                tools: { ...data.tools, conditional: [] },
+                version: '1.0.0'
+            });
+
+            expect(result.split('\n').slice(1, 4)).toEqual([
+                'name: coder               # kebab-case identifier',
+                'type: core',
+                'color: "red"'
+            ]);
+            expect(result).toContain('  restricted: [Task]\n  conditional: []\nhooks:');
+            expect(result.endsWith('limits: *defaults\nversion: 1.0.0\n')).toBe(true);
+        });
+
+        it('should add keys to a nested map at the end of the document before keys added after it', () => {
+            const source = 'name: coder\nhooks:\n  pre: |\n    echo start\n';
+            const result = editYaml(source, {
+                name: 'coder',
+                hooks: { pre: 'echo start\n', post: 'echo done' },
+                prompts: { main: 'Code' }
+            });
+
+            expect(result).toBe(`${source}  post: echo done\nprompts:\n  main: Code\n`);
+        });
+
+        it('should keep block scalars, anchors and aliases', () => {
+            const result = edit({ hooks: { pre: 'echo "starting"\nnpm run test:unit\n' } });
+
+            expect(changedLines(SOURCE, result)).toEqual(['    npm run test:unit']);
+            expect(result).toContain('defaults: &defaults\n  timeout: 30\nlimits: *defaults\n');
+        });
+
+        it('should rewrite a value whose shape changed as a block under its key', () => {
+            const source = 'name: coder\ntools:\n  - Read\n  - Task\npriority: high\n';
+            const result = editYaml(source, { name: 'coder', tools: { allowed: ['Read'], restricted: ['Task'] }, priority: 'high' });
+
+            expect(result).toBe('name: coder\ntools:\n  allowed:\n    - Read\n  restricted:\n    - Task\npriority: high\n');
+            expect(editYaml('tools: [Read, Task]\n', { tools: { allowed: ['Read'] } }))
+                .toBe('tools:\n  allowed:\n    - Read\n');
+        });
+
+        it('should reject source with syntax errors', () => {
+            expect(() => editYaml('name: [coder\n', { name: 'coder' })).toThrow('Cannot edit YAML with syntax errors');
+        });
+    });
+
+    describe('updateFrontmatter', () => {
+        it('should only change the frontmatter lines being fixed and keep the body', () => {
+            const content = `---\n${SOURCE}---\n# Coder\n\nWrites code.\n`;
+            const result = updateFrontmatter(content, { ...parse(SOURCE), color: '#FF6B35' });
+
+            expect(result).toBe(content.replace('color: "red"', 'color: "#FF6B35"'));
+        });
+
+        it('should serialize content without frontmatter from scratch', () => {
+            expect(updateFrontmatter('# Coder\n', { name: 'coder' })).toBe('---\nname: coder\n---\n\n# Coder\n');
+            expect(updateFrontmatter('---\n---\n# Coder\n', { name: 'coder' })).toBe('---\nname: coder\n---\n# Coder\n');
+        });
+    });
+});